@@ -206,11 +206,55 @@ function clearOutput() {
   document.getElementById('claude-response').style.display = 'none';
 }
 
+// ===============================
+// Streaming chat (SSE over fetch)
+// ===============================
+async function streamChat(payload, onDelta, onQueued) {
+  const res = await fetch("/api/chat/stream", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  if (!res.ok || !res.body) {
+    throw new Error(`Stream request failed: ${res.status}`);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      if (!frame.startsWith("data: ")) continue;
+      const event = JSON.parse(frame.slice(6));
+
+      if (event.type === "queued" && onQueued) onQueued(event);
+      if (event.type === "delta") onDelta(event.text);
+      if (event.type === "done") return event;
+      if (event.type === "error") throw new Error(event.error);
+    }
+  }
+
+  throw new Error("Stream ended without result");
+}
+
+// ===============================
+// Conversation session (persisted server-side, kept across page reloads)
+// ===============================
+let chatSessionId = localStorage.getItem("chatSessionId");
+
 // ===============================
 // Main chat handler
 // ===============================
-document.getElementById("send").addEventListener("click", async () => {
-  const btn = document.getElementById("send");
+document.getElementById("send").addEventListener("click", () => {
   const promptSelect = document.getElementById("prompt").value;
   const messageInput = document.getElementById("message").value;
 
@@ -219,32 +263,55 @@ document.getElementById("send").addEventListener("click", async () => {
     return;
   }
 
+  runChat(promptSelect || messageInput);
+});
+
+// agentId skips intent routing (answer to a clarification question)
+async function runChat(message, agentId = null) {
+  const btn = document.getElementById("send");
   btn.innerHTML = `Processing <span class="spinner"></span>`;
   btn.disabled = true;
   const startTime = Date.now();
 
   try {
-    const res = await fetch("/api/chat", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        message: promptSelect || messageInput,
-        user: { id: "frontend-user", name: "Manufacturing Operator", interface: "web" }
-      })
-    });
+    const claudeText = document.getElementById("claude-text");
+    claudeText.innerText = "";
+    document.getElementById("claude-response").style.display = "block";
 
-    const data = await res.json();
+    const data = await streamChat(
+      {
+        message,
+        agentId,
+        user: { id: "frontend-user", name: "Manufacturing Operator", interface: "web" },
+        sessionId: chatSessionId
+      },
+      (delta) => { claudeText.innerText += delta; },
+      (queued) => {
+        btn.innerHTML = `Queued #${queued.position} (~${Math.ceil(queued.etaMs / 1000)}s) <span class="spinner"></span>`;
+      }
+    );
     const processingTime = Date.now() - startTime;
 
-    document.getElementById("claude-text").innerText = data.response;
-    document.getElementById("claude-response").style.display = "block";
+    claudeText.innerText = data.response;
+    if (data.clarification) renderClarification(claudeText, message, data.clarification);
+
+    if (data.sessionId) {
+      chatSessionId = data.sessionId;
+      localStorage.setItem("chatSessionId", chatSessionId);
+    }
 
     const out = document.getElementById("out");
-    const agentInfo = data.agentUsed ? `Agent: ${data.agentUsed} | ` : '';
+    const agentInfo = data.agentsUsed?.length ? `Agent: ${data.agentsUsed.join(', ')} | ` : '';
+    const routingInfo = data.routing && !data.clarification
+      ? `Routing: ${data.routing.method} ${Math.round(data.routing.confidence * 100)}% | `
+      : '';
     const eventsInfo = data.eventChainTriggered?.length ? `Events: ${data.eventChainTriggered.join(', ')} | ` : '';
-    const timeInfo = `Time: ${processingTime}ms`;
+    const workflowInfo = data.workflowsTriggered?.length ? `Workflows: ${data.workflowsTriggered.join(', ')} | ` : '';
+    const auditInfo = data.auditId ? `Audit: ${data.auditId} | ` : '';
+    const cacheInfo = data.cache?.hit ? 'Cache: hit | ' : '';
+    const timeInfo = `${workflowInfo}${auditInfo}${cacheInfo}Time: ${processingTime}ms`;
 
-    out.textContent += `\n\n[${new Date().toLocaleTimeString()}] ${agentInfo}${eventsInfo}${timeInfo}\n${data.response}`;
+    out.textContent += `\n\n[${new Date().toLocaleTimeString()}] ${agentInfo}${routingInfo}${eventsInfo}${timeInfo}\n${data.response}`;
     out.scrollTop = out.scrollHeight;
 
     const metrics = document.getElementById("metrics");
@@ -258,7 +325,23 @@ document.getElementById("send").addEventListener("click", async () => {
     btn.innerHTML = "Execute Manufacturing Command";
     btn.disabled = false;
   }
-}); // ✅ Hier war die fehlende Klammer!
+}
+
+// Ambiguous request - one button per suggested agent, resends the same message
+function renderClarification(container, message, clarification) {
+  const options = document.createElement("div");
+  options.className = "clarification-options";
+
+  clarification.options.forEach(option => {
+    const button = document.createElement("button");
+    button.textContent = option.name;
+    button.title = option.description || option.trigger;
+    button.addEventListener("click", () => runChat(message, option.agentId));
+    options.appendChild(button);
+  });
+
+  container.appendChild(options);
+}
 
 // ===============================
 // Background refresh
@@ -56,7 +56,6 @@
 
 import express from "express";
 import dotenv from "dotenv";
-import { BufferMemory } from "langchain/memory";
 
 // Import modular components
 import { EventBusManager } from "./src/eventBus/EventBusManager.js";
@@ -67,6 +66,8 @@ import { A2AManager } from './src/a2a/A2AManager.js';
 import { createRoutes } from "./src/api/routes/index.js";
 import packageJson from './package.json' assert { type: 'json' };
 import { integrateMCPServer } from './src/mcp/MCPServer.js';
+import { ConfigWatcher } from "./src/config/ConfigWatcher.js";
+import { ApprovalInbox } from "./src/approvals/ApprovalInbox.js";
 
 // OEE Simulator import
 import { OEESimulator } from "./src/simulator/OEESimulator.js";
@@ -142,6 +143,12 @@ const mcpServer = await integrateMCPServer(app, {
 });
 console.log('✅ MCP Server integrated successfully');
 
+// MCP tools for plugin agents and the agent tool-use loop
+agentManager.attachToolRegistry(mcpServer.toolRegistry);
+
+// Human-in-the-loop gate: agent-proposed actions wait for a signed approval
+agentManager.attachApprovalInbox(new ApprovalInbox());
+
 // ========================================================================
 // CRITICAL FIX: Link EventBusManager to AgentManager for A2A
 // ========================================================================
@@ -163,26 +170,6 @@ console.log("🔗 AuditLogger linked to EventBusManager");
 
 console.log("✅ All components initialized successfully");
 
-// ========================================================================
-// MEMORY MANAGEMENT SYSTEM
-// ========================================================================
-
-const agentMemories = new Map();
-function getMemory(userId = "default") {
-  if (!agentMemories.has(userId)) {
-    agentMemories.set(
-      userId,
-      new BufferMemory({
-        memoryKey: "chat_history",
-        returnMessages: true,
-        inputKey: "input",
-        outputKey: "output",
-      })
-    );
-  }
-  return agentMemories.get(userId);
-}
-
 // ========================================================================
 // SYSTEM STARTUP & DATA LOADING
 // ========================================================================
@@ -199,6 +186,12 @@ async function initializeSystem() {
       console.error("❌ Critical: Failed to load agents");
       process.exit(1);
     }
+
+    // Code agent plugins (BaseAgent subclasses): A2A capabilities + MCP tools
+    await agentManager.loadPlugins();
+
+    // Workflows interrupted by the last shutdown: resume from their recorded steps
+    await agentManager.recoverWorkflows();
     
     const dataValidation = dataManager.validateDataIntegrity();
     if (!dataValidation.isValid) {
@@ -223,6 +216,13 @@ async function initializeSystem() {
 
 await initializeSystem();
 
+// ========================================================================
+// CONFIG HOT RELOAD (agents.yaml, data-sources.yaml)
+// ========================================================================
+
+const configWatcher = new ConfigWatcher(agentManager);
+configWatcher.start();
+
 // ========================================================================
 // START OEE SIMULATOR IF ENABLED
 // ========================================================================
@@ -448,6 +448,7 @@ app.use((err, req, res, next) => {
 // Simulator cleanup on shutdown
 process.on('SIGTERM', () => {
   console.log('📋 SIGTERM received, performing graceful shutdown...');
+  configWatcher.stop();
   if (oeeSimulator) oeeSimulator.stop();
   auditLogger.logSystemEvent("system_shutdown", { reason: "SIGTERM", version: "1.2.5" });
   process.exit(0);
@@ -455,6 +456,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('📋 SIGINT received, performing graceful shutdown...');
+  configWatcher.stop();
   if (oeeSimulator) oeeSimulator.stop();
   auditLogger.logSystemEvent("system_shutdown", { reason: "SIGINT", version: "1.2.5" });
   process.exit(0);
@@ -16,16 +16,49 @@
  * - Integration with existing EventBus
  * - Audit logging for all A2A operations
  * - Graceful error handling and fallbacks
+ * 
+ * Contract (typed envelopes, requestId = correlation id):
+ *   request  → topic a2a.<agentId>.<action>
+ *     { type: "a2a.request", version, requestId, from, targetAgentId, action,
+ *       data, workflowId, idempotencyKey, timeout, deadline, timestamp }
+ *   response → topic a2a.response (AgentManager / plugins via respond())
+ *     { type: "a2a.response", version, requestId, agentId, action,
+ *       status: "success" | "error", result, error: { code, message }, duration, timestamp }
+ * 
+ * requestService() resolves with the response's result (or the whole
+ * envelope with options.envelope) and rejects with error.code and
+ * error.response for error responses, timeouts (A2A_TIMEOUT) and
+ * requests nobody listens to (A2A_NOT_DELIVERED). options.signal cancels
+ * a request (A2A_CANCELED): handlers get the request's signal via
+ * getRequestSignal() - AgentManager drops the queued LLM call with it.
+ *
+ * Idempotency: respond() records successful responses to requests with
+ * an idempotencyKey (IdempotencyStore). A request repeating a completed
+ * key is answered with the recorded response (replayed: true, requestId
+ * of the new request) without reaching the agent.
  * ========================================================================
  */
 
 import { EventEmitter } from 'events';
+import { IdempotencyStore } from './IdempotencyStore.js';
+
+export const A2A_PROTOCOL_VERSION = '1.0';
+export const A2A_RESPONSE_TOPIC = 'a2a.response';
+
+// error.code lets callers tell timeouts from configuration errors (workflow retries)
+function a2aError(message, code, response = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (response) error.response = response;
+  return error;
+}
 
 export class A2AManager extends EventEmitter {
-  constructor(eventBusManager, auditLogger) {
+  constructor(eventBusManager, auditLogger, options = {}) {
     super();
     
     this.eventBus = eventBusManager;
+    this.idempotencyStore = options.idempotencyStore || new IdempotencyStore();
     
     // SAFETY CHECK: Ensure auditLogger has required methods
     if (!auditLogger) {
@@ -41,6 +74,10 @@ export class A2AManager extends EventEmitter {
     this.pendingRequests = new Map();
     this.registeredAgents = new Map();
     this.requestTimeout = 30000; // 30 seconds default timeout
+
+    // Responses of all agents arrive on one topic and are matched by requestId
+    this.responseHandler = (response) => this.handleA2AResponse(response);
+    this.eventBus.subscribe(A2A_RESPONSE_TOPIC, this.responseHandler);
     
     console.log("A2A Manager initialized (Phase 1)");
     
@@ -82,72 +119,164 @@ export class A2AManager extends EventEmitter {
     return true;
   }
 
+  /**
+   * Unregister Agent (agent set reload)
+   * Pending requests to the agent still complete; new requests are rejected until it registers again
+   */
+  unregisterAgent(agentId) {
+    if (!this.registeredAgents.delete(agentId)) {
+      return false;
+    }
+
+    this.auditLogger.log('a2a_agent_unregistered', {
+      agentId,
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Request envelope - requestId correlates the response
+   */
+  createRequest(targetAgentId, action, data, options = {}) {
+    const timeout = options.timeout || this.requestTimeout;
+    const timestamp = new Date();
+    return {
+      type: 'a2a.request',
+      version: A2A_PROTOCOL_VERSION,
+      requestId: `a2a-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      from: options.from || 'a2a-system',
+      targetAgentId,
+      action,
+      data: data ?? {},
+      workflowId: options.workflowId || null,
+      // Same key when a resumed workflow repeats an interrupted step - see replayResponse()
+      idempotencyKey: options.idempotencyKey || null,
+      timeout,
+      deadline: new Date(timestamp.getTime() + timeout).toISOString(),
+      timestamp: timestamp.toISOString()
+    };
+  }
+
+  /**
+   * Response envelope for a request - pass result, or error (Error or { code, message })
+   */
+  createResponse(request, { agentId = request.targetAgentId, result = null, error = null, startTime = null } = {}) {
+    return {
+      type: 'a2a.response',
+      version: A2A_PROTOCOL_VERSION,
+      requestId: request.requestId,
+      agentId,
+      action: request.action,
+      status: error ? 'error' : 'success',
+      result: error ? null : result,
+      error: error ? { code: error.code || 'AGENT_ERROR', message: error.message || String(error) } : null,
+      duration: startTime ? Date.now() - startTime : null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Answer a request - used by the handlers of agents and plugins
+   */
+  respond(request, outcome) {
+    const response = this.createResponse(request, outcome);
+    // Recorded before it is sent - a repeat of the key must not run the agent again
+    if (request.idempotencyKey && response.status === 'success') {
+      this.idempotencyStore.record(request.idempotencyKey, response);
+    }
+    this.eventBus.publishA2AMessage(A2A_RESPONSE_TOPIC, response, response.agentId);
+    return response;
+  }
+
   /**
    * Request Service from Specific Agent
    * Direct agent-to-agent communication with timeout
+   * @param {Object} options - { timeout, workflowId, idempotencyKey, from, signal (AbortSignal - cancels the request),
+   *                            envelope (resolve with the response envelope) }
    */
   async requestService(targetAgentId, action, data, options = {}) {
-    const requestId = `a2a-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const timeout = options.timeout || this.requestTimeout;
-    const startTime = Date.now();
-
     // Validate target agent
     const targetAgent = this.registeredAgents.get(targetAgentId);
     if (!targetAgent) {
-      throw new Error(`Agent ${targetAgentId} not registered in A2A system`);
+      throw a2aError(`Agent ${targetAgentId} not registered in A2A system`, 'AGENT_NOT_REGISTERED');
     }
 
     // Check if agent has the requested capability
     if (!targetAgent.capabilities.includes(action)) {
-      throw new Error(`Agent ${targetAgentId} does not support action: ${action}`);
+      throw a2aError(`Agent ${targetAgentId} does not support action: ${action}`, 'UNSUPPORTED_ACTION');
+    }
+
+    const request = this.createRequest(targetAgentId, action, data, options);
+    const { requestId, timeout } = request;
+    const startTime = Date.now();
+
+    const completed = this.idempotencyStore.get(request.idempotencyKey);
+    if (completed) {
+      return this.replayResponse(request, completed, options);
+    }
+    if (options.signal?.aborted) {
+      throw a2aError(`A2A request canceled before sending: ${targetAgentId}.${action}`, 'A2A_CANCELED');
     }
 
     console.log(`A2A Request: ${targetAgentId}.${action} (ID: ${requestId})`);
 
     // Create promise that resolves when response is received
     const responsePromise = new Promise((resolve, reject) => {
-      // Setup timeout
-      const timeoutHandle = setTimeout(() => {
+      const onTimeout = () => {
         this.pendingRequests.delete(requestId);
-        reject(new Error(`A2A timeout: ${targetAgentId}.${action} (${timeout}ms)`));
-      }, timeout);
+        const error = a2aError(`A2A timeout: ${targetAgentId}.${action} (${timeout}ms)`, 'A2A_TIMEOUT');
+        error.response = this.createResponse(request, { error, startTime });
+        reject(error);
+      };
 
       // Store pending request
-      this.pendingRequests.set(requestId, {
+      const pendingRequest = {
         requestId,
         targetAgentId,
         action,
         data,
         startTime,
         timeout,
-        timeoutHandle,
+        timeoutHandle: setTimeout(onTimeout, timeout),
+        onTimeout,
+        held: false,
+        // Aborted on cancel - the handler's queued work listens to it
+        controller: new AbortController(),
         resolve: (response) => {
-          clearTimeout(timeoutHandle);
+          clearTimeout(pendingRequest.timeoutHandle);
           resolve(response);
         },
         reject: (error) => {
-          clearTimeout(timeoutHandle);
+          clearTimeout(pendingRequest.timeoutHandle);
           reject(error);
         }
-      });
+      };
+      this.pendingRequests.set(requestId, pendingRequest);
     });
 
+    options.signal?.addEventListener('abort', () => {
+      this.cancelRequest(requestId, typeof options.signal.reason === 'string' ? options.signal.reason : 'Canceled by caller');
+    }, { once: true });
+
     try {
       // Send A2A message via EventBus (leveraging existing infrastructure)
-      this.eventBus.publishEvent(`a2a.${targetAgentId}.${action}`, {
-        requestId,
-        from: 'a2a-system',
-        targetAgentId,
-        action,
-        data,
-        timestamp: new Date().toISOString()
-      }, 'a2a-manager');
+      const delivered = this.eventBus.publishA2AMessage(`a2a.${targetAgentId}.${action}`, request, request.from);
+      if (!delivered) {
+        this.pendingRequests.get(requestId)?.reject(
+          a2aError(`No handler listening for ${targetAgentId}.${action}`, 'A2A_NOT_DELIVERED')
+        );
+      }
 
       // Update agent stats
       targetAgent.requestCount++;
 
       // Wait for response
-      const result = await responsePromise;
+      const response = await responsePromise;
+      if (response.status === 'error') {
+        throw a2aError(response.error.message, response.error.code, response);
+      }
       
       // Calculate response time and update stats
       const responseTime = Date.now() - startTime;
@@ -165,7 +294,7 @@ export class A2AManager extends EventEmitter {
 
       console.log(`A2A Response received: ${targetAgentId}.${action} (${responseTime}ms)`);
       
-      return result;
+      return options.envelope ? response : response.result;
 
     } catch (error) {
       const responseTime = Date.now() - startTime;
@@ -179,7 +308,8 @@ export class A2AManager extends EventEmitter {
         targetAgentId,
         action,
         responseTime: `${responseTime}ms`,
-        error: error.message
+        error: error.message,
+        code: error.code || null
       });
 
       console.error(`A2A Request failed: ${targetAgentId}.${action} - ${error.message}`);
@@ -188,34 +318,101 @@ export class A2AManager extends EventEmitter {
   }
 
   /**
-   * Handle A2A Response from Agent
-   * Processes response and resolves pending promise
+   * Answer a repeated idempotency key with the recorded response
    */
-  handleA2AResponse(requestId, success, data, error = null) {
+  replayResponse(request, completed, options = {}) {
+    const response = { ...completed.response, requestId: request.requestId, replayed: true };
+
+    this.auditLogger.log('a2a_request_replayed', {
+      requestId: request.requestId,
+      targetAgentId: request.targetAgentId,
+      action: request.action,
+      idempotencyKey: request.idempotencyKey,
+      originalRequestId: completed.requestId,
+      respondedBy: completed.agentId
+    });
+
+    console.log(`A2A Request replayed: ${request.targetAgentId}.${request.action} (key ${request.idempotencyKey}, answered by ${completed.agentId} in ${completed.requestId})`);
+    return options.envelope ? response : response.result;
+  }
+
+  /**
+   * Cancel a pending request - the caller gets A2A_CANCELED, the handler's
+   * signal is aborted and a late response is dropped
+   */
+  cancelRequest(requestId, reason = 'Canceled') {
     const pendingRequest = this.pendingRequests.get(requestId);
-    
+    if (!pendingRequest) return false;
+
+    this.pendingRequests.delete(requestId);
+    pendingRequest.controller.abort(reason);
+    pendingRequest.reject(a2aError(`A2A request canceled: ${pendingRequest.targetAgentId}.${pendingRequest.action} - ${reason}`, 'A2A_CANCELED'));
+
+    this.auditLogger.log('a2a_request_canceled', {
+      requestId,
+      targetAgentId: pendingRequest.targetAgentId,
+      action: pendingRequest.action,
+      reason
+    });
+    console.log(`A2A Request canceled: ${pendingRequest.targetAgentId}.${pendingRequest.action} (ID: ${requestId}) - ${reason}`);
+    return true;
+  }
+
+  /**
+   * AbortSignal of a pending request for its handler (null when unknown)
+   */
+  getRequestSignal(requestId) {
+    return this.pendingRequests.get(requestId)?.controller.signal || null;
+  }
+
+  /**
+   * Pause the timeout of a request while it waits in the execution queue
+   * Queue wait must not turn a workflow step into a timeout
+   */
+  holdRequest(requestId) {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest || pendingRequest.held) return false;
+
+    clearTimeout(pendingRequest.timeoutHandle);
+    pendingRequest.held = true;
+    return true;
+  }
+
+  /**
+   * Restart the full timeout once the queued request starts executing
+   */
+  resumeRequest(requestId) {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest || !pendingRequest.held) return false;
+
+    pendingRequest.held = false;
+    pendingRequest.resumedAt = Date.now();
+    pendingRequest.timeoutHandle = setTimeout(pendingRequest.onTimeout, pendingRequest.timeout);
+    return true;
+  }
+
+  /**
+   * Handle A2A Response from Agent
+   * Matches the response envelope to its pending request (requestId)
+   */
+  handleA2AResponse(response) {
+    if (response?.type !== 'a2a.response' || !response.requestId) {
+      console.warn('Ignoring malformed A2A response:', response);
+      return false;
+    }
+
+    const pendingRequest = this.pendingRequests.get(response.requestId);
     if (!pendingRequest) {
-      console.warn(`Received A2A response for unknown request: ${requestId}`);
+      console.warn(`Received A2A response for unknown or timed-out request: ${response.requestId}`);
       return false;
     }
 
     // Remove from pending requests
-    this.pendingRequests.delete(requestId);
+    this.pendingRequests.delete(response.requestId);
 
-    try {
-      if (success) {
-        console.log(`A2A Response: ${requestId} - SUCCESS`);
-        pendingRequest.resolve(data);
-      } else {
-        console.log(`A2A Response: ${requestId} - ERROR: ${error}`);
-        pendingRequest.reject(new Error(error));
-      }
-      
-      return true;
-    } catch (err) {
-      console.error(`Error handling A2A response for ${requestId}:`, err);
-      return false;
-    }
+    console.log(`A2A Response: ${response.requestId} - ${response.status === 'success' ? 'SUCCESS' : `ERROR: ${response.error?.message}`}`);
+    pendingRequest.resolve(response);
+    return true;
   }
 
   /**
@@ -247,7 +444,7 @@ export class A2AManager extends EventEmitter {
     const availableAgents = this.findAgentsByCapability(capability);
     
     if (availableAgents.length === 0) {
-      throw new Error(`No agents available with capability: ${capability}`);
+      throw a2aError(`No agents available with capability: ${capability}`, 'NO_AGENT_AVAILABLE');
     }
 
     // Use least loaded agent
@@ -282,6 +479,7 @@ export class A2AManager extends EventEmitter {
       enabled: true,
       registeredAgents: registeredAgentsList.length,
       pendingRequests: this.pendingRequests.size,
+      completedIdempotencyKeys: this.idempotencyStore.size,
       agents: registeredAgentsList.map(agent => ({
         id: agent.id,
         capabilities: agent.capabilities,
@@ -336,7 +534,8 @@ export class A2AManager extends EventEmitter {
     let cleanedCount = 0;
 
     this.pendingRequests.forEach((request, requestId) => {
-      const elapsed = now - request.startTime;
+      if (request.held) return;
+      const elapsed = now - (request.resumedAt || request.startTime);
       
       if (elapsed > request.timeout + 5000) { // 5s grace period
         console.warn(`Cleaning up orphaned A2A request: ${requestId} (${elapsed}ms old)`);
@@ -376,6 +575,7 @@ export class A2AManager extends EventEmitter {
     
     this.pendingRequests.clear();
     this.registeredAgents.clear();
+    this.eventBus.removeListener(A2A_RESPONSE_TOPIC, this.responseHandler);
     
     // Audit log
     this.auditLogger.log('a2a_manager_shutdown', {
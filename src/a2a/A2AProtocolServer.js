@@ -0,0 +1,530 @@
+/**
+ * ========================================================================
+ * A2A PROTOCOL SERVER - AGENT CARDS AND TASKS OVER HTTP
+ * ========================================================================
+ *
+ * Exposes the A2A agents (agents.yaml a2aCapabilities and plugins) to
+ * other services in the open Agent2Agent protocol shape: a discoverable
+ * agent card per agent and JSON-RPC 2.0 task methods. Tasks run through
+ * A2AManager.requestService(), so queueing, schema validation and audit
+ * apply exactly as for workflow steps.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Endpoints (src/api/routes, /api/a2a/agents):
+ *   GET  /api/a2a/agents                              Agent cards
+ *   GET  /api/a2a/agents/:agentId/.well-known/agent.json
+ *   POST /api/a2a/agents/:agentId                     JSON-RPC: tasks/send, tasks/get, tasks/cancel,
+ *                                                     tasks/sendSubscribe, tasks/resubscribe (SSE)
+ *
+ * Skills: one per capability - input schema from the a2aPrompts
+ * variables, output schema from a2aSchemas. A task names its skill in
+ * message.metadata.skill or params.metadata.skill (optional for agents
+ * with one skill); the message's data part is the input, text parts
+ * become input.message.
+ *
+ * Authentication: every request needs an API key (x-api-key header or
+ * Authorization: Bearer) from A2A_API_KEYS. The key names the client -
+ * it is recorded with the task and only that client sees the task.
+ * Without configured keys every request is rejected.
+ *
+ * Task states: submitted → working → completed | failed | canceled
+ * Canceling a task drops its LLM call while it waits in the execution
+ * queue; a call already running finishes, its result is discarded.
+ * Tasks are kept in memory; the oldest finished ones are evicted.
+ *
+ * Config: A2A_API_KEYS ("client:key,client:key"), A2A_PUBLIC_URL (card urls, default: request host),
+ *         A2A_TASK_TIMEOUT (default 60000), A2A_TASK_LIMIT (default 500), A2A_PROVIDER_ORGANIZATION
+ * ========================================================================
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { validateSchema } from '../utils/jsonSchema.js';
+
+// JSON-RPC 2.0 and A2A error codes
+export const RPC_ERRORS = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  TASK_NOT_FOUND: -32001,
+  TASK_NOT_CANCELABLE: -32002,
+  PUSH_NOTIFICATION_NOT_SUPPORTED: -32003
+};
+
+const STREAMING_METHODS = ['tasks/sendSubscribe', 'tasks/resubscribe'];
+const FINAL_STATES = ['completed', 'failed', 'canceled'];
+
+// Prompt context filled by AgentManager, not by the caller
+const BUILTIN_VARIABLES = new Set(['timestamp', 'date', 'agent', 'agentActions', 'data', 'action', 'request', 'userMessage', 'priority', 'this', '@index']);
+
+function rpcError(code, message, data = undefined) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.data = data;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * "client:key,client:key" → Map of key hash → client name
+ */
+function parseApiKeys(value) {
+  const clients = new Map();
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const client = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator <= 0 || !key) {
+      console.warn('⚠️ A2A_API_KEYS entry ignored - expected client:key');
+      return;
+    }
+    clients.set(hashKey(key), client);
+  });
+  return clients;
+}
+
+function textMessage(role, text) {
+  return { role, parts: [{ type: 'text', text }] };
+}
+
+/**
+ * Input schema of a capability from the variables of its a2aPrompts entry
+ * Variables without default filter outside blocks are required; scoped
+ * templateVariables are resolved from data, their match inputs are optional
+ */
+export function buildInputSchema(agent, capability, templateEngine) {
+  const template = agent.a2aPrompts?.[capability];
+  if (!template) {
+    return { type: 'object', description: 'Request data (free form)' };
+  }
+
+  const scoped = agent.templateVariables || {};
+  const properties = {};
+  const required = new Set();
+  const addInput = (pathExpression, { optional, description = null }) => {
+    const name = String(pathExpression).split('.')[0];
+    if (BUILTIN_VARIABLES.has(name) || name in scoped) return;
+    properties[name] = properties[name] || {};
+    if (description) properties[name].description = description;
+    if (!optional) required.add(name);
+  };
+
+  const visit = (nodes, nested) => nodes.forEach(node => {
+    if (node.type === 'var') {
+      const fallback = node.filters.find(filter => filter.name === 'default');
+      addInput(node.path, { optional: nested || !!fallback, description: fallback ? `Default: ${fallback.arg}` : null });
+    } else if (node.type === 'if' || node.type === 'unless') {
+      addInput(node.path, { optional: true });
+      visit(node.children, true);
+      visit(node.elseChildren, true);
+    } else if (node.type === 'each') {
+      // Variables inside a loop are fields of the items
+      addInput(node.path, { optional: true });
+    }
+  });
+
+  try {
+    visit(templateEngine.parse(template), false);
+  } catch {
+    return { type: 'object', description: 'Request data (free form)' };
+  }
+
+  Object.entries(scoped).forEach(([name, definition]) => {
+    Object.values(definition?.match || {}).flat()
+      .filter(value => typeof value === 'string')
+      .forEach(value => addInput(value, { optional: true, description: `Selects ${name}` }));
+  });
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.size > 0 && { required: [...required] })
+  };
+}
+
+/**
+ * Skill description from the first line of the prompt ("{orderId}" → "<orderId>")
+ */
+function describeSkill(template) {
+  const line = String(template || '').split('\n').find(text => text.trim()) || '';
+  return line.replace(/\{([a-zA-Z_][\w.]*)[^{}]*\}/g, '<$1>').trim() || null;
+}
+
+function skillName(capability) {
+  const words = capability.replace(/[._]/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export class A2AProtocolServer extends EventEmitter {
+  constructor(agentManager, a2aManager, options = {}) {
+    super();
+    this.agentManager = agentManager;
+    this.a2a = a2aManager;
+    this.taskTimeout = options.taskTimeout || parseInt(process.env.A2A_TASK_TIMEOUT) || 60000;
+    this.taskLimit = options.taskLimit || parseInt(process.env.A2A_TASK_LIMIT) || 500;
+    this.organization = options.organization || process.env.A2A_PROVIDER_ORGANIZATION || 'Pharma Manufacturing Operations';
+    this.tasks = new Map(); // task id → task (insertion order = submission order)
+    this.clients = parseApiKeys(options.apiKeys ?? process.env.A2A_API_KEYS);
+
+    if (this.clients.size === 0) {
+      console.warn('⚠️ A2A_API_KEYS not set - /api/a2a/agents rejects every request');
+    }
+
+    // Many SSE clients may follow tasks at once
+    this.setMaxListeners(0);
+
+    console.log('🌐 A2A protocol server initialized (agent cards + JSON-RPC tasks)');
+  }
+
+  /**
+   * Client name of an API key, null when the key is unknown
+   */
+  authenticate(key) {
+    return key ? this.clients.get(hashKey(key)) || null : null;
+  }
+
+  // ========================================================================
+  // AGENT CARDS
+  // ========================================================================
+
+  /**
+   * Agents registered with the A2AManager - YAML agents and plugins
+   */
+  getDescriptors() {
+    const engine = this.agentManager.templateEngine;
+    const yamlAgents = this.agentManager.getA2AEnabledAgents().map(agent => ({
+      agentId: agent.id,
+      name: agent.name || agent.id,
+      description: agent.description || null,
+      version: agent.versionId || null,
+      tags: [agent.type].filter(Boolean),
+      skills: agent.a2aCapabilities.map(capability => ({
+        id: capability,
+        description: describeSkill(agent.a2aPrompts?.[capability]),
+        inputSchema: buildInputSchema(agent, capability, engine),
+        outputSchema: agent.a2aSchemas?.[capability] || null
+      }))
+    }));
+
+    const plugins = this.agentManager.pluginLoader.getAgentDescriptors()
+      .map(descriptor => ({ ...descriptor, version: null, tags: ['plugin'] }));
+
+    return [...yamlAgents, ...plugins].filter(descriptor => this.a2a.registeredAgents.has(descriptor.agentId));
+  }
+
+  getDescriptor(agentId) {
+    return this.getDescriptors().find(descriptor => descriptor.agentId === agentId) || null;
+  }
+
+  /**
+   * Agent card - baseUrl is the URL of /api/a2a/agents as seen by the caller
+   */
+  buildCard(descriptor, baseUrl) {
+    return {
+      name: descriptor.name,
+      description: descriptor.description,
+      url: `${baseUrl}/${descriptor.agentId}`,
+      version: descriptor.version || '1.0.0',
+      provider: { organization: this.organization },
+      capabilities: { streaming: true, pushNotifications: false, stateTransitionHistory: false },
+      authentication: { schemes: ['apiKey'] },
+      defaultInputModes: ['application/json', 'text/plain'],
+      defaultOutputModes: ['application/json'],
+      skills: descriptor.skills.map(skill => ({
+        id: skill.id,
+        name: skillName(skill.id),
+        description: skill.description || skillName(skill.id),
+        tags: [...descriptor.tags, skill.id.split('.')[0]].filter((tag, index, tags) => tags.indexOf(tag) === index),
+        inputModes: ['application/json', 'text/plain'],
+        outputModes: ['application/json'],
+        inputSchema: skill.inputSchema || { type: 'object' },
+        outputSchema: skill.outputSchema || { type: 'object' }
+      }))
+    };
+  }
+
+  getCard(agentId, baseUrl) {
+    const descriptor = this.getDescriptor(agentId);
+    return descriptor ? this.buildCard(descriptor, baseUrl) : null;
+  }
+
+  listCards(baseUrl) {
+    return this.getDescriptors().map(descriptor => this.buildCard(descriptor, baseUrl));
+  }
+
+  // ========================================================================
+  // JSON-RPC
+  // ========================================================================
+
+  isStreamingMethod(method) {
+    return STREAMING_METHODS.includes(method);
+  }
+
+  /**
+   * JSON-RPC 2.0 request → response object (non-streaming methods)
+   * @param {Object} context - { client } authenticated client (task owner, from in the A2A request)
+   */
+  async handleRpc(agentId, request, context = {}) {
+    const id = request?.id ?? null;
+    try {
+      const params = this.checkRequest(request);
+      switch (request.method) {
+        case 'tasks/send': {
+          const task = this.sendTask(agentId, params, context);
+          if (params.configuration?.blocking !== false) await task.done;
+          return { jsonrpc: '2.0', id, result: this.toTask(task, params.historyLength) };
+        }
+        case 'tasks/get':
+          return { jsonrpc: '2.0', id, result: this.toTask(this.getTask(agentId, params.id, context), params.historyLength) };
+        case 'tasks/cancel':
+          return { jsonrpc: '2.0', id, result: this.toTask(this.cancelTask(agentId, params.id, context)) };
+        case 'tasks/pushNotification/set':
+        case 'tasks/pushNotification/get':
+          throw rpcError(RPC_ERRORS.PUSH_NOTIFICATION_NOT_SUPPORTED, 'Push notifications are not supported - use tasks/sendSubscribe');
+        default:
+          throw rpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+      }
+    } catch (error) {
+      return this.toRpcError(id, error);
+    }
+  }
+
+  /**
+   * tasks/sendSubscribe and tasks/resubscribe - send(response) is called for
+   * every status and artifact update; resolves after the final status
+   */
+  async streamRpc(agentId, request, context, send) {
+    const id = request?.id ?? null;
+    let task;
+    try {
+      const params = this.checkRequest(request);
+      task = request.method === 'tasks/sendSubscribe'
+        ? this.sendTask(agentId, params, context)
+        : this.getTask(agentId, params.id, context);
+    } catch (error) {
+      send(this.toRpcError(id, error));
+      return;
+    }
+
+    await new Promise(resolve => {
+      const forward = (update) => {
+        send({ jsonrpc: '2.0', id, result: update });
+        if (update.final) {
+          this.removeListener(`task:${task.id}`, forward);
+          resolve();
+        }
+      };
+      this.on(`task:${task.id}`, forward);
+
+      // Current state first - a finished task ends the stream right away
+      task.artifacts.forEach(artifact => forward({ id: task.id, artifact }));
+      forward(this.statusEvent(task));
+    });
+  }
+
+  checkRequest(request) {
+    if (request?.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      throw rpcError(RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+    }
+    const params = request.params ?? {};
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'params must be an object');
+    }
+    return params;
+  }
+
+  toRpcError(id, error) {
+    if (!error.rpcCode) {
+      console.error('A2A protocol request failed:', error.message);
+    }
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: error.rpcCode || RPC_ERRORS.INTERNAL_ERROR,
+        message: error.message,
+        ...(error.data !== undefined && { data: error.data })
+      }
+    };
+  }
+
+  // ========================================================================
+  // TASKS
+  // ========================================================================
+
+  /**
+   * Create and start a task - resubmitting a known task id returns that task
+   */
+  sendTask(agentId, params, { client }) {
+    const message = params.message;
+    if (!Array.isArray(message?.parts) || message.parts.length === 0) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'params.message with parts is required');
+    }
+
+    const existing = params.id ? this.tasks.get(params.id) : null;
+    if (existing) {
+      if (existing.agentId !== agentId || existing.client !== client) {
+        throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Task id ${params.id} is already taken`);
+      }
+      return existing;
+    }
+
+    const descriptor = this.getDescriptor(agentId);
+    const skill = this.selectSkill(descriptor, params);
+    const input = this.extractInput(message);
+    const errors = validateSchema(input, skill.inputSchema);
+    if (errors.length > 0) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Invalid input for ${skill.id}: ${errors.join('; ')}`, { errors });
+    }
+
+    const task = {
+      id: params.id || uuidv4(),
+      sessionId: params.sessionId || uuidv4(),
+      agentId,
+      skill: skill.id,
+      client,
+      status: { state: 'submitted', timestamp: new Date().toISOString() },
+      artifacts: [],
+      history: [{ role: 'user', parts: message.parts, ...(message.metadata && { metadata: message.metadata }) }],
+      metadata: params.metadata || {},
+      requestId: null,
+      abortController: new AbortController()
+    };
+    this.tasks.set(task.id, task);
+    this.evictTasks();
+
+    console.log(`A2A task ${task.id}: ${agentId}.${skill.id} from ${client}`);
+    task.done = this.runTask(task, input);
+    return task;
+  }
+
+  async runTask(task, input) {
+    this.updateStatus(task, 'working');
+
+    try {
+      const response = await this.a2a.requestService(task.agentId, task.skill, input, {
+        from: `a2a-http:${task.client}`,
+        timeout: this.taskTimeout,
+        idempotencyKey: `a2a-task:${task.id}`,
+        signal: task.abortController.signal,
+        envelope: true
+      });
+      task.requestId = response.requestId;
+      if (task.status.state === 'canceled') return;
+
+      const payload = response.result;
+      const artifact = {
+        name: task.skill,
+        index: 0,
+        parts: [{ type: 'data', data: payload?.result ?? payload }],
+        metadata: { requestId: response.requestId, validation: payload?.validation || null }
+      };
+      task.artifacts.push(artifact);
+      this.emit(`task:${task.id}`, { id: task.id, artifact });
+      this.updateStatus(task, 'completed');
+
+    } catch (error) {
+      task.requestId = error.response?.requestId || task.requestId;
+      if (task.status.state === 'canceled') return;
+      this.updateStatus(task, 'failed', textMessage('agent', error.message), { code: error.code || null });
+    }
+  }
+
+  getTask(agentId, taskId, { client }) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.agentId !== agentId || task.client !== client) {
+      throw rpcError(RPC_ERRORS.TASK_NOT_FOUND, `Task not found: ${taskId}`);
+    }
+    return task;
+  }
+
+  cancelTask(agentId, taskId, context) {
+    const task = this.getTask(agentId, taskId, context);
+    if (FINAL_STATES.includes(task.status.state)) {
+      throw rpcError(RPC_ERRORS.TASK_NOT_CANCELABLE, `Task ${taskId} is ${task.status.state}`);
+    }
+    this.updateStatus(task, 'canceled', textMessage('agent', 'Canceled by client'));
+    // Drops the queued LLM call (a running one finishes)
+    task.abortController.abort(`A2A task ${task.id} canceled by ${task.client}`);
+    return task;
+  }
+
+  selectSkill(descriptor, params) {
+    const skillId = params.message.metadata?.skill || params.metadata?.skill ||
+      (descriptor.skills.length === 1 ? descriptor.skills[0].id : null);
+    if (!skillId) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `metadata.skill is required (skills: ${descriptor.skills.map(skill => skill.id).join(', ')})`);
+    }
+
+    const skill = descriptor.skills.find(candidate => candidate.id === skillId);
+    if (!skill) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown skill ${skillId} (skills: ${descriptor.skills.map(candidate => candidate.id).join(', ')})`);
+    }
+    return skill;
+  }
+
+  /**
+   * Data parts are merged into the input; text parts become input.message
+   */
+  extractInput(message) {
+    const input = {};
+    const texts = [];
+    message.parts.forEach(part => {
+      const type = part?.type || part?.kind;
+      if (type === 'data' && part.data && typeof part.data === 'object') Object.assign(input, part.data);
+      if (type === 'text' && typeof part.text === 'string') texts.push(part.text);
+    });
+    if (texts.length > 0 && input.message === undefined) input.message = texts.join('\n');
+    return input;
+  }
+
+  updateStatus(task, state, message = null, metadata = null) {
+    task.status = { state, ...(message && { message }), timestamp: new Date().toISOString() };
+    if (message) task.history.push(message);
+    this.emit(`task:${task.id}`, this.statusEvent(task, metadata));
+  }
+
+  statusEvent(task, metadata = null) {
+    return {
+      id: task.id,
+      status: task.status,
+      final: FINAL_STATES.includes(task.status.state),
+      ...(metadata && { metadata })
+    };
+  }
+
+  /**
+   * Task as returned to clients - historyLength limits the messages (0 = none)
+   */
+  toTask(task, historyLength = undefined) {
+    const history = historyLength === undefined ? task.history
+      : historyLength > 0 ? task.history.slice(-historyLength) : [];
+    return {
+      id: task.id,
+      sessionId: task.sessionId,
+      status: task.status,
+      artifacts: task.artifacts,
+      history,
+      metadata: { ...task.metadata, agentId: task.agentId, skill: task.skill, requestId: task.requestId }
+    };
+  }
+
+  /**
+   * Drop the oldest finished tasks above the limit
+   */
+  evictTasks() {
+    for (const [taskId, task] of this.tasks) {
+      if (this.tasks.size <= this.taskLimit) break;
+      if (FINAL_STATES.includes(task.status.state)) this.tasks.delete(taskId);
+    }
+  }
+}
+
+export default A2AProtocolServer;
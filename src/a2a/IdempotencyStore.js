@@ -0,0 +1,97 @@
+/**
+ * ========================================================================
+ * IDEMPOTENCY STORE - COMPLETED A2A RESPONSES BY IDEMPOTENCY KEY
+ * ========================================================================
+ *
+ * A2AManager.respond() records every successful response to a request
+ * that carries an idempotencyKey before it is sent. A later request with
+ * the same key (workflow step resumed after a restart, retry after a
+ * timeout, fallback agent) is answered with the recorded response
+ * instead of running the agent - and its side effects - again.
+ *
+ * Error responses are not recorded: a failed call may be repeated.
+ * Entries expire after the TTL; expired entries are dropped on load.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * File format (append-only, data/a2a/responses.jsonl):
+ *   {"idempotencyKey":"order-ORD-1001-...:status","requestId":"a2a-...","agentId":"statusAgent","response":{...},"timestamp":"..."}
+ *
+ * Config: A2A_STATE_DIR (default data/a2a), A2A_IDEMPOTENCY_TTL_MS (default 7 days)
+ * ========================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class IdempotencyStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.A2A_STATE_DIR || path.join('data', 'a2a');
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.A2A_IDEMPOTENCY_TTL_MS) || 7 * 24 * 60 * 60 * 1000);
+    this.entries = new Map(); // idempotencyKey → { requestId, agentId, response, timestamp }
+
+    this.load();
+  }
+
+  get file() {
+    return path.join(this.directory, 'responses.jsonl');
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+
+    let expired = 0;
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const { idempotencyKey, ...entry } = JSON.parse(line);
+        if (this.isExpired(entry)) {
+          expired++;
+          continue;
+        }
+        this.entries.set(idempotencyKey, entry);
+      } catch {
+        continue;
+      }
+    }
+
+    // Rewrite without the expired entries so the file does not grow forever
+    if (expired > 0) {
+      const lines = [...this.entries].map(([idempotencyKey, entry]) => JSON.stringify({ idempotencyKey, ...entry }) + '\n');
+      fs.writeFileSync(this.file, lines.join(''));
+    }
+    console.log(`🗂️ IdempotencyStore loaded ${this.entries.size} completed A2A responses (${expired} expired)`);
+  }
+
+  isExpired(entry) {
+    return Date.now() - Date.parse(entry.timestamp) > this.ttlMs;
+  }
+
+  /**
+   * Recorded response for the key, or null
+   */
+  get(idempotencyKey) {
+    const entry = idempotencyKey ? this.entries.get(idempotencyKey) : null;
+    if (!entry) return null;
+    if (this.isExpired(entry)) {
+      this.entries.delete(idempotencyKey);
+      return null;
+    }
+    return entry;
+  }
+
+  record(idempotencyKey, response) {
+    const entry = { requestId: response.requestId, agentId: response.agentId, response, timestamp: new Date().toISOString() };
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+    fs.appendFileSync(this.file, JSON.stringify({ idempotencyKey, ...entry }) + '\n');
+    this.entries.set(idempotencyKey, entry);
+    return entry;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * ========================================================================
+ * AGENT CONFIG VALIDATOR - SCHEMA AND CROSS-CHECKS FOR agents.yaml
+ * ========================================================================
+ *
+ * Formal schema for agent definitions plus lint rules across agents.
+ * AgentManager validates every load and reload before touching the
+ * running agents - a broken file is rejected and the previous agents
+ * keep running.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Errors (file rejected):
+ *   - schema violations (types, required fields, events/llm structure)
+ *   - duplicate agent ids or triggers
+ *   - a2aCapabilities entry without a2aPrompts entry (LLM agents)
+ *   - unknown agent module, or capability that is not an intent of the module
+ *   - proposable action without effect, publishing a topic not in events.publishes
+ *     or starting a workflow not in config/workflows.yaml
+ *   - dataSource / templateVariables source not in data-sources.yaml
+ *   - tools.allow entry the agent role may not call (tools that change data,
+ *     emit events or run other agents)
+ *   - template syntax errors and missing prompt partials
+ * Warnings (logged, AGENT_CONFIG_STRICT=true turns them into errors):
+ *   - subscribed topic without publisher
+ *   - unknown agent fields, prompts/schemas without capability
+ *   - agent subscribed to its own published topic
+ *   - actions defined but the prompt does not include {> proposed-actions}
+ *   - tools.allow entry not registered in the MCP tool registry
+ * ========================================================================
+ */
+
+import path from "path";
+import { validateSchema } from "../utils/jsonSchema.js";
+import { ENTITY_PATTERNS } from "./IntentRouter.js";
+import { AGENT_TOOL_ROLE } from "./ToolUseLoop.js";
+import { getModule } from "./index.js";
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+export const AGENT_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "trigger", "promptTemplate"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    trigger: { type: "string", minLength: 1 },
+    type: { type: "string" },
+    oeeEnabled: { type: "boolean" },
+    oeeEnhanced: { type: "boolean" },
+    cache: { type: "boolean" },
+    concurrency: { type: "integer", minimum: 1 },
+    dataSource: { type: ["array", "null"], items: { type: "string", minLength: 1 } },
+    templateVariables: { type: "object" },
+    module: { type: "string", minLength: 1 },
+    tools: {
+      type: "object",
+      required: ["allow"],
+      properties: {
+        allow: stringList,
+        maxSteps: { type: "integer", minimum: 1, maximum: 10 }
+      },
+      additionalProperties: false
+    },
+    actions: { type: "object" },
+    routing: {
+      type: "object",
+      properties: {
+        intent: { type: "string", minLength: 1 },
+        keywords: stringList,
+        examples: stringList,
+        entities: { type: "array", items: { enum: Object.keys(ENTITY_PATTERNS) } }
+      },
+      additionalProperties: false
+    },
+    a2aCapabilities: stringList,
+    a2aPrompts: { type: "object" },
+    a2aSchemas: { type: "object" },
+    events: {
+      type: "object",
+      properties: {
+        publishes: stringList,
+        subscribes: stringList
+      },
+      additionalProperties: false
+    },
+    promptTemplate: { type: "string", minLength: 1 },
+    llm: {
+      type: "object",
+      properties: {
+        provider: { type: "string", minLength: 1 },
+        model: { type: "string", minLength: 1 },
+        fallback: stringList,
+        useGlobalFallback: { type: "boolean" },
+        maxTokens: { type: "integer", minimum: 1 },
+        contextTokens: { type: "integer", minimum: 1 }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+export const TEMPLATE_VARIABLE_SCHEMA = {
+  type: "object",
+  required: ["source"],
+  properties: {
+    source: { type: "string", minLength: 1 },
+    path: { type: "string", minLength: 1 },
+    match: { type: "object" },
+    first: { type: "boolean" },
+    limit: { type: "integer", minimum: 1 }
+  },
+  additionalProperties: false
+};
+
+// Action an agent may propose for approval (ApprovalInbox)
+export const ACTION_SCHEMA = {
+  type: "object",
+  required: ["description", "dataType", "approverRole"],
+  properties: {
+    description: { type: "string", minLength: 1 },
+    dataType: { type: "string", minLength: 1 },
+    approverRole: { type: "string", minLength: 1 },
+    update: { type: "object" },
+    publish: { type: "string", minLength: 1 },
+    workflow: { type: "string", minLength: 1 }
+  },
+  additionalProperties: false
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  required: ["agents"],
+  properties: {
+    agents: { type: "array", minItems: 1, items: { type: "object" } }
+  }
+};
+
+// Published outside of agents: OEE simulator/API (oee/*) and A2A requests (a2a.*)
+const SYSTEM_TOPIC_PREFIXES = ["oee/", "a2a."];
+
+/**
+ * Data type for an agent dataSource entry - same mapping as DataManager
+ * ("mock-data/orders.json" → "orders")
+ */
+export function dataTypeOf(source) {
+  return path.basename(source.replace(/^mock-data\//, ""), ".json");
+}
+
+/**
+ * Validate a parsed agents.yaml document
+ * @param {Object} config - parsed YAML ({ agents: [...] })
+ * @param {Object} options - { dataTypes: string[] (configured data sources, null = skip check),
+ *                             workflows: string[] (workflow definitions, null = skip check),
+ *                             templateEngine (syntax + partial checks),
+ *                             toolRegistry (tools.allow checks, null = skip check), strict }
+ * @returns {{valid: boolean, errors: string[], warnings: string[], agentCount: number}}
+ */
+export function validateAgentConfig(config, options = {}) {
+  const strict = options.strict ?? process.env.AGENT_CONFIG_STRICT === "true";
+  const errors = validateSchema(config, CONFIG_SCHEMA);
+  const warnings = [];
+
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings, agentCount: 0 };
+  }
+
+  const agents = config.agents;
+  const dataTypes = options.dataTypes ? new Set(options.dataTypes) : null;
+  const workflows = options.workflows ? new Set(options.workflows) : null;
+  const seenIds = new Map();
+  const seenTriggers = new Map();
+
+  agents.forEach((agent, index) => {
+    const label = agent.id ? `agents[${index}] (${agent.id})` : `agents[${index}]`;
+    const schemaErrors = validateSchema(agent, AGENT_SCHEMA, label);
+    errors.push(...schemaErrors);
+    if (schemaErrors.length > 0) return;
+
+    if (seenIds.has(agent.id)) errors.push(`${label}: duplicate id (also agents[${seenIds.get(agent.id)}])`);
+    seenIds.set(agent.id, index);
+    if (seenTriggers.has(agent.trigger)) {
+      errors.push(`${label}: trigger "${agent.trigger}" already used by ${seenTriggers.get(agent.trigger)}`);
+    }
+    seenTriggers.set(agent.trigger, agent.id);
+
+    Object.keys(agent)
+      .filter(key => !AGENT_SCHEMA.properties[key])
+      .forEach(key => warnings.push(`${label}: unknown field "${key}"`));
+
+    checkCapabilities(agent, label, errors, warnings);
+    checkDataSources(agent, label, dataTypes, errors);
+    checkActions(agent, label, { dataTypes, workflows }, errors, warnings);
+    if (options.templateEngine) checkTemplates(agent, label, options.templateEngine, errors);
+    if (options.toolRegistry) checkTools(agent, label, options.toolRegistry, errors, warnings);
+  });
+
+  if (errors.length === 0) {
+    checkTopics(agents, dataTypes, warnings);
+  }
+
+  if (strict && warnings.length > 0) {
+    errors.push(...warnings.map(warning => `${warning} (strict)`));
+    warnings.length = 0;
+  }
+
+  return { valid: errors.length === 0, errors, warnings, agentCount: agents.length };
+}
+
+// ========================================================================
+// CROSS-CHECKS
+// ========================================================================
+
+function checkCapabilities(agent, label, errors, warnings) {
+  const capabilities = agent.a2aCapabilities || [];
+  const prompts = agent.a2aPrompts || {};
+  const schemas = agent.a2aSchemas || {};
+
+  // Module agents answer A2A requests from their intents instead of prompts
+  if (agent.module) {
+    const module = getModule(agent.module);
+    if (!module) {
+      errors.push(`${label}: module "${agent.module}" not found in agents/index.js`);
+    } else {
+      capabilities
+        .filter(capability => !module.intents[capability])
+        .forEach(capability => errors.push(`${label}: capability "${capability}" is not an intent of module "${agent.module}"`));
+    }
+  } else {
+    capabilities
+      .filter(capability => typeof prompts[capability] !== "string" || !prompts[capability].trim())
+      .forEach(capability => errors.push(`${label}: capability "${capability}" has no a2aPrompts entry`));
+  }
+
+  Object.keys(prompts)
+    .filter(name => !capabilities.includes(name))
+    .forEach(name => warnings.push(`${label}: a2aPrompts.${name} is not listed in a2aCapabilities`));
+
+  for (const [name, schema] of Object.entries(schemas)) {
+    if (!capabilities.includes(name)) warnings.push(`${label}: a2aSchemas.${name} is not listed in a2aCapabilities`);
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+      errors.push(`${label}.a2aSchemas.${name}: expected object`);
+    }
+  }
+}
+
+function checkDataSources(agent, label, dataTypes, errors) {
+  const variables = agent.templateVariables || {};
+  for (const [name, definition] of Object.entries(variables)) {
+    errors.push(...validateSchema(definition, TEMPLATE_VARIABLE_SCHEMA, `${label}.templateVariables.${name}`));
+  }
+
+  if (!dataTypes) return;
+
+  (agent.dataSource || [])
+    .filter(source => !dataTypes.has(dataTypeOf(source)))
+    .forEach(source => errors.push(`${label}: dataSource "${source}" is not configured in data-sources.yaml`));
+
+  for (const [name, definition] of Object.entries(variables)) {
+    if (definition?.source && !dataTypes.has(definition.source)) {
+      errors.push(`${label}: templateVariables.${name} uses unknown data source "${definition.source}"`);
+    }
+  }
+}
+
+function checkActions(agent, label, { dataTypes, workflows }, errors, warnings) {
+  const actions = Object.entries(agent.actions || {});
+  if (actions.length === 0) return;
+
+  for (const [name, action] of actions) {
+    const actionLabel = `${label}.actions.${name}`;
+    const schemaErrors = validateSchema(action, ACTION_SCHEMA, actionLabel);
+    errors.push(...schemaErrors);
+    if (schemaErrors.length > 0) continue;
+
+    if (!action.update && !action.publish && !action.workflow) {
+      errors.push(`${actionLabel}: needs at least one effect (update, publish or workflow)`);
+    }
+    if (action.publish && !(agent.events?.publishes || []).includes(action.publish)) {
+      errors.push(`${actionLabel}: topic "${action.publish}" is not listed in events.publishes`);
+    }
+    if (dataTypes && !dataTypes.has(action.dataType)) {
+      errors.push(`${actionLabel}: unknown data source "${action.dataType}"`);
+    }
+    if (action.workflow && workflows && !workflows.has(action.workflow)) {
+      errors.push(`${actionLabel}: unknown workflow "${action.workflow}"`);
+    }
+  }
+
+  if (typeof agent.promptTemplate === "string" && !/\{>\s*proposed-actions\s*\}/.test(agent.promptTemplate)) {
+    warnings.push(`${label}: defines actions but promptTemplate does not include {> proposed-actions}`);
+  }
+}
+
+function checkTools(agent, label, toolRegistry, errors, warnings) {
+  for (const name of agent.tools?.allow || []) {
+    if (!toolRegistry.tools.has(name)) {
+      warnings.push(`${label}: tools.allow "${name}" is not registered in the MCP tool registry`);
+    } else if (!toolRegistry.checkPermission(name, AGENT_TOOL_ROLE)) {
+      errors.push(`${label}: tools.allow "${name}" is not open to agents - it changes data, emits events or runs other agents`);
+    }
+  }
+}
+
+function checkTemplates(agent, label, templateEngine, errors) {
+  const templates = { promptTemplate: agent.promptTemplate, ...prefixKeys(agent.a2aPrompts, "a2aPrompts.") };
+
+  for (const [field, template] of Object.entries(templates)) {
+    if (typeof template !== "string") continue;
+    try {
+      collectPartials(templateEngine.parse(template))
+        .filter(name => !templateEngine.findPartial(name))
+        .forEach(name => errors.push(`${label}.${field}: prompt partial "${name}" not found`));
+    } catch (error) {
+      errors.push(`${label}.${field}: ${error.message}`);
+    }
+  }
+}
+
+function prefixKeys(object, prefix) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [prefix + key, value]));
+}
+
+function collectPartials(nodes, names = new Set()) {
+  nodes.forEach(node => {
+    if (node.type === "partial") names.add(node.name);
+    if (node.children) collectPartials(node.children, names);
+    if (node.elseChildren) collectPartials(node.elseChildren, names);
+  });
+  return Array.from(names);
+}
+
+/**
+ * Every subscribed topic needs a publisher: another agent, a data type
+ * ("<dataType>/updated" from the data integrations) or a system prefix
+ */
+function checkTopics(agents, dataTypes, warnings) {
+  const published = new Map();
+  agents.forEach(agent => {
+    (agent.events?.publishes || []).forEach(topic => {
+      if (!published.has(topic)) published.set(topic, []);
+      published.get(topic).push(agent.id);
+    });
+  });
+
+  const isSystemTopic = (topic) =>
+    SYSTEM_TOPIC_PREFIXES.some(prefix => topic.startsWith(prefix)) ||
+    (topic.endsWith("/updated") && (!dataTypes || dataTypes.has(topic.slice(0, -"/updated".length))));
+
+  agents.forEach(agent => {
+    (agent.events?.subscribes || []).forEach(topic => {
+      if (topic === "*") return;
+
+      const publishers = published.get(topic) || [];
+      if (publishers.length === 0 && !isSystemTopic(topic)) {
+        warnings.push(`${agent.id}: subscribed topic "${topic}" has no publisher`);
+      } else if (publishers.length === 1 && publishers[0] === agent.id) {
+        warnings.push(`${agent.id}: subscribes to its own topic "${topic}" (event loop)`);
+      }
+    });
+  });
+}
+
+export default validateAgentConfig;
@@ -7,10 +7,23 @@
 import fs from "fs";
 import path from "path";
 import yaml from "js-yaml";
-import Anthropic from "@anthropic-ai/sdk";
-import { ChatAnthropic } from "@langchain/anthropic";
-import { Ollama } from "@langchain/community/llms/ollama"; 
 import { RateLimiter } from '../utils/RateLimiter.js';
+import { ExecutionQueue } from '../scheduler/ExecutionQueue.js';
+import { LLMManager } from '../llm/LLMManager.js';
+import { extractJson, validateSchema } from '../utils/jsonSchema.js';
+import { PromptTemplateEngine, resolveScopedVariables } from '../templates/PromptTemplateEngine.js';
+import { ContextBuilder } from '../context/ContextBuilder.js';
+import { ConversationStore } from '../memory/ConversationStore.js';
+import { ResponseCache, fingerprintData } from '../cache/ResponseCache.js';
+import { validateAgentConfig } from './AgentConfigValidator.js';
+import { AgentVersionStore, definitionToYaml } from './AgentVersionStore.js';
+import { IntentRouter } from './IntentRouter.js';
+import { getModule } from './index.js';
+import { AgentPluginLoader } from './AgentPluginLoader.js';
+import { ToolUseLoop } from './ToolUseLoop.js';
+import { parseProposedActions } from '../approvals/ApprovalInbox.js';
+import { DecisionTraceStore, describeRecords, extractDecisions } from '../audit/DecisionTraceStore.js';
+import { A2AProtocolServer } from '../a2a/A2AProtocolServer.js';
 
 export class AgentManager {
   constructor(dataManager, eventBusManager, auditLogger, a2aManager = null) {
@@ -20,31 +33,64 @@ export class AgentManager {
     this.a2aManager = a2aManager;
     this.agents = [];
     this.agentStats = { loaded: 0, failed: 0, lastReload: null };
-    
+    // Event bus handlers of the running agent set - removed before a new set is swapped in
+    this.eventHandlers = [];
+
     // Rate Limiting Setup
     const maxCallsPerMinute = parseInt(process.env.MAX_API_CALLS_PER_MINUTE) || 5;
-    this.rateLimiter = new RateLimiter(maxCallsPerMinute, 60000);
-    this.totalApiCalls = 0;
+    this.rateLimiter = new RateLimiter(maxCallsPerMinute, 60000);
+    // LLM calls wait for a rate-limit slot by priority (chat > workflow > auto) instead of failing
+    this.executionQueue = new ExecutionQueue(this.rateLimiter);
+    this.totalApiCalls = 0;
     this.eventChainsActive = new Set();
     
-    // LLM Provider Configuration
-    this.llmProvider = process.env.LLM_PROVIDER?.toLowerCase() || 'anthropic'; // Steuert die Auswahl
-    this.activeLLM = null; // Speichert die aktive LLM-Instanz
-    this.llm = null; // Speichert LangChain LLM-Instanz (für Claude und Ollama)
-    this.anthropic = null; // Speichert Direct Anthropic SDK-Instanz
-    
-    // Claude AI Configuration (Fallback/Primary)
-    this.claudeApiKey = process.env.CLAUDE_API_KEY || null;
-    this.claudeModel = process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219";
-    this.useLangChain = process.env.USE_LANGCHAIN === 'true' || false;
-    
-    // Ollama AI Configuration
-    this.ollamaModel = process.env.OLLAMA_MODEL || 'llama2';
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    
-    this.initializeLLM(); // NEU: Zentralisierte Initialisierung
-    console.log("AgentManager v1.3.1 initialized with rate limit: " + maxCallsPerMinute + " calls/minute");
-    console.log("Active LLM Provider: " + this.llmProvider.toUpperCase()); 
+    // LLM Provider Registry (Anthropic, Ollama, OpenAI-compatible, Stub) with failover
+    this.llmManager = new LLMManager();
+    this.templateEngine = new PromptTemplateEngine();
+    this.contextBuilder = new ContextBuilder();
+
+    // Persistent conversation sessions (JSONL) - optional LLM-written rolling summaries
+    this.conversationStore = new ConversationStore({
+      summarize: process.env.CONVERSATION_LLM_SUMMARY === 'true'
+        ? (previousSummary, turns, maxTokens) => this.summarizeConversation(previousSummary, turns, maxTokens)
+        : null
+    });
+
+    // Response cache - invalidated whenever DataManager reloads or updates data
+    this.responseCache = new ResponseCache();
+    if (this.dataManager && typeof this.dataManager.onDataChange === 'function') {
+      this.dataManager.onDataChange(change => this.responseCache.invalidate(change));
+    }
+
+    // Free-text chat → agent(s) with confidence, clarification when ambiguous
+    this.intentRouter = new IntentRouter(this);
+
+    // Code-defined agents (BaseAgent subclasses) next to the YAML agents
+    this.pluginLoader = new AgentPluginLoader(this);
+
+    // MCP tools for agents with a tool allow-list (registry attached by the MCP server)
+    this.toolRegistry = null;
+    this.toolUseLoop = new ToolUseLoop(this);
+
+    // Human-in-the-loop gate for agent actions (inbox attached by the server)
+    this.approvalInbox = null;
+
+    // Explainability: prompt, injected records, output and cited records per run
+    this.traceStore = new DecisionTraceStore();
+
+    // Change control for agent definitions - active version id stamped on every audit entry
+    this.versionStore = new AgentVersionStore();
+    // Approver role that signs reviews, activations and rollbacks (approvers.yaml)
+    this.changeControlRole = process.env.AGENT_CHANGE_CONTROL_ROLE || 'qa';
+    if (typeof this.auditLogger.setAgentVersionResolver === 'function') {
+      this.auditLogger.setAgentVersionResolver(agentId => this.agents.find(a => a.id === agentId)?.versionId || null);
+    }
+
+    // Agent cards and JSON-RPC tasks for other services (/api/a2a/agents)
+    this.a2aProtocol = this.a2aManager ? new A2AProtocolServer(this, this.a2aManager) : null;
+
+    console.log("AgentManager v1.3.1 initialized with rate limit: " + maxCallsPerMinute + " calls/minute");
+    console.log("LLM provider chain: " + this.llmManager.defaultChain.join(" → ").toUpperCase());
     
     if (this.a2aManager) {
       this.setupA2AWorkflows();
@@ -55,85 +101,147 @@ export class AgentManager {
     console.log('OEE Integration enabled - Automatic metrics injection active');
   }
 
-  initializeLLM() { // Ersetzt initializeClaudeAI
-    if (this.llmProvider === 'ollama') {
-        if (this.ollamaUrl && this.ollamaModel) {
-            this.llm = new Ollama({ // Verwenden Sie LangChain Ollama LLM
-                baseUrl: this.ollamaUrl,
-                model: this.ollamaModel,
-            });
-            this.activeLLM = this.llm;
-            console.log(`Ollama AI configured via LangChain: ${this.ollamaModel} at ${this.ollamaUrl}`);
-            return;
-        } else {
-            console.log("Ollama-Anbieter gewählt, aber URL oder Modell fehlen. Fällt auf Anthropic zurück.");
-            this.llmProvider = 'anthropic';
-        }
-    }
+  /**
+   * Parse and validate an agent config file without touching the running agents
+   * @returns {{agents: Array, validation: Object}}
+   * @throws {Error} code INVALID_AGENT_CONFIG with error.validation ({errors, warnings})
+   */
+  readAgentConfig(configPath = "config/agents.yaml") {
+    let config;
+    try {
+      config = yaml.load(fs.readFileSync(path.join(configPath), "utf8"));
+    } catch (err) {
+      const error = new Error("Cannot read " + configPath + ": " + err.message);
+      error.code = "INVALID_AGENT_CONFIG";
+      error.validation = { valid: false, errors: [err.message], warnings: [], agentCount: 0 };
+      this.lastValidation = { ...error.validation, configPath, timestamp: new Date().toISOString() };
+      throw error;
+    }
 
-    // Fällt auf Anthropic/Claude zurück oder ist Standard
-    if (this.claudeApiKey) {
-        if (this.useLangChain) {
-            this.llm = new ChatAnthropic({
-                apiKey: this.claudeApiKey,
-                model: this.claudeModel,
-            });
-            this.activeLLM = this.llm;
-            console.log("Claude AI configured via LangChain: " + this.claudeModel);
-        } else {
-            this.anthropic = new Anthropic({ apiKey: this.claudeApiKey });
-            this.activeLLM = this.anthropic;
-            console.log("Claude AI configured via Direct SDK: " + this.claudeModel);
-        }
-    } else {
-        console.log("Kein aktiver LLM-Client konfiguriert (Claude API key fehlt). Agentenverarbeitung deaktiviert.");
-        this.activeLLM = null;
-    }
-  }
+    const validation = validateAgentConfig(config, {
+      dataTypes: this.getConfiguredDataTypes(),
+      workflows: this.productionWorkflow ? [...this.productionWorkflow.definitions.keys()] : null,
+      templateEngine: this.templateEngine,
+      toolRegistry: this.toolRegistry
+    });
+    this.lastValidation = { ...validation, configPath, timestamp: new Date().toISOString() };
 
-  loadAgents(configPath = "config/agents.yaml") {
-    try {
-      const raw = fs.readFileSync(path.join(configPath), "utf8");
-      const config = yaml.load(raw);
-      this.agents = config.agents || [];
-
-      this.agents.forEach((agent, i) => {
-        if (!agent.id) throw new Error("Agent " + i + " missing id");
-        if (!agent.trigger) throw new Error("Agent " + agent.id + " missing trigger");
-        if (!agent.type) agent.type = "data-driven";
-        
-        if (agent.oeeEnabled === undefined) agent.oeeEnabled = true;
-        if (agent.id === 'orderAgent' && !agent.oeeEnhanced) {
-          agent.oeeEnhanced = true;
-          console.log("Auto-enabled OEE enhancement for " + agent.id);
-        }
-      });
+    validation.warnings.forEach(warning => console.warn("Agent config warning: " + warning));
+    if (!validation.valid) {
+      validation.errors.forEach(message => console.error("Agent config error: " + message));
+      const error = new Error(configPath + " failed validation with " + validation.errors.length + " error(s)");
+      error.code = "INVALID_AGENT_CONFIG";
+      error.validation = validation;
+      throw error;
+    }
 
-      this.agentStats = {
-        loaded: this.agents.length,
-        failed: 0,
-        lastReload: new Date().toISOString(),
-      };
+    return { agents: config.agents, validation };
+  }
 
-      console.log("Loaded agents:");
-      this.agents.forEach(a => {
-        console.log("- " + a.id + " (" + a.trigger + ")" + (a.oeeEnabled ? ' [OEE]' : ''));
-      });
-      
-      this.eventBusManager.buildEventSubscriptions(this.agents);
-      this.setupDirectEventSubscriptions();
+  /**
+   * Map agents.yaml definitions to their active versions
+   * First load imports the file as baseline; later file edits become drafts awaiting review
+   */
+  resolveActiveDefinitions(fileAgents) {
+    return fileAgents.map(definition => {
+      this.versionStore.ensureBaseline(definition);
+      const active = this.versionStore.getActive(definition.id);
+      if (!active) return definition;
+
+      if (this.versionStore.differsFrom(active.versionId, definition) &&
+          !this.versionStore.findByDefinition(definition.id, definition, ["draft", "reviewed", "active", "superseded", "rejected"])) {
+        const draft = this.versionStore.createVersion(definition.id, definition, {
+          author: "agents.yaml",
+          reason: "Changed in agents.yaml outside change control - review required"
+        });
+        console.warn("Agent " + definition.id + " differs from active " + active.versionId + " - stored as draft " + draft.versionId + ", active version kept");
+        this.logVersionEvent("created", draft, draft.author, draft.reason);
+      }
+
+      return { ...active.definition, versionId: active.versionId };
+    });
+  }
+
+  /**
+   * Data types from data-sources.yaml as loaded by DataManager (null = not loaded, skip check)
+   */
+  getConfiguredDataTypes() {
+    const sourceConfigs = this.dataManager?.sourceConfigs;
+    return sourceConfigs && sourceConfigs.size > 0 ? Array.from(sourceConfigs.keys()) : null;
+  }
+
+  loadAgents(configPath = "config/agents.yaml") {
+    try {
+      return this.applyAgents(this.prepareAgents(this.resolveActiveDefinitions(this.readAgentConfig(configPath).agents)));
+    } catch (err) {
+      console.error("Failed to load agents.yaml:", err.message);
+      this.agentStats.failed++;
+      return false;
+    }
+  }
+
+  /**
+   * Copy definitions and fill runtime defaults - the running agents are not touched
+   */
+  prepareAgents(definitions) {
+    return definitions.map(definition => {
+      const agent = structuredClone(definition);
+      if (!agent.type) agent.type = "data-driven";
       
-      if (this.a2aManager) {
-        this.setupA2AHandlers();
+      if (agent.oeeEnabled === undefined) agent.oeeEnabled = true;
+      if (agent.id === 'orderAgent' && !agent.oeeEnhanced) {
+        agent.oeeEnhanced = true;
+        console.log("Auto-enabled OEE enhancement for " + agent.id);
       }
-      
-      return true;
-    } catch (err) {
-      console.error("Failed to load agents.yaml:", err.message);
-      this.agentStats.failed++;
-      return false;
-    }
-  }
+      return agent;
+    });
+  }
+
+  /**
+   * Activate prepared agents: event subscriptions, A2A handlers
+   */
+  applyAgents(agents) {
+    this.agents = agents;
+
+    this.agentStats = {
+      loaded: this.agents.length,
+      failed: 0,
+      lastReload: new Date().toISOString(),
+    };
+
+    console.log("Loaded agents:");
+    this.agents.forEach(a => {
+      console.log("- " + a.id + " (" + a.trigger + ")" + (a.oeeEnabled ? ' [OEE]' : ''));
+    });
+    
+    this.eventBusManager.buildEventSubscriptions(this.agents);
+    this.setupDirectEventSubscriptions();
+    
+    if (this.a2aManager) {
+      this.setupA2AHandlers();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Lint an agent config file without applying it
+   * @returns {{valid, errors, warnings, agentCount}}
+   */
+  validateAgentFile(configPath = "config/agents.yaml") {
+    try {
+      return this.readAgentConfig(configPath).validation;
+    } catch (error) {
+      return error.validation || { valid: false, errors: [error.message], warnings: [], agentCount: 0 };
+    }
+  }
+
+  /**
+   * Result of the last load/reload/validate run
+   */
+  getValidationReport() {
+    return this.lastValidation || null;
+  }
 
   setupDirectEventSubscriptions() {
     console.log("Setting up direct event subscriptions for agents...");
@@ -143,7 +251,7 @@ export class AgentManager {
         agent.events.subscribes.forEach(topic => {
           console.log("Agent " + agent.id + " subscribing to event: " + topic);
           
-          this.eventBusManager.subscribe(topic, async (eventData) => {
+          this.subscribeAgentHandler(topic, async (eventData) => {
             try {
               console.log("Agent " + agent.id + " received event " + topic);
               
@@ -220,27 +328,24 @@ export class AgentManager {
     try {
       const parsedData = typeof baseData === 'string' ? JSON.parse(baseData) : baseData;
       
-      if (agent.id === 'orderAgent' && agent.oeeEnhanced) {
-        if (typeof this.dataManager.getOrdersWithOEE === 'function') {
-          console.log("Enriching orderAgent with Orders+OEE data");
-          const ordersWithOEE = await this.dataManager.getOrdersWithOEE();
-          return JSON.stringify({
-            orders: ordersWithOEE,
-            oee: oeeData,
-            enrichmentType: 'orders_with_oee',
-            timestamp: new Date().toISOString()
-          }, null, 2);
-        }
-      }
-      
-      const enrichedData = {
-        ...parsedData,
-        oee: oeeData,
-        enrichmentType: 'standard_oee',
-        timestamp: new Date().toISOString()
-      };
-      
-      return JSON.stringify(enrichedData, null, 2);
+      if (agent.id === 'orderAgent' && agent.oeeEnhanced) {
+        if (typeof this.dataManager.getOrdersWithOEE === 'function') {
+          console.log("Enriching orderAgent with Orders+OEE data");
+          const ordersWithOEE = await this.dataManager.getOrdersWithOEE();
+          return {
+            ...parsedData,
+            orders: ordersWithOEE,
+            oee: oeeData,
+            enrichmentType: 'orders_with_oee'
+          };
+        }
+      }
+      
+      return {
+        ...parsedData,
+        oee: oeeData,
+        enrichmentType: 'standard_oee'
+      };
       
     } catch (error) {
       console.warn("OEE enrichment failed for " + agent.id + ":", error.message);
@@ -250,7 +355,7 @@ export class AgentManager {
 
   setupA2AWorkflows() {
     try {
-      import('../workflows/ProductionWorkflow.js').then(({ ProductionWorkflow }) => {
+      this.workflowsReady = import('../workflows/ProductionWorkflow.js').then(({ ProductionWorkflow }) => {
         this.productionWorkflow = new ProductionWorkflow(this.a2aManager);
         console.log('ProductionWorkflow loaded successfully');
       }).catch(error => {
@@ -262,6 +367,14 @@ export class AgentManager {
     }
   }
 
+  /**
+   * Resume or mark workflows cut off by the last shutdown - call once agents and plugins are registered
+   */
+  async recoverWorkflows() {
+    await this.workflowsReady;
+    return this.productionWorkflow ? this.productionWorkflow.recoverWorkflows() : { resumed: [], interrupted: [] };
+  }
+
   setupA2AHandlers() {
     if (!this.a2aManager) return;
 
@@ -279,7 +392,7 @@ export class AgentManager {
           
           agent.a2aCapabilities.forEach(capability => {
             try {
-              this.eventBusManager.subscribe("a2a." + agent.id + "." + capability, 
+              this.subscribeAgentHandler("a2a." + agent.id + "." + capability, 
                 (eventData) => this.handleA2ARequest(agent, capability, eventData)
               );
             } catch (error) {
@@ -295,101 +408,255 @@ export class AgentManager {
     console.log("A2A setup completed for " + this.getA2AEnabledAgents().length + " agents");
   }
 
-  async handleA2ARequest(agent, action, eventData) {
-    const requestStartTime = Date.now();
-    
-    try {
-      console.log("A2A Request: " + agent.id + "." + action + " (RequestID: " + eventData.requestId + ")");
-      
-      const result = await this.processAgentA2A(agent, action, eventData.data);
-      const responseTime = Date.now() - requestStartTime;
-      
-      this.a2aManager.handleA2AResponse(eventData.requestId, true, result);
-      console.log("A2A Request completed: " + agent.id + "." + action + " in " + responseTime + "ms");
-      
-    } catch (error) {
-      const responseTime = Date.now() - requestStartTime;
-      console.error("A2A Request failed for " + agent.id + "." + action + ":", error);
-      
-      this.a2aManager.handleA2AResponse(eventData.requestId, false, null, error.message);
-      console.log("A2A Request failed: " + agent.id + "." + action + " in " + responseTime + "ms - " + error.message);
-    }
-  }
+  /**
+   * Subscribe a handler for the running agent set (tracked for teardown on reload)
+   */
+  subscribeAgentHandler(topic, handler) {
+    this.eventBusManager.subscribe(topic, handler);
+    this.eventHandlers.push({ topic, handler });
+  }
 
-  async processAgentA2A(agent, action, data) {
-    if (!this.activeLLM) { // NEU: Prüft activeLLM
-      throw new Error("Kein aktiver LLM-Client für A2A-Verarbeitung konfiguriert");
-    }
+  /**
+   * Remove event handlers and A2A registrations of the current agent set
+   */
+  teardownAgentHandlers() {
+    this.eventHandlers.forEach(({ topic, handler }) => this.eventBusManager.removeListener(topic, handler));
+    console.log("Removed " + this.eventHandlers.length + " event handlers of the previous agent set");
+    this.eventHandlers = [];
 
-    let prompt;
-    
-    const baseData = this.dataManager.getMockDataForAgent(agent.dataSource);
-    const enrichedData = await this.enrichAgentDataWithOEE(agent, baseData);
-    
-    if (agent.a2aPrompts && agent.a2aPrompts[action]) {
-      prompt = agent.a2aPrompts[action]
-        .replace('{timestamp}', new Date().toISOString())
-        .replace('{action}', action)
-        .replace('{orderId}', data.orderId || 'N/A')
-        .replace('{priority}', data.priority || 'normal')
-        .replace('{data}', enrichedData);
-    } else {
-      prompt = agent.promptTemplate + "\n\n=== A2A REQUEST CONTEXT ===\nAction: " + action + 
-        "\nRequest Data: " + JSON.stringify(data, null, 2) + 
-        "\n\nIMPORTANT: This is an Agent-to-Agent communication request.\n" +
-        "Please respond with structured, actionable data that another agent can process.\n" +
-        "Focus on providing clear status, recommendations, and any required follow-up actions.\n\n" +
-        "Expected Response Format: JSON with clear status and reasoning."
-        .replace('{timestamp}', new Date().toISOString())
-        .replace('{userMessage}', "A2A Request: " + action)
-        .replace('{data}', enrichedData);
-    }
+    if (this.a2aManager && typeof this.a2aManager.unregisterAgent === 'function') {
+      this.agents.forEach(agent => this.a2aManager.unregisterAgent(agent.id));
+    }
+  }
 
-    console.log("Processing A2A request for " + agent.id + "." + action + " (OEE: " + agent.oeeEnabled + ")");
+  // ========================================================================
+  // PROMPT RENDERING
+  // ========================================================================
 
-    let responseText;
-    
-    // NEU: Vereinheitlichte LLM-Ausführung für Ollama/LangChain und Direct Anthropic
-    if (this.llmProvider === 'ollama' || (this.llmProvider === 'anthropic' && this.useLangChain)) {
-      // LangChain (Ollama oder ChatAnthropic) verwenden
-      const response = await this.llm.invoke(prompt);
-      responseText = response.content || response; 
-    } else if (this.llmProvider === 'anthropic' && this.anthropic) {
-      // Direct Anthropic SDK verwenden
-      const response = await this.anthropic.messages.create({
-        model: this.claudeModel,
-        max_tokens: 800,
-        messages: [{ role: "user", content: prompt }],
-      });
-      responseText = response.content[0].text;
-    } else {
-      throw new Error("Kein aktiver LLM-Client verfügbar");
-    }
-    // Ende des NEUEN LLM-Blocks
-    
-    let structuredResult;
-    try {
-      structuredResult = JSON.parse(responseText);
-    } catch {
-      structuredResult = {
-        action,
-        result: responseText,
-        timestamp: new Date().toISOString(),
-        agentId: agent.id,
-        type: 'text_response',
-        oeeEnriched: agent.oeeEnabled
-      };
+  /**
+   * Build template context: request variables, scoped variables and the
+   * token-budgeted {data} block
+   * @returns {{context: Object, contextReport: Object, dataFingerprint: string, dataTypes: string[], records: Array}}
+   */
+  async buildPromptContext(agent, variables = {}) {
+    const baseData = this.dataManager.getMockDataForAgent(agent.dataSource);
+    const enriched = await this.enrichAgentDataWithOEE(agent, baseData);
+    const dataSets = typeof enriched === 'string' ? JSON.parse(enriched) : (enriched || {});
+    const now = new Date();
+
+    const context = {
+      timestamp: now.toISOString(),
+      date: now.toISOString().slice(0, 10),
+      agent: { id: agent.id, name: agent.name, type: agent.type },
+      agentActions: Object.entries(agent.actions || {}).map(([name, action]) => ({ name, ...action })),
+      ...variables
+    };
+
+    const getData = (dataType) => this.dataManager.getDataSnapshot
+      ? this.dataManager.getDataSnapshot(dataType)
+      : null;
+    const scoped = resolveScopedVariables(agent.templateVariables, context, getData);
+    Object.assign(context, scoped);
+
+    const built = this.contextBuilder.build(dataSets, {
+      focus: this.buildContextFocus(context, dataSets),
+      maxTokens: agent.llm?.contextTokens
+    });
+    context.data = built.text;
+
+    if (built.report.truncated) {
+      console.log("Context for " + agent.id + " truncated to " + built.report.estimatedTokens + "/" + built.report.budgetTokens +
+        " tokens - dropped: " + built.report.dropped.map(d => d.source + " " + d.dropped + "/" + d.total).join(", "));
+    }
+
+    return {
+      context,
+      contextReport: built.report,
+      dataFingerprint: fingerprintData(built.text),
+      dataTypes: [...new Set([
+        ...Object.keys(dataSets),
+        ...Object.values(agent.templateVariables || {}).map(definition => definition.source)
+      ])],
+      // Records the prompt can contain: {data} block plus scoped template variables
+      records: [
+        ...built.records,
+        ...Object.entries(scoped).flatMap(([name, value]) => (Array.isArray(value) ? value : [value])
+          .filter(Boolean)
+          .map(record => ({ source: agent.templateVariables[name].source, path: null, value: record, via: "templateVariables." + name })))
+      ]
+    };
+  }
+
+  /**
+   * Derive context focus (order, batch, material, line) from request variables
+   */
+  buildContextFocus(context, dataSets) {
+    const orderIds = [context.orderId].filter(Boolean);
+    const orders = Array.isArray(dataSets.orders) ? dataSets.orders : [];
+    const focusOrders = context.order ? [context.order] : orders.filter(o => orderIds.includes(o.orderId));
+
+    return {
+      orderIds,
+      batchIds: [context.batchId].filter(Boolean),
+      materials: [context.materialId, context.material, ...focusOrders.map(o => o.material)],
+      lines: [context.lineId, context.line, ...focusOrders.flatMap(o => (o.operations || []).map(op => op.workCenter))]
+    };
+  }
+
+  /**
+   * Render agent promptTemplate for a user message
+   * @returns {{text: string, missing: string[], partials: string[], contextReport: Object, dataText: string, dataFingerprint: string, dataTypes: string[], records: Array}}
+   */
+  async renderAgentPrompt(agent, userMessage, variables = {}) {
+    const { context, ...built } = await this.buildPromptContext(agent, { ...variables, userMessage });
+    return { ...this.templateEngine.render(agent.promptTemplate, context), dataText: context.data, ...built };
+  }
+
+  /**
+   * Render A2A prompt for a capability
+   * Falls back to promptTemplate plus A2A request context when no a2aPrompts entry exists
+   */
+  async renderA2APrompt(agent, action, data = {}) {
+    const { context, contextReport } = await this.buildPromptContext(agent, {
+      priority: 'normal',
+      ...data,
+      action,
+      request: data,
+      userMessage: "A2A Request: " + action
+    });
+
+    const template = agent.a2aPrompts && agent.a2aPrompts[action]
+      ? agent.a2aPrompts[action]
+      : agent.promptTemplate + "\n\n=== A2A REQUEST CONTEXT ===\nAction: {action}" +
+        "\nRequest Data: {request|pretty}" +
+        "\n\nIMPORTANT: This is an Agent-to-Agent communication request.\n" +
+        "Please respond with structured, actionable data that another agent can process.\n" +
+        "Focus on providing clear status, recommendations, and any required follow-up actions.\n\n" +
+        "Expected Response Format: JSON with clear status and reasoning.";
+
+    return { ...this.templateEngine.render(template, context), contextReport };
+  }
+
+  /**
+   * Answer an A2A request envelope - the response (result or error) goes back via a2aManager.respond()
+   */
+  async handleA2ARequest(agent, action, request) {
+    const requestStartTime = Date.now();
+
+    try {
+      console.log("A2A Request: " + agent.id + "." + action + " (RequestID: " + request.requestId + ")");
+
+      const result = await this.processAgentA2A(agent, action, request.data, {
+        workflowId: request.workflowId,
+        requestId: request.requestId,
+        signal: this.a2aManager.getRequestSignal(request.requestId)
+      });
+
+      this.a2aManager.respond(request, { agentId: agent.id, result, startTime: requestStartTime });
+      console.log("A2A Request completed: " + agent.id + "." + action + " in " + (Date.now() - requestStartTime) + "ms");
+
+    } catch (error) {
+      console.error("A2A Request failed for " + agent.id + "." + action + ":", error);
+
+      this.a2aManager.respond(request, { agentId: agent.id, error, startTime: requestStartTime });
+      console.log("A2A Request failed: " + agent.id + "." + action + " in " + (Date.now() - requestStartTime) + "ms - " + error.message);
+    }
+  }
+
+  /**
+   * Execute A2A capability; context.workflowId attributes LLM usage to the calling workflow
+   * LLM calls are queued with workflow priority - the A2A timeout is paused while queued,
+   * context.signal (request canceled) drops the queued call
+   */
+  async processAgentA2A(agent, action, data, context = {}) {
+    if (agent.module) {
+      return this.processModuleA2A(agent, action, data);
+    }
+
+    if (!this.llmManager.hasConfiguredProvider(agent)) {
+      throw new Error("Kein aktiver LLM-Client für A2A-Verarbeitung konfiguriert");
     }
 
-    return {
-      action,
-      result: structuredResult,
-      timestamp: new Date().toISOString(),
-      agentId: agent.id,
-      responseType: 'a2a_response',
-      oeeEnriched: agent.oeeEnabled
-    };
-  }
+    const { text: prompt, contextReport } = await this.renderA2APrompt(agent, action, data);
+
+    console.log("Processing A2A request for " + agent.id + "." + action + " (OEE: " + agent.oeeEnabled + ")");
+
+    const schema = agent.a2aSchemas?.[action] || null;
+    const retries = parseInt(process.env.A2A_SCHEMA_RETRIES ?? "1");
+    const maxAttempts = schema ? 1 + (Number.isNaN(retries) ? 1 : retries) : 1;
+
+    let currentPrompt = prompt;
+    let responseText = "";
+    let structuredResult = null;
+    let validation = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const completion = await this.executionQueue.run({
+        agentId: agent.id,
+        priority: 'workflow',
+        label: action + (context.workflowId ? " (" + context.workflowId + ")" : ""),
+        concurrency: agent.concurrency,
+        signal: context.signal,
+        onUpdate: () => context.requestId && this.a2aManager?.holdRequest(context.requestId),
+        onStart: () => context.requestId && this.a2aManager?.resumeRequest(context.requestId)
+      }, () => this.llmManager.generate(currentPrompt, {
+        agent,
+        maxTokens: 800,
+        attribution: {
+          source: 'a2a',
+          workflowId: context.workflowId || data?.workflowId,
+          orderId: data?.orderId
+        }
+      }));
+      responseText = completion.text;
+
+      const extracted = extractJson(responseText);
+      const errors = extracted.error ? [extracted.error] : validateSchema(extracted.value, schema);
+
+      if (errors.length === 0) {
+        structuredResult = extracted.value;
+      }
+
+      if (!schema) break;
+
+      validation = { valid: errors.length === 0, errors, attempts: attempt, repaired: extracted.repaired };
+      if (validation.valid) break;
+
+      console.warn("A2A output of " + agent.id + "." + action + " failed schema validation (attempt " + attempt + "/" + maxAttempts + "): " + errors.join("; "));
+
+      // Re-ask with the validation errors and the expected schema
+      currentPrompt = prompt + "\n\n=== PREVIOUS RESPONSE REJECTED ===\n" +
+        "Validation errors:\n- " + errors.join("\n- ") +
+        "\n\nRespond with ONLY a JSON object (no prose, no markdown) matching this JSON Schema:\n" +
+        JSON.stringify(schema);
+    }
+
+    if (validation && !validation.valid && this.auditLogger.logA2AValidationFailure) {
+      this.auditLogger.logA2AValidationFailure(agent.id, action, validation, responseText);
+    }
+
+    if (!structuredResult) {
+      structuredResult = {
+        action,
+        result: responseText,
+        timestamp: new Date().toISOString(),
+        agentId: agent.id,
+        type: validation ? 'invalid_output' : 'text_response',
+        oeeEnriched: agent.oeeEnabled
+      };
+    }
+
+    return {
+      action,
+      result: structuredResult,
+      validation,
+      context: contextReport,
+      timestamp: new Date().toISOString(),
+      agentId: agent.id,
+      responseType: 'a2a_response',
+      oeeEnriched: agent.oeeEnabled
+    };
+  }
 
   findAgent(message) {
     if (!message || typeof message !== 'string') {
@@ -404,72 +671,423 @@ export class AgentManager {
     );
   }
 
-  async processAgent(agent, userMessage, isAutoTriggered = false) {
-    if (!this.rateLimiter.canMakeCall(agent.id)) {
-      const status = this.rateLimiter.getStatus();
-      return "Rate limit exceeded. " + status.callsInWindow + "/" + status.maxCalls + 
-        " calls used. Next reset in " + Math.ceil(status.nextResetIn/1000) + " seconds.";
-    }
+  /**
+   * A2A capability of a code agent module - deterministic, no LLM call
+   * The module result is validated against a2aSchemas like LLM output
+   */
+  async processModuleA2A(agent, action, data = {}) {
+    const { result, summary } = await this.runAgentModule(agent, action, data);
+    const schema = agent.a2aSchemas?.[action] || null;
+    const errors = schema ? validateSchema(result, schema) : [];
+    const validation = schema ? { valid: errors.length === 0, errors, attempts: 1, repaired: false } : null;
 
-    if (!this.activeLLM) return "Kein aktiver LLM-Client konfiguriert.";
-    
-    this.totalApiCalls++;
-    console.log("API Call #" + this.totalApiCalls + " - Agent: " + agent.id + 
-      " (Auto: " + isAutoTriggered + ") (OEE: " + agent.oeeEnabled + ") (LLM: " + this.llmProvider.toUpperCase() + ")");
+    if (validation && !validation.valid && this.auditLogger.logA2AValidationFailure) {
+      this.auditLogger.logA2AValidationFailure(agent.id, action, validation, JSON.stringify(result));
+    }
 
-    const baseData = this.dataManager.getMockDataForAgent(agent.dataSource);
-    const enrichedData = await this.enrichAgentDataWithOEE(agent, baseData);
-    
-    const prompt = agent.promptTemplate
-      .replace('{timestamp}', new Date().toISOString())
-      .replace('{userMessage}', userMessage)
-      .replace('{data}', enrichedData);
+    return {
+      action,
+      result,
+      summary,
+      validation,
+      context: null,
+      timestamp: new Date().toISOString(),
+      agentId: agent.id,
+      responseType: 'a2a_response',
+      oeeEnriched: agent.oeeEnabled
+    };
+  }
 
-    console.log("Agent " + agent.id + " processing with OEE data:", enrichedData.substring(0, 150) + '...');
+  // ========================================================================
+  // CODE AGENT MODULES (agents.yaml "module", see agents/index.js)
+  // ========================================================================
 
-    try {
-      let responseText;
-      
-      // NEU: Vereinheitlichte LLM-Ausführung für Ollama/LangChain und Direct Anthropic
-      if (this.llmProvider === 'ollama' || (this.llmProvider === 'anthropic' && this.useLangChain)) {
-        // LangChain (Ollama oder ChatAnthropic) verwenden
-        const response = await this.llm.invoke(prompt);
-        responseText = response.content || response;
-        
-        if (this.auditLogger.logAgentExecution) {
-          this.auditLogger.logAgentExecution(agent.id, userMessage, responseText);
-        }
-      } else if (this.llmProvider === 'anthropic' && this.anthropic) {
-        // Direct Anthropic SDK verwenden
-        const response = await this.anthropic.messages.create({
-          model: this.claudeModel,
-          max_tokens: 500,
-          messages: [{ role: "user", content: prompt }],
-        });
-        responseText = response.content[0].text;
-      } else {
-        throw new Error("Kein aktiver LLM-Client verfügbar");
-      }
-      // Ende des NEUEN LLM-Blocks
+  /**
+   * Run a module intent against the current data snapshot
+   * @returns {{intent: string, result: Object, summary: string}}
+   */
+  async runAgentModule(agent, intent, params = {}) {
+    const module = getModule(agent.module);
+    if (!module) {
+      throw new Error("Agent module not found: " + agent.module);
+    }
+    if (!module.intents[intent]) {
+      const error = new Error("Unknown intent " + intent + " for " + agent.id + " (available: " + Object.keys(module.intents).join(", ") + ")");
+      error.code = 'UNKNOWN_INTENT';
+      throw error;
+    }
 
-      if (agent.events && agent.events.publishes && !isAutoTriggered) {
-        this.isAutoTriggered = isAutoTriggered;
-        await this.publishEventsWithControl(agent, userMessage, responseText);
-      }
+    const outcome = await module.handle({
+      intent,
+      context: { data: this.createModuleDataAccess(), params: params || {} }
+    });
+    if (!outcome?.ok) {
+      throw new Error("Agent module " + agent.module + " failed for " + intent + ": " + (outcome?.error || "no result"));
+    }
 
-      return responseText;
+    console.log("Agent module " + agent.module + " executed " + intent + " for " + agent.id);
+    return { intent, result: outcome.result, summary: outcome.summary };
+  }
 
-    } catch (error) {
-      console.error("LLM API error for " + agent.id + ":", error.message);
-      return "Agent processing failed: " + error.message;
-    }
-  }
+  createModuleDataAccess() {
+    return {
+      get: (dataType) => this.dataManager.getDataSnapshot ? this.dataManager.getDataSnapshot(dataType) ?? null : null,
+      getOEE: () => this.dataManager.getRealtimeOEEData ? this.dataManager.getRealtimeOEEData() || [] : []
+    };
+  }
+
+  /**
+   * Intent for a chat message: intent name in the message, best keyword
+   * match of the module intents, otherwise the agent's first capability
+   */
+  resolveModuleIntent(agent, message) {
+    const intents = getModule(agent.module)?.intents || {};
+    const names = Object.keys(intents).filter(name => !agent.a2aCapabilities || agent.a2aCapabilities.includes(name));
+    const text = String(message || "").toLowerCase();
+
+    const named = names.find(name => text.includes(name.toLowerCase()));
+    if (named) return named;
+
+    let best = null;
+    let bestScore = 0;
+    for (const name of names) {
+      const score = (intents[name].keywords || []).filter(keyword => text.includes(keyword.toLowerCase())).length;
+      if (score > bestScore) {
+        best = name;
+        bestScore = score;
+      }
+    }
+    return best || names[0];
+  }
+
+  /**
+   * Language model available for the agent - the stub provider does not count,
+   * module agents answer with their deterministic summary instead
+   */
+  hasLanguageModel(agent) {
+    return this.llmManager.resolveChain(agent).some(name => name !== 'stub');
+  }
+
+  /**
+   * Routing decision for a chat message (see IntentRouter)
+   * options: { agentId (explicit choice, e.g. after a clarification), signal }
+   */
+  routeMessage(message, options = {}) {
+    return this.intentRouter.route(message, options);
+  }
+
+  /**
+   * Execute agent and return the response text
+   * options are passed to executeAgent (variables, priority, workflowId, ...)
+   */
+  async processAgent(agent, userMessage, isAutoTriggered = false, options = {}) {
+    const result = await this.executeAgent(agent, userMessage, { ...options, isAutoTriggered });
+    return result.response;
+  }
+
+  /**
+   * Execute agent and return response with execution metadata
+   * options.onDelta(text) streams the completion chunk by chunk
+   * options.sessionId adds the conversation history to the prompt and records the exchange
+   * options.workflowId attributes LLM usage to a workflow
+   * options.priority ("chat" | "workflow" | "auto"), options.signal (AbortSignal) and
+   * options.onQueueUpdate({ jobId, position, etaMs }) control the execution queue
+   * options.intent selects the intent of a module agent (default: resolved from the message)
+   * agent.tools.allow lets the LLM call MCP tools before answering (see ToolUseLoop)
+   * Every run is traced (DecisionTraceStore) - the result carries its runId
+   */
+  async executeAgent(agent, userMessage, options = {}) {
+    if (!this.traceStore) {
+      return this.executeAgentRun(agent, userMessage, options);
+    }
+
+    const trace = { runId: this.traceStore.createRunId(), startedAt: new Date().toISOString() };
+    const result = await this.executeAgentRun(agent, userMessage, { ...options, trace });
+    this.saveTrace(agent, userMessage, trace, result, options);
+    return { ...result, runId: trace.runId };
+  }
+
+  async executeAgentRun(agent, userMessage, options = {}) {
+    const { isAutoTriggered = false, onDelta = null, sessionId = null, userId = 'anonymous' } = options;
+
+    // Module agents compute their analysis first; the LLM only phrases it
+    const analysis = agent.module
+      ? await this.runAgentModule(agent, options.intent || this.resolveModuleIntent(agent, userMessage), options.variables)
+      : null;
+
+    const conversation = sessionId ? this.conversationStore.getPromptMemory(sessionId) : null;
+    const { text: prompt, contextReport, dataText, dataFingerprint, dataTypes, records } = await this.renderAgentPrompt(agent, userMessage, {
+      ...options.variables,
+      ...(analysis && { intent: analysis.intent, analysis: analysis.result, analysisSummary: analysis.summary }),
+      conversation
+    });
+    if (options.trace) Object.assign(options.trace, { prompt, records, dataFingerprint });
+
+    // Cache lookup before rate limiting - repeat queries on unchanged data cost no LLM call
+    const cacheEnabled = this.responseCache.enabled && agent.cache !== false;
+    const cacheKey = cacheEnabled ? this.responseCache.createKey(agent.id, prompt, { text: dataText, types: dataTypes }) : null;
+    const cached = cacheKey ? this.responseCache.get(cacheKey, agent.id) : null;
+
+    if (cached) {
+      const ageMs = Date.now() - cached.createdAt;
+      console.log("Agent " + agent.id + " answered from response cache (age " + Math.round(ageMs / 1000) + "s)");
+      if (onDelta) onDelta(cached.value.response);
+
+      return this.completeExecution(agent, userMessage, {
+        status: "completed",
+        response: cached.value.response,
+        provider: cached.value.provider,
+        model: cached.value.model,
+        latencyMs: 0,
+        context: contextReport,
+        cache: { enabled: true, hit: true, ageMs },
+        ...(analysis && { analysis })
+      }, options);
+    }
+
+    const cacheInfo = { enabled: cacheEnabled, hit: false };
+
+    if (analysis && !this.hasLanguageModel(agent)) {
+      return this.completeModuleExecution(agent, userMessage, analysis, contextReport, options);
+    }
+
+    if (!this.llmManager.hasConfiguredProvider(agent)) {
+      return { status: "no_llm", response: "Kein aktiver LLM-Client konfiguriert.", cache: cacheInfo, workflowsTriggered: [] };
+    }
+
+    let queueInfo = null;
+    const tools = this.toolUseLoop.getAgentTools(agent);
+
+    // One queued LLM call - the tool-use loop runs one per step
+    const generate = (stepPrompt, stepOnDelta) => this.executionQueue.run({
+      agentId: agent.id,
+      priority: options.priority || (isAutoTriggered ? 'auto' : 'chat'),
+      label: userMessage.substring(0, 80),
+      concurrency: agent.concurrency,
+      signal: options.signal,
+      onUpdate: options.onQueueUpdate,
+      onStart: (info) => { queueInfo = queueInfo || info; }
+    }, () => {
+      this.totalApiCalls++;
+      console.log("API Call #" + this.totalApiCalls + " - Agent: " + agent.id +
+        " (Auto: " + isAutoTriggered + ") (OEE: " + agent.oeeEnabled + ") (LLM: " + this.llmManager.resolveChain(agent).join(" → ").toUpperCase() + ")");
+      console.log("Agent " + agent.id + " prompt rendered (" + stepPrompt.length + " chars, OEE: " + agent.oeeEnabled + ")");
+
+      return this.llmManager.generate(stepPrompt, {
+        agent,
+        maxTokens: this.getMaxTokens(agent),
+        onDelta: stepOnDelta,
+        attribution: {
+          source: isAutoTriggered ? 'auto' : 'chat',
+          userId,
+          workflowId: options.workflowId,
+          orderId: options.variables?.orderId
+        }
+      });
+    });
+
+    try {
+      // With tools, intermediate replies are tool calls - the final answer is streamed once complete
+      const completion = tools.length > 0
+        ? await this.toolUseLoop.run(agent, prompt, tools, {
+            generate: (stepPrompt) => generate(stepPrompt, null),
+            context: { sessionId, workflowId: options.workflowId, userId }
+          })
+        : await generate(prompt, onDelta);
+      if (tools.length > 0 && onDelta) onDelta(completion.text);
+      console.log("Agent " + agent.id + " answered by " + completion.provider + " (" + completion.model + ") in " + completion.latencyMs + "ms" +
+        (completion.toolCalls ? " after " + completion.toolCalls.length + " tool call(s)" : ""));
+
+      // Failover ended on the stub provider - the module summary is the better answer
+      if (analysis && completion.provider === 'stub') {
+        return this.completeModuleExecution(agent, userMessage, analysis, contextReport, options);
+      }
+
+      // Answers built on tool results are not cached - tools may read data outside the prompt or have side effects
+      if (cacheKey && !(completion.toolCalls?.length > 0)) {
+        this.responseCache.set(cacheKey, {
+          response: completion.text,
+          provider: completion.provider,
+          model: completion.model
+        }, { agentId: agent.id, dataTypes });
+      }
+
+      return this.completeExecution(agent, userMessage, {
+        status: "completed",
+        response: completion.text,
+        provider: completion.provider,
+        model: completion.model,
+        latencyMs: completion.latencyMs,
+        context: contextReport,
+        cache: cacheInfo,
+        queue: queueInfo,
+        ...(completion.toolCalls && { toolCalls: completion.toolCalls, steps: completion.steps }),
+        ...(analysis && { analysis })
+      }, options);
+
+    } catch (error) {
+      console.error("LLM API error for " + agent.id + ":", error.message);
+      if (analysis && error.code !== 'CANCELLED') {
+        return this.completeModuleExecution(agent, userMessage, analysis, contextReport, { ...options, llmError: error.message });
+      }
+      return {
+        status: this.getFailureStatus(error),
+        response: "Agent processing failed: " + error.message,
+        error: error.message,
+        context: contextReport,
+        cache: cacheInfo,
+        queue: queueInfo,
+        workflowsTriggered: []
+      };
+    }
+  }
+
+  /**
+   * Deterministic answer of a module agent (no language model or LLM failure)
+   */
+  completeModuleExecution(agent, userMessage, analysis, contextReport, options = {}) {
+    if (options.onDelta) options.onDelta(analysis.summary);
+
+    return this.completeExecution(agent, userMessage, {
+      status: "completed",
+      response: analysis.summary,
+      provider: "deterministic",
+      model: agent.module,
+      latencyMs: 0,
+      context: contextReport,
+      cache: { enabled: false, hit: false },
+      analysis,
+      ...(options.llmError && { llmError: options.llmError })
+    }, options);
+  }
+
+  /**
+   * Map execution errors to result status
+   */
+  getFailureStatus(error) {
+    switch (error.code) {
+      case 'BUDGET_EXCEEDED': return "budget_exceeded";
+      case 'CANCELLED': return "cancelled";
+      case 'QUEUE_FULL': return "queue_full";
+      default: return "failed";
+    }
+  }
+
+  /**
+   * Post-processing shared by LLM and cached responses:
+   * audit, event/workflow publishing and conversation memory
+   */
+  async completeExecution(agent, userMessage, result, options = {}) {
+    const { isAutoTriggered = false, sessionId = null, userId = 'anonymous' } = options;
+
+    if (this.auditLogger.logAgentExecution) {
+      this.auditLogger.logAgentExecution(agent.id, userMessage, result.response, { runId: options.trace?.runId || null });
+    }
+
+    let workflowsTriggered = [];
+    if (agent.events && agent.events.publishes && !isAutoTriggered) {
+      this.isAutoTriggered = isAutoTriggered;
+      const publishResult = await this.publishEventsWithControl(agent, userMessage, result.response);
+      workflowsTriggered = publishResult.workflowsTriggered || [];
+    }
+
+    // Proposed actions wait for approval - nothing is published or updated before a qualified user signs
+    const pendingActions = agent.actions && this.approvalInbox
+      ? this.proposeActions(agent, result.response, options)
+      : [];
+
+    if (sessionId) {
+      await this.conversationStore.appendTurn(sessionId, { role: 'user', content: userMessage, userId });
+      await this.conversationStore.appendTurn(sessionId, { role: 'assistant', content: result.response, agentId: agent.id, userId });
+    }
+
+    return { ...result, workflowsTriggered, ...(pendingActions.length > 0 && { pendingActions }) };
+  }
+
+  /**
+   * Store the explainability trace of a run - a failing write never fails the run
+   */
+  saveTrace(agent, userMessage, trace, result, options = {}) {
+    try {
+      const records = describeRecords(trace.records || [], this.dataManager.sourceConfigs);
+      const completedAt = new Date();
+      const decisions = extractDecisions(result.response, records, result.pendingActions || []);
+
+      this.traceStore.save({
+        runId: trace.runId,
+        agentId: agent.id,
+        agentName: agent.name,
+        agentVersion: agent.versionId || null,
+        status: result.status,
+        trigger: {
+          source: options.isAutoTriggered ? 'auto' : (options.workflowId ? 'workflow' : 'chat'),
+          message: userMessage,
+          userId: options.userId || 'anonymous',
+          sessionId: options.sessionId || null,
+          workflowId: options.workflowId || null,
+          intent: result.analysis?.intent || null
+        },
+        startedAt: trace.startedAt,
+        completedAt: completedAt.toISOString(),
+        durationMs: completedAt - new Date(trace.startedAt),
+        model: {
+          provider: result.provider || null,
+          model: result.model || null,
+          chain: this.llmManager.resolveChain(agent)
+        },
+        prompt: trace.prompt ? { text: trace.prompt, chars: trace.prompt.length } : null,
+        data: { fingerprint: trace.dataFingerprint || null, records, context: result.context || null },
+        toolCalls: result.toolCalls || [],
+        output: result.response,
+        error: result.error || result.llmError || null,
+        cache: result.cache || null,
+        decisions,
+        pendingActions: (result.pendingActions || []).map(action => action.actionId),
+        workflowsTriggered: result.workflowsTriggered || []
+      });
+
+      const uncited = decisions.filter(decision => decision.cites.length === 0).length;
+      console.log("Trace " + trace.runId + " stored for " + agent.id + " (" + records.length + " records, " + decisions.length + " decisions" +
+        (uncited > 0 ? ", " + uncited + " without cited record" : "") + ")");
+    } catch (error) {
+      console.error("Trace " + trace.runId + " for " + agent.id + " could not be stored:", error.message);
+    }
+  }
+
+  /**
+   * Completion token limit - per agent (llm.maxTokens) or LLM_MAX_TOKENS
+   */
+  getMaxTokens(agent) {
+    return agent.llm?.maxTokens || parseInt(process.env.LLM_MAX_TOKENS) || 4096;
+  }
+
+  /**
+   * LLM-written rolling summary for ConversationStore (CONVERSATION_LLM_SUMMARY=true)
+   */
+  async summarizeConversation(previousSummary, turns, maxTokens) {
+    const transcript = turns
+      .map(turn => (turn.role === 'user' ? "User " + turn.userId : turn.agentId) + ": " + turn.content)
+      .join("\n\n");
+
+    const completion = await this.llmManager.generate(
+      "Summarize this pharmaceutical manufacturing conversation for the next shift in at most " +
+      Math.floor(maxTokens * 0.75) + " words. Keep order, batch and material ids, decisions and open actions.\n\n" +
+      (previousSummary ? "Summary so far:\n" + previousSummary + "\n\n" : "") +
+      "New turns:\n" + transcript,
+      { maxTokens, attribution: { source: 'conversation.summary' } }
+    );
+    return completion.text;
+  }
 
   async publishEventsWithControl(agent, userMessage, responseText) {
     console.log("Events DISABLED - Using A2A workflows instead for agent: " + agent.id);
     
-    if (agent.id === 'orderAgent' && !this.isAutoTriggered && this.productionWorkflow) {
-      setTimeout(async () => {
+    const workflowsTriggered = [];
+
+    // Agents with actions start workflows only through an approved action (see executeApprovedAction)
+    if (agent.id === 'orderAgent' && !agent.actions && !this.isAutoTriggered && this.productionWorkflow) {
+      workflowsTriggered.push('orderAnalysis');
+      setTimeout(async () => {
         try {
           console.log("Triggering A2A workflow for orderAgent result (OEE-enhanced)");
           await this.productionWorkflow.executeOrderAnalysisWorkflow(
@@ -489,9 +1107,10 @@ export class AgentManager {
     
     return {
       published: 0,
-      reason: 'Events disabled - A2A workflows active',
-      oeeContext: agent.oeeEnabled
-    };
+      reason: 'Events disabled - A2A workflows active',
+      oeeContext: agent.oeeEnabled,
+      workflowsTriggered
+    };
   }
 
   getAllAgents() {
@@ -521,16 +1140,31 @@ export class AgentManager {
       oeeIntegrationEnabled: this.oeeIntegrationEnabled,
       oeeEnabledAgents: this.agents.filter(a => a.oeeEnabled).length,
       oeeEnhancedAgents: this.agents.filter(a => a.oeeEnhanced).length,
-      claudeIntegration: this.useLangChain ? 'LangChain' : 'Direct SDK',
-      llmProvider: this.llmProvider.toUpperCase() // Hinzugefügt
-    };
+      llmProvider: this.llmManager.defaultProvider.toUpperCase(),
+      llmChain: this.llmManager.defaultChain,
+      llmProviders: this.llmManager.getStatus().providers
+    };
+
+    const usage = this.llmManager.usageTracker.getSummary().totals;
 
     return {
       ...this.agentStats,
       ...a2aStats,
       ...oeeStats,
-      totalApiCalls: this.totalApiCalls
-    };
+      totalApiCalls: this.totalApiCalls,
+      llmCallsThisMonth: usage.calls,
+      llmCostThisMonthUsd: usage.costUsd,
+      responseCache: this.responseCache.getStats(),
+      routing: this.intentRouter.getStats(),
+      tools: this.toolUseLoop.getStats(),
+      approvals: this.approvalInbox ? this.approvalInbox.getStats() : null,
+      plugins: [...this.pluginLoader.plugins.keys()],
+      executionQueue: {
+        pending: this.executionQueue.pending.length,
+        running: this.executionQueue.running.size,
+        ...this.executionQueue.stats
+      }
+    };
   }
 
   getTemplates() {
@@ -568,9 +1202,140 @@ export class AgentManager {
       });
     });
 
+    this.pluginLoader.getCapabilityEntries().forEach(({ capability, ...entry }) => {
+      (registry[capability] = registry[capability] || []).push({ ...entry, oeeEnabled: false, kind: 'plugin' });
+    });
+
     return registry;
   }
 
+  /**
+   * Load code agent plugins after the YAML agents (agent ids must not collide)
+   * options.toolRegistry: MCP tool registry for plugin tools
+   */
+  loadPlugins(options = {}) {
+    return this.pluginLoader.loadAll({ toolRegistry: this.toolRegistry, ...options });
+  }
+
+  /**
+   * MCP tool registry for the agent tool-use loop and plugin tools
+   */
+  attachToolRegistry(toolRegistry) {
+    this.toolRegistry = toolRegistry;
+  }
+
+  attachApprovalInbox(approvalInbox) {
+    this.approvalInbox = approvalInbox;
+  }
+
+  // ========================================================================
+  // HUMAN-IN-THE-LOOP APPROVALS
+  // ========================================================================
+
+  /**
+   * Pending actions from the {"proposedActions": [...]} block of a response
+   * Proposals for actions the agent does not define or without entity are dropped
+   * @returns {Array} proposed (or already pending identical) actions
+   */
+  proposeActions(agent, responseText, options = {}) {
+    const proposed = [];
+
+    for (const proposal of parseProposedActions(responseText)) {
+      const definition = agent.actions[proposal.action];
+      if (!definition || !proposal.entityId) {
+        console.warn("Agent " + agent.id + " proposed invalid action " + JSON.stringify(proposal) + " - ignored");
+        continue;
+      }
+
+      const { action, duplicate } = this.approvalInbox.propose({
+        agentId: agent.id,
+        action: proposal.action,
+        entityId: String(proposal.entityId),
+        reason: proposal.reason || null,
+        definition,
+        requestedBy: options.userId || 'anonymous',
+        sessionId: options.sessionId || null,
+        workflowId: options.workflowId || null
+      });
+      proposed.push(action);
+      if (duplicate) continue;
+
+      console.log("Agent " + agent.id + " proposed " + action.action + " for " + action.entityId + " - awaiting " + definition.approverRole + " approval (" + action.actionId + ")");
+      this.auditLogger.log?.('action_proposed', { actionId: action.actionId, agentId: agent.id, action: action.action, entityId: action.entityId, reason: action.reason, userId: action.requestedBy });
+      this.eventBusManager?.emit?.('event', { type: 'action_proposed', actionId: action.actionId, agentId: agent.id, action: action.action, entityId: action.entityId, timestamp: action.proposedAt });
+    }
+
+    return proposed;
+  }
+
+  /**
+   * Approve or reject a pending action with reason and electronic signature
+   * An approved action is executed right away
+   * @param {Object} input - { decision: "approve" | "reject", reason, signature: { userId, pin } }
+   */
+  async decideAction(actionId, input) {
+    const action = this.approvalInbox.decide(actionId, input);
+    const { signature } = action.decision;
+
+    console.log("Action " + actionId + " (" + action.action + " " + action.entityId + ") " + action.status + " by " + signature.name);
+    this.auditLogger.log?.('action_' + action.status, {
+      actionId,
+      agentId: action.agentId,
+      action: action.action,
+      entityId: action.entityId,
+      reason: action.decision.reason,
+      userId: signature.userId,
+      signature
+    });
+    this.eventBusManager?.emit?.('event', { type: 'action_' + action.status, actionId, agentId: action.agentId, action: action.action, entityId: action.entityId, by: signature.userId, timestamp: signature.signedAt });
+
+    return action.status === 'approved' ? this.executeApprovedAction(action) : action;
+  }
+
+  /**
+   * Effects of an approved action in order: data update, event, workflow
+   */
+  async executeApprovedAction(action) {
+    const { definition, decision } = action;
+    const result = {};
+
+    try {
+      if (definition.update) {
+        result.updated = await this.dataManager.updateDataEntry(definition.dataType, action.entityId, definition.update);
+      }
+
+      if (definition.publish) {
+        await this.eventBusManager.publishEvent(definition.publish, {
+          actionId: action.actionId,
+          entityId: action.entityId,
+          reason: action.reason,
+          approvedBy: decision.signature.userId,
+          approvalReason: decision.reason
+        }, action.agentId);
+        result.published = definition.publish;
+      }
+
+      if (definition.workflow && this.productionWorkflow?.hasWorkflow(definition.workflow)) {
+        result.workflow = definition.workflow;
+        this.productionWorkflow.executeWorkflow(definition.workflow, action.entityId, {
+          source: action.agentId,
+          actionId: action.actionId,
+          approvedBy: decision.signature.userId,
+          timestamp: new Date().toISOString()
+        }).catch(error => console.error('A2A workflow failed:', error.message));
+      }
+
+      const executed = this.approvalInbox.recordExecution(action.actionId, { success: true, result });
+      this.auditLogger.log?.('action_executed', { actionId: action.actionId, agentId: action.agentId, action: action.action, entityId: action.entityId, result });
+      return executed;
+    } catch (error) {
+      console.error("Approved action " + action.actionId + " failed:", error.message);
+      const failed = this.approvalInbox.recordExecution(action.actionId, { success: false, error: error.message, result });
+      this.auditLogger.log?.('action_failed', { actionId: action.actionId, agentId: action.agentId, action: action.action, entityId: action.entityId, error: error.message });
+      return failed;
+    }
+  }
+
   getEventPublishers() {
     return this.agents.filter(a => a.events && a.events.publishes).map(a => ({
       id: a.id,
@@ -580,35 +1345,325 @@ export class AgentManager {
     }));
   }
 
-  reloadAgents(configPath = "config/agents.yaml") {
-    try {
-      if (this.a2aManager) {
-        console.log("Resetting A2A registrations...");
-        this.a2aManager.registeredAgents?.clear?.();
-      }
+  /**
+   * Validate agents.yaml and swap the resolved agent set in
+   * @param {Object} options - { source: "api" | "file-watch" | ... } (reload event / audit)
+   */
+  reloadAgents(configPath = "config/agents.yaml", options = {}) {
+    // Validate before tearing anything down - a broken file keeps the previous agents running
+    let agents;
+    try {
+      agents = this.resolveActiveDefinitions(this.readAgentConfig(configPath).agents);
+    } catch (error) {
+      console.error("Agent reload rejected, keeping " + this.agents.length + " running agents: " + error.message);
+      this.agentStats.failed++;
+      this.emitReloadEvent("agents", "rejected", {
+        source: options.source || "api",
+        configPath,
+        errors: error.validation?.errors || [error.message]
+      });
+      return false;
+    }
 
-      if (this.eventBusManager && typeof this.eventBusManager.clearSubscriptions === 'function') {
-        console.log("Clearing existing event subscriptions...");
-        this.eventBusManager.clearSubscriptions();
-      }
+    return this.swapAgents(agents, { source: options.source || "api", configPath });
+  }
 
-      this.agents = [];
-      this.agentStats = { loaded: 0, failed: 0, lastReload: null };
-      
-      const result = this.loadAgents(configPath);
-      
-      if (result) {
-        console.log("Agents reloaded successfully with updated event subscriptions");
-      }
-      
-      return result;
-    } catch (error) {
-      console.error("Failed to reload agents:", error);
-      return false;
-    }
-  }
+  /**
+   * Replace the running agent set in one synchronous step: the new set is prepared
+   * off to the side, then old event/A2A handlers are removed and the new set applied.
+   * Requests already running keep their agent object; new requests see the new set.
+   */
+  swapAgents(agents, context = {}) {
+    let prepared;
+    try {
+      prepared = this.prepareAgents(agents);
+    } catch (error) {
+      console.error("Failed to prepare agents, keeping current set:", error.message);
+      this.agentStats.failed++;
+      return false;
+    }
+
+    const previous = this.agents;
+    try {
+      this.teardownAgentHandlers();
+      this.templateEngine.clearCache();
+      this.applyAgents(prepared);
+    } catch (error) {
+      console.error("Failed to swap agents, restoring previous set:", error);
+      this.teardownAgentHandlers();
+      this.applyAgents(previous);
+      this.agentStats.failed++;
+      return false;
+    }
+
+    console.log("Agents reloaded successfully with updated event subscriptions");
+    this.emitReloadEvent("agents", "applied", { ...context, ...this.describeAgentChanges(previous, prepared) });
+    return true;
+  }
+
+  describeAgentChanges(previous, next) {
+    const previousById = new Map(previous.map(agent => [agent.id, agent]));
+    const nextIds = new Set(next.map(agent => agent.id));
+    return {
+      agentCount: next.length,
+      added: next.filter(agent => !previousById.has(agent.id)).map(agent => agent.id),
+      removed: previous.filter(agent => !nextIds.has(agent.id)).map(agent => agent.id),
+      changed: next
+        .filter(agent => previousById.has(agent.id) && previousById.get(agent.id).versionId !== agent.versionId)
+        .map(agent => agent.id)
+    };
+  }
+
+  /**
+   * Validate data-sources.yaml, check the running agents still find their data, then swap
+   * @returns {Promise<boolean>}
+   */
+  async reloadDataSources(options = {}) {
+    const source = options.source || "api";
+    const configPath = this.dataManager.configPath;
+
+    try {
+      const sourceConfigs = await this.dataManager.readDataSourceConfig();
+
+      // Agents referencing a data type that disappears would render prompts without data
+      const definitions = this.agents.map(({ versionId, ...definition }) => definition);
+      const validation = validateAgentConfig({ agents: definitions }, { dataTypes: Array.from(sourceConfigs.keys()), strict: false });
+      if (definitions.length > 0 && !validation.valid) {
+        const error = new Error("Running agents do not match " + configPath);
+        error.validation = validation;
+        throw error;
+      }
+
+      const result = await this.dataManager.applyDataSourceConfig(sourceConfigs);
+      this.emitReloadEvent("data_sources", "applied", { source, configPath, ...result });
+      return true;
+    } catch (error) {
+      console.error("Data source reload rejected, keeping current sources: " + error.message);
+      this.emitReloadEvent("data_sources", "rejected", {
+        source,
+        configPath,
+        errors: error.validation?.errors || [error.message]
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Audit a config reload and push it to the SSE event stream
+   * @param {string} target - "agents" | "data_sources"
+   * @param {string} status - "applied" | "rejected"
+   */
+  emitReloadEvent(target, status, details = {}) {
+    const event = {
+      type: "config_reload",
+      target,
+      status,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    if (typeof this.auditLogger.appendAudit === 'function') {
+      this.auditLogger.appendAudit({ ...event });
+    }
+    if (typeof this.eventBusManager?.emit === 'function') {
+      this.eventBusManager.emit("event", event);
+    }
+  }
+
+  // ========================================================================
+  // AGENT VERSIONS - CHANGE CONTROL (draft → reviewed → active)
+  // ========================================================================
+
+  /**
+   * Active definition of an agent as YAML (agent editor)
+   */
+  getAgentDefinition(agentId) {
+    const agent = this.agents.find(a => a.id === agentId);
+    const active = this.versionStore.getActive(agentId);
+    if (!agent && !active) return null;
+
+    const definition = active ? active.definition : agent;
+    return {
+      agentId,
+      versionId: active?.versionId || null,
+      definition,
+      yaml: definitionToYaml(definition)
+    };
+  }
+
+  /**
+   * Save a revision as draft - validated against the running agent set
+   * The author is the verified signer, so the four-eyes check of the review holds
+   * @param {Object|string} definition - agent definition or its YAML
+   * @param {Object} input - { signature: { userId, pin }, reason }
+   */
+  createAgentDraft(agentId, definition, { signature, reason } = {}) {
+    const parsed = typeof definition === "string" ? yaml.load(definition) : definition;
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      const error = new Error("Agent definition must be a YAML/JSON object");
+      error.code = "INVALID_DEFINITION";
+      throw error;
+    }
+
+    this.validateCandidate(agentId, parsed);
+
+    const active = this.versionStore.getActive(agentId);
+    if (active && !this.versionStore.differsFrom(active.versionId, parsed)) {
+      const error = new Error("No changes against active version " + active.versionId);
+      error.code = "NO_CHANGES";
+      throw error;
+    }
+
+    if (!reason) {
+      const error = new Error("A reason is required for every agent revision");
+      error.code = "MISSING_CHANGE_INFO";
+      throw error;
+    }
+
+    const signer = this.signVersionChange(signature, "Authored change");
+    const version = this.versionStore.createVersion(agentId, parsed, { author: signer.userId, reason, signature: signer });
+    this.logVersionEvent("created", version, version.author, version.reason);
+    return version;
+  }
+
+  /**
+   * Second-person review: approve (→ reviewed) or reject
+   * @param {Object} input - { signature: { userId, pin }, decision: "approve" | "reject", comment }
+   */
+  reviewAgentVersion(versionId, { signature, decision = "approve", comment = null } = {}) {
+    const to = decision === "reject" ? "rejected" : "reviewed";
+    const signer = this.signVersionChange(signature, to === "reviewed" ? "Reviewed for activation" : "Rejected");
+    const { version } = this.versionStore.transition(versionId, to, { by: signer.userId, comment, signature: signer });
+    this.logVersionEvent(version.status, version, signer.userId, comment);
+    return version;
+  }
+
+  /**
+   * Put a reviewed version live
+   * @param {Object} input - { signature: { userId, pin }, comment }
+   */
+  activateAgentVersion(versionId, { signature, comment = null } = {}) {
+    const version = this.versionStore.getVersion(versionId);
+    if (version && version.status !== "reviewed") {
+      const error = new Error(versionId + " is " + version.status + " - only reviewed versions can be activated");
+      error.code = "INVALID_TRANSITION";
+      throw error;
+    }
+    return this.switchAgentVersion(versionId, this.signVersionChange(signature, "Approved for production use"), comment, "activated");
+  }
+
+  /**
+   * Restore an earlier live version (superseded → active)
+   * @param {Object} input - { signature: { userId, pin }, reason }
+   */
+  rollbackAgent(agentId, versionId, { signature, reason } = {}) {
+    const version = this.versionStore.getVersion(versionId);
+    if (version && version.agentId !== agentId) {
+      const error = new Error(versionId + " does not belong to agent " + agentId);
+      error.code = "INVALID_TRANSITION";
+      throw error;
+    }
+    if (!reason) {
+      const error = new Error("A reason is required for a rollback");
+      error.code = "MISSING_CHANGE_INFO";
+      throw error;
+    }
+    return this.switchAgentVersion(versionId, this.signVersionChange(signature, "Rolled back to earlier version"), reason, "rolled_back");
+  }
+
+  /**
+   * Electronic signature of a change control step - user id + PIN of an
+   * approver holding changeControlRole, verified like approval decisions
+   * @returns {Object} signature manifest { userId, name, role, meaning, signedAt }
+   */
+  signVersionChange(signature, meaning) {
+    if (!this.approvalInbox) {
+      const error = new Error("Electronic signatures are not available - no approval inbox attached");
+      error.code = "SIGNATURE_UNAVAILABLE";
+      throw error;
+    }
+
+    const approver = this.approvalInbox.verifySignature(signature, this.changeControlRole);
+    return { userId: approver.userId, name: approver.name, role: this.changeControlRole, meaning, signedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Swap the version in first and record the transition only once it runs -
+   * a failed swap leaves the lifecycle untouched, a failed record restores the previous agents
+   */
+  switchAgentVersion(versionId, signer, comment, action) {
+    const version = this.versionStore.getVersion(versionId);
+    if (!version) {
+      const error = new Error("Version not found: " + versionId);
+      error.code = "NOT_FOUND";
+      throw error;
+    }
+
+    const candidate = this.validateCandidate(version.agentId, version.definition);
+    this.versionStore.checkTransition(versionId, "active", { by: signer.userId });
+
+    const previous = this.agents;
+    const agents = candidate.map(agent => agent.id === version.agentId
+      ? { ...version.definition, versionId: version.versionId }
+      : agent);
+    if (!this.swapAgents(agents, { source: "version_" + action, versionId })) {
+      const error = new Error("Could not apply " + versionId + " - previous agents kept running");
+      error.code = "ACTIVATION_FAILED";
+      throw error;
+    }
+
+    let transition;
+    try {
+      transition = this.versionStore.transition(versionId, "active", { by: signer.userId, comment, signature: signer });
+    } catch (error) {
+      console.error("Recording activation of " + versionId + " failed, restoring previous agents:", error.message);
+      this.swapAgents(previous, { source: "version_restore", versionId });
+      throw error;
+    }
+
+    const { version: activated, superseded } = transition;
+    this.logVersionEvent(action, activated, signer.userId, comment, superseded?.versionId);
+    return { version: activated, superseded };
+  }
+
+  /**
+   * Running agent set with one definition replaced, validated like agents.yaml
+   * @throws {Error} code INVALID_AGENT_CONFIG with error.validation
+   */
+  validateCandidate(agentId, definition) {
+    const candidate = this.agents.some(a => a.id === agentId)
+      ? this.agents.map(a => a.id === agentId ? definition : a)
+      : [...this.agents, definition];
+
+    const validation = validateAgentConfig(
+      { agents: candidate.map(({ versionId, ...agent }) => agent) },
+      { dataTypes: this.getConfiguredDataTypes(), templateEngine: this.templateEngine, toolRegistry: this.toolRegistry }
+    );
+    if (!validation.valid) {
+      const error = new Error("Agent definition failed validation with " + validation.errors.length + " error(s)");
+      error.code = "INVALID_AGENT_CONFIG";
+      error.validation = validation;
+      throw error;
+    }
+    return candidate;
+  }
+
+  logVersionEvent(action, version, by, comment, supersededVersion = null) {
+    if (typeof this.auditLogger.appendAudit !== 'function') return;
+    this.auditLogger.appendAudit({
+      type: "agent_version",
+      action,
+      agentId: version.agentId,
+      versionId: version.versionId,
+      // The version this entry is about, not the one running at the time
+      agentVersion: version.versionId,
+      by,
+      comment,
+      ...(supersededVersion && { supersededVersion })
+    });
+  }
 
-  toggleAgentOEE(agentId, enabled = true) {
+  toggleAgentOEE(agentId, enabled = true) {
     const agent = this.agents.find(a => a.id === agentId);
     if (agent) {
       agent.oeeEnabled = enabled;
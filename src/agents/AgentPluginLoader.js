@@ -0,0 +1,331 @@
+/**
+ * ========================================================================
+ * AGENT PLUGIN LOADER - CODE-DEFINED AGENTS (BaseAgent SUBCLASSES)
+ * ========================================================================
+ *
+ * Discovers BaseAgent subclasses in the plugin directory and runs them next
+ * to the YAML prompt agents. Capabilities are registered with the
+ * A2AManager under the same "a2a.<agentId>.<capability>" contract as YAML
+ * agents, so workflows call both kinds through requestService(); tools are
+ * registered with the MCP tool registry and execute the capability directly.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Plugin contract (src/plugins/*.js, named or default export):
+ *   class MyAgent extends BaseAgent {
+ *     static agentId = "myAgent";              // default: class name in lowerCamelCase
+ *     static config = { name, description };   // passed to the constructor
+ *     defineCapabilities() { return { "my.capability": { description, handler } }; }
+ *     defineTools() { return [{ name, description, inputSchema, capability, permissions }]; }
+ *   }
+ *
+ * Config: AGENT_PLUGIN_DIR (default src/plugins)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { v4 as uuidv4 } from "uuid";
+import { BaseAgent } from "../services/BaseAgent.js";
+
+// Lifecycle events go to audit and the event stream only - they must not
+// auto-trigger the YAML agents subscribed to "*"
+const LIFECYCLE_EVENTS = new Set(["agent.initialized", "agent.shutdown", "agent.error"]);
+
+export class AgentPluginLoader {
+  constructor(agentManager, options = {}) {
+    this.agentManager = agentManager;
+    this.pluginDir = options.pluginDir ?? (process.env.AGENT_PLUGIN_DIR || "src/plugins");
+    this.toolRegistry = options.toolRegistry || null;
+
+    this.plugins = new Map(); // agentId -> { agent, file, className, capabilities, tools, handlers }
+    this.failures = [];
+  }
+
+  // ========================================================================
+  // DISCOVERY AND REGISTRATION
+  // ========================================================================
+
+  /**
+   * Load all plugins; a broken plugin is reported and skipped
+   * @returns {{loaded: string[], failed: Array<{file, error}>}}
+   */
+  async loadAll(options = {}) {
+    if (options.toolRegistry) this.toolRegistry = options.toolRegistry;
+    this.failures = [];
+
+    const files = this.discoverFiles();
+    if (files.length === 0) {
+      console.log("🧩 No agent plugins found in " + this.pluginDir);
+      return { loaded: [], failed: [] };
+    }
+
+    for (const file of files) {
+      try {
+        const classes = await this.importAgentClasses(file);
+        if (classes.length === 0) {
+          console.warn("⚠️ Plugin " + file + " exports no BaseAgent subclass - skipped");
+          continue;
+        }
+        for (const AgentClass of classes) {
+          await this.registerPlugin(AgentClass, file);
+        }
+      } catch (error) {
+        console.error("❌ Agent plugin " + file + " failed to load:", error.message);
+        this.failures.push({ file, error: error.message });
+      }
+    }
+
+    console.log("🧩 Agent plugins loaded: " + [...this.plugins.keys()].join(", ") +
+      (this.failures.length > 0 ? " (" + this.failures.length + " failed)" : ""));
+    return { loaded: [...this.plugins.keys()], failed: this.failures };
+  }
+
+  discoverFiles() {
+    if (!fs.existsSync(this.pluginDir)) return [];
+
+    return fs.readdirSync(this.pluginDir)
+      .filter(name => name.endsWith(".js") && !name.startsWith("_"))
+      .sort()
+      .map(name => path.join(this.pluginDir, name));
+  }
+
+  async importAgentClasses(file) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    return [...new Set(Object.values(module))]
+      .filter(value => typeof value === "function" && value.prototype instanceof BaseAgent);
+  }
+
+  async registerPlugin(AgentClass, file) {
+    const agentId = AgentClass.agentId || AgentClass.name.charAt(0).toLowerCase() + AgentClass.name.slice(1);
+
+    if (this.plugins.has(agentId) || this.agentManager.agents.some(agent => agent.id === agentId)) {
+      throw new Error("Agent id " + agentId + " (" + AgentClass.name + ") is already in use");
+    }
+
+    const handlers = [];
+    const agent = new AgentClass(agentId, this.createEventBus(agentId, handlers), this.createRouter(), { ...AgentClass.config });
+    agent.data = this.agentManager.createModuleDataAccess();
+
+    const capabilities = agent.defineCapabilities();
+    const tools = agent.defineTools();
+    const invalidTool = tools.find(tool => !capabilities[tool.capability]);
+    if (invalidTool) {
+      throw new Error("Tool " + invalidTool.name + " of " + agentId + " references unknown capability " + invalidTool.capability);
+    }
+
+    await agent.initialize();
+
+    const plugin = { agent, file, className: AgentClass.name, capabilities: Object.keys(capabilities), tools: tools.map(tool => tool.name), handlers };
+    this.plugins.set(agentId, plugin);
+
+    this.registerCapabilities(plugin);
+    this.registerTools(plugin, tools);
+
+    console.log("🧩 Plugin " + agentId + " (" + AgentClass.name + ") - capabilities: [" + plugin.capabilities.join(", ") +
+      "], tools: [" + plugin.tools.join(", ") + "]");
+  }
+
+  /**
+   * A2A registration with the same request/response topics as YAML agents
+   */
+  registerCapabilities(plugin) {
+    const a2aManager = this.agentManager.a2aManager;
+    if (!a2aManager || plugin.capabilities.length === 0) return;
+
+    a2aManager.registerAgent(plugin.agent.agentId, plugin.capabilities);
+
+    plugin.capabilities.forEach(capability => {
+      const handler = (eventData) => this.handleA2ARequest(plugin, capability, eventData);
+      this.agentManager.eventBusManager.subscribe("a2a." + plugin.agent.agentId + "." + capability, handler);
+      plugin.handlers.push({ topic: "a2a." + plugin.agent.agentId + "." + capability, handler });
+    });
+  }
+
+  registerTools(plugin, tools) {
+    if (!this.toolRegistry) return;
+
+    tools.forEach(tool => this.toolRegistry.registerPluginTool({
+      category: "agent_plugins",
+      permissions: ["planner", "admin"],
+      rateLimit: 30,
+      auditRequired: true,
+      ...tool,
+      agentId: plugin.agent.agentId
+    }, (args) => this.execute(plugin.agent.agentId, tool.capability, args, { source: "mcp", tool: tool.name })));
+  }
+
+  // ========================================================================
+  // EXECUTION
+  // ========================================================================
+
+  async handleA2ARequest(plugin, action, request) {
+    const a2aManager = this.agentManager.a2aManager;
+    const startTime = Date.now();
+
+    try {
+      const result = await this.execute(plugin.agent.agentId, action, request.data || {}, {
+        source: "a2a",
+        workflowId: request.workflowId,
+        requestId: request.requestId
+      });
+      a2aManager.respond(request, { agentId: plugin.agent.agentId, result, startTime });
+    } catch (error) {
+      console.error("A2A Request failed for plugin " + plugin.agent.agentId + "." + action + ":", error.message);
+      a2aManager.respond(request, { agentId: plugin.agent.agentId, error, startTime });
+    }
+  }
+
+  /**
+   * Run a plugin capability; the response has the shape of YAML agent A2A responses
+   */
+  async execute(agentId, action, data = {}, context = {}) {
+    const plugin = this.plugins.get(agentId);
+    if (!plugin) {
+      const error = new Error("Agent plugin not found: " + agentId);
+      error.code = "NOT_FOUND";
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const result = await plugin.agent.handleCapability(action, data, context);
+    console.log("Plugin " + agentId + "." + action + " completed in " + (Date.now() - startTime) + "ms (" + (context.source || "direct") + ")");
+
+    return {
+      action,
+      result,
+      validation: null,
+      context: null,
+      timestamp: new Date().toISOString(),
+      agentId,
+      responseType: "a2a_response",
+      source: "plugin"
+    };
+  }
+
+  // ========================================================================
+  // BaseAgent ADAPTERS
+  // ========================================================================
+
+  /**
+   * BaseAgent event bus contract on top of EventBusManager
+   * Handlers receive { id, type, payload, source, timestamp } like services/eventBus.js
+   */
+  createEventBus(agentId, handlers) {
+    const eventBusManager = this.agentManager.eventBusManager;
+
+    return {
+      subscribe: (eventType, handler) => {
+        const listener = (data) => handler({
+          id: uuidv4(),
+          type: eventType,
+          payload: data || {},
+          source: data?.source || data?.sourceAgent || "system",
+          timestamp: new Date().toISOString()
+        });
+        eventBusManager.subscribe(eventType, listener);
+        handlers.push({ topic: eventType, handler: listener });
+        return { eventType, agentId };
+      },
+
+      unsubscribe: (eventType) => {
+        handlers
+          .filter(entry => entry.topic === eventType)
+          .forEach(entry => eventBusManager.removeListener(entry.topic, entry.handler));
+        handlers.splice(0, handlers.length, ...handlers.filter(entry => entry.topic !== eventType));
+        return true;
+      },
+
+      publish: async (eventType, payload, source = agentId) => {
+        if (LIFECYCLE_EVENTS.has(eventType)) {
+          const event = { type: "agent_lifecycle", eventType, sourceAgent: source, data: payload, timestamp: new Date().toISOString() };
+          this.agentManager.auditLogger.appendAudit?.(event);
+          eventBusManager.emit("event", event);
+          return event;
+        }
+        return eventBusManager.publishEvent(eventType, payload, source);
+      }
+    };
+  }
+
+  /**
+   * BaseAgent router contract on top of A2AManager
+   * context.targetAgentId addresses an agent, otherwise service discovery by capability
+   */
+  createRouter() {
+    return {
+      route: async ({ intent, context = {} }) => {
+        const a2aManager = this.agentManager.a2aManager;
+        if (!a2aManager) {
+          throw new Error("A2A communication not enabled");
+        }
+
+        const { targetAgentId, ...data } = context;
+        const result = targetAgentId
+          ? await a2aManager.requestService(targetAgentId, intent, data, { workflowId: data.workflowId })
+          : await a2aManager.requestServiceByCapability(intent, data, { workflowId: data.workflowId });
+        return { result };
+      }
+    };
+  }
+
+  // ========================================================================
+  // STATUS
+  // ========================================================================
+
+  /**
+   * Capability registry entries of the plugins (merged into the A2A registry)
+   */
+  getCapabilityEntries() {
+    return [...this.plugins.values()].flatMap(plugin => {
+      const definitions = plugin.agent.defineCapabilities();
+      return plugin.capabilities.map(capability => ({
+        capability,
+        agentId: plugin.agent.agentId,
+        agentName: plugin.agent.config.name || plugin.className,
+        description: definitions[capability]?.description || plugin.agent.config.description
+      }));
+    });
+  }
+
+  /**
+   * Plugins with their capabilities as skills (A2A protocol agent cards)
+   * Input schema: capability inputSchema, else the schema of the MCP tool that runs it
+   */
+  getAgentDescriptors() {
+    return [...this.plugins.values()].map(plugin => {
+      const definitions = plugin.agent.defineCapabilities();
+      const tools = plugin.agent.defineTools();
+      return {
+        agentId: plugin.agent.agentId,
+        name: plugin.agent.config.name || plugin.className,
+        description: plugin.agent.config.description || null,
+        skills: plugin.capabilities.map(capability => ({
+          id: capability,
+          description: definitions[capability]?.description || null,
+          inputSchema: definitions[capability]?.inputSchema || tools.find(tool => tool.capability === capability)?.inputSchema || null,
+          outputSchema: definitions[capability]?.outputSchema || null
+        }))
+      };
+    });
+  }
+
+  async getStatus() {
+    const plugins = await Promise.all([...this.plugins.values()].map(async plugin => ({
+      agentId: plugin.agent.agentId,
+      className: plugin.className,
+      file: plugin.file,
+      name: plugin.agent.config.name || plugin.className,
+      description: plugin.agent.config.description || null,
+      capabilities: plugin.capabilities,
+      tools: plugin.tools,
+      health: await plugin.agent.healthCheck()
+    })));
+
+    return { pluginDir: this.pluginDir, plugins, failed: this.failures };
+  }
+}
+
+export default AgentPluginLoader;
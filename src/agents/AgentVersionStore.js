@@ -0,0 +1,324 @@
+/**
+ * ========================================================================
+ * AGENT VERSION STORE - CHANGE CONTROL FOR AGENT DEFINITIONS
+ * ========================================================================
+ *
+ * Every revision of an agent definition is stored with author, reason and
+ * a diff against the active version. Revisions follow a GMP change
+ * control lifecycle - a second person must review a draft before it can
+ * go live, and any earlier live version can be restored. Drafts, review,
+ * activation and rollback are signed electronically by an approver
+ * (AgentManager → ApprovalInbox.verifySignature).
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Lifecycle:
+ *   draft → reviewed → active → superseded
+ *   draft → rejected
+ *   superseded → active (rollback)
+ *
+ * File format (append-only, data/agent-versions/<agentId>.jsonl):
+ *   {"type":"version","versionId":"orderAgent-v2","definition":{...},"author":"dev.lead","authorSignature":{...},"reason":"...","diff":"..."}
+ *   {"type":"transition","versionId":"orderAgent-v2","from":"draft","to":"reviewed","by":"qa.lead","comment":"...","signature":{...}}
+ *
+ * Config: AGENT_VERSION_DIR (default data/agent-versions)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { diffLines } from "../utils/textDiff.js";
+
+const TRANSITIONS = {
+  draft: ["reviewed", "rejected"],
+  reviewed: ["active", "rejected"],
+  active: ["superseded"],
+  superseded: ["active"],
+  rejected: []
+};
+
+// Runtime fields set by AgentManager - never part of a stored definition
+const RUNTIME_FIELDS = ["versionId"];
+
+/**
+ * YAML rendering of a definition (diffs and the editor)
+ */
+export function definitionToYaml(definition) {
+  return yaml.dump(stripRuntimeFields(definition), { lineWidth: -1, noRefs: true });
+}
+
+function stripRuntimeFields(definition) {
+  const copy = { ...definition };
+  RUNTIME_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// Key-order independent serialization for change detection
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function lifecycleError(message, code = "INVALID_TRANSITION") {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export class AgentVersionStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.AGENT_VERSION_DIR || path.join("data", "agent-versions");
+    this.versions = new Map(); // agentId → [version, ...] (oldest first)
+
+    this.load();
+  }
+
+  // ========================================================================
+  // PERSISTENCE
+  // ========================================================================
+
+  load() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith(".jsonl"))) {
+      const agentId = file.slice(0, -".jsonl".length);
+      const versions = [];
+
+      for (const line of fs.readFileSync(path.join(this.directory, file), "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+
+        if (record.type === "version") {
+          const { type, ...version } = record;
+          versions.push({ ...version, history: [] });
+        } else if (record.type === "transition") {
+          const version = versions.find(candidate => candidate.versionId === record.versionId);
+          if (version) this.applyTransition(version, record);
+        }
+      }
+
+      this.versions.set(agentId, versions);
+    }
+
+    const total = Array.from(this.versions.values()).reduce((sum, list) => sum + list.length, 0);
+    console.log(`🗂️ AgentVersionStore loaded ${total} versions for ${this.versions.size} agents`);
+  }
+
+  appendRecord(agentId, record) {
+    fs.appendFileSync(path.join(this.directory, `${agentId}.jsonl`), JSON.stringify(record) + "\n");
+  }
+
+  applyTransition(version, record) {
+    version.status = record.to;
+    version.history.push({ from: record.from, to: record.to, by: record.by, comment: record.comment, signature: record.signature || null, timestamp: record.timestamp });
+    if (record.to === "reviewed") {
+      version.reviewedBy = record.by;
+      version.reviewedAt = record.timestamp;
+    }
+    if (record.to === "active") {
+      version.activatedBy = record.by;
+      version.activatedAt = record.timestamp;
+    }
+  }
+
+  // ========================================================================
+  // REVISIONS
+  // ========================================================================
+
+  /**
+   * Store a new revision with diff against the active (or latest) version
+   * @param {Object} meta - { author, reason, signature (e-signature manifest of the author), status: "draft" | "active" (baseline only) }
+   */
+  createVersion(agentId, definition, meta = {}) {
+    if (!meta.author || !meta.reason) {
+      throw lifecycleError("Author and reason are required for every agent revision", "MISSING_CHANGE_INFO");
+    }
+    if (definition.id !== agentId) {
+      throw lifecycleError(`Definition id "${definition.id}" does not match agent ${agentId}`, "ID_MISMATCH");
+    }
+
+    const versions = this.versions.get(agentId) || [];
+    const basedOn = this.getActive(agentId) || versions[versions.length - 1] || null;
+    const clean = stripRuntimeFields(definition);
+    const number = versions.length + 1;
+    const timestamp = new Date().toISOString();
+
+    const diff = diffLines(basedOn ? definitionToYaml(basedOn.definition) : "", definitionToYaml(clean), {
+      oldLabel: basedOn ? basedOn.versionId : "(none)",
+      newLabel: `${agentId}-v${number}`
+    });
+
+    const version = {
+      versionId: `${agentId}-v${number}`,
+      agentId,
+      number,
+      definition: clean,
+      author: meta.author,
+      ...(meta.signature && { authorSignature: meta.signature }),
+      reason: meta.reason,
+      basedOn: basedOn ? basedOn.versionId : null,
+      diff: diff.text,
+      diffStats: { added: diff.added, removed: diff.removed },
+      createdAt: timestamp,
+      status: meta.status === "active" ? "active" : "draft"
+    };
+
+    this.appendRecord(agentId, { type: "version", ...version });
+    this.versions.set(agentId, [...versions, { ...version, history: [] }]);
+
+    return this.getVersion(version.versionId);
+  }
+
+  /**
+   * First revision from agents.yaml - active without review (existing validated config)
+   */
+  ensureBaseline(definition) {
+    if ((this.versions.get(definition.id) || []).length > 0) return null;
+    return this.createVersion(definition.id, definition, {
+      author: "system",
+      reason: "Baseline imported from agents.yaml",
+      status: "active"
+    });
+  }
+
+  /**
+   * Check a lifecycle step without recording it
+   * Review requires a second person: reviewer ≠ author
+   */
+  checkTransition(versionId, to, { by } = {}) {
+    const version = this.findVersion(versionId);
+    if (!version) throw lifecycleError(`Version not found: ${versionId}`, "NOT_FOUND");
+    if (!by) throw lifecycleError("The person performing the transition (by) is required", "MISSING_CHANGE_INFO");
+
+    if (!TRANSITIONS[version.status].includes(to)) {
+      throw lifecycleError(`Cannot move ${versionId} from ${version.status} to ${to}`);
+    }
+    if (to === "reviewed" && by === version.author) {
+      throw lifecycleError(`${versionId} must be reviewed by someone other than its author (${version.author})`, "SAME_PERSON");
+    }
+    return version;
+  }
+
+  /**
+   * Move a revision through the lifecycle
+   * @param {Object} options - { by, comment, signature (e-signature manifest of the signer) }
+   * @returns {{version, superseded}} superseded = previously active version (on activation)
+   */
+  transition(versionId, to, { by, comment = null, signature = null } = {}) {
+    const version = this.checkTransition(versionId, to, { by });
+
+    let superseded = null;
+    if (to === "active") {
+      const current = this.findActive(version.agentId);
+      if (current) {
+        this.record(current, "superseded", by, `Replaced by ${versionId}`);
+        superseded = this.getVersion(current.versionId);
+      }
+    }
+
+    this.record(version, to, by, comment, signature);
+    return { version: this.getVersion(versionId), superseded };
+  }
+
+  record(version, to, by, comment, signature = null) {
+    const record = {
+      type: "transition",
+      versionId: version.versionId,
+      from: version.status,
+      to,
+      by,
+      comment,
+      ...(signature && { signature }),
+      timestamp: new Date().toISOString()
+    };
+    this.appendRecord(version.agentId, record);
+    this.applyTransition(version, record);
+  }
+
+  // ========================================================================
+  // QUERIES
+  // ========================================================================
+
+  findVersion(versionId) {
+    const agentId = String(versionId).replace(/-v\d+$/, "");
+    return (this.versions.get(agentId) || []).find(version => version.versionId === versionId) || null;
+  }
+
+  findActive(agentId) {
+    return (this.versions.get(agentId) || []).find(version => version.status === "active") || null;
+  }
+
+  getVersion(versionId) {
+    const version = this.findVersion(versionId);
+    return version ? structuredClone(version) : null;
+  }
+
+  getActive(agentId) {
+    const version = this.findActive(agentId);
+    return version ? structuredClone(version) : null;
+  }
+
+  /**
+   * Revision list without definitions, newest first
+   */
+  listVersions(agentId) {
+    return (this.versions.get(agentId) || [])
+      .map(({ definition, diff, ...summary }) => structuredClone(summary))
+      .reverse();
+  }
+
+  /**
+   * Does the definition differ from the given version (ignoring key order)?
+   */
+  differsFrom(versionId, definition) {
+    const version = this.findVersion(versionId);
+    return !version || canonical(version.definition) !== canonical(stripRuntimeFields(definition));
+  }
+
+  /**
+   * Existing revision with exactly this definition (e.g. an open draft)
+   */
+  findByDefinition(agentId, definition, statuses = ["draft", "reviewed"]) {
+    const key = canonical(stripRuntimeFields(definition));
+    const version = (this.versions.get(agentId) || [])
+      .find(candidate => statuses.includes(candidate.status) && canonical(candidate.definition) === key);
+    return version ? structuredClone(version) : null;
+  }
+
+  /**
+   * Diff between two revisions of the same agent
+   */
+  compare(fromVersionId, toVersionId) {
+    const from = this.findVersion(fromVersionId);
+    const to = this.findVersion(toVersionId);
+    if (!from || !to) throw lifecycleError(`Version not found: ${!from ? fromVersionId : toVersionId}`, "NOT_FOUND");
+
+    return diffLines(definitionToYaml(from.definition), definitionToYaml(to.definition), {
+      oldLabel: from.versionId,
+      newLabel: to.versionId
+    });
+  }
+
+  getStats() {
+    const all = Array.from(this.versions.values()).flat();
+    const byStatus = {};
+    all.forEach(version => {
+      byStatus[version.status] = (byStatus[version.status] || 0) + 1;
+    });
+    return { directory: this.directory, agents: this.versions.size, versions: all.length, byStatus };
+  }
+}
+
+export default AgentVersionStore;
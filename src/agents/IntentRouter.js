@@ -0,0 +1,456 @@
+/**
+ * ========================================================================
+ * INTENT ROUTER - FREE TEXT → AGENT(S)
+ * ========================================================================
+ *
+ * Replaces substring trigger matching for chat requests. Extracts entities
+ * (orders, batches, materials, lines), scores every agent and returns a
+ * routing decision with confidence - ambiguous requests come back with a
+ * clarification question instead of guessing.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Methods:
+ *   explicit - agentId chosen by the caller (e.g. answer to a clarification)
+ *   trigger  - message is exactly an agent trigger ("ask-today-orders")
+ *   keyword  - offline: routing keywords + term weights from the agent
+ *              definition + bag-of-words similarity to routing examples
+ *   llm      - LLM classification; falls back to keyword on any failure
+ *
+ * Routing hints per agent (agents.yaml, all optional):
+ *   routing:
+ *     intent: batch_release
+ *     keywords: ["release", "batch disposition"]
+ *     examples: ["Are we ready to release BATCH-002?"]
+ *     entities: [batchIds]          # bonus when the message names a batch
+ *
+ * Config: ROUTER_MODE (auto | llm | keyword, default auto - LLM only when
+ *         the keyword result is not confident and a real provider exists),
+ *         ROUTER_MIN_CONFIDENCE (default 0.35), ROUTER_CONFIDENT (default 0.6),
+ *         ROUTER_LLM_PROVIDER (default: global chain)
+ * ========================================================================
+ */
+
+import { extractJson, validateSchema } from "../utils/jsonSchema.js";
+
+// Same keys as the ContextBuilder focus - entities map 1:1 onto context focus
+export const ENTITY_PATTERNS = {
+  orderIds: /\bORD-\d+\b/gi,
+  batchIds: /\bBATCH-\d+\b/gi,
+  materials: /\b(?:FG|API|EXC|PACK|PKG|RM)-\d+\b/gi,
+  lines: /\b(?:LINE|PCK|GRAN|TAB|COAT|FILL)-\d+\b/gi
+};
+
+// First entity of each kind → template variable (see AgentManager.buildContextFocus)
+const ENTITY_VARIABLES = { orderIds: "orderId", batchIds: "batchId", materials: "materialId", lines: "lineId" };
+
+const KEYWORD_WEIGHT = 3;
+const TRIGGER_WEIGHT = 4;
+const ENTITY_WEIGHT = 2;
+// Raw keyword score at which keyword confidence reaches 0.5
+const SCORE_HALF_CONFIDENCE = 4;
+const MAX_AGENTS = 3;
+// Agents within this share of the best score are routed together
+const MULTI_AGENT_RATIO = 0.85;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "are", "was", "were", "with", "what", "which", "who", "how", "can", "could",
+  "should", "would", "will", "this", "that", "these", "those", "there", "from", "into", "about",
+  "any", "all", "our", "your", "you", "today", "please", "show", "give", "tell", "does", "did",
+  "have", "has", "had", "not", "its", "than", "then", "them", "they", "some", "also", "just",
+  "der", "die", "das", "und", "ist", "sind", "wir", "ich", "für", "mit", "von", "bitte", "heute"
+]);
+
+const ROUTING_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["agents"],
+  properties: {
+    intent: { type: ["string", "null"] },
+    agents: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["agentId", "confidence"],
+        properties: {
+          agentId: { type: "string", minLength: 1 },
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+          reason: { type: ["string", "null"] }
+        }
+      }
+    },
+    clarification: { type: ["string", "null"] }
+  }
+};
+
+/**
+ * Order, batch, material and line ids mentioned in a message (upper case, unique)
+ */
+export function extractEntities(message) {
+  const entities = {};
+  for (const [kind, pattern] of Object.entries(ENTITY_PATTERNS)) {
+    entities[kind] = [...new Set((String(message).match(pattern) || []).map(id => id.toUpperCase()))];
+  }
+  return entities;
+}
+
+/**
+ * Lower-case word stems without stopwords and entity ids
+ */
+export function tokenize(text) {
+  let clean = String(text || "").toLowerCase();
+  Object.values(ENTITY_PATTERNS).forEach(pattern => { clean = clean.replace(pattern, " "); });
+
+  return clean
+    .split(/[^a-z0-9äöüß]+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Crude suffix stripping - "release", "released", "releases" → "releas"
+function stem(word) {
+  const stripped = word.replace(/(ing|ed|es|e|s)$/, "");
+  return stripped.length >= 4 ? stripped : word;
+}
+
+function splitCamelCase(text) {
+  return String(text).replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+function cosine(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let dot = 0;
+  a.forEach((count, term) => { dot += count * (b.get(term) || 0); });
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+function termVector(tokens) {
+  const vector = new Map();
+  tokens.forEach(token => vector.set(token, (vector.get(token) || 0) + 1));
+  return vector;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export class IntentRouter {
+  constructor(agentManager, options = {}) {
+    this.agentManager = agentManager;
+    this.mode = (options.mode || process.env.ROUTER_MODE || "auto").toLowerCase();
+    this.minConfidence = options.minConfidence ?? (parseFloat(process.env.ROUTER_MIN_CONFIDENCE) || 0.35);
+    this.confident = options.confident ?? (parseFloat(process.env.ROUTER_CONFIDENT) || 0.6);
+    this.llmProvider = options.llmProvider || process.env.ROUTER_LLM_PROVIDER || null;
+
+    this.profiles = null;
+    this.profiledAgents = null; // agent array the profiles were built from (replaced on reload)
+    this.stats = { routed: 0, byMethod: {}, ambiguous: 0, llmFailures: 0 };
+  }
+
+  // ========================================================================
+  // ROUTING
+  // ========================================================================
+
+  /**
+   * Route a chat message
+   * @param {Object} options - { agentId (skip classification), signal }
+   * @returns {Promise<Object>} { method, intent, confidence, agents: [{agentId, name, confidence, reasons}],
+   *          candidates, entities, variables, ambiguous, clarification, llm }
+   */
+  async route(message, options = {}) {
+    const text = String(message ?? "").trim();
+    const entities = extractEntities(text);
+    const agents = this.agentManager.agents;
+    let decision;
+
+    if (options.agentId) {
+      const agent = agents.find(candidate => candidate.id === options.agentId);
+      if (!agent) {
+        const error = new Error(`Agent not found: ${options.agentId}`);
+        error.code = "NOT_FOUND";
+        throw error;
+      }
+      decision = this.decide("explicit", [{ agent, confidence: 1, reasons: ["selected by user"] }], null);
+    } else {
+      const triggered = agents.find(agent => agent.trigger.toLowerCase() === text.toLowerCase());
+      decision = triggered
+        ? this.decide("trigger", [{ agent: triggered, confidence: 1, reasons: [`trigger "${triggered.trigger}"`] }], null)
+        : this.decide("keyword", this.scoreAgents(text, entities), null);
+
+      if (!triggered && this.shouldAskLLM(decision)) {
+        decision = await this.classifyWithLLM(text, entities, decision, options.signal);
+      }
+    }
+
+    decision.entities = entities;
+    decision.variables = Object.fromEntries(
+      Object.entries(ENTITY_VARIABLES)
+        .filter(([kind]) => entities[kind].length > 0)
+        .map(([kind, variable]) => [variable, entities[kind][0]])
+    );
+
+    this.stats.routed++;
+    this.stats.byMethod[decision.method] = (this.stats.byMethod[decision.method] || 0) + 1;
+    if (decision.ambiguous) this.stats.ambiguous++;
+
+    return decision;
+  }
+
+  /**
+   * Turn scored candidates into a decision: the best agent plus others
+   * close to it, or a clarification when nothing is confident enough
+   */
+  decide(method, scored, intent, llm = null) {
+    const ranked = scored
+      .filter(candidate => candidate.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence);
+    const best = ranked[0] || null;
+
+    const chosen = best && best.confidence >= this.minConfidence
+      ? ranked
+          .filter(candidate => candidate.confidence >= this.minConfidence && candidate.confidence >= best.confidence * MULTI_AGENT_RATIO)
+          .slice(0, MAX_AGENTS)
+      : [];
+    // Several weak matches are a guess - ask instead of running them all
+    const ambiguous = chosen.length === 0 || (chosen.length > 1 && chosen[chosen.length - 1].confidence < this.confident);
+
+    const describe = ({ agent, confidence, reasons }) => ({
+      agentId: agent.id,
+      name: agent.name,
+      confidence: round(confidence),
+      reasons
+    });
+
+    return {
+      method,
+      intent: intent || (ambiguous ? null : chosen[0].agent.routing?.intent || chosen[0].agent.id),
+      confidence: round(best?.confidence || 0),
+      agents: ambiguous ? [] : chosen.map(describe),
+      candidates: ranked.slice(0, 5).map(describe),
+      ambiguous,
+      clarification: ambiguous ? this.buildClarification(ranked) : null,
+      llm
+    };
+  }
+
+  buildClarification(ranked) {
+    const options = (ranked.length > 0 ? ranked.slice(0, MAX_AGENTS).map(candidate => candidate.agent) : this.agentManager.agents)
+      .map(agent => ({ agentId: agent.id, name: agent.name, trigger: agent.trigger, description: agent.description || null }));
+
+    return {
+      question: ranked.length > 0
+        ? "Your request could be handled by different agents - which one do you mean?"
+        : "I could not match your request to an agent. Which one should handle it?",
+      options
+    };
+  }
+
+  shouldAskLLM(decision) {
+    if (this.mode === "keyword") return false;
+    if (this.mode === "auto" && !decision.ambiguous && decision.confidence >= this.confident) return false;
+    // The stub/replay providers cannot classify - auto mode stays offline without a real provider
+    const chain = this.agentManager.llmManager.resolveChain(this.getRouterAgent());
+    return this.mode === "llm" ? chain.length > 0 : chain.some(name => name !== "stub" && name !== "replay");
+  }
+
+  // ========================================================================
+  // OFFLINE SCORING
+  // ========================================================================
+
+  /**
+   * Keyword + similarity score per agent
+   * @returns {Array<{agent, confidence, reasons}>}
+   */
+  scoreAgents(message, entities) {
+    const tokens = tokenize(message);
+    const tokenSet = new Set(tokens);
+    const messageVector = termVector(tokens);
+    const normalized = ` ${message.toLowerCase().replace(/[^a-z0-9äöüß-]+/g, " ")} `;
+
+    return this.getProfiles().map(profile => {
+      const reasons = [];
+      let score = 0;
+
+      if (normalized.includes(` ${profile.trigger} `)) {
+        score += TRIGGER_WEIGHT;
+        reasons.push(`mentions trigger "${profile.trigger}"`);
+      }
+
+      profile.phrases.forEach(phrase => {
+        if (normalized.includes(` ${phrase} `)) {
+          score += KEYWORD_WEIGHT;
+          reasons.push(`keyword "${phrase}"`);
+        }
+      });
+
+      const matchedTerms = [];
+      profile.terms.forEach((weight, term) => {
+        if (tokenSet.has(term)) {
+          score += weight;
+          matchedTerms.push(term);
+        }
+      });
+      if (matchedTerms.length > 0) reasons.push(`terms: ${matchedTerms.join(", ")}`);
+
+      profile.entities.forEach(kind => {
+        if (entities[kind]?.length > 0) {
+          score += ENTITY_WEIGHT;
+          reasons.push(`${kind}: ${entities[kind].join(", ")}`);
+        }
+      });
+
+      const similarity = Math.max(0, ...profile.examples.map(example => cosine(messageVector, example)));
+      if (similarity > 0) reasons.push(`example similarity ${round(similarity)}`);
+
+      // Independent evidence: either signal alone can make an agent confident
+      const keywordConfidence = score / (score + SCORE_HALF_CONFIDENCE);
+      const confidence = 1 - (1 - keywordConfidence) * (1 - similarity);
+
+      return { agent: profile.agent, confidence, reasons };
+    });
+  }
+
+  /**
+   * Per-agent routing profile, rebuilt when the agent set is swapped
+   * Terms from name/description/capabilities are weighted by how specific
+   * they are across agents - words every agent shares ("production") count 0
+   */
+  getProfiles() {
+    const agents = this.agentManager.agents;
+    if (this.profiles && this.profiledAgents === agents) return this.profiles;
+
+    const derived = agents.map(agent => new Set(tokenize([
+      agent.name,
+      agent.description,
+      agent.trigger.replace(/-/g, " "),
+      ...(agent.a2aCapabilities || []).map(splitCamelCase)
+    ].join(" "))));
+
+    const documentFrequency = new Map();
+    derived.forEach(terms => terms.forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+    const specificity = term => agents.length > 1
+      ? Math.log(agents.length / documentFrequency.get(term)) / Math.log(agents.length)
+      : 1;
+
+    this.profiles = agents.map((agent, index) => {
+      const routing = agent.routing || {};
+      const terms = new Map();
+      derived[index].forEach(term => {
+        const weight = specificity(term);
+        if (weight > 0) terms.set(term, weight);
+      });
+
+      const phrases = [];
+      (routing.keywords || []).forEach(keyword => {
+        const phrase = keyword.toLowerCase().replace(/[^a-z0-9äöüß-]+/g, " ").trim();
+        if (phrase.includes(" ")) {
+          phrases.push(phrase);
+        } else {
+          tokenize(phrase).forEach(term => terms.set(term, KEYWORD_WEIGHT));
+        }
+      });
+
+      return {
+        agent,
+        trigger: agent.trigger.toLowerCase(),
+        terms,
+        phrases,
+        entities: routing.entities || [],
+        examples: (routing.examples || []).map(example => termVector(tokenize(example)))
+      };
+    });
+    this.profiledAgents = agents;
+
+    return this.profiles;
+  }
+
+  // ========================================================================
+  // LLM CLASSIFICATION
+  // ========================================================================
+
+  getRouterAgent() {
+    return {
+      id: "intentRouter",
+      llm: this.llmProvider ? { provider: this.llmProvider } : undefined
+    };
+  }
+
+  buildPrompt(message, entities) {
+    const agentLines = this.agentManager.agents.map(agent => {
+      const hints = agent.routing?.keywords?.length ? ` (keywords: ${agent.routing.keywords.join(", ")})` : "";
+      return `- ${agent.id}: ${agent.name} - ${agent.description || ""}${hints}`;
+    });
+
+    return [
+      "You route requests in a pharmaceutical manufacturing system to the agents that must answer them.",
+      "",
+      "Agents:",
+      ...agentLines,
+      "",
+      `Request: ${message}`,
+      `Entities found: ${JSON.stringify(entities)}`,
+      "",
+      "Choose the responsible agent. List more than one only if the request clearly spans several areas.",
+      "If the request is too vague to decide, return an empty agents list and a clarification question.",
+      'Return JSON only: {"intent": "short_snake_case_label", "agents": [{"agentId": "...", "confidence": 0.0-1.0, "reason": "..."}], "clarification": null}'
+    ].join("\n");
+  }
+
+  /**
+   * Classify with the LLM (queued like a chat call); keyword decision on failure
+   */
+  async classifyWithLLM(message, entities, fallback, signal) {
+    const routerAgent = this.getRouterAgent();
+    const manager = this.agentManager;
+
+    try {
+      const completion = await manager.executionQueue.run({
+        agentId: routerAgent.id,
+        priority: "chat",
+        label: `route: ${message.substring(0, 70)}`,
+        signal
+      }, () => manager.llmManager.generate(this.buildPrompt(message, entities), {
+        agent: routerAgent,
+        maxTokens: 300,
+        temperature: 0,
+        attribution: { source: "routing" }
+      }));
+
+      const { value, error } = extractJson(completion.text);
+      const errors = value ? validateSchema(value, ROUTING_RESPONSE_SCHEMA) : [error || "No JSON in response"];
+      if (errors.length > 0) throw new Error(`Invalid routing response: ${errors.join("; ")}`);
+
+      const scored = value.agents
+        .map(choice => ({
+          agent: manager.agents.find(agent => agent.id === choice.agentId),
+          confidence: choice.confidence,
+          reasons: [choice.reason || "LLM classification"]
+        }))
+        .filter(candidate => candidate.agent);
+
+      const llm = { provider: completion.provider, model: completion.model, error: null };
+      const decision = this.decide("llm", scored, value.intent || null, llm);
+      if (decision.ambiguous && value.clarification) {
+        decision.clarification.question = value.clarification;
+      }
+      return decision;
+    } catch (error) {
+      if (error.code === "CANCELLED") throw error;
+      this.stats.llmFailures++;
+      console.warn(`⚠️ LLM intent routing failed - using keyword routing: ${error.message}`);
+      return { ...fallback, llm: { provider: null, model: null, error: error.message } };
+    }
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      minConfidence: this.minConfidence,
+      confident: this.confident,
+      ...this.stats
+    };
+  }
+}
+
+export default IntentRouter;
@@ -0,0 +1,203 @@
+/**
+ * ========================================================================
+ * TOOL USE LOOP - AGENTS CALL MCP TOOLS WHILE REASONING
+ * ========================================================================
+ *
+ * Instead of answering from the one-shot {data} block only, an agent with
+ * a tool allow-list may look things up: the prompt lists its tools, the
+ * model replies with a tool call as JSON, the tool runs through the MCP
+ * tool registry and its result is appended to the next prompt - until the
+ * model answers in prose or the step budget is spent. Text protocol, so it
+ * works with every provider in the LLM chain (incl. replay cassettes).
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Per agent (agents.yaml):
+ *   tools:
+ *     allow: ["query_production_data", "check_compliance"]
+ *     maxSteps: 4                    # tool calls per request
+ *
+ * Every call is recorded with AuditLogger.logToolUsage() (input and output).
+ *
+ * Config: AGENT_TOOL_MAX_STEPS (default 3), AGENT_TOOL_RESULT_MAX_CHARS (default 4000)
+ * ========================================================================
+ */
+
+import { extractJson } from "../utils/jsonSchema.js";
+
+// MCP role of agent tool calls - access is scoped by the allow-list
+export const AGENT_TOOL_ROLE = "agent";
+
+export class ToolUseLoop {
+  constructor(agentManager, options = {}) {
+    this.agentManager = agentManager;
+    this.defaultMaxSteps = options.maxSteps ?? (parseInt(process.env.AGENT_TOOL_MAX_STEPS) || 3);
+    this.maxResultChars = options.maxResultChars ?? (parseInt(process.env.AGENT_TOOL_RESULT_MAX_CHARS) || 4000);
+
+    this.stats = { runs: 0, toolCalls: 0, failedCalls: 0, budgetExhausted: 0 };
+  }
+
+  /**
+   * Allowed tools of an agent that exist in the tool registry and are open to the agent role
+   * @returns {Array<{name, description, inputSchema}>}
+   */
+  getAgentTools(agent) {
+    const registry = this.agentManager.toolRegistry;
+    const allowed = agent.tools?.allow || [];
+    if (!registry || allowed.length === 0) return [];
+
+    return allowed
+      .map(name => registry.tools.get(name))
+      .filter(tool => tool && (!registry.checkPermission || registry.checkPermission(tool.name, AGENT_TOOL_ROLE)))
+      .map(tool => ({ name: tool.name, description: tool.description, inputSchema: tool.inputSchema }));
+  }
+
+  getMaxSteps(agent) {
+    return agent.tools?.maxSteps || this.defaultMaxSteps;
+  }
+
+  /**
+   * Run the loop
+   * generate(prompt) performs one (queued) LLM call and returns the completion
+   * context: { sessionId, workflowId, userId } for the audit entries
+   * @returns {{text, provider, model, latencyMs, steps: number, toolCalls: Array, budgetExhausted: boolean}}
+   */
+  async run(agent, prompt, tools, { generate, context = {} }) {
+    const maxSteps = this.getMaxSteps(agent);
+    const toolNames = tools.map(tool => tool.name);
+    const toolCalls = [];
+    const transcript = [];
+    let latencyMs = 0;
+
+    this.stats.runs++;
+
+    for (let step = 1; ; step++) {
+      const budgetLeft = maxSteps - toolCalls.length;
+      const completion = await generate(this.buildPrompt(prompt, tools, transcript, budgetLeft));
+      latencyMs += completion.latencyMs || 0;
+
+      const call = budgetLeft > 0 ? this.parseToolCall(completion.text) : null;
+      if (!call) {
+        return {
+          ...completion,
+          latencyMs,
+          steps: step,
+          toolCalls,
+          budgetExhausted: budgetLeft <= 0
+        };
+      }
+
+      const record = await this.executeTool(agent, call, toolNames, { ...context, step });
+      toolCalls.push(record);
+      transcript.push({ call, record });
+
+      if (toolCalls.length >= maxSteps) {
+        this.stats.budgetExhausted++;
+        console.log(`Agent ${agent.id} used its tool budget (${maxSteps} call(s)) - requesting final answer`);
+      }
+    }
+  }
+
+  /**
+   * Rendered agent prompt + tool instructions + results of previous calls
+   */
+  buildPrompt(prompt, tools, transcript, budgetLeft) {
+    const sections = [prompt];
+
+    if (budgetLeft > 0) {
+      sections.push([
+        "=== TOOLS ===",
+        "You can look up data before answering. To call a tool, reply with ONLY this JSON object and nothing else:",
+        '{"tool": "<name>", "arguments": { ... }}',
+        `You will get the result and can call further tools (${budgetLeft} call${budgetLeft === 1 ? "" : "s"} left). When you have what you need, reply with your final answer instead of a tool call.`,
+        "",
+        "Available tools:",
+        ...tools.map(tool => `- ${tool.name}: ${tool.description}\n  Arguments (JSON Schema): ${JSON.stringify(tool.inputSchema || {})}`)
+      ].join("\n"));
+    }
+
+    transcript.forEach(({ call, record }, index) => {
+      sections.push([
+        `=== TOOL CALL ${index + 1} ===`,
+        JSON.stringify({ tool: call.tool, arguments: call.arguments }),
+        `=== TOOL ${record.ok ? "RESULT" : "ERROR"} ===`,
+        record.ok ? this.truncate(JSON.stringify(record.output)) : record.error
+      ].join("\n"));
+    });
+
+    if (transcript.length > 0 && budgetLeft <= 0) {
+      sections.push("=== TOOL BUDGET EXHAUSTED ===\nAnswer now with the information above. Do not call further tools.");
+    }
+
+    return sections.join("\n\n");
+  }
+
+  /**
+   * {"tool": "...", "arguments": {...}} reply → call, anything else is the final answer
+   */
+  parseToolCall(text) {
+    const { value } = extractJson(text);
+    if (!value || typeof value !== "object" || Array.isArray(value) || typeof value.tool !== "string") {
+      return null;
+    }
+
+    const args = value.arguments ?? value.args ?? {};
+    return { tool: value.tool, arguments: args && typeof args === "object" && !Array.isArray(args) ? args : {} };
+  }
+
+  async executeTool(agent, call, toolNames, context) {
+    const startTime = Date.now();
+    const record = { step: context.step, tool: call.tool, input: call.arguments, ok: false, output: null, error: null, durationMs: 0 };
+
+    try {
+      if (!toolNames.includes(call.tool)) {
+        throw new Error(`Tool ${call.tool} is not allowed for ${agent.id} (allowed: ${toolNames.join(", ")})`);
+      }
+
+      const execution = await this.agentManager.toolRegistry.executeTool(call.tool, call.arguments, AGENT_TOOL_ROLE, agent.id);
+      record.ok = true;
+      record.output = execution.result;
+      record.executionId = execution.executionId;
+    } catch (error) {
+      record.error = error.message;
+      this.stats.failedCalls++;
+    }
+
+    record.durationMs = Date.now() - startTime;
+    this.stats.toolCalls++;
+
+    const outcome = record.ok ? "completed" : `failed: ${record.error}`;
+    console.log(`Agent ${agent.id} tool call ${call.tool} (step ${context.step}) ${outcome} in ${record.durationMs}ms`);
+
+    if (this.agentManager.auditLogger.logToolUsage) {
+      this.agentManager.auditLogger.logToolUsage(call.tool, {
+        agentId: agent.id,
+        step: context.step,
+        input: record.input,
+        output: record.output,
+        success: record.ok,
+        error: record.error,
+        durationMs: record.durationMs,
+        executionId: record.executionId || null,
+        sessionId: context.sessionId || null,
+        workflowId: context.workflowId || null,
+        userId: context.userId || null
+      });
+    }
+
+    return record;
+  }
+
+  truncate(text) {
+    return text.length > this.maxResultChars
+      ? `${text.slice(0, this.maxResultChars)}... [truncated ${text.length - this.maxResultChars} chars]`
+      : text;
+  }
+
+  getStats() {
+    return { ...this.stats, defaultMaxSteps: this.defaultMaxSteps };
+  }
+}
+
+export default ToolUseLoop;
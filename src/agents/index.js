@@ -1,4 +1,13 @@
-﻿import * as mar from "./mar.agent.js";
-import * as cmo from "./cmo.agent.js";
-const modules = { mar, cmo };
+// agents/index.js
+// Code agent modules - deterministic handlers behind agents.yaml entries with `module: <name>`
+//   export const intents = { "<name>.<intent>": { description, keywords } }
+//   export async function handle({ intent, context: { data, params } })
+//     → { ok: true, result, summary } | { ok: false, error }
+// data.get(dataType) reads the DataManager snapshot, data.getOEE() the live OEE lines
+import * as planning from "./planning.agent.js";
+import * as qa from "./quality-intelligence.agent.js";
+import * as supply from "./supply-intelligence.agent.js";
+
+const modules = { planning, qa, supply };
 export const getModule = (ns) => modules[ns];
+export const listModules = () => Object.keys(modules);
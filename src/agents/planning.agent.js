@@ -1,574 +1,326 @@
-// NEXT AGENTIC AI BUSINESS FEATURES FOR MANUFACTURING
-// ===================================================
-
-// 1. INTELLIGENT PRODUCTION PLANNING AGENT
-// ----------------------------------------
-// src/agents/planning.agent.js
-export async function handle({ intent, context }) {
-  const { data, llm, a2a } = context;
-  
-  switch (intent) {
-    case 'planning.optimize_weekly':
-      return await optimizeWeeklyPlan(data, llm, a2a);
-    
-    case 'planning.suggest_schedule':
-      return await suggestOptimalSchedule(context, data, llm);
-    
-    case 'planning.analyze_bottlenecks':
-      return await analyzeBottlenecks(data, llm, a2a);
-    
-    default:
-      return { ok: false, error: `Unknown planning intent: ${intent}` };
+/**
+ * ========================================================================
+ * PLANNING AGENT MODULE - ORDER SEQUENCING AND LINE LOAD
+ * ========================================================================
+ *
+ * Deterministic planning logic behind planningAgent (agents.yaml).
+ * Orders are sequenced by due date onto the work centers of their
+ * operations; risks come from QA status and open issues on the material,
+ * the order or the lines it runs on.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Intents:
+ *   planning.optimize_weekly     - sequence all open orders over the horizon
+ *   planning.suggest_schedule    - schedule for selected (orderIds) or urgent orders
+ *   planning.analyze_bottlenecks - line utilization vs capacity, line issues, OEE
+ *
+ * Params: from (ISO date, default earliest open order start), days (default 7),
+ *         orderIds / orderId
+ *
+ * Config: PLANNING_HOURS_PER_DAY (default 16)
+ * ========================================================================
+ */
+
+import { asList, isOpenOrder, isOpenIssue, parseHours, linesMentioned, mentions, addDays } from "../utils/productionData.js";
+import { daysBetween } from "../utils/shelfLife.js";
+
+const DEFAULT_HORIZON_DAYS = 7;
+const URGENT_DAYS = 3;
+const BOTTLENECK_UTILIZATION = 0.85;
+const LOW_OEE = 65;
+
+export const intents = {
+  "planning.optimize_weekly": {
+    description: "Sequence all open orders over the planning week and report line load",
+    keywords: ["week", "weekly", "optimize", "plan"]
+  },
+  "planning.suggest_schedule": {
+    description: "Schedule proposal for selected or urgent orders",
+    keywords: ["schedule", "sequence", "urgent", "when"]
+  },
+  "planning.analyze_bottlenecks": {
+    description: "Line utilization against capacity with blocking issues and OEE",
+    keywords: ["bottleneck", "capacity", "utilization", "load"]
   }
-}
-
-async function optimizeWeeklyPlan(data, llm, a2a) {
-  // Get current orders and constraints
-  const orders = await data.listOrders({ status: 'pending' });
-  const equipment = await data.getEquipment({ status: 'operational' });
-  const inventory = await data.getInventory();
-  
-  // AI-powered analysis using LLM
-  const analysisPrompt = `Analyze this pharmaceutical production situation and create an optimal weekly plan:
-
-ORDERS TO SCHEDULE:
-${orders.map(o => `- ${o.material}: ${o.qty} units, Due: ${o.dueDate}, Priority: ${o.priority}`).join('\n')}
-
-AVAILABLE EQUIPMENT:
-${equipment.map(e => `- ${e.name}: Capacity ${e.capacity}, Efficiency ${e.currentEfficiency}%`).join('\n')}
-
-CONSTRAINTS:
-- GMP compliance required
-- Quality testing time: 4-6 hours per batch
-- Changeover time between products: 2-4 hours
-- Maximum 16 hours production per day
-
-Create a production plan that:
-1. Maximizes equipment utilization
-2. Meets all due dates
-3. Minimizes changeovers
-4. Balances workload across the week
-
-Format as structured plan with reasoning.`;
-
-  const llmResponse = await llm.chat([
-    { role: 'user', content: analysisPrompt }
-  ], { temperature: 0.3 });
-
-  // Use MAR agent to validate feasibility
-  const validationResult = await a2a('mar.validate_plan', {
-    proposedPlan: llmResponse.text,
-    orders,
-    equipment
-  });
-
-  // Use QA agent to check quality requirements
-  const qaCheck = await a2a('qa.validate_schedule', {
-    materials: orders.map(o => o.material),
-    timeline: 'weekly'
-  });
-
-  return {
-    ok: true,
-    optimizedPlan: {
-      llmSuggestion: llmResponse.text,
-      validation: validationResult,
-      qualityCheck: qaCheck,
-      confidence: validationResult.feasible && qaCheck.ok ? 0.9 : 0.6
-    },
-    nextActions: [
-      'Review with production manager',
-      'Validate material availability',
-      'Schedule quality inspections'
-    ]
-  };
-}
-
-async function suggestOptimalSchedule(context, data, llm) {
-  const { urgentOrders, constraints } = context;
-  
-  // AI agent suggests best scheduling approach
-  const prompt = `As a pharmaceutical production scheduling expert, suggest the optimal approach for these urgent orders:
-
-URGENT ORDERS:
-${urgentOrders.map(o => `${o.material} - ${o.qty} units - Due: ${o.dueDate}`).join('\n')}
-
-CURRENT CONSTRAINTS:
-${JSON.stringify(constraints, null, 2)}
+};
 
-Consider:
-- Regulatory requirements
-- Equipment capabilities  
-- Quality testing time
-- Material availability
-- Batch size optimization
+export async function handle({ intent, context }) {
+  const { data, params = {} } = context;
 
-Provide specific scheduling recommendations with business justification.`;
+  switch (intent) {
+    case "planning.optimize_weekly":
+      return optimizeWeeklyPlan(data, params);
 
-  const suggestion = await llm.chat([
-    { role: 'user', content: prompt }
-  ], { temperature: 0.2 });
+    case "planning.suggest_schedule":
+      return suggestSchedule(data, params);
 
-  return {
-    ok: true,
-    aiSuggestion: suggestion.text,
-    confidence: 0.85,
-    businessImpact: 'High - Addresses urgent customer demands'
-  };
-}
+    case "planning.analyze_bottlenecks":
+      return analyzeBottlenecks(data, params);
 
-// 2. INTELLIGENT QUALITY DECISION AGENT
-// -------------------------------------
-// src/agents/quality-intelligence.agent.js
-export async function handle({ intent, context }) {
-  const { data, llm, a2a, eventBus } = context;
-  
-  switch (intent) {
-    case 'qa.intelligent_assessment':
-      return await intelligentQualityAssessment(context, llm, a2a);
-    
-    case 'qa.predict_quality_risk':
-      return await predictQualityRisk(context, data, llm);
-    
-    case 'qa.auto_deviation_investigation':
-      return await autoDeviationInvestigation(context, llm, a2a);
-    
-    case 'qa.recommend_action':
-      return await recommendQualityAction(context, llm);
-    
     default:
-      return { ok: false, error: `Unknown QA intelligence intent: ${intent}` };
+      return { ok: false, error: `Unknown planning intent: ${intent}` };
   }
 }
 
-async function intelligentQualityAssessment(context, llm, a2a) {
-  const { batchId, testResults, historicalData } = context;
-  
-  // AI analyzes quality data patterns
-  const analysisPrompt = `Analyze these pharmaceutical quality test results for Batch ${batchId}:
-
-CURRENT TEST RESULTS:
-${JSON.stringify(testResults, null, 2)}
-
-HISTORICAL PERFORMANCE (last 10 batches):
-${JSON.stringify(historicalData, null, 2)}
-
-As a pharmaceutical quality expert:
-1. Assess if results are within acceptable limits
-2. Identify any concerning trends
-3. Recommend immediate actions
-4. Suggest preventive measures
-5. Estimate release probability
-
-Consider GMP requirements and patient safety as top priorities.`;
-
-  const aiAssessment = await llm.chat([
-    { role: 'user', content: analysisPrompt }
-  ], { temperature: 0.1 }); // Low temperature for consistent quality decisions
-
-  // Get regulatory compliance check
-  const complianceCheck = await a2a('regulatory.validate_release', {
-    batchId,
-    testResults,
-    assessment: aiAssessment.text
-  });
+// ========================================================================
+// INTENTS
+// ========================================================================
+
+function optimizeWeeklyPlan(data, params) {
+  const planning = loadPlanningData(data);
+  const horizon = resolveHorizon(planning.openOrders, params);
+  const inHorizon = planning.openOrders.filter(order => !order.startDate || order.startDate < horizon.to);
+  const schedule = scheduleOrders(inHorizon, horizon, planning);
+
+  const result = {
+    horizon,
+    plannedOrders: schedule.orders,
+    lineLoad: schedule.lineLoad,
+    changeovers: schedule.changeovers,
+    outsideHorizon: planning.openOrders.filter(order => !inHorizon.includes(order)).map(order => order.orderId)
+  };
 
   return {
     ok: true,
-    aiAssessment: aiAssessment.text,
-    complianceStatus: complianceCheck,
-    recommendation: extractRecommendation(aiAssessment.text),
-    confidence: calculateConfidence(testResults, historicalData),
-    businessImpact: assessBusinessImpact(testResults)
+    result,
+    summary: [
+      `**Weekly plan ${horizon.from} → ${horizon.to}** (${inHorizon.length} open orders, ${horizon.hoursPerDay}h/day)`,
+      "",
+      renderOrderTable(schedule.orders),
+      "",
+      `**Line load:** ${renderLineLoad(schedule.lineLoad)}`,
+      `**Changeovers:** ${schedule.changeovers}`,
+      ...renderRisks(schedule.orders)
+    ].join("\n")
   };
 }
 
-async function predictQualityRisk(context, data, llm) {
-  const { materialId, processParameters, environmentalData } = context;
-  
-  // Get historical quality data
-  const historicalQuality = await data.getQcLots({ 
-    material: materialId,
-    limit: 50 
-  });
-  
-  const riskPrompt = `Predict quality risks for manufacturing ${materialId} based on:
-
-PROCESS PARAMETERS:
-${JSON.stringify(processParameters, null, 2)}
+function suggestSchedule(data, params) {
+  const planning = loadPlanningData(data);
+  const horizon = resolveHorizon(planning.openOrders, params);
+  const requested = [params.orderIds, params.orderId].flat().filter(Boolean);
 
-ENVIRONMENTAL CONDITIONS:
-${JSON.stringify(environmentalData, null, 2)}
+  const selected = requested.length > 0
+    ? planning.openOrders.filter(order => requested.includes(order.orderId))
+    : planning.openOrders.filter(order => order.endDate && (daysBetween(horizon.from, order.endDate) ?? Infinity) <= URGENT_DAYS);
+  const schedule = scheduleOrders(selected, horizon, planning);
 
-HISTORICAL QUALITY TRENDS:
-${historicalQuality.map(q => `${q.testDate}: ${q.overallResult} - Key issues: ${q.deviations || 'None'}`).join('\n')}
-
-Predict:
-1. Probability of quality issues (0-100%)
-2. Most likely failure modes
-3. Preventive actions to reduce risk
-4. Critical control points to monitor
-
-Focus on actionable insights for production team.`;
-
-  const prediction = await llm.chat([
-    { role: 'user', content: riskPrompt }
-  ], { temperature: 0.2 });
+  const recommendations = schedule.orders.map(order => ({
+    orderId: order.orderId,
+    recommendation: recommendOrder(order)
+  }));
 
   return {
     ok: true,
-    riskPrediction: prediction.text,
-    riskScore: extractRiskScore(prediction.text),
-    preventiveActions: extractActions(prediction.text),
-    monitoringPoints: extractControlPoints(prediction.text)
+    result: {
+      horizon,
+      selection: requested.length > 0 ? "requested" : `due within ${URGENT_DAYS} days`,
+      notFound: requested.filter(orderId => !selected.some(order => order.orderId === orderId)),
+      plannedOrders: schedule.orders,
+      recommendations
+    },
+    summary: [
+      `**Schedule proposal** (${selected.length} ${requested.length > 0 ? "requested" : "urgent"} orders from ${horizon.from})`,
+      "",
+      selected.length > 0 ? renderOrderTable(schedule.orders) : "No matching open orders.",
+      "",
+      ...recommendations.map(({ orderId, recommendation }) => `- **${orderId}:** ${recommendation}`)
+    ].join("\n")
   };
 }
 
-// 3. SUPPLY CHAIN INTELLIGENCE AGENT
-// ----------------------------------
-// src/agents/supply-intelligence.agent.js
-export async function handle({ intent, context }) {
-  const { data, llm, a2a } = context;
-  
-  switch (intent) {
-    case 'supply.predict_shortage':
-      return await predictMaterialShortage(context, data, llm);
-    
-    case 'supply.optimize_procurement':
-      return await optimizeProcurement(context, llm, a2a);
-    
-    case 'supply.supplier_risk_analysis':
-      return await analyzeSupplierRisk(context, llm);
-    
-    case 'supply.demand_forecast':
-      return await forecastDemand(context, data, llm);
-    
-    default:
-      return { ok: false, error: `Unknown supply intelligence intent: ${intent}` };
-  }
-}
+function analyzeBottlenecks(data, params) {
+  const planning = loadPlanningData(data);
+  const horizon = resolveHorizon(planning.openOrders, params);
+  const schedule = scheduleOrders(planning.openOrders, horizon, planning);
 
-async function predictMaterialShortage(context, data, llm) {
-  const { timeframe = '30d' } = context;
-  
-  // Get current inventory and consumption patterns
-  const inventory = await data.getInventory();
-  const orders = await data.listOrders({ 
-    status: ['pending', 'released'],
-    limit: 100 
-  });
-  
-  const forecastPrompt = `Analyze material consumption and predict potential shortages:
+  const lines = new Set([...Object.keys(schedule.lineLoad), ...planning.oee.map(entry => entry.line).filter(Boolean)]);
+  const analysis = [...lines].map(line => {
+    const load = schedule.lineLoad[line] || { plannedHours: 0, capacityHours: horizon.days * horizon.hoursPerDay, utilization: 0 };
+    const issues = planning.issues
+      .filter(issue => linesMentioned(issue.description).includes(line))
+      .map(issue => ({ issueId: issue.issueId, severity: issue.severity, description: issue.description }));
+    const oee = planning.oee.find(entry => entry.line === line)?.metrics?.oee ?? null;
 
-CURRENT INVENTORY:
-${inventory.map(i => `${i.material}: ${i.qty} ${i.unitOfMeasure} (Reorder level: ${i.reorderLevel})`).join('\n')}
+    const reasons = [];
+    if (load.utilization >= BOTTLENECK_UTILIZATION) reasons.push(`utilization ${Math.round(load.utilization * 100)}%`);
+    issues.forEach(issue => reasons.push(`${issue.severity} issue ${issue.issueId}`));
+    if (oee !== null && oee < LOW_OEE) reasons.push(`OEE ${oee}%`);
 
-UPCOMING PRODUCTION ORDERS:
-${orders.map(o => `${o.material}: ${o.qty} units planned`).join('\n')}
+    return { line, ...load, oee, issues, bottleneck: reasons.length > 0, reasons };
+  }).sort((a, b) => Number(b.bottleneck) - Number(a.bottleneck) || b.utilization - a.utilization);
 
-TIMEFRAME: ${timeframe}
-
-Predict:
-1. Materials at risk of shortage
-2. Estimated shortage dates
-3. Business impact of each shortage
-4. Recommended procurement actions
-5. Alternative sourcing options
-
-Prioritize by business criticality and lead times.`;
-
-  const forecast = await llm.chat([
-    { role: 'user', content: forecastPrompt }
-  ], { temperature: 0.2 });
+  const bottlenecks = analysis.filter(entry => entry.bottleneck);
 
   return {
     ok: true,
-    shortageForecast: forecast.text,
-    criticalMaterials: extractCriticalMaterials(forecast.text),
-    recommendedActions: extractProcurementActions(forecast.text),
-    businessImpact: 'Prevents production delays and customer issues'
+    result: { horizon, lines: analysis, bottlenecks: bottlenecks.map(entry => entry.line) },
+    summary: [
+      `**Bottleneck analysis ${horizon.from} → ${horizon.to}**`,
+      "",
+      bottlenecks.length > 0
+        ? bottlenecks.map(entry => `- **${entry.line}**: ${entry.reasons.join(", ")}`).join("\n")
+        : "No bottleneck - all lines below capacity without open line issues.",
+      "",
+      `**Line load:** ${renderLineLoad(schedule.lineLoad)}`
+    ].join("\n")
   };
 }
 
-async function optimizeProcurement(context, llm, a2a) {
-  const { materials, budget, urgency } = context;
-  
-  const optimizationPrompt = `Optimize procurement strategy for these materials:
-
-MATERIALS NEEDED:
-${materials.map(m => `${m.id}: ${m.quantity} ${m.unit} - Urgency: ${m.urgency}`).join('\n')}
-
-BUDGET CONSTRAINT: ${budget}
-URGENCY LEVEL: ${urgency}
-
-Consider:
-- Supplier lead times and reliability
-- Cost optimization vs speed
-- Quality requirements
-- Regulatory approvals
-- Market conditions
-
-Provide optimized procurement plan with:
-1. Supplier recommendations
-2. Order quantities and timing
-3. Cost-benefit analysis
-4. Risk mitigation strategies`;
-
-  const optimization = await llm.chat([
-    { role: 'user', content: optimizationPrompt }
-  ], { temperature: 0.3 });
-
-  // Validate with CMO agent
-  const cmoValidation = await a2a('cmo.validate_procurement_plan', {
-    materials,
-    plan: optimization.text,
-    budget
-  });
+// ========================================================================
+// SCHEDULING
+// ========================================================================
 
+function loadPlanningData(data) {
   return {
-    ok: true,
-    optimizedPlan: optimization.text,
-    validation: cmoValidation,
-    estimatedSavings: calculateSavings(optimization.text),
-    riskLevel: assessProcurementRisk(materials, urgency)
+    openOrders: asList(data.get("orders")).filter(isOpenOrder),
+    qa: asList(data.get("qa")),
+    issues: asList(data.get("issues")).filter(isOpenIssue),
+    oee: asList(data.getOEE())
   };
 }
 
-// 4. INTELLIGENT CHATBOT INTERFACE
-// --------------------------------
-// src/services/IntelligentChatbot.js
-export class IntelligentChatbot {
-  constructor({ router, llm, eventBus }) {
-    this.router = router;
-    this.llm = llm;
-    this.eventBus = eventBus;
-    this.conversationMemory = new Map();
-  }
+function resolveHorizon(orders, params) {
+  const starts = orders.map(order => order.startDate).filter(Boolean).sort();
+  const from = String(params.from || starts[0] || new Date().toISOString()).slice(0, 10);
+  const days = parseInt(params.days) || DEFAULT_HORIZON_DAYS;
+  return { from, to: addDays(from, days), days, hoursPerDay: parseInt(process.env.PLANNING_HOURS_PER_DAY) || 16 };
+}
 
-  async handleNaturalLanguageQuery(userMessage, userId) {
-    // Maintain conversation context
-    const conversation = this.conversationMemory.get(userId) || [];
-    
-    // AI intent detection and context understanding
-    const intentPrompt = `Analyze this pharmaceutical manufacturing query and determine the best agent to handle it:
-
-USER MESSAGE: "${userMessage}"
-
-CONVERSATION HISTORY:
-${conversation.slice(-3).map(c => `${c.role}: ${c.message}`).join('\n')}
-
-Available agent capabilities:
-- MAR: Production planning, batch release, scheduling
-- QA: Quality assessment, compliance checks, testing
-- CMO: Supply chain, procurement, logistics
-- PLANNING: Weekly optimization, bottleneck analysis
-- SUPPLY-INTEL: Shortage prediction, demand forecasting
-
-Respond with:
-1. Best agent intent (e.g., "planning.optimize_weekly")
-2. Extracted parameters
-3. Confidence level
-4. User-friendly explanation
-
-Format as JSON.`;
-
-    const intentAnalysis = await this.llm.chat([
-      { role: 'user', content: intentPrompt }
-    ], { temperature: 0.1 });
-
-    let parsedIntent;
-    try {
-      parsedIntent = JSON.parse(intentAnalysis.text);
-    } catch {
-      // Fallback to simple intent detection
-      parsedIntent = this.fallbackIntentDetection(userMessage);
-    }
+/**
+ * Sequence orders by due date (then order id) onto their work centers
+ * Operations of an order run one after another, a line runs one operation at a time
+ */
+function scheduleOrders(orders, horizon, planning) {
+  const { from, days, hoursPerDay } = horizon;
+  const lineFree = new Map(); // line → working hours from horizon start until free
+  const lineHours = new Map();
+  const lineMaterials = new Map(); // line → materials in run order (changeovers)
+
+  const scheduled = [...orders]
+    .sort((a, b) => String(a.endDate || "9999").localeCompare(String(b.endDate || "9999")) || String(a.orderId).localeCompare(String(b.orderId)))
+    .map(order => {
+      let ready = Math.max(0, (daysBetween(from, order.startDate) ?? 0) * hoursPerDay);
+      let start = null;
+      let hours = 0;
+      const lines = [];
+
+      (order.operations || []).forEach(operation => {
+        const line = operation.workCenter || "UNASSIGNED";
+        const duration = parseHours(operation.durationPlanned);
+        const operationStart = Math.max(ready, lineFree.get(line) || 0);
+
+        ready = operationStart + duration;
+        start = start ?? operationStart;
+        hours += duration;
+        lineFree.set(line, ready);
+        lineHours.set(line, (lineHours.get(line) || 0) + duration);
+        if (!lines.includes(line)) lines.push(line);
+
+        const materials = lineMaterials.get(line) || [];
+        if (materials[materials.length - 1] !== order.material) materials.push(order.material);
+        lineMaterials.set(line, materials);
+      });
 
-    // Route to appropriate agent
-    const agentResponse = await this.router.route({
-      intent: parsedIntent.intent,
-      context: {
-        ...parsedIntent.parameters,
-        userMessage,
-        conversationHistory: conversation
-      }
+      const plannedFinish = workingHoursToDate(from, ready, hoursPerDay, true);
+      const late = Boolean(order.endDate) && plannedFinish > order.endDate;
+      const risks = orderRisks(order, lines, planning);
+      if (late) risks.push({ severity: "medium", type: "due_date", detail: `finishes ${plannedFinish}, due ${order.endDate}` });
+
+      return {
+        orderId: order.orderId,
+        material: order.material,
+        qty: order.qty,
+        dueDate: order.endDate || null,
+        plannedStart: workingHoursToDate(from, start ?? ready, hoursPerDay),
+        plannedFinish,
+        hours,
+        lines,
+        late,
+        status: risks.some(risk => risk.severity === "critical") ? "BLOCKED" : risks.length > 0 ? "AT_RISK" : "ON_TRACK",
+        risks
+      };
     });
 
-    // Generate human-friendly response
-    const responsePrompt = `Convert this technical agent response into a friendly, business-focused answer:
-
-USER ASKED: "${userMessage}"
-AGENT RESPONSE: ${JSON.stringify(agentResponse.result, null, 2)}
-
-Create a response that:
-1. Directly answers the user's question
-2. Highlights key business insights
-3. Suggests next actions
-4. Uses simple, professional language
-5. Shows the AI's reasoning
-
-Keep it concise but informative.`;
-
-    const friendlyResponse = await this.llm.chat([
-      { role: 'user', content: responsePrompt }
-    ], { temperature: 0.4 });
-
-    // Update conversation memory
-    conversation.push(
-      { role: 'user', message: userMessage, timestamp: new Date() },
-      { role: 'assistant', message: friendlyResponse.text, timestamp: new Date() }
-    );
-    this.conversationMemory.set(userId, conversation.slice(-10)); // Keep last 10 exchanges
-
-    return {
-      response: friendlyResponse.text,
-      agentUsed: parsedIntent.intent,
-      confidence: parsedIntent.confidence,
-      suggestedActions: extractSuggestedActions(agentResponse.result),
-      technicalDetails: agentResponse.result
-    };
-  }
+  const capacityHours = days * hoursPerDay;
+  const lineLoad = Object.fromEntries([...lineHours.entries()].sort().map(([line, plannedHours]) => [line, {
+    plannedHours,
+    capacityHours,
+    utilization: Math.round((plannedHours / capacityHours) * 100) / 100
+  }]));
+  const changeovers = [...lineMaterials.values()].reduce((sum, materials) => sum + Math.max(0, materials.length - 1), 0);
 
-  fallbackIntentDetection(message) {
-    const msg = message.toLowerCase();
-    
-    if (msg.includes('plan') || msg.includes('schedule') || msg.includes('optimize')) {
-      return { intent: 'planning.optimize_weekly', parameters: {}, confidence: 0.7 };
-    }
-    if (msg.includes('quality') || msg.includes('test') || msg.includes('release')) {
-      return { intent: 'qa.intelligent_assessment', parameters: {}, confidence: 0.7 };
-    }
-    if (msg.includes('material') || msg.includes('supply') || msg.includes('shortage')) {
-      return { intent: 'supply.predict_shortage', parameters: {}, confidence: 0.7 };
-    }
-    
-    return { intent: 'mar.assess_orders', parameters: {}, confidence: 0.5 };
-  }
+  return { orders: scheduled, lineLoad, changeovers };
 }
 
-// 5. ENHANCED CHAT ENDPOINT WITH AI CONVERSATION
-// ---------------------------------------------
-// Enhanced chat controller in app.js
-app.post('/api/chat/intelligent', auth, async (req, res) => {
-  try {
-    const { message, userId = 'anonymous' } = req.body;
-    
-    if (!message?.trim()) {
-      return res.status(400).json({ error: 'Message required' });
-    }
+function workingHoursToDate(from, hours, hoursPerDay, isEnd = false) {
+  const day = isEnd ? Math.max(0, Math.ceil(hours / hoursPerDay) - 1) : Math.floor(hours / hoursPerDay);
+  return addDays(from, day);
+}
 
-    // Use intelligent chatbot
-    if (!services.intelligentChatbot) {
-      services.intelligentChatbot = new IntelligentChatbot({
-        router: services.router,
-        llm: services.llm,
-        eventBus: services.eventBus
+/**
+ * QA status of the material and open issues on material, order or lines
+ */
+function orderRisks(order, lines, { qa, issues }) {
+  const risks = [];
+
+  qa.filter(record => record.material === order.material && String(record.status).toLowerCase() !== "completed")
+    .forEach(record => risks.push({
+      severity: "high",
+      type: "qa",
+      detail: `QA ${String(record.status).toLowerCase()} for ${order.material}${record.priority ? ` (priority ${record.priority})` : ""}`
+    }));
+
+  issues.forEach(issue => {
+    const onLine = linesMentioned(issue.description).find(line => lines.includes(line));
+    if (mentions(issue.description, order.material) || mentions(issue.description, order.orderId) || onLine) {
+      risks.push({
+        severity: String(issue.severity || "medium").toLowerCase(),
+        type: String(issue.type || "issue").toLowerCase(),
+        issueId: issue.issueId,
+        detail: `${issue.issueId}${onLine ? ` on ${onLine}` : ""}: ${issue.description}`
       });
     }
+  });
 
-    const response = await services.intelligentChatbot.handleNaturalLanguageQuery(
-      message, 
-      userId
-    );
-
-    res.json({
-      ok: true,
-      ...response,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Intelligent chat error:', error);
-    res.status(500).json({ 
-      error: error.message,
-      fallback: 'Try using specific commands or contact support'
-    });
-  }
-});
-
-// 6. BUSINESS INTELLIGENCE DASHBOARD
-// ----------------------------------
-app.get('/api/intelligence/insights', auth, async (req, res) => {
-  try {
-    const { timeframe = '7d' } = req.query;
-    
-    // Get AI-powered business insights
-    const insights = await Promise.all([
-      // Production optimization insights
-      services.router.route({
-        intent: 'planning.analyze_bottlenecks',
-        context: { timeframe, data: appData }
-      }),
-      
-      // Quality trends
-      services.router.route({
-        intent: 'qa.predict_quality_risk',
-        context: { timeframe, data: appData }
-      }),
-      
-      // Supply chain predictions
-      services.router.route({
-        intent: 'supply.predict_shortage',
-        context: { timeframe, data: appData }
-      })
-    ]);
-
-    res.json({
-      ok: true,
-      timeframe,
-      insights: {
-        production: insights[0].result,
-        quality: insights[1].result,
-        supply: insights[2].result
-      },
-      generatedAt: new Date().toISOString(),
-      aiPowered: true
-    });
-
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Helper functions
-function extractRecommendation(aiText) {
-  // Extract key recommendations from AI response
-  const lines = aiText.split('\n');
-  const recommendations = lines.filter(line => 
-    line.includes('recommend') || 
-    line.includes('suggest') || 
-    line.includes('action')
-  );
-  return recommendations.slice(0, 3).join('; ');
+  return risks;
 }
 
-function calculateConfidence(testResults, historicalData) {
-  // Simple confidence calculation based on data completeness
-  const dataQuality = (testResults ? 0.5 : 0) + (historicalData?.length > 5 ? 0.5 : 0);
-  return Math.min(0.95, 0.6 + dataQuality);
+function recommendOrder(order) {
+  if (order.status === "BLOCKED") {
+    const blocking = order.risks.filter(risk => risk.severity === "critical").map(risk => risk.issueId || risk.type);
+    return `Do not start - resolve ${blocking.join(", ")} first`;
+  }
+  if (order.late) return `Start ${order.plannedStart} on ${order.lines.join(", ")}; due date ${order.dueDate} at risk - add shift or split the order`;
+  if (order.risks.length > 0) return `Start ${order.plannedStart} on ${order.lines.join(", ")} after clearing: ${order.risks.map(risk => risk.detail).join("; ")}`;
+  return `Start ${order.plannedStart} on ${order.lines.join(", ")}, finish ${order.plannedFinish}`;
 }
 
-function extractRiskScore(aiText) {
-  const match = aiText.match(/(\d+)%/);
-  return match ? parseInt(match[1]) : 50;
+// ========================================================================
+// SUMMARY RENDERING
+// ========================================================================
+
+function renderOrderTable(orders) {
+  return [
+    "| Order | Material | Qty | Due | Planned | Lines | Status |",
+    "|-------|----------|-----|-----|---------|-------|--------|",
+    ...orders.map(order =>
+      `| ${order.orderId} | ${order.material} | ${order.qty} | ${order.dueDate || "-"} | ${order.plannedStart} → ${order.plannedFinish} | ${order.lines.join(", ")} | ${order.status} |`)
+  ].join("\n");
 }
 
-function extractActions(aiText) {
-  const lines = aiText.split('\n');
-  return lines
-    .filter(line => line.includes('action') || line.includes('prevent'))
-    .slice(0, 3);
+function renderLineLoad(lineLoad) {
+  const entries = Object.entries(lineLoad);
+  if (entries.length === 0) return "no operations planned";
+  return entries
+    .map(([line, load]) => `${line} ${load.plannedHours}h/${load.capacityHours}h (${Math.round(load.utilization * 100)}%)`)
+    .join(", ");
 }
 
-function extractCriticalMaterials(aiText) {
-  // Extract material codes mentioned in the AI response
-  const materials = aiText.match(/[A-Z]+-\d+/g) || [];
-  return [...new Set(materials)];
+function renderRisks(orders) {
+  const risky = orders.filter(order => order.risks.length > 0);
+  if (risky.length === 0) return [];
+  return ["", "**Risks:**", ...risky.flatMap(order => order.risks.map(risk => `- ${order.orderId} [${risk.severity}] ${risk.detail}`))];
 }
-
-function extractSuggestedActions(agentResult) {
-  return agentResult.nextActions || 
-         agentResult.recommendedActions || 
-         agentResult.actions || 
-         ['Review results', 'Take appropriate action'];
-}
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * ========================================================================
+ * QUALITY INTELLIGENCE AGENT MODULE - BATCH RISK AND RELEASE READINESS
+ * ========================================================================
+ *
+ * Deterministic quality logic behind qualityIntelligenceAgent
+ * (agents.yaml). Batch risk is a weighted score over quality status, QA
+ * queue, compliance record, open issues and storage conditions - every
+ * point is traceable to a factor with a recommended action.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Intents:
+ *   qa.predict_quality_risk  - risk score (0-100) and factors per batch
+ *   qa.intelligent_assessment - RELEASE / HOLD / BLOCK recommendation per batch
+ *   qa.recommend_action      - prioritized actions across batches and open issues
+ *
+ * Params: batchId, materialId
+ * ========================================================================
+ */
+
+import { asList, isOpenIssue, mentions } from "../utils/productionData.js";
+
+const QUALITY_STATUS_POINTS = { rejected: 40, pending: 15, in_progress: 10 };
+const ISSUE_SEVERITY_POINTS = { critical: 40, high: 25, medium: 10, low: 5 };
+const TEMPERATURE_RANGE = [15, 25]; // °C, controlled room temperature
+const MAX_HUMIDITY = 60; // % rH
+const HIGH_RISK = 60;
+const MEDIUM_RISK = 30;
+
+export const intents = {
+  "qa.predict_quality_risk": {
+    description: "Quality risk score with contributing factors per batch",
+    keywords: ["risk", "predict", "deviation", "trend"]
+  },
+  "qa.intelligent_assessment": {
+    description: "Release recommendation (RELEASE / HOLD / BLOCK) per batch",
+    keywords: ["release", "assessment", "disposition", "ready"]
+  },
+  "qa.recommend_action": {
+    description: "Prioritized quality actions across batches and open issues",
+    keywords: ["action", "recommend", "next", "capa"]
+  }
+};
+
+export async function handle({ intent, context }) {
+  const { data, params = {} } = context;
+
+  switch (intent) {
+    case "qa.predict_quality_risk":
+      return predictQualityRisk(data, params);
+
+    case "qa.intelligent_assessment":
+      return assessBatches(data, params);
+
+    case "qa.recommend_action":
+      return recommendActions(data, params);
+
+    default:
+      return { ok: false, error: `Unknown QA intelligence intent: ${intent}` };
+  }
+}
+
+// ========================================================================
+// INTENTS
+// ========================================================================
+
+function predictQualityRisk(data, params) {
+  const quality = loadQualityData(data, params);
+  const risks = quality.batches.map(batch => scoreBatch(batch, quality)).sort((a, b) => b.riskScore - a.riskScore);
+
+  return {
+    ok: true,
+    result: { batches: risks },
+    summary: [
+      `**Quality risk forecast** (${risks.length} batches)`,
+      "",
+      "| Batch | Material | Risk | Main factors |",
+      "|-------|----------|------|--------------|",
+      ...risks.map(risk =>
+        `| ${risk.batchId} | ${risk.material} | ${risk.riskLevel} (${risk.riskScore}) | ${risk.factors.slice(0, 3).map(factor => factor.detail).join("; ") || "-"} |`)
+    ].join("\n")
+  };
+}
+
+function assessBatches(data, params) {
+  const quality = loadQualityData(data, params);
+  const assessments = quality.batches.map(batch => assessBatch(batch, quality));
+
+  return {
+    ok: true,
+    result: { assessments },
+    summary: [
+      `**Batch release assessment** (${assessments.length} batches)`,
+      "",
+      ...assessments.map(assessment =>
+        `- **${assessment.batchId}** (${assessment.material}): **${assessment.recommendation}** - ${assessment.reasons.join("; ")}`)
+    ].join("\n")
+  };
+}
+
+function recommendActions(data, params) {
+  const quality = loadQualityData(data, params);
+  const actions = [];
+
+  quality.batches
+    .map(batch => scoreBatch(batch, quality))
+    .filter(risk => risk.riskScore >= MEDIUM_RISK)
+    .forEach(risk => risk.factors.forEach(factor => actions.push({
+      priority: risk.riskLevel,
+      batchId: risk.batchId,
+      action: factor.action,
+      reason: factor.detail
+    })));
+
+  // Quality-relevant issues not tied to a batch (e.g. storage deviations)
+  quality.issues
+    .filter(issue => ["quality", "deviation"].includes(String(issue.type).toLowerCase()))
+    .filter(issue => !quality.batches.some(batch => mentions(issue.description, batch.id) || mentions(issue.description, batch.material)))
+    .forEach(issue => actions.push({
+      priority: ["critical", "high"].includes(String(issue.severity).toLowerCase()) ? "HIGH" : "MEDIUM",
+      batchId: null,
+      action: `Investigate ${issue.issueId} and assess impact on stored material`,
+      reason: issue.description
+    }));
+
+  const order = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+  actions.sort((a, b) => order[a.priority] - order[b.priority]);
+
+  return {
+    ok: true,
+    result: { actions },
+    summary: [
+      `**Recommended quality actions** (${actions.length})`,
+      "",
+      ...(actions.length > 0
+        ? actions.map(item => `- [${item.priority}]${item.batchId ? ` ${item.batchId}:` : ""} ${item.action} (${item.reason})`)
+        : ["No open quality actions."])
+    ].join("\n")
+  };
+}
+
+// ========================================================================
+// SCORING
+// ========================================================================
+
+function loadQualityData(data, params) {
+  const batches = asList(data.get("batches"))
+    .filter(batch => !params.batchId || batch.id === params.batchId)
+    .filter(batch => !params.materialId || batch.material === params.materialId);
+
+  return {
+    batches,
+    qa: asList(data.get("qa")),
+    compliance: asList(data.get("compliance"), "compliance"),
+    issues: asList(data.get("issues")).filter(isOpenIssue)
+  };
+}
+
+/**
+ * @returns {{batchId, material, riskScore, riskLevel, factors: Array<{points, detail, action}>}}
+ */
+function scoreBatch(batch, { qa, compliance, issues }) {
+  const factors = [];
+  const add = (points, detail, action) => factors.push({ points, detail, action });
+
+  const qualityStatus = String(batch.qualityStatus || "").toLowerCase();
+  if (QUALITY_STATUS_POINTS[qualityStatus]) {
+    add(QUALITY_STATUS_POINTS[qualityStatus], `quality status ${qualityStatus}`, qualityStatus === "rejected"
+      ? "Open deviation and OOS investigation"
+      : "Complete QC testing and batch record review");
+  }
+
+  qa.filter(record => record.material === batch.material && String(record.status).toLowerCase() === "pending")
+    .forEach(record => add(String(record.priority).toLowerCase() === "high" ? 15 : 5,
+      `QA review pending (priority ${record.priority || "normal"})`, "Prioritize QA review slot"));
+
+  const complianceRecord = compliance.find(record => record.batchId === batch.id);
+  if (complianceRecord && complianceRecord.complianceStatus !== "compliant") {
+    add(20, `compliance ${complianceRecord.complianceStatus}`, "Close compliance review before release");
+  }
+  (complianceRecord?.issues || []).forEach(issue => add(10, `compliance issue ${issue}`, `Resolve ${String(issue).replace(/_/g, " ")}`));
+
+  issues
+    .filter(issue => mentions(issue.description, batch.id) || mentions(issue.description, batch.material))
+    .forEach(issue => add(ISSUE_SEVERITY_POINTS[String(issue.severity).toLowerCase()] || 10,
+      `${issue.severity} issue ${issue.issueId}: ${issue.description}`, `Close ${issue.issueId} (${issue.responsibleDept || "owner open"})`));
+
+  if (typeof batch.temperature === "number" && (batch.temperature < TEMPERATURE_RANGE[0] || batch.temperature > TEMPERATURE_RANGE[1])) {
+    add(15, `temperature ${batch.temperature}°C outside ${TEMPERATURE_RANGE.join("-")}°C`, "Assess temperature excursion impact");
+  }
+  if (typeof batch.humidity === "number" && batch.humidity > MAX_HUMIDITY) {
+    add(10, `humidity ${batch.humidity}% above ${MAX_HUMIDITY}%`, "Check HVAC and moisture-sensitive attributes");
+  }
+
+  const riskScore = Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0));
+  return {
+    batchId: batch.id,
+    material: batch.material,
+    riskScore,
+    riskLevel: riskScore >= HIGH_RISK ? "HIGH" : riskScore >= MEDIUM_RISK ? "MEDIUM" : "LOW",
+    factors: factors.sort((a, b) => b.points - a.points)
+  };
+}
+
+/**
+ * BLOCK on rejection or critical issues, RELEASE only when approved and
+ * compliant without open high issues, HOLD otherwise
+ */
+function assessBatch(batch, quality) {
+  const risk = scoreBatch(batch, quality);
+  const qualityStatus = String(batch.qualityStatus || "").toLowerCase();
+  const complianceRecord = quality.compliance.find(record => record.batchId === batch.id);
+  const blockingIssues = quality.issues.filter(issue =>
+    String(issue.severity).toLowerCase() === "critical" &&
+    (mentions(issue.description, batch.id) || mentions(issue.description, batch.material)));
+
+  let recommendation = "HOLD";
+  const reasons = [];
+
+  if (qualityStatus === "rejected" || blockingIssues.length > 0) {
+    recommendation = "BLOCK";
+    if (qualityStatus === "rejected") reasons.push("quality status rejected");
+    blockingIssues.forEach(issue => reasons.push(`critical issue ${issue.issueId}`));
+  } else if (qualityStatus === "approved" && (!complianceRecord || complianceRecord.complianceStatus === "compliant") && risk.riskScore < MEDIUM_RISK) {
+    recommendation = "RELEASE";
+    reasons.push("quality approved", complianceRecord ? "compliance verified" : "no compliance findings on record");
+  } else {
+    reasons.push(...risk.factors.map(factor => factor.detail));
+    if (reasons.length === 0) reasons.push(`quality status ${qualityStatus || "unknown"}`);
+  }
+
+  return { batchId: batch.id, material: batch.material, recommendation, reasons, riskScore: risk.riskScore, riskLevel: risk.riskLevel };
+}
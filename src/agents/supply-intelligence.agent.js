@@ -0,0 +1,189 @@
+/**
+ * ========================================================================
+ * SUPPLY CHAIN AGENT MODULE - MATERIAL COVERAGE AND DEMAND
+ * ========================================================================
+ *
+ * Deterministic supply logic behind supplyChainAgent (agents.yaml).
+ * Component demand comes from the open orders (order components, BOM as
+ * fallback) and is netted against inventory lots that are still within
+ * expiry on the date the order starts.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Intents:
+ *   supply.predict_shortage - coverage per material: SHORTAGE / NO_STOCK_DATA / COVERED
+ *   supply.demand_forecast  - component and finished-good demand per ISO week
+ *
+ * Params: from (ISO date, default earliest open order start), days (default 30),
+ *         materialId
+ * ========================================================================
+ */
+
+import { asList, isOpenOrder, isOpenIssue, mentions, addDays } from "../utils/productionData.js";
+
+const DEFAULT_HORIZON_DAYS = 30;
+
+export const intents = {
+  "supply.predict_shortage": {
+    description: "Material coverage of open orders against non-expired inventory",
+    keywords: ["shortage", "coverage", "missing", "stock", "inventory"]
+  },
+  "supply.demand_forecast": {
+    description: "Component and finished-good demand per week from open orders",
+    keywords: ["demand", "forecast", "consumption", "week"]
+  }
+};
+
+export async function handle({ intent, context }) {
+  const { data, params = {} } = context;
+
+  switch (intent) {
+    case "supply.predict_shortage":
+      return predictShortage(data, params);
+
+    case "supply.demand_forecast":
+      return forecastDemand(data, params);
+
+    default:
+      return { ok: false, error: `Unknown supply intelligence intent: ${intent}` };
+  }
+}
+
+// ========================================================================
+// INTENTS
+// ========================================================================
+
+function predictShortage(data, params) {
+  const supply = loadSupplyData(data, params);
+  const inventory = asList(data.get("inventory"));
+  const supplyIssues = asList(data.get("issues"))
+    .filter(isOpenIssue)
+    .filter(issue => /supply|procurement|logistic/i.test(`${issue.type} ${issue.responsibleDept}`));
+
+  const materials = [...groupDemand(supply.demand).values()].map(entry => {
+    // Only lots that are still valid when the first consuming order starts
+    const lots = inventory.filter(lot => lot.material === entry.material);
+    const usable = lots.filter(lot => !lot.expiry || !entry.neededBy || lot.expiry >= entry.neededBy);
+    const available = usable.reduce((sum, lot) => sum + (Number(lot.quantity) || 0), 0);
+    const shortfall = Math.max(0, entry.required - available);
+    const issues = supplyIssues.filter(issue => mentions(issue.description, entry.material)).map(issue => issue.issueId);
+
+    return {
+      ...entry,
+      available: lots.length > 0 ? available : null,
+      shortfall: lots.length > 0 ? shortfall : null,
+      expiredLots: lots.filter(lot => !usable.includes(lot)).map(lot => lot.batch || lot.lot || null),
+      issues,
+      status: lots.length === 0 ? "NO_STOCK_DATA" : shortfall > 0 ? "SHORTAGE" : "COVERED"
+    };
+  });
+
+  const rank = { SHORTAGE: 0, NO_STOCK_DATA: 1, COVERED: 2 };
+  materials.sort((a, b) => rank[a.status] - rank[b.status] || String(a.neededBy).localeCompare(String(b.neededBy)));
+
+  // Open supply issues on materials without demand in the horizon (e.g. packaging)
+  const otherIssues = supplyIssues
+    .filter(issue => !materials.some(entry => entry.issues.includes(issue.issueId)))
+    .map(issue => ({ issueId: issue.issueId, severity: issue.severity, description: issue.description }));
+
+  const shortages = materials.filter(entry => entry.status === "SHORTAGE");
+  const unknown = materials.filter(entry => entry.status === "NO_STOCK_DATA");
+
+  return {
+    ok: true,
+    result: { horizon: supply.horizon, materials, shortages: shortages.map(entry => entry.material), supplyIssues: otherIssues },
+    summary: [
+      `**Material coverage ${supply.horizon.from} → ${supply.horizon.to}** (${supply.orders.length} open orders)`,
+      "",
+      "| Material | Required | Available | Needed by | Orders | Status |",
+      "|----------|----------|-----------|-----------|--------|--------|",
+      ...materials.map(entry =>
+        `| ${entry.material} | ${entry.required} ${entry.uom || ""} | ${entry.available ?? "no stock record"} | ${entry.neededBy || "-"} | ${entry.orders.join(", ")} | ${entry.status} |`),
+      "",
+      `**Shortages:** ${shortages.length > 0 ? shortages.map(entry => `${entry.material} (-${entry.shortfall})`).join(", ") : "none"}`,
+      `**No stock data:** ${unknown.length > 0 ? unknown.map(entry => entry.material).join(", ") : "none"}`,
+      ...otherIssues.map(issue => `- Open supply issue ${issue.issueId} [${issue.severity}]: ${issue.description}`)
+    ].join("\n")
+  };
+}
+
+function forecastDemand(data, params) {
+  const supply = loadSupplyData(data, params);
+  const weeks = new Map();
+
+  const addDemand = (week, material, qty, uom) => {
+    if (!weeks.has(week)) weeks.set(week, {});
+    const materials = weeks.get(week);
+    materials[material] = { qty: (materials[material]?.qty || 0) + qty, uom: uom || materials[material]?.uom || null };
+  };
+
+  supply.orders.forEach(order => {
+    const week = isoWeek(order.startDate || supply.horizon.from);
+    addDemand(week, order.material, Number(order.qty) || 0, "pcs");
+  });
+  supply.demand.forEach(entry => addDemand(isoWeek(entry.neededBy || supply.horizon.from), entry.material, Number(entry.qty) || 0, entry.uom));
+
+  const forecast = [...weeks.entries()].sort().map(([week, materials]) => ({ week, materials }));
+
+  return {
+    ok: true,
+    result: { horizon: supply.horizon, weeks: forecast },
+    summary: [
+      `**Demand forecast ${supply.horizon.from} → ${supply.horizon.to}**`,
+      "",
+      ...forecast.map(({ week, materials }) =>
+        `- **${week}:** ${Object.entries(materials).map(([material, demand]) => `${material} ${demand.qty}${demand.uom ? ` ${demand.uom}` : ""}`).join(", ")}`)
+    ].join("\n")
+  };
+}
+
+// ========================================================================
+// DEMAND
+// ========================================================================
+
+/**
+ * Open orders starting in the horizon and their component demand
+ */
+function loadSupplyData(data, params) {
+  const openOrders = asList(data.get("orders")).filter(isOpenOrder);
+  const bom = asList(data.get("bom"));
+  const starts = openOrders.map(order => order.startDate).filter(Boolean).sort();
+  const from = String(params.from || starts[0] || new Date().toISOString()).slice(0, 10);
+  const horizon = { from, to: addDays(from, parseInt(params.days) || DEFAULT_HORIZON_DAYS) };
+
+  const orders = openOrders.filter(order => !order.startDate || order.startDate < horizon.to);
+  const demand = orders.flatMap(order => {
+    const components = order.components?.length
+      ? order.components.map(component => ({ material: component.materialId || component.material, qty: component.qty, uom: component.uom }))
+      : (bom.find(entry => entry.material === order.material)?.components || [])
+          .map(component => ({ material: component.material, qty: component.qty, uom: component.unit }));
+
+    return components
+      .filter(component => !params.materialId || component.material === params.materialId)
+      .map(component => ({ ...component, orderId: order.orderId, neededBy: order.startDate || null }));
+  });
+
+  return { horizon, orders, demand };
+}
+
+function groupDemand(demand) {
+  const grouped = new Map();
+  demand.forEach(({ material, qty, uom, orderId, neededBy }) => {
+    const entry = grouped.get(material) || { material, required: 0, uom, neededBy, orders: [] };
+    entry.required += Number(qty) || 0;
+    if (neededBy && (!entry.neededBy || neededBy < entry.neededBy)) entry.neededBy = neededBy;
+    if (!entry.orders.includes(orderId)) entry.orders.push(orderId);
+    grouped.set(material, entry);
+  });
+  return grouped;
+}
+
+function isoWeek(isoDate) {
+  const date = new Date(`${String(isoDate).slice(0, 10)}T00:00:00Z`);
+  const day = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
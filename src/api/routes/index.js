@@ -24,6 +24,8 @@
 
 import express from "express";
 import { readFileSync } from "fs";
+import { EvaluationRunner } from "../../evaluation/EvaluationRunner.js";
+import { RPC_ERRORS } from "../../a2a/A2AProtocolServer.js";
 
 // Dynamic versioning from package.json
 let packageJson;
@@ -52,12 +54,19 @@ export function createRoutes(agentManager, dataManager, eventBusManager, auditLo
 
   // Register modular route systems
   router.use("/chat", createChatRoutes(agentManager, auditLogger, eventBusManager));
+  router.use("/sessions", createSessionRoutes(agentManager));
+  router.use("/usage", createUsageRoutes(agentManager));
+  router.use("/cache", createCacheRoutes(agentManager));
+  router.use("/queue", createQueueRoutes(agentManager));
   router.use("/agents", createAgentRoutes(agentManager));
-  router.use("/data", createDataRoutes(dataManager));
+  router.use("/data", createDataRoutes(dataManager, agentManager));
   router.use("/events", createEventRoutes(eventBusManager));
   router.use("/audit", createAuditRoutes(auditLogger));
   router.use("/system", createSystemRoutes(agentManager, dataManager, eventBusManager));
   router.use("/workflows", createWorkflowRoutes(agentManager));
+  router.use("/evaluations", createEvaluationRoutes(agentManager));
+  router.use("/approvals", createApprovalRoutes(agentManager));
+  router.use("/traces", createTraceRoutes(agentManager));
   router.use("/a2a", createA2ARoutes(agentManager));
   router.use("/oee", createOEERoutes(dataManager, eventBusManager)); // NEW: Dedicated OEE endpoints
 
@@ -153,61 +162,231 @@ function createChatRoutes(agentManager, auditLogger, eventBusManager) {
   /**
    * POST /api/chat
    * Main chat interface for processing user commands
-   * Finds appropriate agent and executes manufacturing commands
+   * Routes the message to the responsible agent(s) and executes them
    * 
    * Request Body:
-   * - message: Manufacturing command (e.g., "ask-today-orders")
+   * - message: Manufacturing command (e.g., "ask-today-orders") or free text
+   *   ("are we ready to release BATCH-002?")
    * - user: User identifier for audit logging
+   * - sessionId: Conversation session to continue (optional, new session otherwise)
+   * - agentId: Skip routing and use this agent (answer to a clarification)
    * 
    * Response:
-   * - response: Agent-generated response text
-   * - agentUsed: ID of agent that processed the command
+   * - response: Agent-generated response text (one section per agent when several answered)
+   * - agentUsed: ID of agent that processed the command (first agent)
+   * - agentsUsed: IDs of all agents that answered
+   * - routing: Routing decision ({ method, intent, confidence, agents, entities, ... })
+   * - clarification: { question, options: [{ agentId, name, trigger }] } when the
+   *   request was ambiguous - no agent ran, resend with agentId
+   * - sessionId: Conversation session the exchange was recorded in
    * - eventChainTriggered: Array of events published by the agent
+   * - context: Data context report (token budget, records dropped from the prompt)
+   * - cache: Response cache result ({ enabled, hit, ageMs })
+   * - queue: Execution queue wait ({ jobId, waitedMs }) or null
    * - timestamp: ISO timestamp of processing
    */
   router.post("/", async (req, res) => {
     const { message, user } = req.body;
-    let agentUsed = null;
-    let responseText = "";
-
-    try {
-      // Find agent capable of handling the command
-      const agent = agentManager.findAgent(message);
-
-      if (agent) {
-        agentUsed = agent.id;
-        console.log(`Processing command "${message}" with agent: ${agent.id}`);
-        
-        // Execute agent with OEE-enriched data
-        responseText = await agentManager.processAgent(agent, message);
-        
-        // Log successful interaction for GMP compliance
-        auditLogger.logChatInteraction(user || 'anonymous', agentUsed, message, responseText);
-      } else {
-        responseText = "No agent matched your request. Available commands: ask-today-orders, morning-briefing, general-assessment, compliance-check, system-status, help";
-        console.log(`No agent found for command: "${message}"`);
+    const agentsUsed = [];
+    let sessionId = null;
+    // Queued (not yet running) LLM calls are cancelled when the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    try {
+      sessionId = openChatSession(agentManager, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+    }
+
+    try {
+      const routing = await agentManager.routeMessage(message, { agentId: req.body.agentId, signal: abortController.signal });
+
+      if (routing.ambiguous) {
+        console.log(`No confident agent for "${message}" - asking for clarification`);
+        return res.json({
+          ...emptyChatResult(routing, sessionId),
+          response: routing.clarification.question,
+          timestamp: new Date().toISOString()
+        });
       }
 
+      const { runs, response } = await executeRoutedAgents(agentManager, routing, message, {
+        sessionId,
+        userId: getUserId(user),
+        signal: abortController.signal
+      }, (agent) => {
+        agentsUsed.push(agent.id);
+        console.log(`Processing command "${message}" with agent: ${agent.id} (${routing.method}, confidence ${routing.confidence})`);
+      });
+
+      // Log successful interaction for GMP compliance
+      const auditIds = runs.map(({ agent, result }) =>
+        auditLogger.logChatInteraction(user || 'anonymous', agent.id, message, result.response, { runId: result.runId || null }));
+      const [{ agent, result }] = runs;
+
       res.json({ 
-        response: responseText, 
-        agentUsed, 
-        eventChainTriggered: agent?.events?.publishes || [],
-        oeeEnabled: agent?.oeeEnabled || false,
+        response, 
+        agentUsed: agent.id, 
+        agentsUsed,
+        routing,
+        clarification: null,
+        auditId: auditIds[0], 
+        runId: result.runId || null,
+        runIds: runs.map(run => run.result.runId).filter(Boolean),
+        sessionId,
+        eventChainTriggered: runs.flatMap(run => run.agent.events?.publishes || []),
+        workflowsTriggered: runs.flatMap(run => run.result.workflowsTriggered || []),
+        context: result.context || null,
+        cache: result.cache || null,
+        queue: result.queue || null,
+        oeeEnabled: agent.oeeEnabled || false,
         timestamp: new Date().toISOString() 
       });
 
     } catch (error) {
+      if (error.code === "NOT_FOUND") {
+        return res.status(404).json({ error: error.message, timestamp: new Date().toISOString() });
+      }
       console.error('Chat processing error:', error);
       auditLogger.logError('chat_error', error.message, { message, user });
       
       res.status(500).json({ 
         error: error.message, 
-        agentUsed,
+        agentUsed: agentsUsed[0] || null,
         timestamp: new Date().toISOString() 
       });
     }
   });
 
+  /**
+   * POST /api/chat/route
+   * Routing decision only - no agent runs (UI preview, debugging keywords)
+   * 
+   * Request Body: { message, agentId? }
+   */
+  router.post("/route", async (req, res) => {
+    try {
+      const routing = await agentManager.routeMessage(req.body.message, { agentId: req.body.agentId });
+      res.json({ routing, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(error.code === "NOT_FOUND" ? 404 : 500).json({ error: error.message, timestamp: new Date().toISOString() });
+    }
+  });
+
+  /**
+   * POST /api/chat/stream
+   * Streaming variant of POST /api/chat using Server-Sent Events
+   * 
+   * Request Body: same as POST /api/chat
+   * 
+   * Stream (data: JSON per event):
+   * - { type: "start", agentUsed, routing, sessionId } once per agent
+   * - { type: "queued", jobId, position, etaMs } while waiting for a rate-limit slot
+   * - { type: "delta", text } for every completion chunk
+   * - { type: "done", response, agentUsed, agentsUsed, routing, clarification, auditId, ... }
+   * - { type: "error", error, status } instead of done when routing or an agent run failed,
+   *   also after deltas were sent (provider interrupted mid-stream)
+   */
+  router.post("/stream", async (req, res) => {
+    const { message, user } = req.body;
+    let clientClosed = false;
+    let sessionId;
+
+    try {
+      sessionId = openChatSession(agentManager, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, timestamp: new Date().toISOString() });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (payload) => {
+      if (!clientClosed) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+
+    // res (not req) - the request emits 'close' as soon as its body is consumed
+    const abortController = new AbortController();
+    res.on('close', () => {
+      clientClosed = true;
+      abortController.abort();
+    });
+
+    try {
+      const routing = await agentManager.routeMessage(message, { agentId: req.body.agentId, signal: abortController.signal });
+
+      if (routing.ambiguous) {
+        send({
+          type: "done",
+          ...emptyChatResult(routing, sessionId),
+          response: routing.clarification.question,
+          timestamp: new Date().toISOString()
+        });
+        return res.end();
+      }
+
+      const { runs, response } = await executeRoutedAgents(agentManager, routing, message, {
+        onDelta: (text) => send({ type: "delta", text }),
+        onQueueUpdate: (info) => send({ type: "queued", jobId: info.jobId, position: info.position, etaMs: info.etaMs }),
+        signal: abortController.signal,
+        sessionId,
+        userId: getUserId(user)
+      }, (agent, heading) => {
+        console.log(`Streaming command "${message}" with agent: ${agent.id} (${routing.method}, confidence ${routing.confidence})`);
+        send({ type: "start", agentUsed: agent.id, routing, sessionId, timestamp: new Date().toISOString() });
+        if (heading) send({ type: "delta", text: heading });
+      });
+
+      const auditIds = runs.map(({ agent, result }) =>
+        auditLogger.logChatInteraction(user || 'anonymous', agent.id, message, result.response, { runId: result.runId || null }));
+      const [{ agent, result }] = runs;
+
+      // A failed run (e.g. provider interrupted mid-stream) must not look like a finished answer
+      const failed = runs.find(run => run.result.error);
+      if (failed) {
+        auditLogger.logSystemEvent('chat_stream_error', { error: failed.result.error, message, user, agentId: failed.agent.id });
+        send({ type: "error", error: failed.result.error, status: failed.result.status, agentUsed: failed.agent.id, sessionId, timestamp: new Date().toISOString() });
+        return res.end();
+      }
+
+      send({
+        type: "done",
+        response,
+        status: result.status,
+        agentUsed: agent.id,
+        agentsUsed: runs.map(run => run.agent.id),
+        routing,
+        clarification: null,
+        auditId: auditIds[0],
+        runId: result.runId || null,
+        runIds: runs.map(run => run.result.runId).filter(Boolean),
+        sessionId,
+        provider: result.provider || null,
+        model: result.model || null,
+        workflowsTriggered: runs.flatMap(run => run.result.workflowsTriggered || []),
+        eventChainTriggered: runs.flatMap(run => run.agent.events?.publishes || []),
+        context: result.context || null,
+        cache: result.cache || null,
+        queue: result.queue || null,
+        oeeEnabled: agent.oeeEnabled || false,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Chat stream error:', error);
+      auditLogger.logSystemEvent('chat_stream_error', { error: error.message, message, user });
+      send({ type: "error", error: error.message, timestamp: new Date().toISOString() });
+    }
+
+    res.end();
+  });
+
   /**
    * GET /api/chat/history
    * Retrieves recent chat interactions for audit purposes
@@ -229,6 +408,316 @@ function createChatRoutes(agentManager, auditLogger, eventBusManager) {
   return router;
 }
 
+/**
+ * User id from chat request body (string or { id, name, ... })
+ */
+function getUserId(user) {
+  if (!user) return 'anonymous';
+  return typeof user === 'string' ? user : (user.id || user.name || 'anonymous');
+}
+
+/**
+ * Continue the requested conversation session or start a new one
+ * Throws on malformed session ids
+ */
+function openChatSession(agentManager, body) {
+  return agentManager.conversationStore.openSession(body.sessionId, getUserId(body.user)).sessionId;
+}
+
+/**
+ * Run the agents chosen by the router one after another
+ * Several agents answer in one section each ("## <agent name>")
+ * onAgentStart(agent, heading) is called before each agent runs
+ * @returns {{runs: Array<{agent, result}>, response: string}}
+ */
+async function executeRoutedAgents(agentManager, routing, message, options, onAgentStart = () => {}) {
+  const multiple = routing.agents.length > 1;
+  const runs = [];
+
+  for (const { agentId } of routing.agents) {
+    // The agent set may have been hot-reloaded since routing
+    const agent = agentManager.agents.find(candidate => candidate.id === agentId);
+    if (!agent) throw new Error(`Agent ${agentId} is no longer loaded`);
+
+    const heading = multiple ? `${runs.length > 0 ? "\n\n" : ""}## ${agent.name}\n\n` : "";
+    onAgentStart(agent, heading);
+    const result = await agentManager.executeAgent(agent, message, { ...options, variables: { ...routing.variables } });
+    runs.push({ agent, result });
+  }
+
+  const response = multiple
+    ? runs.map(({ agent, result }) => `## ${agent.name}\n\n${result.response}`).join("\n\n")
+    : runs[0].result.response;
+
+  return { runs, response };
+}
+
+/**
+ * Chat response fields when no agent ran (clarification needed)
+ */
+function emptyChatResult(routing, sessionId) {
+  return {
+    agentUsed: null,
+    agentsUsed: [],
+    routing,
+    clarification: routing.clarification,
+    auditId: null,
+    sessionId,
+    eventChainTriggered: [],
+    workflowsTriggered: [],
+    context: null,
+    cache: null,
+    queue: null,
+    oeeEnabled: false
+  };
+}
+
+// ========================================================================
+// SESSION ROUTES - Persistent Conversation Memory
+// ========================================================================
+
+/**
+ * Creates conversation session routes
+ * Sessions survive restarts and can be continued by another user (shift handover)
+ * 
+ * @param {AgentManager} agentManager - Agent manager owning the conversation store
+ * @returns {express.Router} Session router
+ */
+function createSessionRoutes(agentManager) {
+  const router = express.Router();
+  const store = agentManager.conversationStore;
+
+  /**
+   * GET /api/sessions
+   * Lists conversation sessions, newest first
+   * 
+   * Query Parameters:
+   * - user: Only sessions owned by or involving this user
+   */
+  router.get("/", (req, res) => {
+    try {
+      const sessions = store.listSessions({ userId: req.query.user });
+      res.json({
+        sessions,
+        count: sessions.length,
+        stats: store.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/sessions/:sessionId
+   * Full session: all turns, rolling summary and the window used for prompts
+   */
+  router.get("/:sessionId", (req, res) => {
+    try {
+      const session = store.getSession(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.sessionId} not found` });
+      }
+
+      res.json({
+        ...session,
+        promptMemory: store.getPromptMemory(req.params.sessionId),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/sessions/:sessionId
+   * Deletes a session and its transcript file
+   */
+  router.delete("/:sessionId", (req, res) => {
+    try {
+      if (!store.deleteSession(req.params.sessionId)) {
+        return res.status(404).json({ error: `Session ${req.params.sessionId} not found` });
+      }
+
+      res.json({
+        success: true,
+        sessionId: req.params.sessionId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+// ========================================================================
+// USAGE ROUTES - LLM Token and Cost Accounting
+// ========================================================================
+
+/**
+ * Creates LLM usage and cost routes
+ * 
+ * @param {AgentManager} agentManager - Agent manager owning the LLM provider layer
+ * @returns {express.Router} Usage router
+ */
+function createUsageRoutes(agentManager) {
+  const router = express.Router();
+  const tracker = agentManager.llmManager.usageTracker;
+
+  /**
+   * GET /api/usage
+   * Calls, tokens, latency and estimated cost for a month, grouped by
+   * agent, user, workflow, order, source, model and day
+   * 
+   * Query Parameters:
+   * - month: YYYY-MM (default current month)
+   * - agentId, userId, workflowId, orderId: Optional filters
+   */
+  router.get("/", (req, res) => {
+    try {
+      const { month, agentId, userId, workflowId, orderId } = req.query;
+      if (month && !/^\d{4}-\d{2}$/.test(month)) {
+        return res.status(400).json({ error: "month must be YYYY-MM" });
+      }
+
+      res.json({
+        ...tracker.getSummary({ month, agentId, userId, workflowId, orderId }),
+        availableMonths: tracker.getMonths(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/usage/budget
+   * Monthly budget status (limit, spent, remaining, block/downgrade action)
+   */
+  router.get("/budget", (req, res) => {
+    try {
+      res.json({
+        ...tracker.getBudgetStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+// ========================================================================
+// CACHE ROUTES - Agent Response Cache
+// ========================================================================
+
+/**
+ * Creates response cache routes
+ * 
+ * @param {AgentManager} agentManager - Agent manager owning the response cache
+ * @returns {express.Router} Cache router
+ */
+function createCacheRoutes(agentManager) {
+  const router = express.Router();
+
+  /**
+   * GET /api/cache
+   * Hit/miss statistics per agent, entries, evictions and last invalidation
+   */
+  router.get("/", (req, res) => {
+    try {
+      res.json({
+        ...agentManager.responseCache.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/cache
+   * Clears all cached agent responses
+   */
+  router.delete("/", (req, res) => {
+    try {
+      const removed = agentManager.responseCache.clear();
+      res.json({
+        success: true,
+        removed,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+// ========================================================================
+// QUEUE ROUTES - Priority Execution Queue
+// ========================================================================
+
+/**
+ * Creates execution queue routes
+ * 
+ * @param {AgentManager} agentManager - Agent manager owning the execution queue
+ * @returns {express.Router} Queue router
+ */
+function createQueueRoutes(agentManager) {
+  const router = express.Router();
+  const queue = agentManager.executionQueue;
+
+  /**
+   * GET /api/queue
+   * Pending jobs (position, ETA, priority), running jobs, rate limit and stats
+   */
+  router.get("/", (req, res) => {
+    try {
+      res.json({
+        ...queue.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/queue/:jobId
+   * Position and ETA of a queued job, or runtime of a running job
+   */
+  router.get("/:jobId", (req, res) => {
+    const job = queue.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.jobId} not found (finished or unknown)` });
+    }
+    res.json({ ...job, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * DELETE /api/queue/:jobId
+   * Cancels a queued job - the waiting request ends with status "cancelled"
+   * 
+   * Request Body:
+   * - reason: Optional cancellation reason
+   */
+  router.delete("/:jobId", (req, res) => {
+    const result = queue.cancel(req.params.jobId, req.body?.reason || "Cancelled via API");
+    res.status(result.cancelled ? 200 : 409).json({
+      jobId: req.params.jobId,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
+
 // ========================================================================
 // AGENT ROUTES - Agent Management and Configuration
 // ========================================================================
@@ -285,6 +774,19 @@ function createAgentRoutes(agentManager) {
     }
   });
 
+  /**
+   * GET /api/agents/plugins
+   * Code agent plugins with capabilities, MCP tools and health
+   */
+  router.get("/plugins", async (req, res) => {
+    try {
+      const status = await agentManager.pluginLoader.getStatus();
+      res.json({ ...status, count: status.plugins.length, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/agents/oee
    * Returns OEE-enabled agents and their capabilities
@@ -308,19 +810,199 @@ function createAgentRoutes(agentManager) {
     }
   });
 
+  /**
+   * POST /api/agents/:agentId/preview
+   * Renders the agent prompt for a given input without calling the LLM
+   * 
+   * Request Body:
+   * - message: User message (chat prompt) - defaults to agent trigger
+   * - action: Optional A2A capability to render instead of promptTemplate
+   * - variables: Template variables (e.g. { orderId: "ORD-1001" })
+   */
+  router.post("/:agentId/preview", async (req, res) => {
+    try {
+      const agent = agentManager.agents.find(a => a.id === req.params.agentId);
+      if (!agent) {
+        return res.status(404).json({ error: `Agent not found: ${req.params.agentId}` });
+      }
+
+      const { message, action, variables = {} } = req.body || {};
+      const rendered = action
+        ? await agentManager.renderA2APrompt(agent, action, variables)
+        : await agentManager.renderAgentPrompt(agent, message || agent.trigger, variables);
+
+      res.json({
+        agentId: agent.id,
+        action: action || null,
+        prompt: rendered.text,
+        length: rendered.text.length,
+        missingVariables: rendered.missing,
+        partials: rendered.partials,
+        context: rendered.contextReport,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/agents/versions/:versionId
+   * Full revision: definition, diff against its base, lifecycle history
+   */
+  router.get("/versions/:versionId", (req, res) => {
+    const version = agentManager.versionStore.getVersion(req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ error: `Version not found: ${req.params.versionId}` });
+    }
+    res.json({ ...version, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /api/agents/versions/:versionId/diff?against=<versionId>
+   * Diff between two revisions (default: the active version)
+   */
+  router.get("/versions/:versionId/diff", (req, res) => {
+    try {
+      const version = agentManager.versionStore.getVersion(req.params.versionId);
+      const against = req.query.against || agentManager.versionStore.getActive(version?.agentId)?.versionId;
+      const diff = agentManager.versionStore.compare(against || req.params.versionId, req.params.versionId);
+      res.json({ from: against, to: req.params.versionId, ...diff, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendVersionError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/agents/versions/:versionId/review
+   * Second-person review of a draft - reviewer must not be the author
+   * 
+   * Request Body:
+   * - signature: { userId, pin } of an approver with the change control role (required)
+   * - decision: "approve" (default) | "reject"
+   * - comment: Review comment
+   */
+  router.post("/versions/:versionId/review", (req, res) => {
+    try {
+      const { signature, decision, comment } = req.body || {};
+      const version = agentManager.reviewAgentVersion(req.params.versionId, { signature, decision, comment });
+      res.json({ version, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendVersionError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/agents/versions/:versionId/activate
+   * Puts a reviewed version live (previous active version → superseded)
+   * 
+   * Request Body:
+   * - signature: { userId, pin } of an approver with the change control role (required)
+   * - comment: Optional comment
+   */
+  router.post("/versions/:versionId/activate", (req, res) => {
+    try {
+      const { signature, comment } = req.body || {};
+      const result = agentManager.activateAgentVersion(req.params.versionId, { signature, comment });
+      res.json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendVersionError(res, error);
+    }
+  });
+
+  /**
+   * GET /api/agents/:agentId/definition
+   * Active definition as YAML with its version id (agent editor)
+   */
+  router.get("/:agentId/definition", (req, res) => {
+    const definition = agentManager.getAgentDefinition(req.params.agentId);
+    if (!definition) {
+      return res.status(404).json({ error: `Agent not found: ${req.params.agentId}` });
+    }
+    res.json({ ...definition, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /api/agents/:agentId/versions
+   * Revision history (newest first) with status, author, reason and reviewer
+   */
+  router.get("/:agentId/versions", (req, res) => {
+    const versions = agentManager.versionStore.listVersions(req.params.agentId);
+    res.json({
+      agentId: req.params.agentId,
+      activeVersion: agentManager.versionStore.getActive(req.params.agentId)?.versionId || null,
+      versions,
+      count: versions.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * POST /api/agents/:agentId/versions
+   * Saves a new revision as draft (not applied until reviewed and activated)
+   * 
+   * Request Body:
+   * - yaml: Agent definition as YAML (or definition: object)
+   * - signature: { userId, pin } of the author - an approver with the change control role (required)
+   * - reason: Change reason (required)
+   */
+  router.post("/:agentId/versions", (req, res) => {
+    try {
+      const { yaml, definition, signature, reason } = req.body || {};
+      const version = agentManager.createAgentDraft(req.params.agentId, yaml ?? definition, { signature, reason });
+      res.status(201).json({ version, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendVersionError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/agents/:agentId/rollback
+   * Restores an earlier live (superseded) version
+   * 
+   * Request Body:
+   * - versionId: Version to restore (required)
+   * - signature: { userId, pin } of an approver with the change control role (required)
+   * - reason: Rollback reason (required)
+   */
+  router.post("/:agentId/rollback", (req, res) => {
+    try {
+      const { versionId, signature, reason } = req.body || {};
+      const result = agentManager.rollbackAgent(req.params.agentId, versionId, { signature, reason });
+      res.json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendVersionError(res, error);
+    }
+  });
+
+  /**
+   * GET /api/agents/validate
+   * Lints agents.yaml (schema + cross-checks) without reloading
+   */
+  router.get("/validate", (req, res) => {
+    try {
+      const validation = agentManager.validateAgentFile();
+      res.json({ ...validation, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * POST /api/agents/reload
    * Reloads agent configuration from agents.yaml
+   * An invalid file is rejected (422) and the previous agents keep running
    */
   router.post("/reload", (req, res) => {
     try {
       console.log('Reloading agent configuration...');
       const success = agentManager.reloadAgents();
       
-      res.json({ 
+      res.status(success ? 200 : 422).json({ 
         status: success ? "success" : "failed", 
         stats: agentManager.getStats(),
-        message: success ? "Agents reloaded successfully" : "Failed to reload agents",
+        validation: agentManager.getValidationReport(),
+        message: success ? "Agents reloaded successfully" : "Agent configuration rejected - previous agents still active",
         timestamp: new Date().toISOString() 
       });
     } catch (error) {
@@ -357,6 +1039,304 @@ function createAgentRoutes(agentManager) {
   return router;
 }
 
+/**
+ * Maps change control errors to HTTP status codes
+ */
+function sendVersionError(res, error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    MISSING_CHANGE_INFO: 400,
+    ID_MISMATCH: 400,
+    INVALID_DEFINITION: 400,
+    MISSING_SIGNATURE: 400,
+    INVALID_SIGNATURE: 401,
+    NOT_QUALIFIED: 403,
+    INVALID_TRANSITION: 409,
+    SAME_PERSON: 409,
+    SIGNATURE_LOCKED: 423,
+    NO_CHANGES: 409,
+    INVALID_AGENT_CONFIG: 422,
+    SIGNATURE_UNAVAILABLE: 503
+  };
+  const status = statusByCode[error.code] || (error.name === "YAMLException" ? 400 : 500);
+
+  res.status(status).json({
+    error: error.message,
+    code: error.code || null,
+    ...(error.validation && { validation: error.validation }),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// ========================================================================
+// EVALUATION ROUTES - Golden Scenarios for Agent Versions
+// ========================================================================
+
+/**
+ * Creates agent evaluation routes
+ * Runs golden scenarios against the running agent or a stored version
+ * 
+ * @param {AgentManager} agentManager - Agent manager (definitions, versions, LLM chain)
+ * @returns {express.Router} Evaluation router
+ */
+function createEvaluationRoutes(agentManager) {
+  const router = express.Router();
+  const runner = new EvaluationRunner(agentManager);
+
+  /**
+   * GET /api/evaluations
+   * Stored evaluation runs with summary, newest first
+   * 
+   * Query Parameters:
+   * - agentId, versionId: Filter runs
+   */
+  router.get("/", (req, res) => {
+    try {
+      const reports = runner.listReports({ agentId: req.query.agentId, versionId: req.query.versionId });
+      res.json({
+        reports,
+        count: reports.length,
+        ...runner.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/evaluations/scenarios
+   * Golden scenarios from config/evaluations (?agentId= filters) plus file errors
+   */
+  router.get("/scenarios", (req, res) => {
+    try {
+      const { scenarios, errors } = runner.getScenarios(req.query.agentId || null);
+      res.json({ scenarios, count: scenarios.length, errors, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/evaluations/run
+   * Starts an evaluation run (202) - poll GET /api/evaluations/:runId for results
+   * 
+   * Request Body:
+   * - agentId: Agent to evaluate (required)
+   * - versionId: Stored version, e.g. a reviewed draft (default: running version)
+   * - scenarioIds: Subset of scenarios (default: all for the agent)
+   * - provider, model: Pin the LLM (no fallback) - default: agent's own chain
+   * - judge: true or { provider, model } to score judge criteria with an LLM
+   * - triggeredBy: Person starting the run
+   */
+  router.post("/run", (req, res) => {
+    try {
+      const report = runner.start(req.body || {});
+      res.status(202).json({ ...report, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendEvaluationError(res, error);
+    }
+  });
+
+  /**
+   * GET /api/evaluations/compare?base=<runId>&candidate=<runId>
+   * Score deltas, regressions and improvements per scenario
+   */
+  router.get("/compare", (req, res) => {
+    try {
+      if (!req.query.base || !req.query.candidate) {
+        return res.status(400).json({ error: "Query parameters base and candidate (run ids) are required" });
+      }
+      res.json({ ...runner.compare(req.query.base, req.query.candidate), timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendEvaluationError(res, error);
+    }
+  });
+
+  /**
+   * GET /api/evaluations/:runId
+   * Full report: per-scenario checks, judge verdicts, responses
+   */
+  router.get("/:runId", (req, res) => {
+    const report = runner.getReport(req.params.runId);
+    if (!report) {
+      return res.status(404).json({ error: `Evaluation run ${req.params.runId} not found` });
+    }
+    res.json(report);
+  });
+
+  return router;
+}
+
+function sendEvaluationError(res, error) {
+  const statusByCode = {
+    INVALID_REQUEST: 400,
+    NOT_FOUND: 404,
+    NO_SCENARIOS: 404,
+    AGENT_MISMATCH: 409,
+    PROVIDER_UNAVAILABLE: 422
+  };
+
+  res.status(statusByCode[error.code] || 500).json({
+    error: error.message,
+    code: error.code || null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// ========================================================================
+// APPROVAL ROUTES - Human-in-the-Loop Inbox for Agent Actions
+// ========================================================================
+
+/**
+ * Creates approval inbox routes
+ * Actions proposed by agents are executed only after a signed approval
+ * 
+ * @param {AgentManager} agentManager - Agent manager (approval inbox, action execution)
+ * @returns {express.Router} Approval router
+ */
+function createApprovalRoutes(agentManager) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!agentManager.approvalInbox) {
+      return res.status(503).json({ error: "Approval inbox not available", timestamp: new Date().toISOString() });
+    }
+    next();
+  });
+
+  /**
+   * GET /api/approvals
+   * Proposed actions, newest first
+   * 
+   * Query Parameters:
+   * - status: pending | approved | rejected | executed | failed
+   * - agentId: Filter by proposing agent
+   * - limit: Maximum number of actions
+   */
+  router.get("/", (req, res) => {
+    const actions = agentManager.approvalInbox.list({
+      status: req.query.status || null,
+      agentId: req.query.agentId || null,
+      limit: parseInt(req.query.limit) || null
+    });
+    res.json({
+      actions,
+      count: actions.length,
+      stats: agentManager.approvalInbox.getStats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /api/approvals/approvers
+   * Qualified approvers and their roles (without signature data)
+   */
+  router.get("/approvers", (req, res) => {
+    res.json({ approvers: agentManager.approvalInbox.getApprovers(), timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /api/approvals/:actionId
+   * Action with definition, decision, signature and execution result
+   */
+  router.get("/:actionId", (req, res) => {
+    const action = agentManager.approvalInbox.get(req.params.actionId);
+    if (!action) {
+      return res.status(404).json({ error: `Action not found: ${req.params.actionId}` });
+    }
+    res.json({ ...action, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * POST /api/approvals/:actionId/decision
+   * Approve (→ executed right away) or reject a pending action
+   * 
+   * Request Body:
+   * - decision: "approve" | "reject" (required)
+   * - reason: Decision reason (required)
+   * - signature: { userId, pin } of a qualified approver (required)
+   */
+  router.post("/:actionId/decision", async (req, res) => {
+    try {
+      const { decision, reason, signature } = req.body || {};
+      const action = await agentManager.decideAction(req.params.actionId, { decision, reason, signature });
+      res.json({ action, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendApprovalError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendApprovalError(res, error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID_DECISION: 400,
+    MISSING_REASON: 400,
+    MISSING_SIGNATURE: 400,
+    INVALID_SIGNATURE: 401,
+    NOT_QUALIFIED: 403,
+    INVALID_TRANSITION: 409,
+    SIGNATURE_LOCKED: 423
+  };
+
+  res.status(statusByCode[error.code] || 500).json({
+    error: error.message,
+    code: error.code || null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Creates decision trace routes
+ * Explainability per agent run: prompt, injected records, output, cited records
+ * 
+ * @param {AgentManager} agentManager - Agent manager (decision trace store)
+ * @returns {express.Router} Trace router
+ */
+function createTraceRoutes(agentManager) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!agentManager.traceStore) {
+      return res.status(503).json({ error: "Decision traces not available", timestamp: new Date().toISOString() });
+    }
+    next();
+  });
+
+  /**
+   * GET /api/traces
+   * Run summaries, newest first
+   * 
+   * Query Parameters:
+   * - agentId: Filter by agent
+   * - limit: Maximum number of runs (default 50)
+   */
+  router.get("/", (req, res) => {
+    const traces = agentManager.traceStore.list({
+      agentId: req.query.agentId || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ traces, count: traces.length, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /api/traces/:runId
+   * Full trace of one run (runId from chat responses and audit entries)
+   */
+  router.get("/:runId", (req, res) => {
+    const trace = agentManager.traceStore.get(req.params.runId);
+    if (!trace) {
+      return res.status(404).json({ error: `Trace not found: ${req.params.runId}` });
+    }
+    res.json({ ...trace, timestamp: new Date().toISOString() });
+  });
+
+  return router;
+}
+
 // ========================================================================
 // DATA ROUTES - Data Management and Analytics
 // ========================================================================
@@ -368,7 +1348,7 @@ function createAgentRoutes(agentManager) {
  * @param {DataManager} dataManager - Data source manager
  * @returns {express.Router} Data management router
  */
-function createDataRoutes(dataManager) {
+function createDataRoutes(dataManager, agentManager) {
   const router = express.Router();
 
   /**
@@ -417,16 +1397,17 @@ function createDataRoutes(dataManager) {
 
   /**
    * POST /api/data/reload
-   * Reloads all data sources from files
+   * Reloads data-sources.yaml and all data
+   * An invalid config (or one the running agents cannot use) is rejected (422)
    */
-  router.post("/reload", (req, res) => {
+  router.post("/reload", async (req, res) => {
     try {
       console.log('Reloading data sources...');
-      const success = dataManager.reloadData();
-      res.json({
+      const success = await agentManager.reloadDataSources({ source: "api" });
+      res.status(success ? 200 : 422).json({
         status: success ? "success" : "failed",
         loaded: dataManager.getLoadedDataKeys(),
-        message: success ? "Data reloaded successfully" : "Failed to reload data",
+        message: success ? "Data reloaded successfully" : "Data source configuration rejected - previous sources still active",
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -694,7 +1675,8 @@ router.get("/", (req, res) => {
 
     if (req.query.type) filter.type = req.query.type;
     if (req.query.agent) filter.agent = req.query.agent;
-    if (req.query.startDate) filter.startDate = req.query.startDate;
+    if (req.query.agentVersion) filter.agentVersion = req.query.agentVersion;
+if (req.query.startDate) filter.startDate = req.query.startDate;
     if (req.query.endDate) filter.endDate = req.query.endDate;
 
     // 👉 Nutze die Methode, die dein AuditLogger wirklich hat
@@ -780,6 +1762,18 @@ function createSystemRoutes(agentManager, dataManager, eventBusManager) {
     }
   });
 
+  /**
+   * GET /api/system/llm
+   * Returns LLM provider registry, failover chain and provider health
+   */
+  router.get("/llm", (req, res) => {
+    try {
+      res.json(agentManager.llmManager.getStatus());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/system/status
    * Returns detailed system status and configuration
@@ -846,6 +1840,9 @@ function createWorkflowRoutes(agentManager) {
           active: !!agentManager.productionWorkflow,
           description: "Pharmaceutical production order analysis workflow"
         },
+        definitions: agentManager.productionWorkflow?.getDefinitions() || [],
+        stats: agentManager.productionWorkflow?.getWorkflowStats() || null,
+        activeWorkflows: agentManager.productionWorkflow?.getActiveWorkflows() || [],
         agents: agentManager.getA2AEnabledAgents().map(a => ({
           id: a.id,
           name: a.name,
@@ -859,9 +1856,120 @@ function createWorkflowRoutes(agentManager) {
     }
   });
 
+  router.use((req, res, next) => {
+    if (!agentManager.productionWorkflow) {
+      return res.status(503).json({ error: "Production workflow not available", timestamp: new Date().toISOString() });
+    }
+    next();
+  });
+
+  /**
+   * POST /api/workflows/reload
+   * Reload config/workflows.yaml - running workflows keep their definition
+   */
+  router.post("/reload", (req, res) => {
+    const { workflows, errors } = agentManager.productionWorkflow.loadDefinitions();
+    res.status(errors.length > 0 ? 422 : 200).json({ workflows, errors, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /api/workflows/history
+   * Stored workflow instances, newest first (survive restarts)
+   * 
+   * Query Parameters:
+   * - orderId / subjectId: Workflows of one order
+   * - workflow: Workflow name (e.g. orderAnalysis)
+   * - status: running | completed | failed | cancelled | interrupted
+   * - limit: Maximum number of instances (default 50)
+   */
+  router.get("/history", (req, res) => {
+    const workflows = agentManager.productionWorkflow.getHistory({
+      subjectId: req.query.subjectId || req.query.orderId || null,
+      workflow: req.query.workflow || null,
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ workflows, count: workflows.length, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /api/workflows/instances/:workflowId
+   * Instance with definition snapshot, step inputs/outputs and published events
+   */
+  router.get("/instances/:workflowId", (req, res) => {
+    const instance = agentManager.productionWorkflow.getInstance(req.params.workflowId);
+    if (!instance) {
+      return res.status(404).json({ error: `Workflow not found: ${req.params.workflowId}` });
+    }
+    res.json({ ...instance, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * POST /api/workflows/instances/:workflowId/resume
+   * Resume an interrupted workflow from its recorded steps (runs in background)
+   */
+  router.post("/instances/:workflowId/resume", (req, res) => {
+    try {
+      const run = agentManager.productionWorkflow.resumeWorkflow(req.params.workflowId, req.body?.reason || 'Resumed via API');
+      run.catch(error => console.error(`Resumed workflow ${req.params.workflowId} failed:`, error.message));
+      res.status(202).json({ workflowId: req.params.workflowId, status: "running", timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendWorkflowError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/workflows/instances/:workflowId/cancel
+   * Cancel a running or interrupted workflow
+   * 
+   * Request Body:
+   * - reason: Cancellation reason
+   */
+  router.post("/instances/:workflowId/cancel", (req, res) => {
+    const cancelled = agentManager.productionWorkflow.cancelWorkflow(req.params.workflowId, req.body?.reason || 'User requested');
+    if (!cancelled) {
+      return sendWorkflowError(res, Object.assign(new Error(`Workflow ${req.params.workflowId} cannot be cancelled - not running or interrupted, or compensating`), { code: "INVALID_TRANSITION" }));
+    }
+    res.json({ workflowId: req.params.workflowId, status: "cancelled", timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * POST /api/workflows/instances/:workflowId/correction
+   * Confirm the manual correction of a workflow whose compensation failed
+   * 
+   * Request Body:
+   * - userId: Who corrected it
+   * - reason: What was corrected
+   */
+  router.post("/instances/:workflowId/correction", (req, res) => {
+    try {
+      const instance = agentManager.productionWorkflow.confirmCorrection(req.params.workflowId, {
+        userId: req.body?.userId,
+        reason: req.body?.reason
+      });
+      res.json({ workflowId: instance.workflowId, status: instance.status, correctedBy: instance.correctedBy, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendWorkflowError(res, error);
+    }
+  });
+
   return router;
 }
 
+function sendWorkflowError(res, error) {
+  const statusByCode = {
+    MISSING_CORRECTION_INFO: 400,
+    NOT_FOUND: 404,
+    INVALID_TRANSITION: 409
+  };
+
+  res.status(statusByCode[error.code] || 500).json({
+    error: error.message,
+    code: error.code || null,
+    timestamp: new Date().toISOString()
+  });
+}
+
 // ========================================================================
 // A2A ROUTES - Agent-to-Agent Communication
 // ========================================================================
@@ -895,34 +2003,151 @@ function createA2ARoutes(agentManager) {
 
   /**
    * POST /api/a2a/request
-   * Executes A2A request between agents
+   * Executes an A2A request and waits for the agent's response envelope
+   * Body: { agentId (optional - service discovery by capability), action, data, timeout, workflowId }
+   * Errors: unknown agent 404, unsupported action 400, no agent / handler 503, timeout 504, agent error 502
    */
   router.post("/request", async (req, res) => {
+    const { agentId, action, timeout, workflowId } = req.body || {};
+    const data = req.body?.data ?? req.body?.params ?? {};
+
+    if (!agentManager.a2aManager) {
+      return res.status(400).json({
+        error: "A2A communication not enabled",
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        error: "action is required",
+        timestamp: new Date().toISOString()
+      });
+    }
+
     try {
-      const { agentId, action, params } = req.body;
-      
-      if (!agentManager.a2aManager) {
-        return res.status(400).json({
-          error: "A2A communication not enabled",
-          timestamp: new Date().toISOString()
-        });
-      }
+      const options = { timeout: Number(timeout) || undefined, workflowId, from: "api", envelope: true };
+      const response = agentId
+        ? await agentManager.a2aManager.requestService(agentId, action, data, options)
+        : await agentManager.a2aManager.requestServiceByCapability(action, data, options);
 
-      const result = await agentManager.handleA2ARequest(agentId, action, params);
-      
       res.json({
         success: true,
-        result,
+        requestId: response.requestId,
+        agentId: response.agentId,
+        action: response.action,
+        result: response.result,
+        duration: response.duration,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString()
+      sendA2AError(res, error);
+    }
+  });
+
+  // ========================================================================
+  // A2A PROTOCOL - AGENT CARDS AND JSON-RPC TASKS
+  // ========================================================================
+
+  const agentsUrl = (req) => `${process.env.A2A_PUBLIC_URL || `${req.protocol}://${req.get("host")}`}/api/a2a/agents`;
+
+  // Agent cards and tasks need an A2A API key - the key names the client
+  router.use("/agents", (req, res, next) => {
+    if (!agentManager.a2aProtocol) {
+      return res.status(503).json({ error: "A2A communication not enabled", timestamp: new Date().toISOString() });
+    }
+    const key = req.get("x-api-key") || req.get("authorization")?.replace(/^Bearer\s+/i, "");
+    req.a2aClient = agentManager.a2aProtocol.authenticate(key);
+    if (!req.a2aClient) {
+      return res.status(401).json({ error: "A2A API key required", timestamp: new Date().toISOString() });
+    }
+    next();
+  });
+
+  /**
+   * GET /api/a2a/agents
+   * Agent cards of all A2A agents (YAML agents and plugins)
+   */
+  router.get("/agents", (req, res) => {
+    try {
+      const agents = agentManager.a2aProtocol.listCards(agentsUrl(req));
+      res.json({ agents, count: agents.length, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/a2a/agents/:agentId/.well-known/agent.json
+   * Agent card: skills with input / output schemas, endpoint url, capabilities
+   */
+  router.get("/agents/:agentId/.well-known/agent.json", (req, res) => {
+    const card = agentManager.a2aProtocol.getCard(req.params.agentId, agentsUrl(req));
+    if (!card) {
+      return res.status(404).json({ error: `A2A agent ${req.params.agentId} not found`, timestamp: new Date().toISOString() });
+    }
+    res.json(card);
+  });
+
+  /**
+   * POST /api/a2a/agents/:agentId
+   * JSON-RPC 2.0: tasks/send, tasks/get, tasks/cancel - tasks/sendSubscribe and
+   * tasks/resubscribe answer with Server-Sent Events until the task is final
+   */
+  router.post("/agents/:agentId", async (req, res) => {
+    const protocol = agentManager.a2aProtocol;
+    const { agentId } = req.params;
+    const client = req.a2aClient;
+
+    if (!protocol.getDescriptor(agentId)) {
+      return res.status(404).json({
+        jsonrpc: "2.0",
+        id: req.body?.id ?? null,
+        error: { code: RPC_ERRORS.TASK_NOT_FOUND, message: `A2A agent ${agentId} not found` }
       });
     }
+
+    if (!protocol.isStreamingMethod(req.body?.method)) {
+      return res.json(await protocol.handleRpc(agentId, req.body, { client }));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // res (not req) - the request emits 'close' as soon as its body is consumed
+    let clientClosed = false;
+    res.on('close', () => { clientClosed = true; });
+
+    await protocol.streamRpc(agentId, req.body, { client }, (payload) => {
+      if (!clientClosed) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    });
+    res.end();
   });
 
   return router;
+}
+
+function sendA2AError(res, error) {
+  const statusByCode = {
+    AGENT_NOT_REGISTERED: 404,
+    UNSUPPORTED_ACTION: 400,
+    NO_AGENT_AVAILABLE: 503,
+    A2A_NOT_DELIVERED: 503,
+    A2A_TIMEOUT: 504
+  };
+  // Other codes come from the agent's error response
+  const status = statusByCode[error.code] || (error.response ? 502 : 500);
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code || null,
+    response: error.response || null,
+    timestamp: new Date().toISOString()
+  });
 }
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * ========================================================================
+ * APPROVAL INBOX - HUMAN-IN-THE-LOOP GATE FOR AGENT-PROPOSED ACTIONS
+ * ========================================================================
+ *
+ * Agents with an actions block in agents.yaml do not publish events or
+ * change data on their own. They propose a structured action; a qualified
+ * user approves or rejects it with reason and electronic signature, and
+ * only an approved action is executed (AgentManager.executeApprovedAction).
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Lifecycle:
+ *   pending → approved → executed | failed
+ *   pending → rejected
+ *
+ * Electronic signature (21 CFR Part 11 §11.200): user id + PIN of an
+ * approver in config/approvers.yaml holding the action's approverRole.
+ * PINs are stored as salted scrypt hashes (see hashPin); after
+ * APPROVAL_MAX_FAILED_ATTEMPTS wrong PINs in a row the user id cannot sign
+ * for APPROVAL_LOCKOUT_MINUTES (§11.300(d)). The signature manifest (name,
+ * meaning, time) is bound to the action by a hash over the approved content.
+ *
+ * File format (append-only, data/approvals/actions.jsonl):
+ *   {"type":"proposed","actionId":"ACT-...","agentId":"orderAgent","action":"releaseOrder","entityId":"ORD-1001",...}
+ *   {"type":"decision","actionId":"ACT-...","to":"approved","reason":"...","signature":{...}}
+ *   {"type":"execution","actionId":"ACT-...","to":"executed","result":{...}}
+ *
+ * Config: APPROVAL_DIR (default data/approvals), APPROVERS_FILE (default config/approvers.yaml,
+ *         template config/approvers.example.yaml), APPROVAL_MAX_FAILED_ATTEMPTS (default 5),
+ *         APPROVAL_LOCKOUT_MINUTES (default 15)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import yaml from "js-yaml";
+import { v4 as uuidv4 } from "uuid";
+import { extractJson } from "../utils/jsonSchema.js";
+
+const TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["executed", "failed"],
+  rejected: [],
+  executed: [],
+  failed: []
+};
+
+const DECISIONS = { approve: "approved", reject: "rejected" };
+
+const PIN_HASH_PREFIX = "scrypt";
+const PIN_KEY_LENGTH = 32;
+
+/**
+ * PIN hash as stored in approvers.yaml: "scrypt$<salt>$<key>" with a random salt per user
+ *   node -e "import('./src/approvals/ApprovalInbox.js').then(m => console.log(m.hashPin('1234')))"
+ */
+export function hashPin(pin, salt = crypto.randomBytes(16).toString("hex")) {
+  const key = crypto.scryptSync(String(pin), salt, PIN_KEY_LENGTH).toString("hex");
+  return `${PIN_HASH_PREFIX}$${salt}$${key}`;
+}
+
+/**
+ * Constant-time check of a PIN against a stored hash - false for malformed hashes
+ */
+export function verifyPin(pinHash, pin) {
+  const [prefix, salt, key] = String(pinHash || "").split("$");
+  if (prefix !== PIN_HASH_PREFIX || !salt || !key) return false;
+
+  const expected = Buffer.from(key, "hex");
+  const actual = crypto.scryptSync(String(pin), salt, PIN_KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Unknown user ids are checked against this hash so they take as long as known ones
+const UNKNOWN_USER_PIN_HASH = hashPin(crypto.randomBytes(16).toString("hex"));
+
+/**
+ * {"proposedActions": [{ action, entityId, reason }]} block of an agent response
+ * The block usually follows a formatted report, so parsing starts at its own brace
+ */
+export function parseProposedActions(text) {
+  const marker = typeof text === "string" ? text.indexOf('"proposedActions"') : -1;
+  if (marker === -1) return [];
+
+  const { value } = extractJson(text.slice(text.lastIndexOf("{", marker)));
+  return Array.isArray(value?.proposedActions)
+    ? value.proposedActions.filter(proposal => proposal && typeof proposal === "object")
+    : [];
+}
+
+function approvalError(message, code = "INVALID_TRANSITION") {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export class ApprovalInbox {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.APPROVAL_DIR || path.join("data", "approvals");
+    this.approversFile = options.approversFile || process.env.APPROVERS_FILE || path.join("config", "approvers.yaml");
+    this.actions = new Map(); // actionId → action (insertion order = proposal order)
+    this.approvers = new Map(); // userId → { userId, name, roles, pinHash }
+    this.maxFailedAttempts = options.maxFailedAttempts ?? (parseInt(process.env.APPROVAL_MAX_FAILED_ATTEMPTS) || 5);
+    this.lockoutMs = (options.lockoutMinutes ?? (parseInt(process.env.APPROVAL_LOCKOUT_MINUTES) || 15)) * 60000;
+    this.failedAttempts = new Map(); // userId → { count, lockedUntil }
+
+    this.loadApprovers();
+    this.load();
+  }
+
+  // ========================================================================
+  // PERSISTENCE
+  // ========================================================================
+
+  get file() {
+    return path.join(this.directory, "actions.jsonl");
+  }
+
+  load() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    if (fs.existsSync(this.file)) {
+      for (const line of fs.readFileSync(this.file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          this.applyRecord(JSON.parse(line));
+        } catch {
+          continue;
+        }
+      }
+    }
+
+    const pending = this.list({ status: "pending" }).length;
+    console.log(`🖊️ ApprovalInbox loaded ${this.actions.size} actions (${pending} pending), ${this.approvers.size} approvers`);
+  }
+
+  loadApprovers() {
+    if (!fs.existsSync(this.approversFile)) {
+      console.warn(`⚠️ Approvers file not found: ${this.approversFile} - proposed actions cannot be signed (template: config/approvers.example.yaml)`);
+      return;
+    }
+
+    const config = yaml.load(fs.readFileSync(this.approversFile, "utf8")) || {};
+    (config.approvers || []).forEach(approver => {
+      const pinHash = approver.pinHash || null;
+      if (pinHash && !pinHash.startsWith(`${PIN_HASH_PREFIX}$`)) {
+        console.warn(`⚠️ Approver ${approver.userId}: pinHash is not a salted scrypt hash - re-create it with hashPin(), the user cannot sign`);
+      }
+      this.approvers.set(approver.userId, {
+        userId: approver.userId,
+        name: approver.name || approver.userId,
+        roles: approver.roles || [],
+        pinHash
+      });
+    });
+  }
+
+  appendRecord(record) {
+    fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+    this.applyRecord(record);
+  }
+
+  applyRecord(record) {
+    if (record.type === "proposed") {
+      const { type, ...action } = record;
+      this.actions.set(action.actionId, { ...action, status: "pending", history: [] });
+      return;
+    }
+
+    const action = this.actions.get(record.actionId);
+    if (!action) return;
+
+    action.history.push({ from: action.status, to: record.to, by: record.signature?.userId || "system", timestamp: record.timestamp });
+    action.status = record.to;
+
+    if (record.type === "decision") {
+      action.decision = { reason: record.reason, signature: record.signature, timestamp: record.timestamp };
+    } else if (record.type === "execution") {
+      action.execution = { result: record.result ?? null, error: record.error ?? null, timestamp: record.timestamp };
+    }
+  }
+
+  // ========================================================================
+  // LIFECYCLE
+  // ========================================================================
+
+  /**
+   * New pending action - the definition is snapshotted so exactly the
+   * approved effect runs, even if agents.yaml changes in between
+   * An identical pending proposal (agent, action, entity) is returned instead of duplicated
+   */
+  propose({ agentId, action, entityId, reason = null, definition, requestedBy = null, sessionId = null, workflowId = null }) {
+    const existing = [...this.actions.values()].find(candidate =>
+      candidate.status === "pending" && candidate.agentId === agentId && candidate.action === action && candidate.entityId === entityId);
+    if (existing) return { action: structuredClone(existing), duplicate: true };
+
+    const actionId = "ACT-" + uuidv4().slice(0, 8).toUpperCase();
+    this.appendRecord({
+      type: "proposed",
+      actionId,
+      agentId,
+      action,
+      entityId,
+      reason,
+      definition,
+      requestedBy,
+      sessionId,
+      workflowId,
+      proposedAt: new Date().toISOString()
+    });
+
+    return { action: this.get(actionId), duplicate: false };
+  }
+
+  /**
+   * Approve or reject with reason and electronic signature
+   * @param {Object} input - { decision: "approve" | "reject", reason, signature: { userId, pin } }
+   */
+  decide(actionId, { decision, reason, signature } = {}) {
+    const action = this.actions.get(actionId);
+    if (!action) throw approvalError(`Action not found: ${actionId}`, "NOT_FOUND");
+
+    const to = DECISIONS[decision];
+    if (!to) throw approvalError(`Decision must be one of ${Object.keys(DECISIONS).join(", ")}`, "INVALID_DECISION");
+    if (!TRANSITIONS[action.status].includes(to)) {
+      throw approvalError(`Cannot ${decision} ${actionId} - status is ${action.status}`);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw approvalError("A reason is required for every approval decision", "MISSING_REASON");
+    }
+
+    const approver = this.verifySignature(signature, action.definition.approverRole);
+    const timestamp = new Date().toISOString();
+    const meaning = to === "approved" ? "Approved for execution" : "Rejected";
+
+    this.appendRecord({
+      type: "decision",
+      actionId,
+      to,
+      reason: String(reason).trim(),
+      signature: {
+        userId: approver.userId,
+        name: approver.name,
+        role: action.definition.approverRole,
+        meaning,
+        signedAt: timestamp,
+        hash: crypto.createHash("sha256")
+          .update(JSON.stringify([actionId, action.agentId, action.action, action.entityId, action.definition, to, approver.userId, timestamp]))
+          .digest("hex")
+      },
+      timestamp
+    });
+
+    return this.get(actionId);
+  }
+
+  /**
+   * Outcome of executing an approved action
+   */
+  recordExecution(actionId, { success, result = null, error = null }) {
+    const action = this.actions.get(actionId);
+    const to = success ? "executed" : "failed";
+    if (!action || !TRANSITIONS[action.status].includes(to)) {
+      throw approvalError(`Cannot mark ${actionId} as ${to}`);
+    }
+
+    this.appendRecord({ type: "execution", actionId, to, result, error, timestamp: new Date().toISOString() });
+    return this.get(actionId);
+  }
+
+  /**
+   * Both signature components must match; the approver needs the action's role
+   * @throws {Error} code MISSING_SIGNATURE, SIGNATURE_LOCKED, INVALID_SIGNATURE or NOT_QUALIFIED
+   */
+  verifySignature(signature, role) {
+    if (!signature?.userId || !signature?.pin) {
+      throw approvalError("Electronic signature (userId and PIN) is required", "MISSING_SIGNATURE");
+    }
+
+    const attempts = this.failedAttempts.get(signature.userId);
+    if (attempts?.lockedUntil > Date.now()) {
+      const until = new Date(attempts.lockedUntil).toISOString();
+      throw approvalError(`Signing is locked for ${signature.userId} after ${attempts.count} failed attempts until ${until}`, "SIGNATURE_LOCKED");
+    }
+
+    const approver = this.approvers.get(signature.userId);
+    const valid = verifyPin(approver?.pinHash || UNKNOWN_USER_PIN_HASH, signature.pin);
+    if (!approver || !valid) {
+      this.recordFailedAttempt(signature.userId);
+      throw approvalError("Electronic signature could not be verified", "INVALID_SIGNATURE");
+    }
+    this.failedAttempts.delete(signature.userId);
+    if (!approver.roles.includes(role)) {
+      throw approvalError(`${approver.name} is not qualified to sign ${role} actions`, "NOT_QUALIFIED");
+    }
+
+    return approver;
+  }
+
+  /**
+   * Count a wrong PIN - the limit locks the user id (counter restarts after the lockout)
+   */
+  recordFailedAttempt(userId) {
+    const previous = this.failedAttempts.get(userId);
+    const count = (previous && !previous.lockedUntil ? previous.count : 0) + 1;
+    const lockedUntil = count >= this.maxFailedAttempts ? Date.now() + this.lockoutMs : null;
+    this.failedAttempts.set(userId, { count, lockedUntil });
+
+    if (lockedUntil) {
+      console.warn(`⚠️ Signing locked for ${userId} after ${count} failed attempts until ${new Date(lockedUntil).toISOString()}`);
+    }
+  }
+
+  // ========================================================================
+  // QUERIES
+  // ========================================================================
+
+  get(actionId) {
+    const action = this.actions.get(actionId);
+    return action ? structuredClone(action) : null;
+  }
+
+  /**
+   * Newest first
+   * @param {Object} filter - { status, agentId, limit }
+   */
+  list({ status = null, agentId = null, limit = null } = {}) {
+    const actions = [...this.actions.values()]
+      .filter(action => !status || action.status === status)
+      .filter(action => !agentId || action.agentId === agentId)
+      .reverse();
+    return (limit ? actions.slice(0, limit) : actions).map(action => structuredClone(action));
+  }
+
+  getApprovers() {
+    return [...this.approvers.values()].map(({ pinHash, ...approver }) => approver);
+  }
+
+  getStats() {
+    const byStatus = {};
+    this.actions.forEach(action => { byStatus[action.status] = (byStatus[action.status] || 0) + 1; });
+    const now = Date.now();
+    const locked = [...this.failedAttempts.values()].filter(attempts => attempts.lockedUntil > now).length;
+    return { total: this.actions.size, byStatus, approvers: this.approvers.size, lockedSigners: locked };
+  }
+}
+
+export default ApprovalInbox;
@@ -24,10 +24,27 @@ export class AuditLogger {
   constructor(eventBusManager = null) {
     this.eventBusManager = eventBusManager;
     this.auditLogPath = path.join(process.cwd(), "audit_log.json");
+    this.agentVersionResolver = null;
     
     console.log("📋 AuditLogger initialized");
   }
 
+  /**
+   * Set Agent Version Resolver
+   * resolver(agentId) → active version id, stamped onto every entry of that agent
+   */
+  setAgentVersionResolver(resolver) {
+    this.agentVersionResolver = resolver;
+  }
+
+  /**
+   * Agent that produced an entry - field names differ between entry types
+   */
+  getEntryAgentId(entry) {
+    const agentId = entry.agentId || entry.agent || entry.targetAgentId || entry.triggeredAgent || entry.sourceAgent;
+    return typeof agentId === "string" ? agentId : null;
+  }
+
   /**
    * Append Audit Entry
    * Adds entry to audit log with timestamp and event emission
@@ -49,6 +66,13 @@ export class AuditLogger {
     entry.timestamp = entry.timestamp || new Date().toISOString();
     entry.auditId = this.generateAuditId();
 
+    // Change control: which approved agent definition produced this entry
+    const agentId = this.getEntryAgentId(entry);
+    if (this.agentVersionResolver && agentId && !entry.agentVersion) {
+      const agentVersion = this.agentVersionResolver(agentId);
+      if (agentVersion) entry.agentVersion = agentVersion;
+    }
+
     // Add entry to log
     log.push(entry);
 
@@ -121,6 +145,11 @@ export class AuditLogger {
         return false;
       }
 
+      // Filter by agent definition version
+      if (filter.agentVersion && entry.agentVersion !== filter.agentVersion) {
+        return false;
+      }
+
       // Filter by date range
       if (filter.startDate) {
         const entryDate = new Date(entry.timestamp);
@@ -142,16 +171,41 @@ export class AuditLogger {
     });
   }
 
+  /**
+   * Generic typed entry (log(type, details) interface used by the MCP and A2A components)
+   */
+  log(type, details = {}) {
+    return this.appendAudit({
+      ...details,
+      type,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   /**
    * Log Chat Interaction
    */
-  logChatInteraction(user, agent, message, response) {
+  logChatInteraction(user, agent, message, response, details = {}) {
     return this.appendAudit({
       type: "chat",
       user: user?.name || "Anonymous",
       agent,
       message,
       response,
+      ...details,
+    });
+  }
+
+  /**
+   * Log Agent Execution - runId links the entry to its decision trace
+   */
+  logAgentExecution(agentId, message, response, details = {}) {
+    return this.appendAudit({
+      type: "agent_execution",
+      agent: agentId,
+      message,
+      response,
+      ...details,
     });
   }
 
@@ -205,6 +259,20 @@ export class AuditLogger {
     });
   }
 
+  /**
+   * Log A2A Schema Validation Failure
+   */
+  logA2AValidationFailure(agentId, action, validation, rawResponse) {
+    return this.appendAudit({
+      type: "a2a_validation_failed",
+      agentId,
+      action,
+      errors: validation.errors,
+      attempts: validation.attempts,
+      rawResponse: String(rawResponse || "").substring(0, 500),
+    });
+  }
+
   /**
    * Log System Event
    */
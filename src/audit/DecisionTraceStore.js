@@ -0,0 +1,206 @@
+/**
+ * ========================================================================
+ * DECISION TRACE STORE - EXPLAINABILITY FOR AGENT RUNS
+ * ========================================================================
+ *
+ * Every agent run leaves a trace that answers "based on which records?":
+ * rendered prompt, the data records injected into it (file, id, content
+ * hash), tool calls, provider/model and agent definition version, raw
+ * output, the decisions parsed from it and the records each decision
+ * cites. Audit entries of the run carry its runId.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Decisions: lines with a decision keyword (RELEASED, BLOCKED, HOLD,
+ * ESCALATION, ...) plus proposed actions. A decision cites the injected
+ * records named in its paragraph (else its section); ids that look like
+ * record ids but were not in the prompt are listed as citedNotInjected.
+ *
+ * File format: data/traces/<runId>.json (one trace per run)
+ *
+ * Config: TRACE_DIR (default data/traces)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { recordId } from "../utils/productionData.js";
+
+const DECISION_VALUES = [
+  "RELEASED", "RELEASE", "POSTPONED", "POSTPONE", "BLOCKED", "BLOCK", "HOLD",
+  "ESCALATION", "ESCALATE", "APPROVED", "REJECTED", "QC-PRIORITIZATION", "OEE-OPTIMIZATION"
+];
+const DECISION_PATTERN = new RegExp(`(?<![A-Z-])(${DECISION_VALUES.join("|")})(?![A-Z-])`, "g");
+
+// "[RELEASED|POSTPONED|BLOCKED]" is the output format echoed from the prompt, not a decision
+const ALTERNATIVES_PATTERN = /[A-Z-]{3,}\|[A-Z-]{3,}/;
+
+// Markdown heading or bold-only line ("**ESCALATION:**") - starts a section
+const HEADING_PATTERN = /^\s*(#{1,6}\s|\*\*[^*]+\*\*:?\s*$)/;
+
+const RUN_ID_PATTERN = /^RUN-[A-Z0-9-]+$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Injected records as { source, file, id, hash, via }
+ * entries: [{ source, path, value, via }], sourceConfigs: DataManager source configurations
+ */
+export function describeRecords(entries, sourceConfigs = new Map()) {
+  const seen = new Set();
+
+  return entries.flatMap(({ source, path: subPath, value, via = "data" }) => {
+    const id = recordId(value);
+    const hash = crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex").slice(0, 16);
+    const key = `${source}:${id}:${hash}`;
+    if (seen.has(key)) return [];
+    seen.add(key);
+
+    const file = sourceConfigs.get?.(source)?.file;
+    return [{
+      source: subPath ? `${source}.${subPath}` : source,
+      file: file ? `${file}.json` : null,
+      id,
+      hash,
+      via
+    }];
+  });
+}
+
+/**
+ * Decisions in an agent answer with the records they cite
+ * @param {string} text - raw agent output
+ * @param {Array} records - describeRecords() result
+ * @param {Array} proposedActions - pending actions of the run (ApprovalInbox)
+ */
+export function extractDecisions(text, records = [], proposedActions = []) {
+  const lines = String(text || "").split("\n");
+  const byId = new Map();
+  records.filter(record => record.id).forEach(record => {
+    if (!byId.has(record.id)) byId.set(record.id, []);
+    byId.get(record.id).push(record);
+  });
+  const idPatterns = [...byId.keys()].map(id => [id, new RegExp(`(?<![\\w-])${escapeRegExp(id)}(?![\\w-])`)]);
+  // Prefixes of known ids ("ORD-", "BATCH-") - other ids with these prefixes are suspicious
+  const prefixes = new Set([...byId.keys()].map(id => id.match(/^([A-Z]+-)\d/)?.[1]).filter(Boolean));
+
+  const cite = (segment) => {
+    const cites = idPatterns.filter(([, pattern]) => pattern.test(segment)).flatMap(([id]) => byId.get(id));
+    const citedNotInjected = [...new Set([...segment.matchAll(/(?<![\w-])([A-Z]+-)\d[\w-]*/g)]
+      .filter(match => prefixes.has(match[1]) && !byId.has(match[0]))
+      .map(match => match[0]))];
+    return { cites: cites.map(({ source, file, id }) => ({ source, file, id })), citedNotInjected };
+  };
+
+  const decisions = [];
+  lines.forEach((line, index) => {
+    if (ALTERNATIVES_PATTERN.test(line)) return;
+    const values = [...new Set([...line.matchAll(DECISION_PATTERN)].map(match => match[1]))];
+    if (values.length === 0) return;
+
+    let citation = cite(paragraphOf(lines, index));
+    if (citation.cites.length === 0) citation = cite(sectionOf(lines, index));
+
+    values.forEach(decision => decisions.push({
+      kind: "statement",
+      decision,
+      line: index + 1,
+      text: line.trim(),
+      ...citation
+    }));
+  });
+
+  proposedActions.forEach(action => decisions.push({
+    kind: "proposed_action",
+    decision: action.action,
+    actionId: action.actionId,
+    text: action.reason || "",
+    ...cite(action.entityId)
+  }));
+
+  return decisions;
+}
+
+function paragraphOf(lines, index) {
+  let start = index;
+  let end = index;
+  while (start > 0 && lines[start - 1].trim()) start--;
+  while (end < lines.length - 1 && lines[end + 1].trim()) end++;
+  return lines.slice(start, end + 1).join("\n");
+}
+
+function sectionOf(lines, index) {
+  let start = index;
+  let end = index;
+  while (start > 0 && !HEADING_PATTERN.test(lines[start])) start--;
+  while (end < lines.length - 1 && !HEADING_PATTERN.test(lines[end + 1])) end++;
+  return lines.slice(start, end + 1).join("\n");
+}
+
+export class DecisionTraceStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.TRACE_DIR || path.join("data", "traces");
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Sortable run id - base36 time prefix keeps file names in run order
+   */
+  createRunId() {
+    return `RUN-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+  }
+
+  save(trace) {
+    fs.writeFileSync(path.join(this.directory, `${trace.runId}.json`), JSON.stringify(trace, null, 2));
+    return trace.runId;
+  }
+
+  get(runId) {
+    if (!RUN_ID_PATTERN.test(String(runId))) return null;
+    const file = path.join(this.directory, `${runId}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  }
+
+  /**
+   * Newest first, without prompt and output
+   * @param {Object} filter - { agentId, limit (default 50) }
+   */
+  list({ agentId = null, limit = 50 } = {}) {
+    const summaries = [];
+    const files = fs.readdirSync(this.directory).filter(name => RUN_ID_PATTERN.test(name.slice(0, -".json".length))).sort().reverse();
+
+    for (const file of files) {
+      if (summaries.length >= limit) break;
+      let trace;
+      try {
+        trace = JSON.parse(fs.readFileSync(path.join(this.directory, file), "utf8"));
+      } catch {
+        continue;
+      }
+      if (agentId && trace.agentId !== agentId) continue;
+
+      summaries.push({
+        runId: trace.runId,
+        agentId: trace.agentId,
+        agentVersion: trace.agentVersion,
+        status: trace.status,
+        trigger: trace.trigger,
+        model: trace.model,
+        decisions: trace.decisions.map(decision => decision.decision),
+        records: trace.data.records.length,
+        startedAt: trace.startedAt
+      });
+    }
+
+    return summaries;
+  }
+}
+
+export default DecisionTraceStore;
@@ -0,0 +1,178 @@
+/**
+ * ========================================================================
+ * RESPONSE CACHE - REPEAT AGENT QUERIES WITHOUT LLM CALLS
+ * ========================================================================
+ *
+ * Caches agent responses keyed on agent id, rendered prompt (timestamps
+ * normalized, {data} block masked) and the version of the data types the
+ * prompt was built from. Identical template presses on unchanged data are
+ * answered from the cache and do not count against the LLM rate limit.
+ * DataManager reloads and updates bump the data version (onDataChange),
+ * so live values in the {data} block (OEE) do not defeat the cache.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Config: RESPONSE_CACHE_ENABLED (default true), RESPONSE_CACHE_TTL_MS
+ *         (default 900000 = 15 min), RESPONSE_CACHE_MAX_ENTRIES (default 200)
+ * Per agent opt-out in agents.yaml: cache: false
+ * ========================================================================
+ */
+
+import crypto from "crypto";
+import { normalizePrompt } from "../llm/LLMManager.js";
+
+/**
+ * Short stable fingerprint of injected data (the {data} block)
+ */
+export function fingerprintData(text) {
+  return crypto.createHash("sha256").update(String(text ?? "")).digest("hex").substring(0, 16);
+}
+
+export class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.RESPONSE_CACHE_ENABLED !== "false";
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.RESPONSE_CACHE_TTL_MS) || 15 * 60 * 1000);
+    this.maxEntries = options.maxEntries ?? (parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 200);
+
+    this.entries = new Map(); // key → entry (Map order = LRU order)
+    this.generation = 0; // bumped by reloads - all data types change
+    this.dataVersions = new Map(); // dataType → version, bumped by updates
+    this.stats = { hits: 0, misses: 0, stores: 0, evictions: 0, invalidations: 0, lastInvalidation: null };
+    this.agentStats = new Map();
+  }
+
+  /**
+   * Version of the data a prompt was built from, e.g. "0;batches@2;orders@0"
+   */
+  getDataVersion(dataTypes = []) {
+    return [this.generation, ...[...dataTypes].sort().map(dataType => `${dataType}@${this.dataVersions.get(dataType) || 0}`)].join(";");
+  }
+
+  /**
+   * Cache key of a rendered prompt
+   * @param {Object} data - { text: injected {data} block, types: data types it was built from }
+   */
+  createKey(agentId, prompt, data = {}) {
+    const request = data.text ? String(prompt).split(data.text).join("{data}") : String(prompt);
+    return crypto.createHash("sha256")
+      .update(`${agentId}\n${this.getDataVersion(data.types)}\n${normalizePrompt(request)}`)
+      .digest("hex");
+  }
+
+  /**
+   * Look up a response
+   * @returns {Object|null} cached entry or null (miss or expired)
+   */
+  get(key, agentId) {
+    const entry = this.entries.get(key);
+
+    if (entry && Date.now() - entry.createdAt > this.ttlMs) {
+      this.entries.delete(key);
+    } else if (entry) {
+      // Refresh LRU position
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      entry.hits++;
+      this.count(agentId, "hits");
+      return entry;
+    }
+
+    this.count(agentId, "misses");
+    return null;
+  }
+
+  /**
+   * Store a response
+   * @param {Object} meta - { agentId, dataTypes: [...] }
+   */
+  set(key, value, meta = {}) {
+    if (this.entries.has(key)) this.entries.delete(key);
+
+    this.entries.set(key, {
+      value,
+      agentId: meta.agentId,
+      dataTypes: meta.dataTypes || [],
+      dataVersion: this.getDataVersion(meta.dataTypes),
+      createdAt: Date.now(),
+      hits: 0
+    });
+    this.stats.stores++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Invalidate after a data change
+   * @param {Object} change - { type: "reload" } clears everything,
+   *                          { type: "update", dataType } drops entries built from that data type
+   * @returns {number} removed entries
+   */
+  invalidate(change = {}) {
+    let removed = 0;
+
+    if (change.dataType) {
+      this.dataVersions.set(change.dataType, (this.dataVersions.get(change.dataType) || 0) + 1);
+    } else {
+      this.generation++;
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (!change.dataType || entry.dataTypes.length === 0 || entry.dataTypes.includes(change.dataType)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    this.stats.invalidations++;
+    this.stats.lastInvalidation = {
+      ...change,
+      removed,
+      timestamp: new Date().toISOString()
+    };
+
+    if (removed > 0) {
+      console.log(`🗑️ Response cache: ${removed} entries invalidated (${change.type || "manual"}${change.dataType ? " " + change.dataType : ""})`);
+    }
+    return removed;
+  }
+
+  clear() {
+    return this.invalidate({ type: "manual" });
+  }
+
+  count(agentId, field) {
+    this.stats[field]++;
+    if (!agentId) return;
+    if (!this.agentStats.has(agentId)) this.agentStats.set(agentId, { hits: 0, misses: 0 });
+    this.agentStats.get(agentId)[field]++;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    const entriesByAgent = {};
+    this.entries.forEach(entry => {
+      entriesByAgent[entry.agentId] = (entriesByAgent[entry.agentId] || 0) + 1;
+    });
+
+    return {
+      enabled: this.enabled,
+      ttlMs: this.ttlMs,
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+      byAgent: Object.fromEntries(
+        Array.from(this.agentStats.entries()).map(([agentId, counts]) => [
+          agentId,
+          { ...counts, entries: entriesByAgent[agentId] || 0 }
+        ])
+      )
+    };
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,134 @@
+/**
+ * ========================================================================
+ * CONFIG WATCHER - HOT RELOAD FOR AGENTS AND DATA SOURCES
+ * ========================================================================
+ *
+ * Watches config/agents.yaml and src/config/data-sources.yaml and hands
+ * changes to AgentManager, which validates them, builds the new set off
+ * to the side and swaps it in. A broken file is rejected and the running
+ * configuration stays active. Every reload (applied or rejected) is
+ * pushed to the SSE event stream as { type: "config_reload" }.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Config: CONFIG_WATCH_ENABLED (default true),
+ *         CONFIG_WATCH_DEBOUNCE_MS (default 500)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export class ConfigWatcher {
+  constructor(agentManager, options = {}) {
+    this.agentManager = agentManager;
+    this.enabled = options.enabled ?? process.env.CONFIG_WATCH_ENABLED !== "false";
+    this.debounceMs = options.debounceMs ?? (parseInt(process.env.CONFIG_WATCH_DEBOUNCE_MS) || 500);
+
+    this.targets = {
+      agents: {
+        file: options.agentsPath || "config/agents.yaml",
+        reload: (file) => this.agentManager.reloadAgents(file, { source: "file-watch" })
+      },
+      data_sources: {
+        file: options.dataSourcesPath || agentManager.dataManager?.configPath || "src/config/data-sources.yaml",
+        reload: () => this.agentManager.reloadDataSources({ source: "file-watch" })
+      }
+    };
+
+    this.watchers = [];
+    this.timers = new Map();
+    this.checksums = new Map(); // target → checksum of the last file content handled
+    this.chain = Promise.resolve(); // reloads run one at a time
+    this.stats = { applied: 0, rejected: 0, lastReload: null };
+  }
+
+  start() {
+    if (!this.enabled) {
+      console.log("⚪ Config file watching disabled by configuration");
+      return false;
+    }
+
+    for (const [target, { file }] of Object.entries(this.targets)) {
+      this.checksums.set(target, this.checksum(file));
+
+      // Watch the directory - editors often replace the file instead of writing in place
+      const directory = path.dirname(file);
+      const fileName = path.basename(file);
+      try {
+        const watcher = fs.watch(directory, (eventType, changed) => {
+          if (!changed || changed.toString() === fileName) this.schedule(target);
+        });
+        watcher.on("error", error => console.warn(`⚠️ Config watcher for ${file} failed:`, error.message));
+        this.watchers.push(watcher);
+        console.log(`👀 Watching ${file} for changes`);
+      } catch (error) {
+        console.warn(`⚠️ Cannot watch ${file}:`, error.message);
+      }
+    }
+
+    return this.watchers.length > 0;
+  }
+
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // Editors emit several events per save - reload once the file is quiet
+  schedule(target) {
+    clearTimeout(this.timers.get(target));
+    this.timers.set(target, setTimeout(() => {
+      this.timers.delete(target);
+      this.chain = this.chain.then(() => this.reload(target));
+    }, this.debounceMs));
+  }
+
+  /**
+   * Reload one target if its content changed since the last reload
+   * @returns {Promise<boolean|null>} true applied, false rejected, null unchanged/missing
+   */
+  async reload(target) {
+    const { file, reload } = this.targets[target];
+    const checksum = this.checksum(file);
+    if (checksum === null || checksum === this.checksums.get(target)) return null;
+
+    this.checksums.set(target, checksum);
+    console.log(`🔄 ${file} changed - reloading ${target}`);
+
+    let applied = false;
+    try {
+      applied = await reload(file);
+    } catch (error) {
+      console.error(`❌ Reload of ${file} failed:`, error.message);
+    }
+
+    this.stats[applied ? "applied" : "rejected"]++;
+    this.stats.lastReload = { target, file, applied, timestamp: new Date().toISOString() };
+    return applied;
+  }
+
+  checksum(file) {
+    try {
+      return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+    } catch {
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      watching: this.watchers.length > 0,
+      debounceMs: this.debounceMs,
+      files: Object.fromEntries(Object.entries(this.targets).map(([target, { file }]) => [target, file])),
+      ...this.stats
+    };
+  }
+}
+
+export default ConfigWatcher;
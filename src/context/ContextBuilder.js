@@ -0,0 +1,245 @@
+/**
+ * ========================================================================
+ * CONTEXT BUILDER - TOKEN-BUDGETED DATA INJECTION
+ * ========================================================================
+ *
+ * Builds the {data} block of agent prompts within a token budget.
+ * Records relevant to the request (matching order, batch, material or
+ * production line) are included first, the remainder is added until the
+ * budget is exhausted and everything else is summarized as omitted.
+ * The build report lists what the agent did NOT see.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Budget: CONTEXT_MAX_TOKENS (default 12000) or per agent llm.contextTokens
+ * ========================================================================
+ */
+
+// Rough heuristic for mixed JSON/natural language (~4 characters per token)
+const CHARS_PER_TOKEN = 4;
+
+// Record fields compared against the request focus
+const FOCUS_FIELDS = {
+  orderIds: ["orderId", "order", "orderNumber"],
+  batchIds: ["batchId", "batch", "id"],
+  materials: ["material", "materialId", "components.materialId", "components.material"],
+  lines: ["line", "productionLine", "workCenter", "operations.workCenter"]
+};
+
+// Fields used for the per-source summary of omitted records
+const SUMMARY_FIELDS = ["status", "severity", "qualityStatus", "complianceStatus", "priority", "type"];
+
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function collectValues(record, fieldPath) {
+  const value = fieldPath.split(".").reduce((current, key) => {
+    if (current === undefined || current === null) return undefined;
+    if (Array.isArray(current)) return current.flatMap(item => item?.[key] ?? []);
+    return current[key];
+  }, record);
+
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+export class ContextBuilder {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens ?? (parseInt(process.env.CONTEXT_MAX_TOKENS) || 12000);
+  }
+
+  /**
+   * Build budgeted context
+   * @param {Object} dataSets - { orders: [...], compliance: { compliance: [...], regulations: {...} }, ... }
+   * @param {Object} options - { focus: { orderIds, batchIds, materials, lines }, maxTokens }
+   * @returns {{text: string, report: Object, records: Array<{source, path, value}>}} records = what the prompt contains
+   */
+  build(dataSets = {}, options = {}) {
+    const budget = options.maxTokens || this.maxTokens;
+    const focus = this.normalizeFocus(options.focus);
+    const { records, fixed } = this.flatten(dataSets);
+
+    // Everything fits - no prioritization needed
+    const fullText = JSON.stringify(this.assemble(fixed, records, {}));
+    if (estimateTokens(fullText) <= budget) {
+      return {
+        text: fullText,
+        report: this.createReport(budget, estimateTokens(fullText), records, records, focus),
+        records
+      };
+    }
+
+    records.forEach(record => {
+      record.score = this.scoreRecord(record.value, focus);
+    });
+
+    // Relevant records first (highest score), then round-robin across sources
+    const relevant = records.filter(r => r.score > 0).sort((a, b) => b.score - a.score);
+    const ordered = [...relevant, ...this.roundRobin(records.filter(r => r.score === 0))];
+
+    let used = estimateTokens(JSON.stringify(fixed));
+    const included = [];
+
+    for (const record of ordered) {
+      const cost = estimateTokens(JSON.stringify(record.value)) + 1;
+      if (used + cost > budget) continue;
+      used += cost;
+      included.push(record);
+    }
+
+    // The omission summary also costs tokens - give up lowest-priority records until it fits
+    let text;
+    do {
+      const omitted = this.summarizeOmitted(records.filter(r => !included.includes(r)));
+      text = JSON.stringify(this.assemble(fixed, included, omitted));
+    } while (estimateTokens(text) > budget && included.pop());
+
+    return {
+      text,
+      report: this.createReport(budget, estimateTokens(text), records, included, focus),
+      records: included
+    };
+  }
+
+  normalizeFocus(focus = {}) {
+    const normalized = {};
+    for (const key of Object.keys(FOCUS_FIELDS)) {
+      const values = focus[key];
+      normalized[key] = [...new Set((Array.isArray(values) ? values : [values])
+        .filter(value => value !== undefined && value !== null && value !== "")
+        .map(String))];
+    }
+    return normalized;
+  }
+
+  /**
+   * Split data sets into prioritizable records and fixed (non-array) parts
+   */
+  flatten(dataSets) {
+    const records = [];
+    const fixed = {};
+
+    for (const [source, data] of Object.entries(dataSets || {})) {
+      if (Array.isArray(data)) {
+        data.forEach(value => records.push({ source, path: null, value }));
+      } else if (data && typeof data === "object") {
+        for (const [key, value] of Object.entries(data)) {
+          if (Array.isArray(value)) {
+            value.forEach(item => records.push({ source, path: key, value: item }));
+          } else {
+            fixed[source] = { ...(fixed[source] || {}), [key]: value };
+          }
+        }
+      } else if (data !== undefined && data !== null) {
+        fixed[source] = data;
+      }
+    }
+
+    return { records, fixed };
+  }
+
+  scoreRecord(record, focus) {
+    if (!record || typeof record !== "object") return 0;
+    let score = 0;
+
+    for (const [focusKey, fields] of Object.entries(FOCUS_FIELDS)) {
+      if (focus[focusKey].length === 0) continue;
+      const matches = fields.some(field =>
+        collectValues(record, field).some(value => focus[focusKey].includes(value))
+      );
+      // Order/batch hits outrank material/line hits
+      if (matches) score += focusKey === "orderIds" || focusKey === "batchIds" ? 3 : 1;
+    }
+
+    return score;
+  }
+
+  roundRobin(records) {
+    const bySource = new Map();
+    records.forEach(record => {
+      const key = record.source + (record.path ? "." + record.path : "");
+      if (!bySource.has(key)) bySource.set(key, []);
+      bySource.get(key).push(record);
+    });
+
+    const queues = Array.from(bySource.values());
+    const result = [];
+    while (queues.some(queue => queue.length > 0)) {
+      queues.forEach(queue => {
+        if (queue.length > 0) result.push(queue.shift());
+      });
+    }
+    return result;
+  }
+
+  summarizeOmitted(records) {
+    const summary = {};
+
+    records.forEach(record => {
+      const key = record.source + (record.path ? "." + record.path : "");
+      if (!summary[key]) summary[key] = { omittedRecords: 0 };
+      summary[key].omittedRecords++;
+
+      const field = SUMMARY_FIELDS.find(name => typeof record.value?.[name] === "string");
+      if (field) {
+        const counts = summary[key][`by_${field}`] || (summary[key][`by_${field}`] = {});
+        counts[record.value[field]] = (counts[record.value[field]] || 0) + 1;
+      }
+    });
+
+    return summary;
+  }
+
+  assemble(fixed, records, omitted) {
+    const output = {};
+
+    for (const [source, value] of Object.entries(fixed)) {
+      output[source] = typeof value === "object" ? { ...value } : value;
+    }
+
+    records.forEach(record => {
+      if (record.path) {
+        if (!output[record.source] || typeof output[record.source] !== "object") output[record.source] = {};
+        (output[record.source][record.path] = output[record.source][record.path] || []).push(record.value);
+      } else {
+        (output[record.source] = output[record.source] || []).push(record.value);
+      }
+    });
+
+    if (Object.keys(omitted).length > 0) {
+      output._omitted = omitted;
+    }
+
+    return output;
+  }
+
+  createReport(budget, tokens, allRecords, includedRecords, focus) {
+    const totals = {};
+    allRecords.forEach(record => {
+      const key = record.source + (record.path ? "." + record.path : "");
+      totals[key] = totals[key] || { total: 0, included: 0 };
+      totals[key].total++;
+    });
+    includedRecords.forEach(record => {
+      totals[record.source + (record.path ? "." + record.path : "")].included++;
+    });
+
+    const dropped = Object.entries(totals)
+      .filter(([, counts]) => counts.included < counts.total)
+      .map(([source, counts]) => ({ source, dropped: counts.total - counts.included, total: counts.total }));
+
+    return {
+      budgetTokens: budget,
+      estimatedTokens: tokens,
+      truncated: dropped.length > 0,
+      focus: Object.fromEntries(Object.entries(focus).filter(([, values]) => values.length > 0)),
+      sources: totals,
+      dropped
+    };
+  }
+}
+
+export default ContextBuilder;
@@ -88,7 +88,7 @@ Return JSON only.`;
           { role: "system", content: system },
           { role: "user", content: user }
         ],
-        { temperature: 0, max_tokens: 250 }
+        { temperature: 0, max_tokens: 250, attribution: { source: "chat.nlu" } }
       ),
       timeoutMs,
       "llm.nlu"
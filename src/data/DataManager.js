@@ -357,6 +357,10 @@ class DataSourceFactory {
         throw new Error(`Unknown data source type: ${type}`);
     }
   }
+
+  static supports(type) {
+    return ['mock', 'sap', 'rest', 'oee'].includes(String(type).toLowerCase());
+  }
 }
 
 // ========================================================================
@@ -369,10 +373,31 @@ export class DataManager {
     this.dataCache = new Map();
     this.sourceConfigs = new Map();
     this.configPath = configPath;
+    this.changeListeners = new Set();
     
     console.log("📊 Enhanced DataManager initialized");
   }
 
+  /**
+   * Register listener for data reloads and entry updates (e.g. response cache invalidation)
+   * listener({ type: "reload" | "update", dataType, entryId })
+   * @returns {Function} unsubscribe
+   */
+  onDataChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  notifyDataChange(change) {
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error("❌ Data change listener failed:", error.message);
+      }
+    });
+  }
+
   async loadDataSourceConfig() {
     try {
       const configFile = path.join(process.cwd(), this.configPath);
@@ -402,6 +427,95 @@ export class DataManager {
     }
   }
 
+  /**
+   * Parse and validate data-sources.yaml without touching the running sources
+   * @returns {Promise<Map>} dataType → sourceConfig
+   * @throws {Error} code INVALID_DATA_SOURCE_CONFIG with error.validation ({valid, errors})
+   */
+  async readDataSourceConfig() {
+    const yaml = await import('js-yaml');
+    let config;
+    try {
+      config = yaml.load(fs.readFileSync(path.join(process.cwd(), this.configPath), 'utf8'));
+    } catch (error) {
+      throw this.createConfigError([error.message]);
+    }
+
+    const errors = [];
+    if (!config || typeof config.dataSources !== 'object' || Array.isArray(config.dataSources) || !config.dataSources) {
+      errors.push("dataSources: expected object");
+    } else {
+      for (const [dataType, sourceConfig] of Object.entries(config.dataSources)) {
+        if (!sourceConfig || typeof sourceConfig.type !== 'string') {
+          errors.push(`dataSources.${dataType}: missing type`);
+        } else if (!DataSourceFactory.supports(sourceConfig.type)) {
+          errors.push(`dataSources.${dataType}: unknown type "${sourceConfig.type}"`);
+        } else if (sourceConfig.type.toLowerCase() === 'mock' && !sourceConfig.file) {
+          errors.push(`dataSources.${dataType}: mock source needs a file`);
+        }
+      }
+      if (errors.length === 0 && Object.keys(config.dataSources).length === 0) {
+        errors.push("dataSources: no data sources configured");
+      }
+    }
+
+    if (errors.length > 0) throw this.createConfigError(errors);
+    return new Map(Object.entries(config.dataSources));
+  }
+
+  createConfigError(errors) {
+    const error = new Error(`${this.configPath} failed validation: ${errors.join('; ')}`);
+    error.code = "INVALID_DATA_SOURCE_CONFIG";
+    error.validation = { valid: false, errors };
+    return error;
+  }
+
+  /**
+   * Swap in a validated source configuration
+   * Sources and data are built off to the side and replace the running maps in one step;
+   * source instances of unchanged types are reused (no MQTT reconnect)
+   * @param {Map} sourceConfigs - from readDataSourceConfig()
+   * @returns {Promise<{added: string[], removed: string[], dataTypes: string[]}>}
+   */
+  async applyDataSourceConfig(sourceConfigs) {
+    const dataSources = new Map();
+    for (const sourceConfig of sourceConfigs.values()) {
+      if (dataSources.has(sourceConfig.type)) continue;
+      dataSources.set(sourceConfig.type, this.dataSources.get(sourceConfig.type) ||
+        DataSourceFactory.createDataSource(sourceConfig.type, sourceConfig.config));
+    }
+
+    const dataCache = new Map();
+    for (const [dataType, sourceConfig] of sourceConfigs) {
+      try {
+        const data = await dataSources.get(sourceConfig.type).fetchData(sourceConfig);
+        if (data !== null) dataCache.set(dataType, data);
+      } catch (error) {
+        console.error(`❌ Failed to load ${dataType}:`, error.message);
+      }
+    }
+
+    // Dropped source types: close broker connections
+    this.dataSources.forEach((dataSource, type) => {
+      if (!dataSources.has(type)) dataSource.client?.end?.();
+    });
+
+    const previous = Array.from(this.sourceConfigs.keys());
+    this.sourceConfigs = sourceConfigs;
+    this.dataSources = dataSources;
+    this.dataCache = dataCache;
+
+    const dataTypes = Array.from(sourceConfigs.keys());
+    console.log(`🔁 Data sources swapped in: ${dataTypes.join(', ')}`);
+    this.notifyDataChange({ type: "reload" });
+
+    return {
+      added: dataTypes.filter(dataType => !previous.includes(dataType)),
+      removed: previous.filter(dataType => !dataTypes.includes(dataType)),
+      dataTypes
+    };
+  }
+
   setDefaultConfig() {
     const defaultSources = ['orders', 'issues', 'batches', 'compliance'];
     defaultSources.forEach(source => {
@@ -472,6 +586,7 @@ async getCachedData(dataType, forceRefresh = false) {
     try {
       const result = await dataSource.updateData(sourceConfig, entryId, updates);
       await this.loadDataType(dataType);
+      this.notifyDataChange({ type: "update", dataType, entryId });
       return result;
     } catch (error) {
       console.error(`❌ Error updating ${dataType}:`, error);
@@ -538,9 +653,8 @@ getRealtimeOEEData() {
 
   async reloadData() {
     try {
-      this.dataCache.clear();
-      await this.loadDataSourceConfig();
-      await this.loadAllData();
+      // A broken config file keeps the running sources and cached data
+      await this.applyDataSourceConfig(await this.readDataSourceConfig());
       return true;
     } catch (error) {
       console.error("❌ Failed to reload data:", error);
@@ -581,22 +695,32 @@ getRealtimeOEEData() {
     };
   }
 
+  /**
+   * Synchronous snapshot of cached data for a data type (no reload)
+   * Used by prompt rendering where data is already loaded at startup
+   */
+  getDataSnapshot(dataType) {
+    return this.dataCache.get(dataType) || null;
+  }
+
 /**
  * Compatibility helper for agents.yaml
  * Returns all data for the configured agent sources
+ * Accepts the agent config or its dataSource list
  */
 getMockDataForAgent(agentConfig) {
   const results = {};
+  const sources = Array.isArray(agentConfig) ? agentConfig : agentConfig?.dataSource;
 
-  if (!agentConfig?.dataSource) {
+  if (!Array.isArray(sources)) {
     return results;
   }
 
-  agentConfig.dataSource.forEach(src => {
+  sources.forEach(src => {
     try {
       // Datei-Namen aus dem Pfad ziehen (z.B. "mock-data/orders.json" → "orders")
       const key = this.extractFileName(src.replace(/^mock-data\//, ''));
-      const data = this.getCachedData(key);
+      const data = this.getDataSnapshot(key);
       if (data) {
         results[key] = data;
       }
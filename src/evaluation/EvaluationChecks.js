@@ -0,0 +1,144 @@
+// evaluation/EvaluationChecks.js
+// Scoring of agent responses against scenario expectations: rule-based
+// checks (decisions, text, regex, JSON fields/schema) and the prompt +
+// verdict parsing for the optional LLM judge.
+
+import { extractJson, validateSchema } from "../utils/jsonSchema.js";
+
+// Lines after a subject that may still carry its decision (report blocks)
+const DECISION_WINDOW_LINES = 20;
+
+/**
+ * Run all rule-based checks of a scenario
+ * @returns {Array<{type, expected, passed, detail}>}
+ */
+export function runRuleChecks(response, expect = {}) {
+  const text = String(response ?? "");
+  const lower = text.toLowerCase();
+  const checks = [];
+
+  (expect.decisions || []).forEach(expected => checks.push(checkDecision(text, expected)));
+
+  (expect.contains || []).forEach(expected => {
+    const passed = lower.includes(expected.toLowerCase());
+    checks.push({ type: "contains", expected, passed, detail: passed ? null : "not found in response" });
+  });
+
+  (expect.notContains || []).forEach(expected => {
+    const passed = !lower.includes(expected.toLowerCase());
+    checks.push({ type: "notContains", expected, passed, detail: passed ? null : "found in response" });
+  });
+
+  (expect.matches || []).forEach(expected => {
+    let passed = false;
+    let detail = null;
+    try {
+      passed = new RegExp(expected, "im").test(text);
+      if (!passed) detail = "no match";
+    } catch (error) {
+      detail = `invalid pattern: ${error.message}`;
+    }
+    checks.push({ type: "matches", expected, passed, detail });
+  });
+
+  if (expect.json) checks.push(...checkJson(text, expect.json));
+
+  return checks;
+}
+
+/**
+ * "ORD-1001 BLOCKED" - the decision (alternatives with |) must appear on the
+ * subject's line or in the lines below it, before another subject of the
+ * same kind (e.g. the next ORD-xxxx) starts. Decisions match case-sensitively
+ * so "BLOCKED" does not match prose like "blocked by".
+ */
+export function checkDecision(text, expected) {
+  const [subject, ...rest] = expected.trim().split(/\s+/);
+  const decisions = rest.join(" ").split("|").map(value => value.trim()).filter(Boolean);
+  const result = { type: "decision", expected, passed: false, detail: null };
+
+  if (decisions.length === 0) {
+    return { ...result, detail: "expected format: <subject> <DECISION>[|<DECISION>]" };
+  }
+
+  const lines = text.split("\n");
+  const sameKind = new RegExp(escapeRegExp(subject).replace(/\d+/g, "\\d+"), "gi");
+  const decisionPattern = new RegExp(`(^|[^A-Za-z-])(${decisions.map(escapeRegExp).join("|")})(?![A-Za-z-])`);
+  let mentioned = false;
+
+  for (let start = 0; start < lines.length; start++) {
+    if (!lines[start].toLowerCase().includes(subject.toLowerCase())) continue;
+    mentioned = true;
+
+    for (let index = start; index < Math.min(lines.length, start + DECISION_WINDOW_LINES); index++) {
+      const others = (lines[index].match(sameKind) || []).filter(match => match.toLowerCase() !== subject.toLowerCase());
+      if (index > start && others.length > 0 && !lines[index].toLowerCase().includes(subject.toLowerCase())) break;
+
+      const found = lines[index].match(decisionPattern);
+      if (found) return { ...result, passed: true, detail: `found "${found[2]}"` };
+    }
+  }
+
+  return { ...result, detail: mentioned ? `no ${decisions.join("/")} near ${subject}` : `${subject} not mentioned` };
+}
+
+function checkJson(text, { required = [], schema = null }) {
+  const { value, error } = extractJson(text);
+  if (value === null) {
+    return [{ type: "json", expected: "JSON response", passed: false, detail: error }];
+  }
+
+  const checks = required.map(field => {
+    const passed = getPath(value, field) !== undefined;
+    return { type: "jsonField", expected: field, passed, detail: passed ? null : "missing" };
+  });
+
+  if (schema) {
+    const errors = validateSchema(value, schema);
+    checks.push({ type: "jsonSchema", expected: "schema", passed: errors.length === 0, detail: errors.length ? errors.join("; ") : null });
+  }
+
+  return checks;
+}
+
+function getPath(value, fieldPath) {
+  return fieldPath.split(".").reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ========================================================================
+// LLM JUDGE
+// ========================================================================
+
+export function buildJudgePrompt(scenario, response) {
+  return [
+    "You are grading the answer of a pharmaceutical manufacturing AI agent in an automated evaluation.",
+    "",
+    `User request: ${scenario.message}`,
+    "",
+    "Grading criteria:",
+    scenario.expect.judge.criteria,
+    "",
+    "Agent answer:",
+    "<<<",
+    String(response ?? ""),
+    ">>>",
+    "",
+    "Score how well the answer meets the criteria from 0.0 (not at all) to 1.0 (fully).",
+    'Return JSON only: {"score": number, "reasoning": "one or two sentences"}'
+  ].join("\n");
+}
+
+/**
+ * @returns {{score: number|null, reasoning: string|null, error: string|null}}
+ */
+export function parseJudgeVerdict(text) {
+  const { value, error } = extractJson(text);
+  if (!value || typeof value.score !== "number") {
+    return { score: null, reasoning: null, error: error || "Judge returned no numeric score" };
+  }
+  return { score: Math.min(1, Math.max(0, value.score)), reasoning: value.reasoning || null, error: null };
+}
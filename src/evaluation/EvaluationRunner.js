@@ -0,0 +1,544 @@
+/**
+ * ========================================================================
+ * EVALUATION RUNNER - SCORE AGENT VERSIONS ON GOLDEN SCENARIOS
+ * ========================================================================
+ *
+ * Runs golden scenarios through AgentManager.processAgent() - same prompt
+ * rendering, context building and LLM chain as production - and stores a
+ * scored report per run. Reports of two versions (e.g. the active one
+ * and a reviewed draft) can be compared before the draft is activated.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Isolation: scenarios run in a sandbox view of the live AgentManager
+ * (agents, LLM providers, usage tracking, prompt partials and execution
+ * queue with priority "auto" are shared, so evaluations respect rate
+ * limits and show up in /api/usage under the run id as workflow). Only
+ * the side effects are swapped out: data comes from the scenario fixture,
+ * tool calls see the same tool list as in production but only data
+ * lookups run (against the fixture), proposed actions are recorded in
+ * the result instead of the approval inbox, and no events, traces,
+ * audit entries, sessions or cache entries are written.
+ *
+ * Scoring: rule checks pass/fail; with the LLM judge enabled each judged
+ * scenario adds a 0..1 judge score. A scenario passes when every rule
+ * check passes and the judge score reaches minScore.
+ *
+ * Config: EVALUATION_DIR (default data/evaluations)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { AgentManager } from "../agents/AgentManager.js";
+import { ToolUseLoop } from "../agents/ToolUseLoop.js";
+import { dataTypeOf } from "../agents/AgentConfigValidator.js";
+import { loadScenarios, loadFixtureData } from "./EvaluationScenarios.js";
+import { runRuleChecks, buildJudgePrompt, parseJudgeVerdict } from "./EvaluationChecks.js";
+
+const DEFAULT_JUDGE_MIN_SCORE = 0.7;
+
+function evaluationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ========================================================================
+// SANDBOX
+// ========================================================================
+
+/**
+ * DataManager stand-in serving one scenario's fixture data
+ */
+class FixtureData {
+  constructor() {
+    this.data = {};
+    this.sourceConfigs = new Map();
+  }
+
+  use(data) {
+    this.data = data;
+    this.sourceConfigs = new Map(Object.keys(data).map(dataType => [dataType, { type: "fixture" }]));
+  }
+
+  onDataChange() {
+    return () => {};
+  }
+
+  getDataSnapshot(dataType) {
+    return this.data[dataType] ?? null;
+  }
+
+  getMockDataForAgent(agentConfig) {
+    const sources = Array.isArray(agentConfig) ? agentConfig : agentConfig?.dataSource;
+    const results = {};
+    (Array.isArray(sources) ? sources : []).forEach(source => {
+      const dataType = dataTypeOf(source);
+      if (this.data[dataType] !== undefined) results[dataType] = this.data[dataType];
+    });
+    return results;
+  }
+
+  getRealtimeOEEData() {
+    return Array.isArray(this.data.oee) ? this.data.oee : [];
+  }
+
+  async getOrdersWithOEE() {
+    const orders = Array.isArray(this.data.orders) ? this.data.orders : [];
+    const oeeData = this.getRealtimeOEEData();
+    return orders.map(order => {
+      const workCenter = order.operations?.find(op => op.workCenter)?.workCenter || "UNKNOWN";
+      return { ...order, workCenter, oee: oeeData.find(o => o.line === workCenter) || { status: "no-data", metrics: {} } };
+    });
+  }
+}
+
+/**
+ * Tool registry stand-in: the agent is offered its production tools, data
+ * lookups are answered from the fixture - tools that read live data or
+ * change something fail with a message the model can react to
+ */
+class FixtureTools {
+  constructor(agentManager, fixtures) {
+    this.agentManager = agentManager;
+    this.fixtures = fixtures;
+    this.executions = 0;
+  }
+
+  get tools() {
+    return this.agentManager.toolRegistry?.tools || new Map();
+  }
+
+  async executeTool(toolName, args = {}) {
+    if (toolName !== "query_production_data") {
+      throw new Error(`Tool ${toolName} is not available in evaluations - only fixture data lookups run`);
+    }
+
+    const { dataSource, filters = {}, limit = 100 } = args;
+    const data = this.fixtures.getDataSnapshot(dataSource);
+    if (data === null) throw new Error(`Query failed: Data source not found: ${dataSource}`);
+
+    const records = (Array.isArray(data) ? data : [data]).filter(item => Object.entries(filters).every(([key, value]) =>
+      item[key] !== undefined &&
+      (typeof value === "string" ? String(item[key]).toLowerCase().includes(value.toLowerCase()) : item[key] === value)));
+
+    return {
+      success: true,
+      executionId: `fixture-${++this.executions}`,
+      result: {
+        dataSource,
+        filters,
+        resultCount: records.length,
+        totalRecords: Array.isArray(data) ? data.length : 1,
+        data: records.slice(0, limit || 100)
+      }
+    };
+  }
+}
+
+/**
+ * ApprovalInbox stand-in: proposed actions end up in the scenario result,
+ * nothing waits for approval in the live inbox
+ */
+class ProposalRecorder {
+  constructor() {
+    this.actions = [];
+  }
+
+  reset() {
+    this.actions = [];
+  }
+
+  propose({ agentId, action, entityId, reason = null }) {
+    const existing = this.actions.find(candidate => candidate.action === action && candidate.entityId === entityId);
+    if (existing) return { action: existing, duplicate: true };
+
+    const proposed = { actionId: `EVAL-${this.actions.length + 1}`, agentId, action, entityId, reason, status: "proposed" };
+    this.actions.push(proposed);
+    return { action: proposed, duplicate: false };
+  }
+}
+
+// ========================================================================
+// RUNNER
+// ========================================================================
+
+export class EvaluationRunner {
+  constructor(agentManager, options = {}) {
+    this.agentManager = agentManager;
+    this.directory = options.directory || process.env.EVALUATION_DIR || path.join("data", "evaluations");
+    this.scenarioDirectory = options.scenarioDirectory;
+    this.sandbox = null;
+    this.fixtures = new FixtureData();
+    this.proposals = new ProposalRecorder();
+    this.running = new Map(); // runId → report in progress
+    this.chain = Promise.resolve(); // one run at a time - the sandbox serves one fixture
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * The live AgentManager with data, tools, approvals and side effects swapped out
+   * (processAgent() only returns the response text - the full result is kept in lastResult)
+   */
+  getSandbox() {
+    if (!this.sandbox) {
+      const sandbox = Object.create(this.agentManager);
+      Object.assign(sandbox, {
+        dataManager: this.fixtures,
+        eventBusManager: null,
+        auditLogger: { log: () => {} },
+        // Scenario runs on fixtures are not decisions - no traces
+        traceStore: null,
+        toolRegistry: new FixtureTools(this.agentManager, this.fixtures),
+        approvalInbox: this.proposals,
+        lastResult: null,
+        async executeAgent(agent, userMessage, options = {}) {
+          this.lastResult = await AgentManager.prototype.executeAgent.call(this, agent, userMessage, options);
+          return this.lastResult;
+        }
+      });
+      sandbox.toolUseLoop = new ToolUseLoop(sandbox);
+      this.sandbox = sandbox;
+    }
+    return this.sandbox;
+  }
+
+  /**
+   * Scenarios (optionally for one agent) plus file errors
+   */
+  getScenarios(agentId = null) {
+    const { scenarios, errors } = loadScenarios(this.scenarioDirectory);
+    return { scenarios: agentId ? scenarios.filter(scenario => scenario.agentId === agentId) : scenarios, errors };
+  }
+
+  /**
+   * Start an evaluation run - returns immediately, scenario results are added as they finish
+   * @param {Object} request - { agentId, versionId (default: running version), scenarioIds,
+   *                             provider, model, judge: boolean | { provider, model }, triggeredBy }
+   * @returns {Object} report (status "running")
+   * @throws {Error} code INVALID_REQUEST, NOT_FOUND, NO_SCENARIOS or PROVIDER_UNAVAILABLE
+   */
+  start(request = {}) {
+    const { agentId, versionId = null, scenarioIds = null, provider = null, model = null } = request;
+    if (!agentId) throw evaluationError("agentId is required", "INVALID_REQUEST");
+
+    const target = this.resolveDefinition(agentId, versionId);
+    const { scenarios: available, errors } = this.getScenarios(agentId);
+    const scenarios = Array.isArray(scenarioIds) && scenarioIds.length > 0
+      ? available.filter(scenario => scenarioIds.includes(scenario.id))
+      : available;
+    if (scenarios.length === 0) {
+      throw evaluationError(`No evaluation scenarios for ${agentId}`, "NO_SCENARIOS");
+    }
+
+    const judge = request.judge ? { provider: null, model: null, ...(typeof request.judge === "object" ? request.judge : {}) } : null;
+    [provider, judge?.provider].filter(Boolean).forEach(name => {
+      if (!this.agentManager.llmManager.getProvider(name)?.isConfigured()) {
+        throw evaluationError(`LLM provider not available: ${name}`, "PROVIDER_UNAVAILABLE");
+      }
+    });
+
+    const startedAt = new Date();
+    const report = {
+      runId: `eval-${agentId}-${startedAt.toISOString().replace(/[-:]/g, "").slice(0, 15)}-${uuidv4().slice(0, 6)}`,
+      agentId,
+      versionId: target.versionId,
+      versionStatus: target.versionStatus,
+      provider: provider || null,
+      model: model || null,
+      judge,
+      triggeredBy: request.triggeredBy || "anonymous",
+      status: "running",
+      startedAt: startedAt.toISOString(),
+      completedAt: null,
+      scenarioErrors: errors,
+      results: [],
+      summary: null
+    };
+
+    this.running.set(report.runId, report);
+    this.save(report);
+    console.log(`🧪 Evaluation ${report.runId}: ${scenarios.length} scenarios for ${agentId} (${target.versionId || "unversioned"})`);
+
+    this.chain = this.chain
+      .then(() => this.execute(report, this.buildAgent(target.definition, provider, model), scenarios))
+      .catch(error => console.error(`❌ Evaluation ${report.runId} failed:`, error.message));
+
+    return structuredClone(report);
+  }
+
+  /**
+   * Definition to evaluate: a stored version (e.g. reviewed draft) or the running agent
+   */
+  resolveDefinition(agentId, versionId) {
+    if (versionId) {
+      const version = this.agentManager.versionStore.getVersion(versionId);
+      if (!version || version.agentId !== agentId) {
+        throw evaluationError(`Version ${versionId} not found for ${agentId}`, "NOT_FOUND");
+      }
+      return { definition: version.definition, versionId, versionStatus: version.status };
+    }
+
+    const agent = this.agentManager.agents.find(candidate => candidate.id === agentId);
+    if (!agent) throw evaluationError(`Agent not found: ${agentId}`, "NOT_FOUND");
+    return { definition: agent, versionId: agent.versionId || null, versionStatus: agent.versionId ? "active" : null };
+  }
+
+  /**
+   * Runtime agent for the sandbox: no events, no cache, optional provider pinned without fallback
+   */
+  buildAgent(definition, provider, model) {
+    const [agent] = this.agentManager.prepareAgents([definition]);
+    delete agent.versionId;
+    delete agent.events;
+    agent.cache = false;
+
+    if (provider) {
+      agent.llm = {
+        ...agent.llm,
+        provider,
+        model: model || (agent.llm?.provider === provider ? agent.llm.model : undefined),
+        fallback: [],
+        useGlobalFallback: false
+      };
+    }
+    return agent;
+  }
+
+  async execute(report, agent, scenarios) {
+    const sandbox = this.getSandbox();
+
+    try {
+      for (const scenario of scenarios) {
+        report.results.push(await this.runScenario(sandbox, agent, scenario, report));
+        this.save(report);
+      }
+      report.status = "completed";
+    } catch (error) {
+      report.status = "failed";
+      report.error = error.message;
+    } finally {
+      report.completedAt = new Date().toISOString();
+      report.summary = this.summarize(report.results);
+      this.running.delete(report.runId);
+      this.save(report);
+      console.log(`🧪 Evaluation ${report.runId} ${report.status}: ${report.summary.passed}/${report.summary.total} passed, score ${report.summary.score}`);
+    }
+  }
+
+  async runScenario(sandbox, agent, scenario, report) {
+    const base = { scenarioId: scenario.id, description: scenario.description || null, message: scenario.message };
+
+    try {
+      this.fixtures.use(loadFixtureData(scenario));
+    } catch (error) {
+      return { ...base, status: "error", score: 0, error: error.message, checks: [], judge: null };
+    }
+
+    sandbox.lastResult = null;
+    this.proposals.reset();
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await sandbox.processAgent(agent, scenario.message, false, {
+        variables: scenario.variables,
+        priority: "auto",
+        workflowId: report.runId
+      });
+    } catch (error) {
+      return { ...base, status: "error", score: 0, error: error.message, checks: [], judge: null, latencyMs: Date.now() - startTime };
+    }
+    const execution = sandbox.lastResult || {};
+    const latencyMs = Date.now() - startTime;
+
+    if (execution.status && execution.status !== "completed") {
+      return {
+        ...base,
+        status: "error",
+        score: 0,
+        error: execution.error || execution.response,
+        executionStatus: execution.status,
+        checks: [],
+        judge: null,
+        latencyMs
+      };
+    }
+
+    const checks = runRuleChecks(response, scenario.expect);
+    const judge = report.judge && scenario.expect.judge ? await this.judgeResponse(scenario, response, report) : null;
+
+    const rulesPassed = checks.filter(check => check.passed).length;
+    const judgeScore = judge?.score ?? null;
+    const parts = checks.length + (judgeScore !== null ? 1 : 0);
+    const score = parts > 0 ? (rulesPassed + (judgeScore ?? 0)) / parts : 1;
+    const passed = rulesPassed === checks.length && (judge === null || judge.passed);
+
+    return {
+      ...base,
+      status: passed ? "passed" : "failed",
+      score: Math.round(score * 1000) / 1000,
+      checks,
+      judge,
+      response,
+      toolCalls: (execution.toolCalls || []).map(({ tool, input, ok, error }) => ({ tool, input, ok, error })),
+      proposedActions: this.proposals.actions.map(({ action, entityId, reason }) => ({ action, entityId, reason })),
+      provider: execution.provider || null,
+      model: execution.model || null,
+      latencyMs
+    };
+  }
+
+  async judgeResponse(scenario, response, report) {
+    const minScore = scenario.expect.judge.minScore ?? DEFAULT_JUDGE_MIN_SCORE;
+    const judgeAgent = {
+      id: "evaluationJudge",
+      llm: report.judge.provider
+        ? { provider: report.judge.provider, model: report.judge.model || undefined, useGlobalFallback: false }
+        : undefined
+    };
+
+    try {
+      const completion = await this.agentManager.llmManager.generate(buildJudgePrompt(scenario, response), {
+        agent: judgeAgent,
+        maxTokens: 300,
+        attribution: { source: "evaluation", workflowId: report.runId }
+      });
+      const verdict = parseJudgeVerdict(completion.text);
+      return {
+        ...verdict,
+        minScore,
+        passed: verdict.score !== null && verdict.score >= minScore,
+        provider: completion.provider,
+        model: completion.model
+      };
+    } catch (error) {
+      return { score: null, reasoning: null, error: error.message, minScore, passed: false };
+    }
+  }
+
+  summarize(results) {
+    const total = results.length;
+    const judged = results.filter(result => result.judge?.score != null);
+    return {
+      total,
+      passed: results.filter(result => result.status === "passed").length,
+      failed: results.filter(result => result.status === "failed").length,
+      errors: results.filter(result => result.status === "error").length,
+      score: total > 0 ? Math.round((results.reduce((sum, result) => sum + result.score, 0) / total) * 1000) / 1000 : null,
+      judgeScore: judged.length > 0
+        ? Math.round((judged.reduce((sum, result) => sum + result.judge.score, 0) / judged.length) * 1000) / 1000
+        : null
+    };
+  }
+
+  // ========================================================================
+  // REPORTS
+  // ========================================================================
+
+  save(report) {
+    fs.writeFileSync(path.join(this.directory, `${report.runId}.json`), JSON.stringify(report, null, 2));
+  }
+
+  getReport(runId) {
+    if (this.running.has(runId)) return structuredClone(this.running.get(runId));
+
+    const file = path.join(this.directory, `${path.basename(runId)}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Stored runs without per-scenario results, newest first
+   * @param {Object} filter - { agentId, versionId }
+   */
+  listReports(filter = {}) {
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith(".json"))
+      .map(name => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.directory, name), "utf8"));
+        } catch {
+          return null;
+        }
+      })
+      .filter(report => report &&
+        (!filter.agentId || report.agentId === filter.agentId) &&
+        (!filter.versionId || report.versionId === filter.versionId))
+      .map(({ results, scenarioErrors, ...summary }) => summary)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Scenario-by-scenario comparison of two runs (base = e.g. active version, candidate = draft)
+   */
+  compare(baseRunId, candidateRunId) {
+    const base = this.getReport(baseRunId);
+    const candidate = this.getReport(candidateRunId);
+    if (!base || !candidate) {
+      throw evaluationError(`Evaluation run not found: ${!base ? baseRunId : candidateRunId}`, "NOT_FOUND");
+    }
+    if (base.agentId !== candidate.agentId) {
+      throw evaluationError(`Runs evaluate different agents (${base.agentId} / ${candidate.agentId})`, "AGENT_MISMATCH");
+    }
+
+    const baseResults = new Map(base.results.map(result => [result.scenarioId, result]));
+    const scenarios = candidate.results
+      .filter(result => baseResults.has(result.scenarioId))
+      .map(result => {
+        const previous = baseResults.get(result.scenarioId);
+        return {
+          scenarioId: result.scenarioId,
+          base: { status: previous.status, score: previous.score },
+          candidate: { status: result.status, score: result.score },
+          delta: Math.round((result.score - previous.score) * 1000) / 1000,
+          regression: previous.status === "passed" && result.status !== "passed",
+          improvement: previous.status !== "passed" && result.status === "passed"
+        };
+      });
+
+    const describe = (report) => ({
+      runId: report.runId,
+      versionId: report.versionId,
+      provider: report.provider,
+      model: report.model,
+      status: report.status,
+      summary: report.summary
+    });
+
+    const baseScore = scenarios.reduce((sum, scenario) => sum + scenario.base.score, 0);
+    const candidateScore = scenarios.reduce((sum, scenario) => sum + scenario.candidate.score, 0);
+
+    return {
+      agentId: base.agentId,
+      base: describe(base),
+      candidate: describe(candidate),
+      compared: scenarios.length,
+      scoreDelta: scenarios.length > 0 ? Math.round(((candidateScore - baseScore) / scenarios.length) * 1000) / 1000 : null,
+      regressions: scenarios.filter(scenario => scenario.regression).map(scenario => scenario.scenarioId),
+      improvements: scenarios.filter(scenario => scenario.improvement).map(scenario => scenario.scenarioId),
+      onlyInBase: base.results.map(result => result.scenarioId).filter(id => !candidate.results.some(result => result.scenarioId === id)),
+      onlyInCandidate: candidate.results.map(result => result.scenarioId).filter(id => !baseResults.has(id)),
+      scenarios
+    };
+  }
+
+  getStatus() {
+    return {
+      directory: this.directory,
+      running: Array.from(this.running.values()).map(report => ({
+        runId: report.runId,
+        agentId: report.agentId,
+        versionId: report.versionId,
+        completed: report.results.length
+      }))
+    };
+  }
+}
+
+export default EvaluationRunner;
@@ -0,0 +1,143 @@
+/**
+ * ========================================================================
+ * EVALUATION SCENARIOS - GOLDEN TEST CASES FOR AGENTS
+ * ========================================================================
+ *
+ * Loads golden scenarios from config/evaluations/*.yaml. A scenario pins
+ * the data an agent sees (fixture directory + inline overrides), the user
+ * message and the expected outcome, so prompt edits can be scored
+ * against the same inputs every time.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * File format (one file per agent):
+ *   agentId: orderAgent
+ *   scenarios:
+ *     - id: ord-1001-blocked-qa-rejected
+ *       fixture: mock-data            # directory with <dataType>.json (default)
+ *       data: { qa: [...] }           # replaces whole data types
+ *       message: "Can ORD-1001 start today?"
+ *       variables: { orderId: ORD-1001 }
+ *       expect:
+ *         decisions: ["ORD-1001 BLOCKED"]
+ *         contains: [...], notContains: [...], matches: [...]
+ *         json: { required: [...], schema: {...} }
+ *         judge: { criteria: "...", minScore: 0.7 }
+ *
+ * Config: EVALUATION_SCENARIO_DIR (default config/evaluations)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { validateSchema } from "../utils/jsonSchema.js";
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+export const SCENARIO_SCHEMA = {
+  type: "object",
+  required: ["id", "message", "expect"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    agentId: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    fixture: { type: "string", minLength: 1 },
+    data: { type: "object" },
+    message: { type: "string", minLength: 1 },
+    variables: { type: "object" },
+    expect: {
+      type: "object",
+      properties: {
+        decisions: stringList,
+        contains: stringList,
+        notContains: stringList,
+        matches: stringList,
+        json: {
+          type: "object",
+          properties: {
+            required: stringList,
+            schema: { type: "object" }
+          },
+          additionalProperties: false
+        },
+        judge: {
+          type: "object",
+          required: ["criteria"],
+          properties: {
+            criteria: { type: "string", minLength: 1 },
+            minScore: { type: "number", minimum: 0, maximum: 1 }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Load and validate all scenario files
+ * @returns {{scenarios: Array, errors: string[]}} scenarios carry agentId and file
+ */
+export function loadScenarios(directory = process.env.EVALUATION_SCENARIO_DIR || path.join("config", "evaluations")) {
+  const scenarios = [];
+  const errors = [];
+  if (!fs.existsSync(directory)) return { scenarios, errors };
+
+  const files = fs.readdirSync(directory).filter(name => /\.ya?ml$/.test(name)).sort();
+  for (const file of files) {
+    let document;
+    try {
+      document = yaml.load(fs.readFileSync(path.join(directory, file), "utf8")) || {};
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      continue;
+    }
+
+    (Array.isArray(document.scenarios) ? document.scenarios : []).forEach((scenario, index) => {
+      const label = `${file} scenarios[${index}]${scenario?.id ? ` (${scenario.id})` : ""}`;
+      const scenarioErrors = validateSchema(scenario, SCENARIO_SCHEMA, label);
+      const agentId = scenario?.agentId || document.agentId;
+
+      if (!agentId) scenarioErrors.push(`${label}: no agentId (scenario or file level)`);
+      if (scenario?.id && scenarios.some(other => other.id === scenario.id)) {
+        scenarioErrors.push(`${label}: duplicate scenario id`);
+      }
+
+      if (scenarioErrors.length > 0) {
+        errors.push(...scenarioErrors);
+      } else {
+        scenarios.push({ ...scenario, agentId, file });
+      }
+    });
+  }
+
+  return { scenarios, errors };
+}
+
+/**
+ * Data for a scenario: every <dataType>.json of the fixture directory,
+ * then inline `data` entries replace whole data types
+ * @returns {Object} dataType → data
+ */
+export function loadFixtureData(scenario) {
+  const directory = scenario.fixture || "mock-data";
+  const data = {};
+
+  if (fs.existsSync(directory)) {
+    fs.readdirSync(directory)
+      .filter(name => name.endsWith(".json"))
+      .forEach(name => {
+        data[path.basename(name, ".json")] = JSON.parse(fs.readFileSync(path.join(directory, name), "utf8"));
+      });
+  } else if (scenario.fixture) {
+    throw new Error(`Fixture directory not found: ${directory}`);
+  }
+
+  return { ...data, ...structuredClone(scenario.data || {}) };
+}
+
+export default loadScenarios;
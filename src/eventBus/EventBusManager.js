@@ -172,6 +172,28 @@ export class EventBusManager {
     }
   }
 
+  /**
+   * Deliver an A2A request/response envelope to the listeners of its topic
+   * A2A messages are point-to-point: no agent auto-triggering by subscriptions
+   * @returns {boolean} false when no handler listens on the topic
+   */
+  publishA2AMessage(topic, message, sourceId) {
+    const auditEvent = {
+      type: "a2a_message",
+      eventType: topic,
+      sourceAgent: sourceId,
+      messageType: message.type,
+      requestId: message.requestId,
+      status: message.status || null,
+      timestamp: new Date().toISOString()
+    };
+
+    this.auditLogger.appendAudit(auditEvent);
+    this.emit("event", auditEvent);
+
+    return this.eventBus.emit(topic, message);
+  }
+
   /**
    * Handle OEE Events (NEW)
    * Special processing for OEE-related events
@@ -0,0 +1,794 @@
+/**
+ * ========================================================================
+ * LLM MANAGER - PLUGGABLE PROVIDER LAYER WITH FAILOVER
+ * ========================================================================
+ *
+ * Central registry for all LLM backends used by the agent system.
+ * Every provider implements the same interface so agents can switch
+ * models without code changes.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Supported providers:
+ * - anthropic: Claude via Direct SDK (or LangChain with USE_LANGCHAIN=true)
+ * - ollama:    Local models via LangChain Ollama
+ * - openai:    Any OpenAI-compatible chat completions HTTP API
+ * - stub:      Deterministic local responses (no network, demos/offline)
+ * - replay:    Recorded prompt/response cassettes (tests, validation runs)
+ *
+ * Per-agent selection in config/agents.yaml:
+ *   llm:
+ *     provider: "ollama"
+ *     model: "llama3"
+ *     fallback: ["anthropic"]
+ *
+ * Global chain via environment:
+ *   LLM_PROVIDER=anthropic
+ *   LLM_FALLBACK_PROVIDERS=ollama,stub
+ *
+ * Replay cassettes (config/cassettes/<agentId>.json):
+ *   LLM_REPLAY_MODE=replay  → answer from cassettes first, misses fall through the chain
+ *   LLM_REPLAY_MODE=record  → call real providers and record every response
+ *
+ * Usage accounting: every call is recorded by UsageTracker; pass
+ * options.attribution = { userId, workflowId, orderId, source } to generate()
+ * ========================================================================
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Anthropic from "@anthropic-ai/sdk";
+import { ChatAnthropic } from "@langchain/anthropic";
+import { Ollama } from "@langchain/community/llms/ollama";
+import { UsageTracker } from "./UsageTracker.js";
+
+// ========================================================================
+// PROVIDER INTERFACE
+// ========================================================================
+
+/**
+ * Base LLM Provider Interface
+ * All providers must implement this interface
+ */
+export class LLMProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.defaultModel = config.model || null;
+  }
+
+  /**
+   * Generate a completion for a single prompt
+   * @returns {Promise<{text: string, model: string, usage: object|null}>}
+   */
+  async generate(prompt, options = {}) {
+    throw new Error("generate method must be implemented");
+  }
+
+  /**
+   * Stream a completion, calling onDelta(text) for every chunk
+   * Default: providers without native streaming emit the full text once
+   * @returns {Promise<{text: string, model: string, usage: object|null}>}
+   */
+  async stream(prompt, options = {}, onDelta = () => {}) {
+    const result = await this.generate(prompt, options);
+    onDelta(result.text);
+    return result;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  getName() {
+    throw new Error("getName method must be implemented");
+  }
+}
+
+// ========================================================================
+// ANTHROPIC PROVIDER (Claude)
+// ========================================================================
+
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = config.apiKey || null;
+    this.useLangChain = config.useLangChain || false;
+    this.client = this.apiKey && !this.useLangChain ? new Anthropic({ apiKey: this.apiKey }) : null;
+    this.langChainModels = new Map(); // model:maxTokens → ChatAnthropic instance
+  }
+
+  getLangChainModel(model, maxTokens) {
+    const key = `${model}:${maxTokens}`;
+    if (!this.langChainModels.has(key)) {
+      this.langChainModels.set(key, new ChatAnthropic({
+        apiKey: this.apiKey,
+        model,
+        maxTokens
+      }));
+    }
+    return this.langChainModels.get(key);
+  }
+
+  async generate(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    const maxTokens = options.maxTokens || 1024;
+
+    if (this.useLangChain) {
+      const response = await this.getLangChainModel(model, maxTokens).invoke(prompt);
+      const usage = response.usage_metadata;
+      return {
+        text: typeof response.content === "string" ? response.content : JSON.stringify(response.content),
+        model,
+        usage: usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } : null
+      };
+    }
+
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(options.temperature !== undefined && { temperature: options.temperature }),
+      messages: [{ role: "user", content: prompt }],
+    });
+
+    return {
+      text: response.content.map(block => block.text || "").join(""),
+      model: response.model || model,
+      usage: response.usage ? {
+        inputTokens: response.usage.input_tokens,
+        outputTokens: response.usage.output_tokens
+      } : null
+    };
+  }
+
+  async stream(prompt, options = {}, onDelta = () => {}) {
+    const model = options.model || this.defaultModel;
+    const maxTokens = options.maxTokens || 1024;
+
+    if (this.useLangChain) {
+      let text = "";
+      for await (const chunk of await this.getLangChainModel(model, maxTokens).stream(prompt)) {
+        const delta = typeof chunk.content === "string" ? chunk.content : "";
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return { text, model, usage: null };
+    }
+
+    const stream = this.client.messages.stream({
+      model,
+      max_tokens: maxTokens,
+      ...(options.temperature !== undefined && { temperature: options.temperature }),
+      messages: [{ role: "user", content: prompt }],
+    });
+    stream.on("text", delta => onDelta(delta));
+
+    const response = await stream.finalMessage();
+    return {
+      text: response.content.map(block => block.text || "").join(""),
+      model: response.model || model,
+      usage: response.usage ? {
+        inputTokens: response.usage.input_tokens,
+        outputTokens: response.usage.output_tokens
+      } : null
+    };
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  getName() {
+    return "anthropic";
+  }
+}
+
+// ========================================================================
+// OLLAMA PROVIDER (Local Models)
+// ========================================================================
+
+class OllamaProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    // Only configured when a URL or a model is set explicitly - the other one
+    // defaults to a local Ollama, so an unset provider is never in the chain
+    this.baseUrl = config.baseUrl || (config.model ? "http://localhost:11434" : null);
+    this.defaultModel = config.model || (config.baseUrl ? "llama2" : null);
+    this.models = new Map(); // model → LangChain Ollama instance
+  }
+
+  getModel(model) {
+    if (!this.models.has(model)) {
+      this.models.set(model, new Ollama({ baseUrl: this.baseUrl, model }));
+    }
+    return this.models.get(model);
+  }
+
+  async generate(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+
+    const response = await this.getModel(model).invoke(prompt, {
+      ...(options.maxTokens && { numPredict: options.maxTokens })
+    });
+
+    return {
+      text: typeof response === "string" ? response : (response.content || String(response)),
+      model,
+      usage: null
+    };
+  }
+
+  async stream(prompt, options = {}, onDelta = () => {}) {
+    const model = options.model || this.defaultModel;
+    let text = "";
+
+    const stream = await this.getModel(model).stream(prompt, {
+      ...(options.maxTokens && { numPredict: options.maxTokens })
+    });
+    for await (const chunk of stream) {
+      text += chunk;
+      onDelta(chunk);
+    }
+
+    return { text, model, usage: null };
+  }
+
+  isConfigured() {
+    return !!(this.baseUrl && this.defaultModel);
+  }
+
+  getName() {
+    return "ollama";
+  }
+}
+
+// ========================================================================
+// OPENAI-COMPATIBLE PROVIDER (HTTP)
+// ========================================================================
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.baseUrl || "https://api.openai.com/v1").replace(/\/$/, "");
+    this.apiKey = config.apiKey || null;
+    this.timeout = config.timeout || 60000;
+  }
+
+  async request(prompt, options = {}, stream = false) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        model: options.model || this.defaultModel,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: options.maxTokens || 1024,
+        ...(options.temperature !== undefined && { temperature: options.temperature }),
+        ...(stream && { stream: true })
+      }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI-compatible API error: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  async generate(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    const response = await this.request(prompt, options);
+
+    const json = await response.json();
+    return {
+      text: json?.choices?.[0]?.message?.content ?? "",
+      model: json.model || model,
+      usage: json.usage ? {
+        inputTokens: json.usage.prompt_tokens,
+        outputTokens: json.usage.completion_tokens
+      } : null
+    };
+  }
+
+  async stream(prompt, options = {}, onDelta = () => {}) {
+    const model = options.model || this.defaultModel;
+    const response = await this.request(prompt, options, true);
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let text = "";
+
+    // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !payload || payload === "[DONE]") continue;
+
+        const delta = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+    }
+
+    return { text, model, usage: null };
+  }
+
+  isConfigured() {
+    // Local OpenAI-compatible servers(vLLM, LM Studio) often run without a key
+    return !!(this.defaultModel && (this.apiKey || this.config.baseUrl));
+  }
+
+  getName() {
+    return "openai";
+  }
+}
+
+// ========================================================================
+// STUB PROVIDER (Deterministic, Offline)
+// ========================================================================
+
+class StubProvider extends LLMProvider {
+  async generate(prompt, options = {}) {
+    const model = options.model || this.defaultModel || "stub-1";
+    const promptHash = crypto.createHash("sha256").update(prompt).digest("hex").substring(0, 12);
+    const agentId = options.agentId || "unknown";
+
+    // A2A prompts ask for JSON - answer with a parseable placeholder
+    const text = /return json/i.test(prompt)
+      ? JSON.stringify({ status: "STUB", agentId, promptHash, message: "Deterministic stub response - no LLM called" })
+      : `[STUB ${model}] Deterministic offline response for ${agentId} (prompt ${promptHash}).\n` +
+        `No LLM was called - configure CLAUDE_API_KEY, OLLAMA_URL or OPENAI_API_KEY for real analysis.`;
+
+    return { text, model, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getName() {
+    return "stub";
+  }
+}
+
+// ========================================================================
+// REPLAY PROVIDER (Recorded Cassettes)
+// ========================================================================
+
+/**
+ * Normalize a prompt for cassette lookup
+ * Removes run-specific noise (timestamps, {date}, whitespace) so identical
+ * requests still match on the next day
+ */
+export function normalizePrompt(prompt) {
+  return String(prompt)
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>')
+    .replace(/\b\d{4}-\d{2}-\d{2}\b/g, '<date>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash of the normalized prompt - cassette entry key within an agent's cassette
+ */
+export function hashPrompt(prompt) {
+  return crypto.createHash("sha256").update(normalizePrompt(prompt)).digest("hex").substring(0, 16);
+}
+
+class ReplayProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.cassetteDir = config.cassetteDir || path.join("config", "cassettes");
+    this.cassettes = new Map(); // agentId → { agentId, entries }
+  }
+
+  getCassettePath(agentId) {
+    const safeId = String(agentId || "unknown").replace(/[^a-zA-Z0-9_-]/g, "_");
+    return path.join(this.cassetteDir, `${safeId}.json`);
+  }
+
+  loadCassette(agentId) {
+    const key = agentId || "unknown";
+    if (this.cassettes.has(key)) {
+      return this.cassettes.get(key);
+    }
+
+    const cassettePath = this.getCassettePath(key);
+    let cassette = { agentId: key, entries: {} };
+
+    if (fs.existsSync(cassettePath)) {
+      try {
+        cassette = JSON.parse(fs.readFileSync(cassettePath, "utf8"));
+        cassette.entries = cassette.entries || {};
+      } catch (error) {
+        console.error(`Failed to load cassette ${cassettePath}:`, error.message);
+      }
+    }
+
+    this.cassettes.set(key, cassette);
+    return cassette;
+  }
+
+  async generate(prompt, options = {}) {
+    const agentId = options.agentId || "unknown";
+    const hash = hashPrompt(prompt);
+    const entry = this.loadCassette(agentId).entries[hash];
+
+    if (!entry) {
+      const error = new Error(`No recorded response for ${agentId} (prompt ${hash})`);
+      error.code = "REPLAY_MISS";
+      throw error;
+    }
+
+    return {
+      text: entry.response,
+      model: entry.model || "replay",
+      usage: entry.usage || { inputTokens: 0, outputTokens: 0 },
+      replayed: { hash, provider: entry.provider, recordedAt: entry.recordedAt }
+    };
+  }
+
+  /**
+   * Record a real provider response into the agent's cassette
+   */
+  record(agentId, prompt, result) {
+    const cassette = this.loadCassette(agentId);
+    const hash = hashPrompt(prompt);
+
+    cassette.entries[hash] = {
+      promptPreview: normalizePrompt(prompt).substring(0, 200),
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage || null,
+      response: result.text,
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      fs.mkdirSync(this.cassetteDir, { recursive: true });
+      fs.writeFileSync(this.getCassettePath(cassette.agentId), JSON.stringify(cassette, null, 2));
+      console.log(`📼 Recorded cassette entry ${cassette.agentId}/${hash}`);
+    } catch (error) {
+      console.error(`Failed to write cassette for ${cassette.agentId}:`, error.message);
+    }
+
+    return hash;
+  }
+
+  getCassetteStats() {
+    if (!fs.existsSync(this.cassetteDir)) return [];
+
+    return fs.readdirSync(this.cassetteDir)
+      .filter(file => file.endsWith(".json"))
+      .map(file => {
+        const cassette = this.loadCassette(path.basename(file, ".json"));
+        return { agentId: cassette.agentId, entries: Object.keys(cassette.entries).length };
+      });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getName() {
+    return "replay";
+  }
+}
+
+// ========================================================================
+// PROVIDER FACTORY
+// ========================================================================
+
+export class LLMProviderFactory {
+  static createProvider(type, config = {}) {
+    switch (type.toLowerCase()) {
+      case 'anthropic':
+      case 'claude':
+        return new AnthropicProvider(config);
+      case 'ollama':
+        return new OllamaProvider(config);
+      case 'openai':
+      case 'openai-compatible':
+        return new OpenAICompatibleProvider(config);
+      case 'stub':
+        return new StubProvider(config);
+      case 'replay':
+        return new ReplayProvider(config);
+      default:
+        throw new Error(`Unknown LLM provider type: ${type}`);
+    }
+  }
+}
+
+// ========================================================================
+// LLM MANAGER (Registry + Failover Chain)
+// ========================================================================
+
+const PROVIDER_ALIASES = { claude: 'anthropic', 'openai-compatible': 'openai' };
+
+function normalizeProviderName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return PROVIDER_ALIASES[key] || key;
+}
+
+export class LLMManager {
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.providerHealth = new Map();
+    this.cooldownMs = options.cooldownMs ?? (parseInt(process.env.LLM_FAILOVER_COOLDOWN_MS) || 60000);
+
+    this.replayMode = (options.replayMode || process.env.LLM_REPLAY_MODE || 'off').toLowerCase();
+
+    this.defaultProvider = normalizeProviderName(options.defaultProvider || process.env.LLM_PROVIDER || 'anthropic');
+    const fallbackList = options.fallbackProviders ||
+      (process.env.LLM_FALLBACK_PROVIDERS || '').split(',').filter(Boolean);
+    this.defaultChain = [...new Set([
+      ...(this.replayMode === 'replay' ? ['replay'] : []),
+      this.defaultProvider,
+      ...fallbackList.map(normalizeProviderName)
+    ])];
+
+    this.registerDefaultProviders(options.providerConfigs || {});
+    this.usageTracker = options.usageTracker || new UsageTracker();
+
+    console.log(`🧠 LLMManager initialized - chain: [${this.defaultChain.join(' → ')}]`);
+  }
+
+  /**
+   * Register built-in providers from environment configuration
+   */
+  registerDefaultProviders(overrides = {}) {
+    const defaults = {
+      anthropic: {
+        apiKey: process.env.CLAUDE_API_KEY,
+        model: process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219",
+        useLangChain: process.env.USE_LANGCHAIN === 'true'
+      },
+      ollama: {
+        baseUrl: process.env.OLLAMA_URL,
+        model: process.env.OLLAMA_MODEL
+      },
+      openai: {
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY || process.env.LLM_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+      },
+      stub: {
+        model: 'stub-1'
+      },
+      replay: {
+        cassetteDir: process.env.LLM_CASSETTE_DIR || path.join('config', 'cassettes')
+      }
+    };
+
+    for (const [name, config] of Object.entries(defaults)) {
+      this.registerProvider(name, LLMProviderFactory.createProvider(name, { ...config, ...overrides[name] }));
+    }
+  }
+
+  /**
+   * Register (or replace) a provider under a name
+   */
+  registerProvider(name, provider) {
+    const key = normalizeProviderName(name);
+    this.providers.set(key, provider);
+    this.providerHealth.set(key, { calls: 0, failures: 0, lastError: null, unavailableUntil: 0 });
+    return provider;
+  }
+
+  getProvider(name) {
+    return this.providers.get(normalizeProviderName(name)) || null;
+  }
+
+  /**
+   * Resolve ordered provider chain for an agent
+   * Agent-specific provider first, then its fallbacks, then the global chain
+   */
+  resolveChain(agent = null) {
+    const llmConfig = agent?.llm || {};
+    const chain = [
+      llmConfig.provider,
+      ...(Array.isArray(llmConfig.fallback) ? llmConfig.fallback : []),
+      ...(llmConfig.useGlobalFallback === false ? [] : this.defaultChain)
+    ]
+      .filter(Boolean)
+      .map(normalizeProviderName);
+
+    return [...new Set(chain)].filter(name => this.providers.get(name)?.isConfigured());
+  }
+
+  hasConfiguredProvider(agent = null) {
+    return this.resolveChain(agent).length > 0;
+  }
+
+  /**
+   * Generate completion with automatic failover
+   * Tries each provider in the agent's chain until one succeeds.
+   * With options.onDelta the completion is streamed; failover is only
+   * possible until the first chunk has been delivered to the caller.
+   */
+  async generate(prompt, options = {}) {
+    const { agent = null, maxTokens, temperature, onDelta = null } = options;
+    const attribution = { agentId: agent?.id, ...options.attribution };
+    let chain = this.resolveChain(agent);
+
+    if (chain.length === 0) {
+      throw new Error("Kein aktiver LLM-Client konfiguriert");
+    }
+
+    const budget = this.usageTracker.getBudgetStatus();
+    const downgraded = budget.exceeded;
+    if (budget.exceeded) {
+      chain = this.applyBudgetLimit(chain, budget);
+    }
+
+    // Providers in cooldown are tried last instead of being skipped entirely
+    const now = Date.now();
+    const ordered = [
+      ...chain.filter(name => this.providerHealth.get(name).unavailableUntil <= now),
+      ...chain.filter(name => this.providerHealth.get(name).unavailableUntil > now)
+    ];
+
+    const attempts = [];
+
+    for (const name of ordered) {
+      const provider = this.providers.get(name);
+      const health = this.providerHealth.get(name);
+      // Agent model only applies to the provider it was configured for
+      const model = agent?.llm?.model && normalizeProviderName(agent.llm.provider) === name
+        ? agent.llm.model
+        : undefined;
+      const startTime = Date.now();
+      let streamed = false;
+
+      try {
+        health.calls++;
+        const providerOptions = { model, maxTokens, temperature, agentId: agent?.id };
+        const result = onDelta
+          ? await provider.stream(prompt, providerOptions, delta => {
+              streamed = true;
+              onDelta(delta);
+            })
+          : await provider.generate(prompt, providerOptions);
+
+        health.unavailableUntil = 0;
+
+        this.usageTracker.record({
+          provider: name,
+          model: result.model,
+          prompt,
+          text: result.text,
+          usage: result.usage,
+          latencyMs: Date.now() - startTime,
+          attribution,
+          downgraded
+        });
+
+        if (this.replayMode === 'record' && name !== 'replay' && name !== 'stub') {
+          this.providers.get('replay')?.record(agent?.id, prompt, { ...result, provider: name });
+        }
+
+        if (attempts.length > 0) {
+          console.log(`🔁 LLM failover: ${agent?.id || 'request'} served by ${name} after [${attempts.map(a => a.provider).join(', ')}] failed`);
+        }
+
+        return {
+          ...result,
+          provider: name,
+          latencyMs: Date.now() - startTime,
+          attempts
+        };
+      } catch (error) {
+        attempts.push({ provider: name, error: error.message });
+
+        // A cassette miss is expected behaviour, not a provider outage
+        if (error.code === 'REPLAY_MISS') {
+          continue;
+        }
+
+        this.usageTracker.record({
+          provider: name,
+          model: model || provider.defaultModel,
+          prompt,
+          latencyMs: Date.now() - startTime,
+          status: "failed",
+          error: error.message,
+          attribution,
+          downgraded
+        });
+
+        health.failures++;
+        health.lastError = error.message;
+        health.unavailableUntil = Date.now() + this.cooldownMs;
+        console.warn(`⚠️ LLM provider ${name} failed for ${agent?.id || 'request'}: ${error.message}`);
+
+        // Partial output already reached the client - switching providers would mix answers
+        if (streamed) {
+          throw new Error(`LLM stream from ${name} interrupted: ${error.message}`);
+        }
+      }
+    }
+
+    throw new Error(`All LLM providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`);
+  }
+
+  /**
+   * Monthly budget exhausted: block, or restrict the chain to zero-cost providers
+   */
+  applyBudgetLimit(chain, budget) {
+    const error = new Error(`Monthly LLM budget exhausted ($${budget.spentUsd} of $${budget.limitUsd})`);
+    error.code = 'BUDGET_EXCEEDED';
+
+    if (budget.action === 'block') {
+      throw error;
+    }
+
+    const downgradeChain = [...new Set([
+      ...chain.filter(name => this.usageTracker.isZeroCost(name)),
+      ...budget.downgradeProviders.map(normalizeProviderName)
+    ])].filter(name => this.providers.get(name)?.isConfigured());
+
+    if (downgradeChain.length === 0) {
+      error.message += ' - no zero-cost provider configured for downgrade';
+      throw error;
+    }
+
+    return downgradeChain;
+  }
+
+  /**
+   * Chat-style adapter: chat([{ role, content }], { max_tokens, temperature, attribution })
+   * Lets message-based callers (e.g. the chat NLU) use the provider chain and accounting
+   */
+  async chat(messages, options = {}) {
+    const prompt = messages
+      .map(message => message.role === 'user' ? message.content : `${message.role.toUpperCase()}:\n${message.content}`)
+      .join("\n\n");
+
+    return this.generate(prompt, {
+      maxTokens: options.max_tokens ?? options.maxTokens,
+      temperature: options.temperature,
+      attribution: options.attribution
+    });
+  }
+
+  /**
+   * Get provider registry status
+   */
+  getStatus() {
+    const now = Date.now();
+    return {
+      defaultProvider: this.defaultProvider,
+      defaultChain: this.defaultChain,
+      replayMode: this.replayMode,
+      budget: this.usageTracker.getBudgetStatus(),
+      cassettes: this.providers.get('replay')?.getCassetteStats() || [],
+      providers: Array.from(this.providers.entries()).map(([name, provider]) => {
+        const health = this.providerHealth.get(name);
+        return {
+          name,
+          configured: provider.isConfigured(),
+          defaultModel: provider.defaultModel,
+          calls: health.calls,
+          failures: health.failures,
+          lastError: health.lastError,
+          coolingDown: health.unavailableUntil > now
+        };
+      }),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default LLMManager;
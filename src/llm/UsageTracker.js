@@ -0,0 +1,265 @@
+/**
+ * ========================================================================
+ * USAGE TRACKER - LLM TOKEN, LATENCY AND COST ACCOUNTING
+ * ========================================================================
+ *
+ * Records every LLM call made through LLMManager (agent chat, A2A
+ * requests, chat NLU, conversation summaries) with tokens, latency,
+ * model and estimated cost, attributed to agent, user, workflow and
+ * order. Records are appended to one JSONL file per month and
+ * aggregated on request.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Monthly budget:
+ *   LLM_MONTHLY_BUDGET_USD=50           (unset = unlimited)
+ *   LLM_BUDGET_ACTION=downgrade         downgrade → zero-cost providers only
+ *                                       block     → calls fail with BUDGET_EXCEEDED
+ *   LLM_BUDGET_DOWNGRADE_PROVIDERS=ollama,stub
+ *
+ * Prices: config/llm-pricing.yaml (USD per 1M tokens)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { estimateTokens } from "../context/ContextBuilder.js";
+
+const DIMENSIONS = {
+  byAgent: "agentId",
+  byUser: "userId",
+  byWorkflow: "workflowId",
+  byOrder: "orderId",
+  bySource: "source",
+  byModel: "model",
+  byDay: "day"
+};
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+export class UsageTracker {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.LLM_USAGE_DIR || path.join("data", "usage");
+    this.pricingPath = options.pricingPath || path.join("config", "llm-pricing.yaml");
+
+    const budget = parseFloat(options.monthlyBudgetUsd ?? process.env.LLM_MONTHLY_BUDGET_USD);
+    this.monthlyBudgetUsd = Number.isFinite(budget) && budget > 0 ? budget : null;
+    this.budgetAction = (options.budgetAction || process.env.LLM_BUDGET_ACTION || "downgrade").toLowerCase();
+    this.downgradeProviders = options.downgradeProviders ||
+      (process.env.LLM_BUDGET_DOWNGRADE_PROVIDERS || "ollama,stub").split(",").map(name => name.trim()).filter(Boolean);
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    this.pricing = this.loadPricing();
+    this.month = currentMonth();
+    this.records = this.readMonth(this.month);
+    this.budgetWarningMonth = null;
+
+    console.log(`💰 UsageTracker initialized - ${this.records.length} calls this month` +
+      (this.monthlyBudgetUsd ? `, budget $${this.monthlyBudgetUsd} (${this.budgetAction})` : ", no budget limit"));
+  }
+
+  // ========================================================================
+  // PRICING
+  // ========================================================================
+
+  loadPricing() {
+    try {
+      return yaml.load(fs.readFileSync(this.pricingPath, "utf8")) || {};
+    } catch (error) {
+      console.warn(`⚠️ LLM pricing not loaded (${this.pricingPath}): ${error.message} - costs reported as 0`);
+      return {};
+    }
+  }
+
+  /**
+   * Price per 1M tokens for provider/model - longest model prefix wins
+   * @returns {{input: number, output: number}|null} null when the provider has no price list
+   */
+  getPrice(provider, model) {
+    const table = this.pricing[provider];
+    if (!table) return null;
+
+    const match = Object.keys(table)
+      .filter(prefix => prefix !== "*" && model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return table[match || "*"] || null;
+  }
+
+  isZeroCost(provider) {
+    const price = this.pricing[provider]?.["*"];
+    return !!price && !price.input && !price.output;
+  }
+
+  // ========================================================================
+  // RECORDING
+  // ========================================================================
+
+  /**
+   * Record one LLM call
+   * @param {Object} call - { provider, model, prompt, text, usage, latencyMs, status, error, attribution }
+   * attribution: { agentId, userId, workflowId, orderId, source }
+   */
+  record(call) {
+    const attribution = call.attribution || {};
+    const estimated = !call.usage;
+    const inputTokens = call.usage?.inputTokens ?? (call.status === "failed" ? 0 : estimateTokens(call.prompt));
+    const outputTokens = call.usage?.outputTokens ?? estimateTokens(call.text);
+    const price = this.getPrice(call.provider, call.model);
+    const timestamp = new Date().toISOString();
+
+    const record = {
+      timestamp,
+      day: timestamp.slice(0, 10),
+      provider: call.provider,
+      model: call.model || null,
+      agentId: attribution.agentId || null,
+      userId: attribution.userId || null,
+      workflowId: attribution.workflowId || null,
+      orderId: attribution.orderId || null,
+      source: attribution.source || "agent",
+      status: call.status || "success",
+      inputTokens,
+      outputTokens,
+      estimatedTokens: estimated,
+      latencyMs: call.latencyMs ?? null,
+      costUsd: price ? roundUsd((inputTokens * price.input + outputTokens * price.output) / 1e6) : 0,
+      priced: !!price,
+      downgraded: !!call.downgraded,
+      ...(call.error && { error: call.error })
+    };
+
+    // Month rollover - start a new in-memory window
+    if (record.timestamp.slice(0, 7) !== this.month) {
+      this.month = record.timestamp.slice(0, 7);
+      this.records = [];
+    }
+
+    this.records.push(record);
+    try {
+      fs.appendFileSync(this.getMonthPath(this.month), JSON.stringify(record) + "\n");
+    } catch (error) {
+      console.error("❌ Error writing usage record:", error.message);
+    }
+
+    return record;
+  }
+
+  getMonthPath(month) {
+    return path.join(this.directory, `usage-${month}.jsonl`);
+  }
+
+  readMonth(month) {
+    const file = this.getMonthPath(month);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  getRecords(month = currentMonth()) {
+    return month === this.month ? this.records : this.readMonth(month);
+  }
+
+  // ========================================================================
+  // BUDGET
+  // ========================================================================
+
+  getBudgetStatus() {
+    const spentUsd = roundUsd(this.getRecords(currentMonth()).reduce((sum, record) => sum + record.costUsd, 0));
+    const exceeded = this.monthlyBudgetUsd !== null && spentUsd >= this.monthlyBudgetUsd;
+
+    if (exceeded && this.budgetWarningMonth !== currentMonth()) {
+      this.budgetWarningMonth = currentMonth();
+      console.warn(`⚠️ Monthly LLM budget exhausted: $${spentUsd} of $${this.monthlyBudgetUsd} - action: ${this.budgetAction}`);
+    }
+
+    return {
+      month: currentMonth(),
+      limitUsd: this.monthlyBudgetUsd,
+      spentUsd,
+      remainingUsd: this.monthlyBudgetUsd === null ? null : roundUsd(Math.max(0, this.monthlyBudgetUsd - spentUsd)),
+      exceeded,
+      action: this.budgetAction,
+      downgradeProviders: this.downgradeProviders
+    };
+  }
+
+  // ========================================================================
+  // AGGREGATION
+  // ========================================================================
+
+  /**
+   * Aggregate a month by agent, user, workflow, order, source, model and day
+   * @param {Object} options - { month: "YYYY-MM", agentId, userId, workflowId, orderId }
+   */
+  getSummary(options = {}) {
+    const month = options.month || currentMonth();
+    const filters = Object.values(DIMENSIONS).filter(field => options[field]);
+    const records = this.getRecords(month)
+      .filter(record => filters.every(field => record[field] === options[field]));
+
+    const summary = {
+      month,
+      totals: this.aggregate(records),
+      budget: this.getBudgetStatus()
+    };
+
+    for (const [name, field] of Object.entries(DIMENSIONS)) {
+      const groups = {};
+      records.forEach(record => {
+        const key = record[field] || "unassigned";
+        (groups[key] = groups[key] || []).push(record);
+      });
+      summary[name] = Object.fromEntries(
+        Object.entries(groups).map(([key, group]) => [key, this.aggregate(group)])
+      );
+    }
+
+    return summary;
+  }
+
+  aggregate(records) {
+    const successful = records.filter(record => record.status !== "failed");
+    const latencies = successful.map(record => record.latencyMs).filter(value => typeof value === "number");
+
+    return {
+      calls: records.length,
+      failedCalls: records.length - successful.length,
+      inputTokens: records.reduce((sum, record) => sum + record.inputTokens, 0),
+      outputTokens: records.reduce((sum, record) => sum + record.outputTokens, 0),
+      estimatedTokenCalls: records.filter(record => record.estimatedTokens).length,
+      costUsd: roundUsd(records.reduce((sum, record) => sum + record.costUsd, 0)),
+      avgLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null
+    };
+  }
+
+  getMonths() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs.readdirSync(this.directory)
+      .map(file => file.match(/^usage-(\d{4}-\d{2})\.jsonl$/)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+}
+
+export default UsageTracker;
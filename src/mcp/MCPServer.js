@@ -218,7 +218,7 @@ export class PharmaMCPServer extends EventEmitter {
                     return await this.executeAgent(args.agentName, args.parameters || {});
                     
                 case 'query_production_data':
-                    return await this.queryProductionData(args.dataSource, args.filters);
+                    return await this.queryProductionData(args.dataSource, args.filters, args.limit);
                     
                 case 'trigger_event':
                     return await this.triggerEvent(args.eventType, args.eventData);
@@ -238,8 +238,14 @@ export class PharmaMCPServer extends EventEmitter {
                 case 'manage_inventory':
                     return await this.manageInventory(args.action, args);
                     
-                default:
+                default: {
+                    // Tools registered by code agent plugins carry their own handler
+                    const tool = this.toolRegistry.tools.get(toolName);
+                    if (tool?.handler) {
+                        return await tool.handler(args);
+                    }
                     throw new Error(`Unknown tool: ${toolName}`);
+                }
             }
         };
     }
@@ -250,7 +256,8 @@ export class PharmaMCPServer extends EventEmitter {
     async executeAgent(agentName, parameters = {}) {
         try {
             // Validate agent exists
-            if (!this.agentManager.agents || !this.agentManager.agents[agentName]) {
+            const agent = this.agentManager.agents?.find(a => a.id === agentName);
+            if (!agent) {
                 throw new Error(`Agent not found: ${agentName}`);
             }
 
@@ -261,9 +268,13 @@ export class PharmaMCPServer extends EventEmitter {
                 parameters
             };
 
-            // Execute agent through existing agent manager
-            const result = await this.agentManager.executeAgent(agentName, context);
-            
+            // Execute agent through existing agent manager (same LLM chain incl. replay cassettes)
+            // Parameters (orderId, batchId, materialId, ...) are the template variables,
+            // code agents also get them as module params and run the given intent
+            const message = parameters.message || agent.trigger;
+            const result = await this.agentManager.processAgent(agent, message, false,
+                { intent: parameters.intent, variables: parameters });
+
             // Emit execution event
             this.eventBus.emit('mcp/agent_executed', {
                 agentName,
@@ -292,10 +303,10 @@ export class PharmaMCPServer extends EventEmitter {
         }
     }
 
-    async queryProductionData(dataSource, filters = {}) {
+    async queryProductionData(dataSource, filters = {}, limit = 100) {
         try {
-            // Get data through data manager
-            const data = await this.dataManager.getData(dataSource);
+            // Get data through data manager (loaded snapshot, otherwise load the source)
+            const data = this.dataManager.getDataSnapshot(dataSource) ?? await this.dataManager.getCachedData(dataSource);
             
             if (!data) {
                 throw new Error(`Data source not found: ${dataSource}`);
@@ -324,7 +335,7 @@ export class PharmaMCPServer extends EventEmitter {
                 filters,
                 resultCount: filteredData.length,
                 totalRecords: Array.isArray(data) ? data.length : 1,
-                data: filteredData.slice(0, 100), // Limit results
+                data: filteredData.slice(0, limit || 100), // Limit results
                 timestamp: Date.now()
             };
 
@@ -49,12 +49,16 @@ export class MCPToolRegistry {
                     agentName: {
                         type: 'string',
                         description: 'Name of the agent to execute',
-                        enum: ['orderAgent', 'briefingAgent', 'assessmentAgent', 'complianceAgent', 'statusAgent', 'helpAgent']
+                        enum: ['orderAgent', 'briefingAgent', 'assessmentAgent', 'complianceAgent', 'statusAgent', 'helpAgent',
+                            'planningAgent', 'qualityIntelligenceAgent', 'supplyChainAgent']
                     },
                     parameters: {
                         type: 'object',
                         description: 'Parameters to pass to the agent',
                         properties: {
+                            message: { type: 'string', description: 'User message (defaults to agent trigger)' },
+                            intent: { type: 'string', description: 'Intent of a code agent, e.g. planning.optimize_weekly (defaults to the message)' },
+                            materialId: { type: 'string' },
                             batchId: { type: 'string' },
                             orderId: { type: 'string' },
                             priority: { type: 'string', enum: ['low', 'medium', 'high'] }
@@ -349,6 +353,25 @@ export class MCPToolRegistry {
         console.log(`🔧 Registered tool: ${tool.name}`);
     }
 
+    /**
+     * Tool of a code agent plugin (agents/AgentPluginLoader.js)
+     * The handler executes the tool; the roles in permissions are granted access
+     */
+    registerPluginTool(toolDefinition, handler) {
+        if (this.tools.has(toolDefinition.name)) {
+            throw new Error(`Tool already registered: ${toolDefinition.name}`);
+        }
+
+        this.registerTool({ ...toolDefinition, handler });
+
+        for (const role of toolDefinition.permissions || []) {
+            const rolePerms = this.rolePermissions[role] || (this.rolePermissions[role] = []);
+            if (!rolePerms.includes(toolDefinition.name) && !rolePerms.includes('*')) {
+                rolePerms.push(toolDefinition.name);
+            }
+        }
+    }
+
     setupPermissions() {
         // Role-based tool access
         const rolePermissions = {
@@ -362,6 +385,12 @@ export class MCPToolRegistry {
             ],
             'admin': [
                 '*' // All tools
+            ],
+            'agent': [
+                // Agent tool-use loop - read-only tools, scoped per agent by tools.allow in agents.yaml.
+                // Tools that change data, emit events or run other agents need a human caller;
+                // plugin tools opt in with 'agent' in their permissions
+                'query_production_data', 'check_compliance', 'generate_report', 'assess_quality'
             ]
         };
 
@@ -0,0 +1,341 @@
+/**
+ * ========================================================================
+ * CONVERSATION STORE - PERSISTENT SESSION MEMORY
+ * ========================================================================
+ *
+ * Conversation sessions persisted as append-only JSONL files (one file per
+ * session), so threads survive restarts and can be continued by the next
+ * shift. The prompt window is bounded in tokens: when the recent turns
+ * exceed it, the oldest turns are folded into a rolling summary.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * File format (data/conversations/<sessionId>.jsonl):
+ *   {"type":"session","sessionId":"...","userId":"...","createdAt":"..."}
+ *   {"type":"turn","role":"user|assistant","content":"...","agentId":null,...}
+ *   {"type":"summary","content":"...","summarizedTurns":6,...}
+ *
+ * Config: CONVERSATION_STORE_DIR, CONVERSATION_WINDOW_TOKENS (default 2000),
+ *         CONVERSATION_SUMMARY_TOKENS (default 400)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { estimateTokens } from "../context/ContextBuilder.js";
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+// Never fold the latest exchange into the summary
+const MIN_RECENT_TURNS = 2;
+const SUMMARY_LINE_CHARS = 160;
+
+export class ConversationStore {
+  /**
+   * @param {Object} options - { directory, windowTokens, summaryTokens, summarize }
+   * summarize(previousSummary, turns, maxTokens) → Promise<string> replaces the
+   * extractive summary (e.g. LLM-based); failures fall back to extractive
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.CONVERSATION_STORE_DIR || path.join("data", "conversations");
+    this.windowTokens = options.windowTokens ?? (parseInt(process.env.CONVERSATION_WINDOW_TOKENS) || 2000);
+    // The summary shares the window with the recent turns
+    this.summaryTokens = Math.min(
+      options.summaryTokens ?? (parseInt(process.env.CONVERSATION_SUMMARY_TOKENS) || 400),
+      Math.floor(this.windowTokens / 2)
+    );
+    this.summarize = options.summarize || null;
+    this.sessions = new Map();
+
+    this.loadSessions();
+  }
+
+  // ========================================================================
+  // PERSISTENCE
+  // ========================================================================
+
+  /**
+   * Rebuild session index from JSONL files on startup
+   */
+  loadSessions() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    const files = fs.readdirSync(this.directory).filter(file => file.endsWith(".jsonl"));
+    for (const file of files) {
+      try {
+        const session = this.readSessionFile(path.join(this.directory, file));
+        if (session) this.sessions.set(session.sessionId, session);
+      } catch (error) {
+        console.error(`❌ Error loading conversation ${file}:`, error.message);
+      }
+    }
+
+    console.log(`💬 ConversationStore loaded ${this.sessions.size} sessions from ${this.directory}`);
+  }
+
+  readSessionFile(file) {
+    let session = null;
+
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // Partially written last line (crash during append) - skip it
+        continue;
+      }
+
+      if (record.type === "session") {
+        session = this.createSessionState(record.sessionId, record.userId, record.createdAt);
+      } else if (session && record.type === "turn") {
+        session.turns.push(record);
+        session.participants.add(record.userId);
+        session.updatedAt = record.timestamp;
+      } else if (session && record.type === "summary") {
+        session.summary = record.content;
+        session.summarizedTurns = record.summarizedTurns;
+      }
+    }
+
+    return session;
+  }
+
+  createSessionState(sessionId, userId, createdAt) {
+    return {
+      sessionId,
+      userId,
+      createdAt,
+      updatedAt: createdAt,
+      turns: [],
+      summary: null,
+      summarizedTurns: 0,
+      participants: new Set([userId])
+    };
+  }
+
+  appendRecord(sessionId, record) {
+    fs.appendFileSync(this.getSessionPath(sessionId), JSON.stringify(record) + "\n");
+  }
+
+  getSessionPath(sessionId) {
+    return path.join(this.directory, `${sessionId}.jsonl`);
+  }
+
+  // ========================================================================
+  // SESSIONS
+  // ========================================================================
+
+  /**
+   * Get existing session or create it
+   * Passing a known sessionId continues the thread (e.g. at shift handover)
+   */
+  openSession(sessionId, userId = "anonymous") {
+    const id = sessionId || uuidv4();
+    if (!SESSION_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+
+    if (!this.sessions.has(id)) {
+      const createdAt = new Date().toISOString();
+      this.appendRecord(id, { type: "session", sessionId: id, userId, createdAt });
+      this.sessions.set(id, this.createSessionState(id, userId, createdAt));
+    }
+
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Append a turn; folds old turns into the rolling summary when the window overflows
+   * @param {Object} turn - { role: "user"|"assistant", content, agentId, userId }
+   */
+  async appendTurn(sessionId, turn) {
+    const session = this.openSession(sessionId, turn.userId);
+    const record = {
+      type: "turn",
+      role: turn.role,
+      content: turn.content || "",
+      agentId: turn.agentId || null,
+      userId: turn.userId || session.userId,
+      timestamp: new Date().toISOString(),
+      tokens: estimateTokens(turn.content)
+    };
+
+    this.appendRecord(session.sessionId, record);
+    session.turns.push(record);
+    session.participants.add(record.userId);
+    session.updatedAt = record.timestamp;
+
+    await this.compact(session);
+    return record;
+  }
+
+  /**
+   * Fold oldest unsummarized turns into the summary until the window fits again
+   */
+  async compact(session) {
+    const recent = session.turns.slice(session.summarizedTurns);
+    const used = estimateTokens(session.summary) + recent.reduce((sum, turn) => sum + turn.tokens, 0);
+    // A running (possibly LLM-based) summary covers this overflow as well
+    if (session.compacting || used <= this.windowTokens || recent.length <= MIN_RECENT_TURNS) return;
+
+    // Free half of the window so summaries are not rebuilt on every turn
+    const target = Math.floor(this.windowTokens / 2);
+    let remaining = recent.reduce((sum, turn) => sum + turn.tokens, 0);
+    let fold = 0;
+    while (recent.length - fold > MIN_RECENT_TURNS && remaining > target) {
+      remaining -= recent[fold].tokens;
+      fold++;
+    }
+
+    if (fold === 0) return;
+
+    session.compacting = true;
+    let summary;
+    try {
+      summary = await this.buildSummary(session.summary, recent.slice(0, fold));
+    } finally {
+      session.compacting = false;
+    }
+    const summarizedTurns = session.summarizedTurns + fold;
+
+    this.appendRecord(session.sessionId, {
+      type: "summary",
+      content: summary,
+      summarizedTurns,
+      timestamp: new Date().toISOString()
+    });
+    session.summary = summary;
+    session.summarizedTurns = summarizedTurns;
+
+    console.log(`💬 Session ${session.sessionId}: ${fold} turns folded into summary (${summarizedTurns} total)`);
+  }
+
+  async buildSummary(previousSummary, turns) {
+    if (this.summarize) {
+      try {
+        const summary = await this.summarize(previousSummary, turns, this.summaryTokens);
+        if (summary && summary.trim()) return this.trimToTokens(summary.trim(), this.summaryTokens);
+      } catch (error) {
+        console.warn("⚠️ Conversation summary failed, using extractive summary:", error.message);
+      }
+    }
+
+    return this.extractiveSummary(previousSummary, turns);
+  }
+
+  /**
+   * Deterministic summary: first sentence of every turn, newest lines kept
+   */
+  extractiveSummary(previousSummary, turns) {
+    const lines = previousSummary ? previousSummary.split("\n") : [];
+
+    turns.forEach(turn => {
+      const speaker = turn.role === "user" ? `User ${turn.userId}` : (turn.agentId || "Agent");
+      const text = turn.content.replace(/\s+/g, " ").trim();
+      const sentence = (text.match(/^.*?[.!?](\s|$)/)?.[0] || text).trim();
+      lines.push(`- ${speaker}: ${sentence.length > SUMMARY_LINE_CHARS ? sentence.slice(0, SUMMARY_LINE_CHARS) + "…" : sentence}`);
+    });
+
+    while (lines.length > 1 && estimateTokens(lines.join("\n")) > this.summaryTokens) {
+      lines.shift();
+    }
+
+    return this.trimToTokens(lines.join("\n"), this.summaryTokens);
+  }
+
+  trimToTokens(text, maxTokens) {
+    const maxChars = maxTokens * 4;
+    return text.length > maxChars ? "…" + text.slice(text.length - maxChars + 1) : text;
+  }
+
+  // ========================================================================
+  // QUERIES
+  // ========================================================================
+
+  /**
+   * Memory for prompt rendering: rolling summary plus turns inside the window
+   * @returns {{sessionId, summary, turns, tokens}|null}
+   */
+  getPromptMemory(sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session) return null;
+
+    const turns = session.turns.slice(session.summarizedTurns).map(turn => ({
+      role: turn.role,
+      content: turn.content,
+      agentId: turn.agentId,
+      userId: turn.userId,
+      timestamp: turn.timestamp
+    }));
+
+    return {
+      sessionId: session.sessionId,
+      summary: session.summary,
+      turns,
+      tokens: estimateTokens(session.summary) + turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0)
+    };
+  }
+
+  /**
+   * List sessions, newest first
+   * @param {Object} filters - { userId } matches owner or any participant
+   */
+  listSessions(filters = {}) {
+    return Array.from(this.sessions.values())
+      .filter(session => !filters.userId || session.participants.has(filters.userId))
+      .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""))
+      .map(session => this.describeSession(session));
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    return {
+      ...this.describeSession(session),
+      summary: session.summary,
+      turns: session.turns.map(({ type, ...turn }) => turn)
+    };
+  }
+
+  describeSession(session) {
+    const lastTurn = session.turns[session.turns.length - 1];
+    return {
+      sessionId: session.sessionId,
+      userId: session.userId,
+      participants: Array.from(session.participants),
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      turnCount: session.turns.length,
+      summarizedTurns: session.summarizedTurns,
+      lastMessage: lastTurn ? lastTurn.content.slice(0, 120) : null
+    };
+  }
+
+  deleteSession(sessionId) {
+    if (!this.sessions.has(sessionId)) return false;
+
+    this.sessions.delete(sessionId);
+    const file = this.getSessionPath(sessionId);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    return true;
+  }
+
+  getStats() {
+    const sessions = Array.from(this.sessions.values());
+    return {
+      directory: this.directory,
+      sessions: sessions.length,
+      turns: sessions.reduce((sum, session) => sum + session.turns.length, 0),
+      windowTokens: this.windowTokens,
+      summaryTokens: this.summaryTokens
+    };
+  }
+}
+
+export default ConversationStore;
@@ -0,0 +1,100 @@
+/**
+ * ========================================================================
+ * SHELF LIFE AGENT - CODE AGENT PLUGIN
+ * ========================================================================
+ *
+ * Remaining shelf life of inventory lots. Loaded by AgentPluginLoader:
+ * the capability is callable via A2A (workflows, other agents) and as the
+ * MCP tool check_shelf_life. Inventory updates trigger a check; lots at or
+ * below the threshold are published as "inventory/expiry_warning".
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Config: SHELF_LIFE_MIN_DAYS (default 90)
+ * ========================================================================
+ */
+
+import { BaseAgent } from "../services/BaseAgent.js";
+import { asList } from "../utils/productionData.js";
+import { daysBetween } from "../utils/shelfLife.js";
+
+export class ShelfLifeAgent extends BaseAgent {
+  static agentId = "shelfLifeAgent";
+  static config = {
+    name: "Shelf Life Monitoring Agent",
+    description: "Remaining shelf life per inventory lot with expiry warnings",
+    minRemainingDays: parseInt(process.env.SHELF_LIFE_MIN_DAYS) || 90
+  };
+
+  async onInitialize() {
+    this.subscribe("inventory/updated", this.onInventoryUpdated);
+  }
+
+  defineCapabilities() {
+    return {
+      "shelf_life.check_inventory": {
+        description: "Remaining shelf life per lot - EXPIRED / CRITICAL / OK",
+        handler: this.checkInventory
+      }
+    };
+  }
+
+  defineTools() {
+    return [{
+      name: "check_shelf_life",
+      description: "Check remaining shelf life of inventory lots",
+      capability: "shelf_life.check_inventory",
+      // Read-only - agents with tools.allow may call it while reasoning
+      permissions: ["planner", "admin", "agent"],
+      inputSchema: {
+        type: "object",
+        properties: {
+          material: { type: "string", description: "Material number (default: all)" },
+          minDays: { type: "integer", description: "Warning threshold in days" },
+          referenceDate: { type: "string", description: "ISO date (default: today)" }
+        }
+      }
+    }];
+  }
+
+  async checkInventory({ material = null, minDays = this.config.minRemainingDays, referenceDate = null } = {}) {
+    const date = String(referenceDate || new Date().toISOString()).slice(0, 10);
+
+    const lots = asList(this.data.get("inventory"))
+      .filter(lot => !material || lot.material === material)
+      .map(lot => {
+        const remainingDays = lot.expiry ? daysBetween(date, lot.expiry) : null;
+        return {
+          material: lot.material,
+          batch: lot.batch || null,
+          quantity: lot.quantity,
+          expiry: lot.expiry || null,
+          remainingDays,
+          status: remainingDays === null ? "UNKNOWN" : remainingDays < 0 ? "EXPIRED" : remainingDays <= minDays ? "CRITICAL" : "OK"
+        };
+      })
+      .sort((a, b) => (a.remainingDays ?? Infinity) - (b.remainingDays ?? Infinity));
+
+    return {
+      referenceDate: date,
+      minRemainingDays: minDays,
+      lots,
+      expired: lots.filter(lot => lot.status === "EXPIRED").map(lot => lot.batch),
+      critical: lots.filter(lot => lot.status === "CRITICAL").map(lot => lot.batch)
+    };
+  }
+
+  async onInventoryUpdated() {
+    const check = await this.checkInventory();
+    if (check.expired.length === 0 && check.critical.length === 0) return;
+
+    await this.publish("inventory/expiry_warning", {
+      expired: check.expired,
+      critical: check.critical,
+      minRemainingDays: check.minRemainingDays
+    });
+  }
+}
+
+export default ShelfLifeAgent;
@@ -0,0 +1,257 @@
+/**
+ * ========================================================================
+ * EXECUTION QUEUE - PRIORITY SCHEDULER FOR LLM CALLS
+ * ========================================================================
+ *
+ * Replaces hard rate-limit rejections: LLM calls wait in a priority queue
+ * until the RateLimiter has a free slot and the agent is below its
+ * concurrency limit. Workflow steps and auto-triggered event work are
+ * delayed, never dropped.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Priorities (lower runs first):
+ *   chat     - interactive user requests
+ *   workflow - A2A workflow steps
+ *   auto     - auto-triggered event processing
+ *
+ * Config: QUEUE_AGENT_CONCURRENCY (default 2, per agent: concurrency in
+ *         agents.yaml), QUEUE_MAX_LENGTH (default 100)
+ * ========================================================================
+ */
+
+import { v4 as uuidv4 } from "uuid";
+
+export const PRIORITIES = { chat: 1, workflow: 2, auto: 3 };
+
+export class ExecutionQueue {
+  constructor(rateLimiter, options = {}) {
+    this.rateLimiter = rateLimiter;
+    this.defaultConcurrency = options.concurrency ?? (parseInt(process.env.QUEUE_AGENT_CONCURRENCY) || 2);
+    this.maxLength = options.maxLength ?? (parseInt(process.env.QUEUE_MAX_LENGTH) || 100);
+
+    this.pending = [];
+    this.running = new Map();
+    this.timer = null;
+    this.stats = { started: 0, completed: 0, failed: 0, cancelled: 0, rejected: 0, totalWaitMs: 0, totalRunMs: 0 };
+  }
+
+  /**
+   * Queue a task and wait for its result
+   * @param {Object} task - { agentId, priority: "chat"|"workflow"|"auto", label, concurrency,
+   *                          signal (AbortSignal), onUpdate(info), onStart(info) }
+   * onUpdate receives { jobId, position, etaMs, ... } whenever the queue position changes
+   * @param {Function} run - async () => result, called when the job gets a slot
+   * @returns {Promise<*>} result of run(); rejects with code QUEUE_FULL or CANCELLED
+   */
+  run(task, run) {
+    if (this.pending.length >= this.maxLength) {
+      this.stats.rejected++;
+      const error = new Error(`Execution queue full (${this.maxLength} pending)`);
+      error.code = "QUEUE_FULL";
+      return Promise.reject(error);
+    }
+
+    if (task.signal?.aborted) {
+      return Promise.reject(this.createCancelError("Request aborted before queueing"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        jobId: uuidv4(),
+        agentId: task.agentId,
+        priority: PRIORITIES[task.priority] ? task.priority : "chat",
+        label: task.label || null,
+        concurrency: task.concurrency || this.defaultConcurrency,
+        enqueuedAt: Date.now(),
+        run,
+        resolve,
+        reject,
+        onUpdate: task.onUpdate || null,
+        onStart: task.onStart || null,
+        lastPosition: null
+      };
+
+      if (task.signal) {
+        // abort(reason) names the cause, e.g. a canceled A2A task
+        task.signal.addEventListener("abort", () =>
+          this.cancel(job.jobId, typeof task.signal.reason === "string" ? task.signal.reason : "Client disconnected"), { once: true });
+      }
+
+      this.insert(job);
+      this.schedule();
+
+      // Still waiting after the first scheduling pass
+      if (this.pending.includes(job)) {
+        const info = this.describe(job);
+        console.log(`⏳ Queued ${job.priority} job for ${job.agentId} - position ${info.position}, ETA ${Math.round(info.etaMs / 1000)}s`);
+      }
+    });
+  }
+
+  // Priority first, FIFO within the same priority
+  insert(job) {
+    const index = this.pending.findIndex(other => PRIORITIES[other.priority] > PRIORITIES[job.priority]);
+    if (index === -1) this.pending.push(job);
+    else this.pending.splice(index, 0, job);
+  }
+
+  /**
+   * Start every job that has a rate-limit slot and agent capacity
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.pending.length > 0) {
+      const index = this.pending.findIndex(job => this.getRunningCount(job.agentId) < job.concurrency);
+      if (index === -1) break;
+
+      const waitMs = this.rateLimiter.getWaitTime();
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => this.schedule(), waitMs + 10);
+        break;
+      }
+
+      const [job] = this.pending.splice(index, 1);
+      this.rateLimiter.canMakeCall(job.agentId);
+      this.start(job);
+    }
+
+    this.notifyPositions();
+  }
+
+  async start(job) {
+    job.startedAt = Date.now();
+    this.running.set(job.jobId, job);
+    this.stats.started++;
+    this.stats.totalWaitMs += job.startedAt - job.enqueuedAt;
+    if (job.onStart) job.onStart({ jobId: job.jobId, waitedMs: job.startedAt - job.enqueuedAt });
+
+    try {
+      const result = await job.run();
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      job.reject(error);
+    } finally {
+      this.stats.totalRunMs += Date.now() - job.startedAt;
+      this.running.delete(job.jobId);
+      this.schedule();
+    }
+  }
+
+  notifyPositions() {
+    this.pending.forEach(job => {
+      if (!job.onUpdate) return;
+      const info = this.describe(job);
+      if (info.position !== job.lastPosition) {
+        job.lastPosition = info.position;
+        job.onUpdate(info);
+      }
+    });
+  }
+
+  /**
+   * Cancel a queued job (running LLM calls cannot be interrupted)
+   * @returns {{cancelled: boolean, reason?: string}}
+   */
+  cancel(jobId, reason = "Cancelled by user") {
+    const index = this.pending.findIndex(job => job.jobId === jobId);
+    if (index === -1) {
+      return { cancelled: false, reason: this.running.has(jobId) ? "Job already running" : "Job not found" };
+    }
+
+    const [job] = this.pending.splice(index, 1);
+    this.stats.cancelled++;
+    console.log(`🚫 Queue job ${jobId} for ${job.agentId} cancelled: ${reason}`);
+    job.reject(this.createCancelError(reason));
+    this.notifyPositions();
+    return { cancelled: true };
+  }
+
+  createCancelError(reason) {
+    const error = new Error(`Execution cancelled: ${reason}`);
+    error.code = "CANCELLED";
+    return error;
+  }
+
+  getRunningCount(agentId) {
+    let count = 0;
+    this.running.forEach(job => {
+      if (job.agentId === agentId) count++;
+    });
+    return count;
+  }
+
+  // ========================================================================
+  // POSITION / ETA
+  // ========================================================================
+
+  /**
+   * Queue position (1-based) and estimated wait until start
+   * ETA assumes jobs ahead start as rate-limit slots free up
+   */
+  describe(job) {
+    const index = this.pending.indexOf(job);
+    return {
+      jobId: job.jobId,
+      agentId: job.agentId,
+      priority: job.priority,
+      label: job.label,
+      position: index + 1,
+      etaMs: index === -1 ? 0 : this.estimateWait(index),
+      waitingMs: Date.now() - job.enqueuedAt
+    };
+  }
+
+  estimateWait(index) {
+    const releases = this.rateLimiter.getSlotReleaseTimes();
+    const free = Math.max(0, this.rateLimiter.maxCalls - releases.length);
+    if (index < free) return 0;
+
+    // n-th slot to become free: slots recycle once per window
+    const slot = index - free;
+    const cycles = Math.floor(slot / this.rateLimiter.maxCalls);
+    const release = releases[slot % this.rateLimiter.maxCalls] ?? 0;
+    return cycles * this.rateLimiter.timeWindow + release;
+  }
+
+  getJob(jobId) {
+    const job = this.pending.find(candidate => candidate.jobId === jobId);
+    if (job) return { status: "queued", ...this.describe(job) };
+
+    const running = this.running.get(jobId);
+    if (running) {
+      return {
+        status: "running",
+        jobId,
+        agentId: running.agentId,
+        priority: running.priority,
+        label: running.label,
+        runningMs: Date.now() - running.startedAt
+      };
+    }
+    return null;
+  }
+
+  getStatus() {
+    const finished = this.stats.completed + this.stats.failed;
+    return {
+      pending: this.pending.map(job => this.describe(job)),
+      running: Array.from(this.running.keys()).map(jobId => this.getJob(jobId)),
+      defaultConcurrency: this.defaultConcurrency,
+      maxLength: this.maxLength,
+      rateLimit: this.rateLimiter.getStatus(),
+      stats: {
+        ...this.stats,
+        avgWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+        avgRunMs: finished > 0 ? Math.round(this.stats.totalRunMs / finished) : 0
+      }
+    };
+  }
+}
+
+export default ExecutionQueue;
@@ -4,6 +4,10 @@ import logger from "./logger.js";
 /**
  * BaseAgent - Enhanced base class for event-driven agents
  * Provides event subscription, A2A communication, and lifecycle management
+ *
+ * Code agents in the plugin directory (see agents/AgentPluginLoader.js) extend
+ * this class; the loader injects this.data (get(dataType), getOEE()) and
+ * registers defineCapabilities() with A2A and defineTools() with MCP.
  */
 export class BaseAgent {
   constructor(agentId, eventBus, router, config = {}) {
@@ -18,6 +22,7 @@ export class BaseAgent {
       eventsReceived: 0,
       eventsPublished: 0,
       a2aCalls: 0,
+      requestsHandled: 0,
       errors: 0
     };
     
@@ -115,6 +120,7 @@ export class BaseAgent {
     await this.onInitialize();
     
     this.isInitialized = true;
+    this.initTime = Date.now();
     
     // Publish agent ready event
     await this.publish('agent.initialized', {
@@ -154,6 +160,36 @@ export class BaseAgent {
     // Subclass-specific cleanup
   }
 
+  /**
+   * A2A capabilities - override in subclasses
+   * @returns {Object<string, {description: string, handler: (data, context) => Promise<Object>}>}
+   */
+  defineCapabilities() {
+    return {};
+  }
+
+  /**
+   * MCP tools - override in subclasses
+   * Each tool runs a capability: { name, description, inputSchema, capability, permissions }
+   * permissions default to planner and admin - add "agent" for read-only tools agents may call
+   */
+  defineTools() {
+    return [];
+  }
+
+  /**
+   * Execute an A2A capability (A2A requests, workflows and MCP tools)
+   */
+  async handleCapability(action, data = {}, context = {}) {
+    const capability = this.defineCapabilities()[action];
+    if (!capability) {
+      throw new Error(`Agent ${this.agentId} does not support action: ${action}`);
+    }
+
+    this.metrics.requestsHandled++;
+    return this.safeExecute(() => capability.handler.call(this, data, context), { action, source: context.source });
+  }
+
   /**
    * Get agent capabilities - override in subclasses
    */
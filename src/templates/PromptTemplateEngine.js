@@ -0,0 +1,346 @@
+/**
+ * ========================================================================
+ * PROMPT TEMPLATE ENGINE
+ * ========================================================================
+ *
+ * Single-pass renderer for agent promptTemplate and a2aPrompts entries.
+ * Values are inserted once and never re-parsed, so data or user input
+ * containing "{...}" cannot inject further placeholders.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Syntax:
+ *   {timestamp} {order.material}        Variables (every occurrence, dot paths)
+ *   {userMessage|escape}                Filters: json, pretty, escape, upper, lower, count, default:<text>
+ *   {#if order}...{:else}...{/if}       Conditionals ({#unless} negates)
+ *   {#each orderBom}- {material}{/each} Loops ({this} and {@index} inside)
+ *   {> gmp-data-integrity}              Includes from config/prompts/partials
+ *
+ * Data scoping (agents.yaml → templateVariables), resolved in order:
+ *   order:          { source: orders, match: { orderId: orderId }, first: true }
+ *   orderInventory: { source: inventory, match: { material: [order.material, orderBom.components.material] } }
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+
+const TOKEN_PATTERN = /\{(#if|#unless|#each)\s+([^{}]+?)\s*\}|\{:else\}|\{\/(if|unless|each)\}|\{>\s*([\w.-]+)\s*\}|\{(@index|[a-zA-Z_][\w.]*)((?:\|[^{}|]+)*)\}/g;
+const MAX_PARTIAL_DEPTH = 10;
+
+// ========================================================================
+// PATH RESOLUTION
+// ========================================================================
+
+/**
+ * Resolve a dot path against an object
+ * Arrays on the way are flattened: "bom.components.material" → [materials]
+ */
+export function resolvePath(source, pathExpression) {
+  if (!pathExpression) return source;
+
+  return pathExpression.split(".").reduce((current, key) => {
+    if (current === undefined || current === null) return undefined;
+    if (Array.isArray(current) && !/^\d+$/.test(key)) {
+      return current.flatMap(item => {
+        const value = item?.[key];
+        return value === undefined ? [] : value;
+      });
+    }
+    return current[key];
+  }, source);
+}
+
+/**
+ * Resolve agent templateVariables definitions into scoped data
+ * getData(type) returns cached records for a data type (e.g. "bom")
+ */
+export function resolveScopedVariables(definitions, context, getData) {
+  const scoped = {};
+  if (!definitions || typeof definitions !== "object") return scoped;
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const lookup = { ...context, ...scoped };
+    let records = getData(definition.source);
+    if (definition.path) records = resolvePath(records, definition.path);
+    if (!Array.isArray(records)) records = records ? [records] : [];
+
+    for (const [field, contextPaths] of Object.entries(definition.match || {})) {
+      // Several context paths → union of their values
+      const expected = (Array.isArray(contextPaths) ? contextPaths : [contextPaths])
+        .flatMap(contextPath => {
+          const value = resolvePath(lookup, contextPath);
+          return value === undefined || value === null ? [] : value;
+        });
+      // No value in context (e.g. no orderId) → no filtering on this field
+      if (expected.length === 0) continue;
+
+      const wanted = expected.map(String);
+      records = records.filter(record => {
+        const actual = resolvePath(record, field);
+        return (Array.isArray(actual) ? actual : [actual]).some(value => wanted.includes(String(value)));
+      });
+    }
+
+    if (definition.limit) records = records.slice(0, definition.limit);
+    scoped[name] = definition.first ? (records[0] ?? null) : records;
+  }
+
+  return scoped;
+}
+
+// ========================================================================
+// TEMPLATE ENGINE
+// ========================================================================
+
+export class PromptTemplateEngine {
+  constructor(options = {}) {
+    this.partialsDir = options.partialsDir || path.join("config", "prompts", "partials");
+    this.missingValue = options.missingValue ?? "N/A";
+    this.templateCache = new Map(); // template source → parsed nodes
+  }
+
+  /**
+   * Render template with context
+   * @returns {{text: string, missing: string[], partials: string[]}}
+   */
+  render(template, context = {}) {
+    const state = { missing: new Set(), partials: new Set(), depth: 0 };
+    const text = this.renderNodes(this.parse(template || ""), [{ value: context }], state);
+
+    return {
+      text,
+      missing: Array.from(state.missing),
+      partials: Array.from(state.partials)
+    };
+  }
+
+  /**
+   * Parse template into node tree (cached per template source)
+   */
+  parse(template) {
+    if (this.templateCache.has(template)) {
+      return this.templateCache.get(template);
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    let target = root.children;
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(TOKEN_PATTERN)) {
+      if (match.index > lastIndex) {
+        target.push({ type: "text", value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = match.index + match[0].length;
+
+      const [token, blockType, blockPath, closeType, partialName, variable, filters] = match;
+
+      if (blockType) {
+        const node = { type: blockType.slice(1), path: blockPath.trim(), children: [], elseChildren: [] };
+        target.push(node);
+        stack.push(node);
+        target = node.children;
+      } else if (token === "{:else}") {
+        const block = stack[stack.length - 1];
+        if (block === root) throw new Error("Template error: {:else} outside of a block");
+        block.inElse = true;
+        target = block.elseChildren;
+      } else if (closeType) {
+        const block = stack.pop();
+        if (block === root || block.type !== closeType) {
+          throw new Error(`Template error: unexpected {/${closeType}}`);
+        }
+        const parent = stack[stack.length - 1];
+        target = parent === root ? root.children : this.activeChildren(parent);
+      } else if (partialName) {
+        target.push({ type: "partial", name: partialName });
+      } else {
+        target.push({ type: "var", path: variable, filters: this.parseFilters(filters) });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Template error: unclosed {#${stack[stack.length - 1].type}}`);
+    }
+    if (lastIndex < template.length) {
+      target.push({ type: "text", value: template.slice(lastIndex) });
+    }
+
+    this.templateCache.set(template, root.children);
+    return root.children;
+  }
+
+  // Children list currently being filled for an open block (after {:else} → else branch)
+  activeChildren(block) {
+    return block.inElse ? block.elseChildren : block.children;
+  }
+
+  parseFilters(filterString) {
+    if (!filterString) return [];
+    return filterString.split("|").filter(Boolean).map(filter => {
+      const separator = filter.indexOf(":");
+      return separator === -1
+        ? { name: filter.trim(), arg: null }
+        : { name: filter.slice(0, separator).trim(), arg: filter.slice(separator + 1) };
+    });
+  }
+
+  renderNodes(nodes, scopes, state) {
+    return nodes.map(node => this.renderNode(node, scopes, state)).join("");
+  }
+
+  renderNode(node, scopes, state) {
+    switch (node.type) {
+      case "text":
+        return node.value;
+
+      case "var": {
+        const value = this.lookup(node.path, scopes);
+        return this.applyFilters(value, node, state);
+      }
+
+      case "if":
+      case "unless": {
+        const truthy = this.isTruthy(this.lookup(node.path, scopes));
+        const branch = (node.type === "if" ? truthy : !truthy) ? node.children : node.elseChildren;
+        return this.renderNodes(branch, scopes, state);
+      }
+
+      case "each": {
+        const items = this.lookup(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return this.renderNodes(node.elseChildren, scopes, state);
+        }
+        return items
+          .map((item, index) => this.renderNodes(node.children, [...scopes, { value: item, index }], state))
+          .join("");
+      }
+
+      case "partial":
+        return this.renderPartial(node.name, scopes, state);
+
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Look up variable from innermost scope outwards
+   */
+  lookup(pathExpression, scopes) {
+    const current = scopes[scopes.length - 1];
+
+    if (pathExpression === "@index") return current.index;
+    if (pathExpression === "this") return current.value;
+    if (pathExpression.startsWith("this.")) return resolvePath(current.value, pathExpression.slice(5));
+
+    const [head] = pathExpression.split(".");
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scopeValue = scopes[i].value;
+      if (scopeValue && typeof scopeValue === "object" && head in scopeValue) {
+        return resolvePath(scopeValue, pathExpression);
+      }
+    }
+    return undefined;
+  }
+
+  applyFilters(value, node, state) {
+    let current = value;
+    let formatted = false;
+
+    for (const filter of node.filters) {
+      switch (filter.name) {
+        case "default":
+          if (this.isMissing(current)) current = filter.arg ?? "";
+          break;
+        case "json":
+          current = JSON.stringify(current ?? null);
+          formatted = true;
+          break;
+        case "pretty":
+          current = JSON.stringify(current ?? null, null, 2);
+          formatted = true;
+          break;
+        case "escape":
+          // Safe inside quoted prompt strings: quotes, backslashes and newlines escaped
+          current = JSON.stringify(this.toText(current)).slice(1, -1);
+          formatted = true;
+          break;
+        case "upper":
+          current = this.toText(current).toUpperCase();
+          break;
+        case "lower":
+          current = this.toText(current).toLowerCase();
+          break;
+        case "count":
+          current = Array.isArray(current) ? current.length : (current && typeof current === "object" ? Object.keys(current).length : 0);
+          break;
+        default:
+          throw new Error(`Template error: unknown filter "${filter.name}" in {${node.path}}`);
+      }
+    }
+
+    if (!formatted && this.isMissing(current)) {
+      state.missing.add(node.path);
+      return this.missingValue;
+    }
+
+    return this.toText(current);
+  }
+
+  renderPartial(name, scopes, state) {
+    if (state.depth >= MAX_PARTIAL_DEPTH) {
+      throw new Error(`Template error: partial nesting too deep at {> ${name}}`);
+    }
+
+    const file = this.findPartial(name);
+
+    if (!file) {
+      throw new Error(`Prompt partial not found: ${name} (${this.partialsDir})`);
+    }
+
+    state.partials.add(name);
+    state.depth++;
+    const source = fs.readFileSync(file, "utf8").replace(/\n$/, "");
+    const text = this.renderNodes(this.parse(source), scopes, state);
+    state.depth--;
+
+    return text;
+  }
+
+  /**
+   * Partial file path (.md or .txt) or null when it does not exist
+   */
+  findPartial(name) {
+    return [".md", ".txt"]
+      .map(extension => path.join(this.partialsDir, name + extension))
+      .find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  isMissing(value) {
+    return value === undefined || value === null || value === "";
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === "object") return Object.keys(value).length > 0;
+    return !!value;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return "";
+    if (typeof value === "object") return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Clear parsed template cache (after agent reload or partial changes)
+   */
+  clearCache() {
+    this.templateCache.clear();
+  }
+}
+
+export default PromptTemplateEngine;
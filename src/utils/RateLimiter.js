@@ -48,6 +48,27 @@ export class RateLimiter {
     return true;
   }
 
+  /**
+   * Milliseconds until the next call is allowed (0 = now), without recording a call
+   * @returns {number}
+   */
+  getWaitTime() {
+    const releases = this.getSlotReleaseTimes();
+    return releases.length < this.maxCalls ? 0 : releases[releases.length - this.maxCalls];
+  }
+
+  /**
+   * Milliseconds until each call in the current window expires, soonest first
+   * @returns {number[]}
+   */
+  getSlotReleaseTimes() {
+    const now = Date.now();
+    return this.calls
+      .filter(call => now - call.timestamp < this.timeWindow)
+      .map(call => Math.max(0, this.timeWindow - (now - call.timestamp)))
+      .sort((a, b) => a - b);
+  }
+
   /**
    * Get current rate limiter status
    * @returns {object} - Status information
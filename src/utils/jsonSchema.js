@@ -0,0 +1,142 @@
+// utils/jsonSchema.js
+// Structured LLM output helpers: JSON extraction, light repair and a
+// JSON-Schema subset validator (type, enum, required, properties,
+// additionalProperties, items, minimum/maximum, minLength, minItems).
+
+/**
+ * Extract the first JSON object/array from an LLM response.
+ * Handles ```json fences, leading/trailing prose, trailing commas and
+ * comments. Returns { value, repaired, error }.
+ */
+export function extractJson(text) {
+  if (text && typeof text === "object") return { value: text, repaired: false, error: null };
+  if (typeof text !== "string" || !text.trim()) {
+    return { value: null, repaired: false, error: "Empty response" };
+  }
+
+  try {
+    return { value: JSON.parse(text), repaired: false, error: null };
+  } catch {
+    // fall through to extraction
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = findBalancedBlock(fenced ? fenced[1] : text) || findBalancedBlock(text);
+  if (!candidate) {
+    return { value: null, repaired: false, error: "No JSON object found in response" };
+  }
+
+  let lastError = null;
+  for (const attempt of [candidate, repairJson(candidate)]) {
+    try {
+      return { value: JSON.parse(attempt), repaired: true, error: null };
+    } catch (err) {
+      lastError = err.message;
+    }
+  }
+
+  return { value: null, repaired: false, error: `Invalid JSON: ${lastError}` };
+}
+
+// First balanced {...} or [...] block, string-aware
+function findBalancedBlock(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{" || ch === "[") stack.push(ch === "{" ? "}" : "]");
+    else if (ch === "}" || ch === "]") {
+      if (stack.pop() !== ch) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
+
+function repairJson(text) {
+  return text
+    .replace(/\/\/[^\n"]*$/gm, "")      // line comments
+    .replace(/\/\*[\s\S]*?\*\//g, "")    // block comments
+    .replace(/,\s*([}\]])/g, "$1")      // trailing commas
+    .replace(/[“”]/g, '"');             // smart quotes
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Validate value against schema. Returns array of error strings (empty = valid).
+ */
+export function validateSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join("|")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must have at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      const allowed = Object.keys(schema.properties || {});
+      Object.keys(value)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${path}.${key}: is not allowed`));
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,66 @@
+// utils/productionData.js
+// Small helpers over the mock-data / SAP record shapes used by the code agents
+
+const CLOSED_ORDER_STATUSES = ["closed", "completed", "cancelled", "technically_completed"];
+
+/**
+ * Records of a data type - arrays as-is, wrapped documents by key
+ * (compliance.json is { compliance: [...], regulations: {...} })
+ */
+export function asList(value, key = null) {
+  if (Array.isArray(value)) return value;
+  if (value && key && Array.isArray(value[key])) return value[key];
+  return [];
+}
+
+export function isOpenOrder(order) {
+  return !CLOSED_ORDER_STATUSES.includes(String(order.status || "").toLowerCase());
+}
+
+/**
+ * "5h" → 5, "90min" → 1.5, 4 → 4
+ */
+export function parseHours(duration) {
+  if (typeof duration === "number") return duration;
+  const match = String(duration || "").match(/^\s*([\d.]+)\s*(h|hours?|min|m)?\s*$/i);
+  if (!match) return 0;
+  const value = parseFloat(match[1]);
+  return /^m/i.test(match[2] || "h") ? value / 60 : value;
+}
+
+/**
+ * Production lines named in free text: "LINE-02", "Linie 2", "line 2" → LINE-02
+ */
+export function linesMentioned(text) {
+  const lines = new Set();
+  for (const match of String(text || "").matchAll(/\b(?:line|linie)[\s-]*0*(\d+)\b/gi)) {
+    lines.add(`LINE-${match[1].padStart(2, "0")}`);
+  }
+  return [...lines];
+}
+
+export function mentions(text, id) {
+  return Boolean(id) && String(text || "").toUpperCase().includes(String(id).toUpperCase());
+}
+
+export function addDays(isoDate, days) {
+  const date = new Date(`${String(isoDate).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+export function isOpenIssue(issue) {
+  return !["closed", "resolved"].includes(String(issue.status || "").toLowerCase());
+}
+
+// Identifying field per record shape - first match wins
+const RECORD_ID_FIELDS = ["orderId", "issueId", "batchId", "id", "batch", "lot", "line", "material"];
+
+/**
+ * Id of a record ("ORD-1001", "BATCH-002", inventory lot, ...) or null
+ */
+export function recordId(record) {
+  if (!record || typeof record !== "object") return null;
+  const field = RECORD_ID_FIELDS.find(name => typeof record[name] === "string" || typeof record[name] === "number");
+  return field ? String(record[field]) : null;
+}
@@ -0,0 +1,88 @@
+// utils/textDiff.js
+// Line diff (LCS) with unified-diff output - used for agent definition
+// revisions, where inputs are a few hundred lines of YAML.
+
+/**
+ * Diff two texts line by line.
+ * Returns { added, removed, changed, text } - text is unified-diff style
+ * with `context` unchanged lines around every change ("" when identical).
+ */
+export function diffLines(oldText, newText, { context = 3, oldLabel = "a", newLabel = "b" } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = computeOps(a, b);
+
+  const added = ops.filter(op => op.type === "+").length;
+  const removed = ops.filter(op => op.type === "-").length;
+  if (added === 0 && removed === 0) {
+    return { added, removed, changed: false, text: "" };
+  }
+
+  return {
+    added,
+    removed,
+    changed: true,
+    text: [`--- ${oldLabel}`, `+++ ${newLabel}`, ...formatHunks(ops, context)].join("\n")
+  };
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).replace(/\n$/, "").split("\n");
+}
+
+// Edit script from the LCS table: " " keep, "-" remove, "+" add
+function computeOps(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i], oldLine: ++i, newLine: ++j });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: "-", line: a[i], oldLine: ++i, newLine: j });
+    } else {
+      ops.push({ type: "+", line: b[j], oldLine: i, newLine: ++j });
+    }
+  }
+  return ops;
+}
+
+function formatHunks(ops, context) {
+  const lines = [];
+  let index = 0;
+
+  while (index < ops.length) {
+    const firstChange = ops.findIndex((op, k) => k >= index && op.type !== " ");
+    if (firstChange === -1) break;
+
+    const start = Math.max(index, firstChange - context);
+    let end = firstChange;
+    // Extend the hunk while the next change is within 2 * context lines
+    for (let k = firstChange; k < ops.length; k++) {
+      if (ops[k].type !== " ") end = k;
+      else if (k - end > context * 2) break;
+    }
+    end = Math.min(ops.length - 1, end + context);
+
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(op => op.type !== "+").length;
+    const newCount = hunk.filter(op => op.type !== "-").length;
+    // 1-based start lines; an empty side points at the line before the change
+    const oldStart = hunk.find(op => op.type !== "+")?.oldLine ?? hunk[0].oldLine;
+    const newStart = hunk.find(op => op.type !== "-")?.newLine ?? hunk[0].newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => lines.push(op.type + op.line));
+    index = end + 1;
+  }
+
+  return lines;
+}
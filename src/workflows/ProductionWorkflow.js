@@ -8,21 +8,101 @@
  * 
  * Developer: Markus Schmeckenbecher
  * Version: 1.0.0
+ * 
+ * Workflows are declared in config/workflows.yaml (steps, A2A capability
+ * calls, conditions on prior step outputs, parallel branches, final
+ * status rules) - see WorkflowDefinitions.js. A new branch or check is a
+ * config change, not a code change.
+ * 
+ * Instances and step inputs/outputs are persisted (WorkflowStore); after
+ * a restart recoverWorkflows() resumes or marks interrupted workflows.
+ * 
+ * Failed A2A calls are retried with exponential backoff (retry), then
+ * passed to other agents with the capability (fallback). When a step
+ * fails permanently, the other parallel branches finish, then completed
+ * steps are undone in reverse order (compensate) before the workflow is
+ * marked failed - or correction_required when a compensation failed,
+ * until someone confirms the manual correction (confirmCorrection()).
+ * 
+ * Config: WORKFLOW_RESUME (default true), WORKFLOW_MAX_RESUMES (default 3)
  * ========================================================================
  */
 
+import { loadWorkflowDefinitions, flattenSteps, evaluateCondition, resolveInput } from './WorkflowDefinitions.js';
+import { WorkflowStore } from './WorkflowStore.js';
+
+// Retrying these does not help - the next agent is tried right away
+const NON_RETRYABLE_CODES = ['AGENT_NOT_REGISTERED', 'UNSUPPORTED_ACTION', 'NO_AGENT_AVAILABLE'];
+
+function workflowError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 export class ProductionWorkflow {
-  constructor(a2aManager) {
+  constructor(a2aManager, options = {}) {
     this.a2a = a2aManager;
-    this.activeWorkflows = new Map();
+    this.eventBus = options.eventBusManager || a2aManager?.eventBus || null;
+    this.workflowsFile = options.workflowsFile;
+    this.store = options.store || new WorkflowStore();
+    this.resumeOnStartup = options.resume ?? process.env.WORKFLOW_RESUME !== 'false';
+    this.maxResumes = options.maxResumes ?? (parseInt(process.env.WORKFLOW_MAX_RESUMES) || 3);
+    this.activeWorkflows = new Map(); // running in this process
+
+    // Statistics continue from the stored history
+    const history = this.store.getStats();
     this.workflowStats = {
-      total: 0,
-      completed: 0,
-      failed: 0,
-      avgDuration: 0
+      total: history.total,
+      completed: history.byStatus.completed || 0,
+      failed: (history.byStatus.failed || 0) + (history.byStatus.correction_required || 0),
+      avgDuration: history.avgDuration
     };
+
+    this.loadDefinitions();
     
-    console.log("🔗 ProductionWorkflow initialized");
+    console.log(`🔗 ProductionWorkflow initialized (${this.definitions.size} workflows: ${[...this.definitions.keys()].join(', ')})`);
+  }
+
+  /**
+   * (Re)load config/workflows.yaml - running workflows keep their definition
+   */
+  loadDefinitions() {
+    const { workflows, errors } = loadWorkflowDefinitions(this.workflowsFile);
+    errors.forEach(error => console.warn(`⚠️ Workflow definition skipped - ${error}`));
+    this.definitions = workflows;
+    this.definitionErrors = errors;
+    return { workflows: [...workflows.keys()], errors };
+  }
+
+  hasWorkflow(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Workflow definitions for the API (steps flattened, conditions included)
+   */
+  getDefinitions() {
+    return [...this.definitions.values()].map(definition => ({
+      name: definition.name,
+      description: definition.description || null,
+      steps: flattenSteps(definition.steps).map(step => ({
+        id: step.id,
+        name: step.name || step.id,
+        agent: step.agent || null,
+        capability: step.capability,
+        conditional: !!step.when,
+        attempts: this.getRetryPolicy(definition, step).attempts,
+        fallback: step.fallback || false,
+        compensate: step.compensate?.capability || null
+      })),
+      parallel: definition.steps.some(step => step.parallel),
+      finalStatuses: [...new Set([...(definition.finalStatus?.rules || []).map(rule => rule.status), definition.finalStatus?.default || 'COMPLETED'])]
+    }));
   }
 
   /**
@@ -30,292 +110,535 @@ export class ProductionWorkflow {
    * Replaces orderAgent -> complianceAgent -> statusAgent event chain
    */
   async executeOrderAnalysisWorkflow(orderId, orderData = {}) {
-    const workflowId = `order-${orderId}-${Date.now()}`;
+    return this.executeWorkflow('orderAnalysis', orderId, orderData);
+  }
+
+  /**
+   * Run a workflow from config/workflows.yaml for one subject (e.g. an order)
+   * The instance and every step are persisted (WorkflowStore) - see resumeWorkflow()
+   */
+  async executeWorkflow(name, subjectId, data = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown workflow: ${name} (available: ${[...this.definitions.keys()].join(', ') || 'none'})`);
+    }
+
+    const workflowId = `${definition.idPrefix || name}-${subjectId}-${Date.now()}`;
+    // The definition is snapshotted so a resumed workflow runs the steps it started with
+    this.store.start({ workflowId, workflow: name, subjectId, data, definition });
+    this.workflowStats.total++;
+
+    return this.runInstance(definition, { workflowId, name, subjectId, data, startTime: Date.now() });
+  }
+
+  /**
+   * Continue a workflow interrupted by a restart
+   * Recorded steps are restored, not executed again; a step that was
+   * running at the crash is executed again with the same idempotency key
+   * (an agent that already answered it is not called again - A2AManager)
+   * Throws right away when the workflow cannot be resumed, else returns the run's promise
+   */
+  resumeWorkflow(workflowId, reason = 'Resumed') {
+    const instance = this.store.get(workflowId);
+    if (!instance) {
+      throw workflowError(`Workflow not found: ${workflowId}`, 'NOT_FOUND');
+    }
+    if (this.activeWorkflows.has(workflowId) || !['running', 'interrupted'].includes(instance.status)) {
+      throw workflowError(`Cannot resume ${workflowId} - status is ${this.activeWorkflows.has(workflowId) ? 'active' : instance.status}`, 'INVALID_TRANSITION');
+    }
+
+    this.store.transition(workflowId, 'resumed', { reason });
+    const interrupted = Object.keys(instance.pendingSteps);
+    console.log(`♻️ Resuming A2A workflow ${workflowId} (${instance.workflow}) - ${instance.steps.length} steps restored` +
+      (interrupted.length > 0 ? `, re-running interrupted step(s): ${interrupted.join(', ')}` : ''));
+
+    return this.runInstance(instance.definition, {
+      workflowId,
+      name: instance.workflow,
+      subjectId: instance.subjectId,
+      data: instance.data,
+      startTime: Date.parse(instance.startedAt),
+      recorded: new Map(instance.steps.map(step => [step.stepId, step])),
+      finalStatus: instance.finalStatus ?? undefined
+    });
+  }
+
+  /**
+   * Startup recovery: workflows still "running" in the store were cut off by a restart
+   * They are resumed in the background (WORKFLOW_RESUME, WORKFLOW_MAX_RESUMES) or marked interrupted
+   * @returns {{resumed: string[], interrupted: string[]}}
+   */
+  recoverWorkflows({ resume = this.resumeOnStartup, maxResumes = this.maxResumes } = {}) {
+    const recovery = { resumed: [], interrupted: [] };
+
+    this.store.list({ status: 'running' })
+      .filter(instance => !this.activeWorkflows.has(instance.workflowId))
+      .forEach(instance => {
+        if (resume && instance.resumes < maxResumes) {
+          recovery.resumed.push(instance.workflowId);
+          this.resumeWorkflow(instance.workflowId, 'Startup recovery')
+            .catch(error => console.error(`Recovery of workflow ${instance.workflowId} failed:`, error.message));
+          return;
+        }
+
+        const reason = resume ? `Resume limit reached (${maxResumes})` : 'Interrupted by restart - resume disabled';
+        this.store.transition(instance.workflowId, 'interrupted', { reason });
+        recovery.interrupted.push(instance.workflowId);
+        console.warn(`⚠️ Workflow ${instance.workflowId} marked interrupted: ${reason}`);
+      });
+
+    if (recovery.resumed.length + recovery.interrupted.length > 0) {
+      console.log(`🗂️ Workflow recovery: ${recovery.resumed.length} resumed, ${recovery.interrupted.length} interrupted`);
+    }
+    return recovery;
+  }
+
+  async runInstance(definition, { workflowId, name, subjectId, data, startTime, recorded = new Map(), finalStatus = undefined }) {
+    const stepNumbers = new Map(flattenSteps(definition.steps).map((step, index) => [step.id, index + 1]));
     const workflow = {
       id: workflowId,
-      orderId,
-      orderData,
+      workflow: name,
+      subjectId,
+      data,
       steps: [],
-      startTime: Date.now(),
+      outputs: {}, // step id → { status, result, payload, text } for conditions and inputs
+      recorded, // step id → persisted step of an earlier run (resume)
+      startTime,
       status: 'running',
       currentStep: 1,
-      totalSteps: 3
+      totalSteps: stepNumbers.size,
+      finalStatus
     };
 
     this.activeWorkflows.set(workflowId, workflow);
-    this.workflowStats.total++;
 
     try {
-      console.log(`🚀 Starting A2A workflow ${workflowId} for order ${orderId}`);
-
-      // ===============================================================
-      // STEP 1: COMPLIANCE VALIDATION
-      // ===============================================================
-      workflow.currentStep = 1;
-      workflow.status = 'compliance_check';
-      
-      console.log(`📋 Step 1/3: Compliance validation for ${orderId}`);
-      
-      const complianceResult = await this.executeComplianceCheck(orderId, orderData);
-      
-      workflow.steps.push({
-        stepNumber: 1,
-        name: 'compliance_validation',
-        status: 'completed',
-        result: complianceResult,
-        duration: Date.now() - workflow.startTime,
-        timestamp: new Date().toISOString()
-      });
+      console.log(`🚀 ${recorded.size > 0 ? 'Continuing' : 'Starting'} A2A workflow ${workflowId} (${name}) for ${subjectId}`);
 
-      // ===============================================================
-      // STEP 2: CONDITIONAL BATCH ASSESSMENT
-      // ===============================================================
-      workflow.currentStep = 2;
-      workflow.status = 'assessment_check';
-
-      let assessmentResult = null;
-      
-      if (this.requiresBatchAssessment(complianceResult)) {
-        console.log(`🔬 Step 2/3: Batch assessment required for ${orderId}`);
-        
-        assessmentResult = await this.executeBatchAssessment(orderId, complianceResult);
-        
-        workflow.steps.push({
-          stepNumber: 2,
-          name: 'batch_assessment',
-          status: 'completed',
-          result: assessmentResult,
-          duration: Date.now() - workflow.startTime,
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        console.log(`✅ Step 2/3: Batch assessment skipped - no critical findings`);
-        
-        workflow.steps.push({
-          stepNumber: 2,
-          name: 'batch_assessment',
-          status: 'skipped',
-          reason: 'No critical compliance findings',
-          duration: Date.now() - workflow.startTime,
-          timestamp: new Date().toISOString()
-        });
+      await this.runSteps(definition, definition.steps, workflow, stepNumbers);
+      if (workflow.cancelled) {
+        throw workflowError(`Cancelled during the last step`, 'CANCELLED');
       }
 
-      // ===============================================================
-      // STEP 3: FINAL STATUS UPDATE
-      // ===============================================================
-      workflow.currentStep = 3;
-      workflow.status = 'status_update';
-      
-      console.log(`📊 Step 3/3: Final status update for ${orderId}`);
-      
-      const finalStatus = this.determineFinalStatus(workflow);
-      const statusResult = await this.executeStatusUpdate(orderId, workflow, finalStatus);
-      
-      workflow.steps.push({
-        stepNumber: 3,
-        name: 'status_update',
-        status: 'completed',
-        result: statusResult,
-        duration: Date.now() - workflow.startTime,
-        timestamp: new Date().toISOString()
-      });
-
       // ===============================================================
       // WORKFLOW COMPLETION
       // ===============================================================
+      const finalStatus = workflow.finalStatus ?? this.decideFinalStatus(definition, workflow);
       workflow.status = 'completed';
-      workflow.finalStatus = finalStatus;
       workflow.duration = Date.now() - workflow.startTime;
       workflow.completedAt = new Date().toISOString();
 
+      this.store.transition(workflowId, 'completed', { finalStatus, duration: workflow.duration });
       this.workflowStats.completed++;
       this.updateAverageDuration(workflow.duration);
 
       console.log(`✅ A2A workflow ${workflowId} completed in ${workflow.duration}ms - Status: ${finalStatus}`);
-      
-      // Cleanup after 5 minutes
-      setTimeout(() => {
-        this.activeWorkflows.delete(workflowId);
-      }, 300000);
+
+      // History stays in the store (GET /api/workflows/history)
+      this.activeWorkflows.delete(workflowId);
 
       return {
         workflowId,
-        orderId,
+        workflow: name,
+        subjectId,
         finalStatus,
         duration: workflow.duration,
         steps: workflow.steps.length,
-        summary: this.generateWorkflowSummary(workflow),
+        summary: this.generateWorkflowSummary(workflow, definition),
         details: workflow
       };
 
     } catch (error) {
-      workflow.status = 'failed';
+      if (workflow.cancelled) {
+        workflow.duration = Date.now() - workflow.startTime;
+        this.activeWorkflows.delete(workflowId);
+        console.log(`🚫 A2A workflow ${workflowId} stopped after cancellation`);
+        throw new Error(`Workflow ${workflowId} cancelled: ${workflow.cancelReason}`);
+      }
+
+      // A step failed permanently - undo what the completed steps changed
+      const compensation = await this.compensate(definition, workflow, error);
+
+      // What a failed compensation should have undone is still in effect
+      workflow.status = compensation.failed.length > 0 ? 'correction_required' : 'failed';
       workflow.error = error.message;
+      workflow.compensation = compensation;
       workflow.duration = Date.now() - workflow.startTime;
       workflow.failedAt = new Date().toISOString();
+      this.activeWorkflows.delete(workflowId);
 
+      this.store.transition(workflowId, workflow.status, {
+        error: error.message,
+        duration: workflow.duration,
+        ...(compensation.failed.length > 0 && { compensationFailed: compensation.failed })
+      });
       this.workflowStats.failed++;
 
-      console.error(`❌ A2A workflow ${workflowId} failed:`, error.message);
-      
-      this.activeWorkflows.delete(workflowId);
-      
-      throw new Error(`Workflow ${workflowId} failed: ${error.message}`);
+      console.error(`❌ A2A workflow ${workflowId} failed${workflow.status === 'correction_required' ? ' - manual correction required' : ''}:`, error.message);
+
+      const compensated = [
+        compensation.completed.length > 0 ? `compensated: ${compensation.completed.join(', ')}` : null,
+        compensation.failed.length > 0 ? `compensation failed: ${compensation.failed.join(', ')} - manual correction required` : null
+      ].filter(Boolean);
+      throw new Error(`Workflow ${workflowId} failed: ${error.message}${compensated.length > 0 ? ` (${compensated.join('; ')})` : ''}`);
     }
   }
 
   /**
-   * Execute Compliance Check via A2A
+   * Sequential steps; a parallel group runs its branches concurrently and
+   * joins them before the next step
    */
-  async executeComplianceCheck(orderId, orderData) {
+  async runSteps(definition, steps, workflow, stepNumbers) {
+    for (const step of steps) {
+      if (step.parallel) {
+        workflow.status = step.phase || step.id;
+        console.log(`🔀 Parallel group ${step.id}: ${step.parallel.length} branches for ${workflow.subjectId}`);
+        // All branches finish before a failure is raised - compensation sees every completed step
+        const branches = await Promise.allSettled(step.parallel.map(branch => this.runSteps(definition, branch.steps, workflow, stepNumbers)));
+        const failures = branches.filter(branch => branch.status === 'rejected').map(branch => branch.reason);
+        if (failures.length === 1) throw failures[0];
+        if (failures.length > 1) throw new Error(failures.map(failure => failure.message).join('; '));
+        continue;
+      }
+      await this.runStep(definition, step, workflow, stepNumbers.get(step.id));
+    }
+  }
+
+  async runStep(definition, step, workflow, stepNumber) {
+    const name = step.name || step.id;
+    const progress = `Step ${stepNumber}/${workflow.totalSteps}`;
+
+    if (workflow.cancelled) {
+      throw workflowError(`Cancelled before ${name}`, 'CANCELLED');
+    }
+
+    workflow.currentStep = stepNumber;
+    workflow.status = step.phase || name;
+
+    // Finished before a restart - restore the recorded outcome instead of calling the agent again
+    const recorded = workflow.recorded.get(step.id);
+    if (recorded) {
+      const { stepId, ...outcome } = recorded;
+      console.log(`↩️ ${progress}: ${name} restored (${outcome.status})`);
+      this.recordStep(workflow, step, stepNumber, outcome, false);
+      // Cut off while compensating - fail again so the remaining compensations run
+      if (outcome.status === 'failed') {
+        throw new Error(`${name}: ${outcome.error}`);
+      }
+      await this.publishStepEvent(definition, step, workflow);
+      return;
+    }
+
+    // Final status is decided from the steps before this one (e.g. for the status update)
+    if (definition.finalStatus?.before === step.id && workflow.finalStatus === undefined) {
+      this.decideFinalStatus(definition, workflow);
+    }
+
+    if (step.when && !evaluateCondition(step.when, this.getScope(workflow))) {
+      const reason = step.skipReason || 'Condition not met';
+      console.log(`⏭️ ${progress}: ${name} skipped - ${reason}`);
+      this.recordStep(workflow, step, stepNumber, { status: 'skipped', reason });
+      return;
+    }
+
+    console.log(`▶️ ${progress}: ${name} for ${workflow.subjectId}`);
+
+    const idempotencyKey = `${workflow.id}:${step.id}`;
+    let input = null;
+    let call;
+    let result;
     try {
-      return await this.a2a.requestService(
-        'complianceAgent',
-        'validateOrder',
-        {
-          orderId,
-          orderData,
-          checkType: 'full_compliance',
-          requiredStandards: ['GMP', 'FDA', 'EMA']
-        }
-      );
+      input = resolveInput(step.input || {}, this.getScope(workflow, definition));
+      this.store.stepStarted(workflow.id, step.id, { stepNumber, input, idempotencyKey });
+
+      call = await this.callWithPolicy(definition, step, workflow, { stepId: step.id, input, idempotencyKey });
+      result = call.result;
     } catch (error) {
-      console.error(`Compliance check failed for ${orderId}:`, error.message);
-      return {
+      if (error.code === 'CANCELLED') throw error;
+
+      console.error(`${name} failed for ${workflow.subjectId}:`, error.message);
+      call = { agent: null, attempts: error.attempts || [] };
+      if (!step.onError) {
+        this.recordStep(workflow, step, stepNumber, { status: 'failed', input, attempts: call.attempts, error: error.message });
+        throw new Error(`${name}: ${error.message}`);
+      }
+      result = {
         status: 'ERROR',
         error: error.message,
         fallback: true,
-        message: 'Compliance check unavailable - manual review required'
+        message: step.onError.message || `${name} unavailable`
       };
     }
+
+    this.recordStep(workflow, step, stepNumber, {
+      status: this.getStepStatus(result),
+      agent: call.agent,
+      attempts: call.attempts,
+      input,
+      result,
+      validation: result?.validation || null
+    });
+    await this.publishStepEvent(definition, step, workflow);
   }
 
   /**
-   * Execute Batch Assessment via A2A
+   * Effective retry policy - step (or compensation) retry over the workflow's
+   * retry default; retry: false means a single attempt
    */
-  async executeBatchAssessment(orderId, complianceFindings) {
-    try {
-      return await this.a2a.requestService(
-        'assessmentAgent',
-        'assessBatchImpact',
-        {
-          orderId,
-          complianceFindings,
-          assessmentScope: 'critical_impact',
-          timeframe: '24h'
-        }
-      );
-    } catch (error) {
-      console.error(`Batch assessment failed for ${orderId}:`, error.message);
-      return {
-        status: 'ERROR',
-        error: error.message,
-        fallback: true,
-        message: 'Batch assessment unavailable - escalate to QA manager'
-      };
-    }
+  getRetryPolicy(definition, spec) {
+    const policy = spec.retry === false ? {} : { ...(definition.retry || {}), ...(spec.retry || {}) };
+    return {
+      attempts: policy.attempts || 1,
+      backoff: policy.backoff ?? 1000,
+      factor: policy.factor ?? 2,
+      maxDelay: policy.maxDelay ?? 30000
+    };
   }
 
   /**
-   * Execute Status Update via A2A
+   * Agents to try in order: the step's agent, then its fallbacks
+   * (fallback: true = other online agents with the capability, least loaded first)
+   * null stands for service discovery (no agent, no fallback)
    */
-  async executeStatusUpdate(orderId, workflow, finalStatus) {
-    try {
-      return await this.a2a.requestService(
-        'statusAgent',
-        'updateSystemStatus',
-        {
-          orderId,
-          workflowId: workflow.id,
-          finalStatus,
-          workflowSummary: this.generateWorkflowSummary(workflow),
-          updateType: 'workflow_completion'
+  getCandidateAgents(spec) {
+    if (!spec.fallback) return [spec.agent || null];
+
+    const fallbacks = Array.isArray(spec.fallback)
+      ? spec.fallback
+      : this.a2a.findAgentsByCapability(spec.capability).map(agent => agent.agentId);
+    const candidates = [...new Set([spec.agent, ...fallbacks].filter(Boolean))];
+    return candidates.length > 0 ? candidates : [null];
+  }
+
+  /**
+   * A2A call of a step or compensation: each candidate agent is retried with
+   * exponential backoff, then the next one takes over. Failed attempts are
+   * persisted as they happen; the final error carries them as error.attempts
+   * @returns {{result, agent, attempts}}
+   */
+  async callWithPolicy(definition, spec, workflow, { stepId, input, idempotencyKey, compensation = false }) {
+    const policy = this.getRetryPolicy(definition, spec);
+    const candidates = this.getCandidateAgents(spec);
+    const options = { workflowId: workflow.id, timeout: spec.timeout, idempotencyKey };
+    const attempts = [];
+    let lastError;
+
+    for (const [index, agentId] of candidates.entries()) {
+      if (index > 0) {
+        console.warn(`↪️ ${stepId}: falling back from ${candidates[index - 1]} to ${agentId}`);
+      }
+
+      for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+        if (workflow.cancelled && !compensation) {
+          throw workflowError(`Cancelled during ${stepId}`, 'CANCELLED');
         }
-      );
-    } catch (error) {
-      console.error(`Status update failed for ${orderId}:`, error.message);
-      return {
-        status: 'ERROR',
-        error: error.message,
-        fallback: true,
-        message: 'Status update failed - workflow completed but status not updated'
-      };
+
+        try {
+          const result = agentId
+            ? await this.a2a.requestService(agentId, spec.capability, input, options)
+            : await this.a2a.requestServiceByCapability(spec.capability, input, options);
+          return { result, agent: agentId, attempts };
+        } catch (error) {
+          lastError = error;
+          const retry = attempt < policy.attempts && !NON_RETRYABLE_CODES.includes(error.code);
+          const retryIn = retry ? Math.min(policy.maxDelay, policy.backoff * policy.factor ** (attempt - 1)) : null;
+          const failed = { agent: agentId, capability: spec.capability, attempt, error: error.message, code: error.code || null, retryIn };
+          attempts.push(failed);
+          this.store.stepAttemptFailed(workflow.id, stepId, { ...failed, ...(compensation && { compensation }) });
+
+          if (!retry) break;
+          console.warn(`🔁 ${stepId}: attempt ${attempt}/${policy.attempts} on ${agentId || spec.capability} failed (${error.message}) - retry in ${retryIn}ms`);
+          await sleep(retryIn);
+        }
+      }
     }
+
+    lastError.attempts = attempts;
+    throw lastError;
   }
 
   /**
-   * Determine if batch assessment is required based on compliance results
+   * Undo completed steps that declare compensate:, newest first, after a
+   * step failed permanently. Each compensation runs once (also across
+   * resumes); a failed compensation is recorded and the others still run
+   * @returns {{completed: string[], failed: string[]}}
    */
-  requiresBatchAssessment(complianceResult) {
-    if (!complianceResult || !complianceResult.result) {
-      return true; // Assess if uncertain
+  async compensate(definition, workflow, error) {
+    const steps = new Map(flattenSteps(definition.steps).map(step => [step.id, step]));
+    const done = workflow.steps
+      .filter(entry => ['completed', 'invalid_output'].includes(entry.status) && steps.get(entry.id)?.compensate)
+      .reverse();
+    const outcome = { completed: [], failed: [] };
+    if (done.length === 0) return outcome;
+
+    workflow.status = 'compensating';
+    console.log(`⏪ Compensating ${workflow.id}: ${done.map(entry => entry.id).join(', ')}`);
+
+    for (const entry of done) {
+      if (this.store.isCompensated(workflow.id, entry.id)) {
+        outcome.completed.push(entry.id);
+        continue;
+      }
+
+      const step = steps.get(entry.id);
+      // Undone by the agent that did it (a fallback agent, if one took over)
+      const spec = { agent: entry.agent || step.agent, ...step.compensate };
+      let input = null;
+      try {
+        input = resolveInput(step.compensate.input || {}, {
+          ...this.getScope(workflow, definition),
+          step: { ...workflow.outputs[entry.id], input: entry.input ?? null },
+          failure: { error: error.message }
+        });
+        const { result, agent, attempts } = await this.callWithPolicy(definition, spec, workflow, {
+          stepId: entry.id,
+          input,
+          idempotencyKey: `${workflow.id}:${entry.id}:compensate`,
+          compensation: true
+        });
+        this.store.compensated(workflow.id, entry.id, { status: 'completed', agent, attempts, input, result });
+        outcome.completed.push(entry.id);
+        console.log(`⏪ ${entry.id} compensated via ${agent || spec.capability}`);
+      } catch (compensationError) {
+        this.store.compensated(workflow.id, entry.id, {
+          status: 'failed',
+          attempts: compensationError.attempts || [],
+          input,
+          error: compensationError.message
+        });
+        outcome.failed.push(entry.id);
+        console.error(`Compensation of ${entry.id} failed for ${workflow.id}:`, compensationError.message);
+      }
     }
 
-    const result = complianceResult.result;
-    const criticalKeywords = ['CRITICAL', 'BLOCKED', 'NON-COMPLIANT', 'QUARANTINE', 'HIGH RISK'];
-    
-    return criticalKeywords.some(keyword => 
-      result.toUpperCase().includes(keyword)
-    );
+    return outcome;
   }
 
   /**
-   * Determine final status based on workflow results
+   * Step outcome → workflow.steps, outputs for later conditions and (unless restored) the store
    */
-  determineFinalStatus(workflow) {
-    const complianceStep = workflow.steps.find(s => s.name === 'compliance_validation');
-    const assessmentStep = workflow.steps.find(s => s.name === 'batch_assessment');
-
-    // If compliance failed
-    if (complianceStep && complianceStep.result && 
-        complianceStep.result.result && 
-        complianceStep.result.result.includes('BLOCKED')) {
-      return 'BLOCKED';
-    }
+  recordStep(workflow, step, stepNumber, outcome, persist = true) {
+    const entry = {
+      stepNumber,
+      id: step.id,
+      name: step.name || step.id,
+      duration: Date.now() - workflow.startTime,
+      timestamp: new Date().toISOString(),
+      ...outcome
+    };
+    workflow.steps.push(entry);
+
+    workflow.outputs[step.id] = {
+      status: outcome.status,
+      result: outcome.result ?? null,
+      payload: this.getResultPayload(outcome.result),
+      text: this.getResultText(outcome.result),
+      reason: outcome.reason || null
+    };
 
-    // If assessment was done and found issues
-    if (assessmentStep && assessmentStep.status === 'completed' &&
-        assessmentStep.result && assessmentStep.result.result &&
-        assessmentStep.result.result.includes('BLOCK')) {
-      return 'BLOCKED';
+    if (persist) {
+      const { id, ...step } = entry;
+      this.store.stepFinished(workflow.id, id, step);
     }
+  }
 
-    // If there were errors in any step
-    const hasErrors = workflow.steps.some(step => 
-      step.result && step.result.status === 'ERROR'
-    );
-    
-    if (hasErrors) {
-      return 'REVIEW_REQUIRED';
+  /**
+   * Event of a completed step (step.publish) - published once per workflow and
+   * step, also across resumes; the idempotencyKey lets consumers drop repeats
+   */
+  async publishStepEvent(definition, step, workflow) {
+    if (!step.publish || workflow.outputs[step.id]?.status !== 'completed') return;
+
+    const { topic, data = {} } = typeof step.publish === 'string' ? { topic: step.publish } : step.publish;
+    const idempotencyKey = `${workflow.id}:${step.id}:${topic}`;
+    if (this.store.isPublished(workflow.id, idempotencyKey)) {
+      console.log(`${topic} of ${workflow.id}/${step.id} already published - not repeated`);
+      return;
     }
 
-    // Check for delays or warnings
-    const hasWarnings = workflow.steps.some(step =>
-      step.result && step.result.result && 
-      (step.result.result.includes('DELAYED') || step.result.result.includes('WARNING'))
-    );
+    await this.eventBus.publishEvent(topic, {
+      ...resolveInput(data, this.getScope(workflow, definition)),
+      workflowId: workflow.id,
+      idempotencyKey
+    }, 'production-workflow');
+    this.store.published(workflow.id, step.id, { topic, idempotencyKey });
+  }
 
-    if (hasWarnings) {
-      return 'DELAYED';
-    }
+  /**
+   * Values visible to conditions and input placeholders
+   * With the definition, the summary so far is included (step inputs)
+   */
+  getScope(workflow, definition = null) {
+    return {
+      subjectId: workflow.subjectId,
+      data: workflow.data,
+      workflowId: workflow.id,
+      finalStatus: workflow.finalStatus ?? null,
+      steps: workflow.outputs,
+      ...(definition && { summary: this.generateWorkflowSummary(workflow, definition) })
+    };
+  }
 
-    return 'APPROVED';
+  /**
+   * Step status from A2A envelope - schema violations are not "completed"
+   */
+  getStepStatus(stepResult) {
+    return stepResult?.validation?.valid === false ? 'invalid_output' : 'completed';
+  }
+
+  /**
+   * Structured payload of an A2A envelope (object when schema-validated)
+   */
+  getResultPayload(stepResult) {
+    if (!stepResult || stepResult.validation?.valid === false) return null;
+    const payload = stepResult.result;
+    return payload && typeof payload === 'object' && payload.type !== 'text_response' ? payload : null;
+  }
+
+  /**
+   * Upper-case text of an A2A result for keyword checks (text or JSON)
+   */
+  getResultText(stepResult) {
+    const result = stepResult?.result;
+    if (!result) return '';
+    const text = typeof result === 'string' ? result :
+      (typeof result.result === 'string' ? result.result : JSON.stringify(result));
+    return text.toUpperCase();
+  }
+
+  /**
+   * Final status from the definition's rules - first matching rule wins
+   */
+  determineFinalStatus(definition, workflow) {
+    const { rules = [], default: fallback = 'COMPLETED' } = definition.finalStatus || {};
+    const scope = this.getScope(workflow);
+    return rules.find(rule => evaluateCondition(rule.when, scope))?.status || fallback;
+  }
+
+  /**
+   * Decide and persist - a resumed workflow keeps the status its later steps were given
+   */
+  decideFinalStatus(definition, workflow) {
+    workflow.finalStatus = this.determineFinalStatus(definition, workflow);
+    this.store.finalStatusDecided(workflow.id, workflow.finalStatus);
+    return workflow.finalStatus;
   }
 
   /**
    * Generate workflow summary
    */
-  generateWorkflowSummary(workflow) {
+  generateWorkflowSummary(workflow, definition) {
     return {
-      orderId: workflow.orderId,
+      workflow: workflow.workflow,
+      subjectId: workflow.subjectId,
       duration: workflow.duration,
       stepsCompleted: workflow.steps.filter(s => s.status === 'completed').length,
       stepsSkipped: workflow.steps.filter(s => s.status === 'skipped').length,
       stepsFailed: workflow.steps.filter(s => s.status === 'failed').length,
+      stepsInvalid: workflow.steps.filter(s => s.status === 'invalid_output').length,
       finalStatus: workflow.finalStatus,
       keyFindings: this.extractKeyFindings(workflow),
-      recommendations: this.generateRecommendations(workflow)
+      recommendations: this.generateRecommendations(workflow, definition)
     };
   }
 
@@ -326,14 +649,19 @@ export class ProductionWorkflow {
     const findings = [];
     
     workflow.steps.forEach(step => {
+      if (step.status === 'invalid_output') {
+        findings.push(`${step.name}: Agent output failed schema validation (${step.validation.errors.join('; ')})`);
+        return;
+      }
       if (step.result && step.result.result) {
-        if (step.result.result.includes('CRITICAL')) {
+        const text = this.getResultText(step.result);
+        if (text.includes('CRITICAL')) {
           findings.push(`${step.name}: Critical issue detected`);
         }
-        if (step.result.result.includes('QUARANTINE')) {
+        if (text.includes('QUARANTINE')) {
           findings.push(`${step.name}: Quarantine status identified`);
         }
-        if (step.result.result.includes('COMPLIANCE')) {
+        if (text.includes('COMPLIANCE')) {
           findings.push(`${step.name}: Compliance validation completed`);
         }
       }
@@ -343,27 +671,10 @@ export class ProductionWorkflow {
   }
 
   /**
-   * Generate recommendations based on workflow results
+   * Recommendations for the final status (definition → recommendations)
    */
-  generateRecommendations(workflow) {
-    const recommendations = [];
-    
-    if (workflow.finalStatus === 'BLOCKED') {
-      recommendations.push('Immediate escalation to QA Manager required');
-      recommendations.push('Production hold until issues resolved');
-    }
-    
-    if (workflow.finalStatus === 'DELAYED') {
-      recommendations.push('Schedule review meeting with production planning');
-      recommendations.push('Customer notification may be required');
-    }
-
-    if (workflow.finalStatus === 'APPROVED') {
-      recommendations.push('Production release approved');
-      recommendations.push('Monitor for any late-breaking issues');
-    }
-
-    return recommendations;
+  generateRecommendations(workflow, definition) {
+    return [...(definition?.recommendations?.[workflow.finalStatus] || [])];
   }
 
   /**
@@ -389,6 +700,8 @@ export class ProductionWorkflow {
       successRate: this.workflowStats.total > 0 ? 
         Math.round((this.workflowStats.completed / this.workflowStats.total) * 100) : 100,
       avgDurationSeconds: Math.round(this.workflowStats.avgDuration / 1000),
+      definitions: [...this.definitions.keys()],
+      definitionErrors: this.definitionErrors.length,
       timestamp: new Date().toISOString()
     };
   }
@@ -399,7 +712,8 @@ export class ProductionWorkflow {
   getActiveWorkflows() {
     return Array.from(this.activeWorkflows.values()).map(workflow => ({
       id: workflow.id,
-      orderId: workflow.orderId,
+      workflow: workflow.workflow,
+      subjectId: workflow.subjectId,
       status: workflow.status,
       currentStep: workflow.currentStep,
       totalSteps: workflow.totalSteps,
@@ -413,18 +727,67 @@ export class ProductionWorkflow {
    */
   cancelWorkflow(workflowId, reason = 'User requested') {
     const workflow = this.activeWorkflows.get(workflowId);
+    // A failing workflow finishes its compensations
+    if (workflow?.status === 'compensating') return false;
     if (workflow) {
+      // The running step finishes; no further step is started
       workflow.status = 'cancelled';
+      workflow.cancelled = true;
       workflow.cancelReason = reason;
       workflow.duration = Date.now() - workflow.startTime;
       
       this.activeWorkflows.delete(workflowId);
+      this.store.transition(workflowId, 'cancelled', { reason, duration: workflow.duration });
       console.log(`🚫 Workflow ${workflowId} cancelled: ${reason}`);
       
       return true;
     }
+
+    // Interrupted workflows that should not be resumed
+    if (this.store.get(workflowId)?.status === 'interrupted') {
+      this.store.transition(workflowId, 'cancelled', { reason });
+      console.log(`🚫 Interrupted workflow ${workflowId} cancelled: ${reason}`);
+      return true;
+    }
     return false;
   }
+
+  /**
+   * Close a workflow whose compensation failed once the manual correction is done
+   * @param {Object} correction - { userId, reason } (who corrected what)
+   */
+  confirmCorrection(workflowId, { userId, reason } = {}) {
+    const instance = this.store.get(workflowId);
+    if (!instance) {
+      throw workflowError(`Workflow not found: ${workflowId}`, 'NOT_FOUND');
+    }
+    if (instance.status !== 'correction_required') {
+      throw workflowError(`Cannot confirm a correction of ${workflowId} - status is ${instance.status}`, 'INVALID_TRANSITION');
+    }
+    if (!userId || !reason) {
+      throw workflowError('userId and reason of the manual correction are required', 'MISSING_CORRECTION_INFO');
+    }
+
+    this.store.transition(workflowId, 'failed', { reason: `Manual correction by ${userId}: ${reason}`, correctedBy: userId });
+    console.log(`🛠️ Workflow ${workflowId} corrected manually by ${userId}`);
+    return this.store.get(workflowId);
+  }
+
+  /**
+   * Stored workflow instances, newest first
+   * @param {Object} filter - { subjectId (e.g. order id), workflow, status, limit }
+   */
+  getHistory(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  /**
+   * Stored instance with step inputs and outputs
+   */
+  getInstance(workflowId) {
+    const instance = this.store.get(workflowId);
+    return instance ? { ...instance, active: this.activeWorkflows.has(workflowId) } : null;
+  }
 }
 
 export default ProductionWorkflow;
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * ========================================================================
+ * WORKFLOW DEFINITIONS - DECLARATIVE A2A WORKFLOWS (config/workflows.yaml)
+ * ========================================================================
+ *
+ * Loads and validates workflow definitions and evaluates their step
+ * conditions and inputs. Execution and step bookkeeping stay in
+ * ProductionWorkflow.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Conditions:
+ *   { path: steps.compliance.payload.riskLevel, in: [HIGH, CRITICAL] }
+ *   { all: [...] } { any: [...] } { not: {...} } { anyStep: {...} }
+ *
+ * Inputs: "{steps.compliance.result}" keeps the value's type,
+ *         "Order {subjectId}" interpolates text
+ *
+ * Failure handling per step (retry also per workflow as default):
+ *   retry: { attempts: 3, backoff: 1000, factor: 2, maxDelay: 30000 }
+ *   fallback: true | [agentIds]     compensate: { capability, agent, input }
+ *
+ * Config: WORKFLOWS_FILE (default config/workflows.yaml)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { resolvePath } from "../templates/PromptTemplateEngine.js";
+
+const OPERATORS = ["equals", "notEquals", "in", "exists", "contains"];
+const RETRY_FIELDS = { attempts: 1, backoff: 0, factor: 1, maxDelay: 0 }; // field → minimum
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z_][\w.]*)\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{([a-zA-Z_][\w.]*)\}$/;
+
+// ========================================================================
+// LOADING
+// ========================================================================
+
+/**
+ * Valid definitions by name - invalid workflows are reported and left out
+ * @returns {{workflows: Map<string, Object>, errors: string[]}}
+ */
+export function loadWorkflowDefinitions(file = process.env.WORKFLOWS_FILE || path.join("config", "workflows.yaml")) {
+  const workflows = new Map();
+  const errors = [];
+
+  if (!fs.existsSync(file)) {
+    errors.push(`Workflow file not found: ${file}`);
+    return { workflows, errors };
+  }
+
+  const config = yaml.load(fs.readFileSync(file, "utf8")) || {};
+  for (const [name, definition] of Object.entries(config.workflows || {})) {
+    const workflowErrors = validateWorkflow(definition);
+    if (workflowErrors.length > 0) {
+      errors.push(...workflowErrors.map(error => `${name}: ${error}`));
+      continue;
+    }
+    workflows.set(name, { name, ...definition });
+  }
+
+  return { workflows, errors };
+}
+
+/**
+ * Leaf steps in definition order (parallel branches flattened)
+ */
+export function flattenSteps(steps = []) {
+  return steps.flatMap(step => step.parallel
+    ? step.parallel.flatMap(branch => flattenSteps(branch.steps))
+    : [step]);
+}
+
+function validateWorkflow(definition) {
+  const errors = [];
+  if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+    return ["steps must be a non-empty list"];
+  }
+
+  const ids = new Set();
+  const checkSteps = (steps, where) => steps.forEach((step, index) => {
+    const label = `${where}[${index}]${step?.id ? ` (${step.id})` : ""}`;
+    if (!step?.id) errors.push(`${label}: id is required`);
+    else if (ids.has(step.id)) errors.push(`${label}: duplicate step id`);
+    else ids.add(step.id);
+
+    if (step?.parallel) {
+      if (!Array.isArray(step.parallel) || step.parallel.length === 0) {
+        errors.push(`${label}: parallel must be a non-empty list of branches`);
+        return;
+      }
+      step.parallel.forEach((branch, branchIndex) => {
+        if (!Array.isArray(branch?.steps) || branch.steps.length === 0) {
+          errors.push(`${label}: branch ${branchIndex} needs steps`);
+        } else {
+          checkSteps(branch.steps, `${label}.parallel[${branchIndex}].steps`);
+        }
+      });
+      return;
+    }
+
+    if (!step?.capability) errors.push(`${label}: capability is required`);
+    if (step?.publish && typeof step.publish !== "string" && !step.publish.topic) {
+      errors.push(`${label}: publish needs a topic`);
+    }
+    if (step?.when) errors.push(...validateCondition(step.when).map(error => `${label}.when: ${error}`));
+    if (step?.retry !== undefined) errors.push(...validateRetry(step.retry).map(error => `${label}.retry: ${error}`));
+    if (step?.fallback !== undefined && typeof step.fallback !== "boolean" &&
+        !(Array.isArray(step.fallback) && step.fallback.every(agentId => typeof agentId === "string"))) {
+      errors.push(`${label}: fallback must be true or a list of agent ids`);
+    }
+    if (step?.compensate !== undefined) {
+      if (!step.compensate?.capability) errors.push(`${label}.compensate: capability is required`);
+      if (step.compensate?.retry !== undefined) {
+        errors.push(...validateRetry(step.compensate.retry).map(error => `${label}.compensate.retry: ${error}`));
+      }
+    }
+  });
+
+  checkSteps(definition.steps, "steps");
+  if (definition.retry !== undefined) errors.push(...validateRetry(definition.retry).map(error => `retry: ${error}`));
+
+  const finalStatus = definition.finalStatus;
+  if (finalStatus) {
+    if (finalStatus.before && !flattenSteps(definition.steps).some(step => step.id === finalStatus.before)) {
+      errors.push(`finalStatus.before: unknown step ${finalStatus.before}`);
+    }
+    (finalStatus.rules || []).forEach((rule, index) => {
+      if (!rule?.status) errors.push(`finalStatus.rules[${index}]: status is required`);
+      errors.push(...validateCondition(rule?.when).map(error => `finalStatus.rules[${index}].when: ${error}`));
+    });
+  }
+
+  return errors;
+}
+
+function validateRetry(retry) {
+  if (retry === false) return [];
+  if (!retry || typeof retry !== "object" || Array.isArray(retry)) return ["must be an object or false"];
+  return Object.entries(retry).flatMap(([field, value]) => {
+    if (!(field in RETRY_FIELDS)) return [`unknown field ${field} (allowed: ${Object.keys(RETRY_FIELDS).join(", ")})`];
+    return typeof value === "number" && value >= RETRY_FIELDS[field] ? [] : [`${field} must be a number >= ${RETRY_FIELDS[field]}`];
+  });
+}
+
+function validateCondition(condition) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    return ["condition must be an object"];
+  }
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    return Array.isArray(list) ? list.flatMap(validateCondition) : ["all / any must be a list"];
+  }
+  if (condition.not) return validateCondition(condition.not);
+  if (condition.anyStep) return validateCondition(condition.anyStep);
+
+  if (!condition.path) return ["path is required"];
+  const operators = Object.keys(condition).filter(key => key !== "path");
+  const unknown = operators.filter(key => !OPERATORS.includes(key));
+  if (unknown.length > 0) return [`unknown operator ${unknown.join(", ")} (allowed: ${OPERATORS.join(", ")})`];
+  if (operators.length === 0) return [`${condition.path}: operator missing`];
+  return [];
+}
+
+// ========================================================================
+// EVALUATION
+// ========================================================================
+
+/**
+ * Evaluate a condition against a scope ({ steps, subjectId, data, ... })
+ * Several operators in one leaf must all hold
+ */
+export function evaluateCondition(condition, scope) {
+  if (!condition) return true;
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, scope));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, scope));
+  if (condition.not) return !evaluateCondition(condition.not, scope);
+  if (condition.anyStep) {
+    return Object.values(scope.steps || {}).some(step => evaluateCondition(condition.anyStep, step));
+  }
+
+  const value = resolvePath(scope, condition.path);
+  const present = value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case "path": return true;
+      case "exists": return present === expected;
+      case "equals": return value === expected;
+      case "notEquals": return value !== expected;
+      case "in": return Array.isArray(expected) && expected.includes(value);
+      case "contains": {
+        const text = (typeof value === "string" ? value : JSON.stringify(value ?? "")).toUpperCase();
+        return (Array.isArray(expected) ? expected : [expected]).some(keyword => text.includes(String(keyword).toUpperCase()));
+      }
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Resolve "{path}" placeholders in a step input (objects and lists recursively)
+ */
+export function resolveInput(template, scope) {
+  if (Array.isArray(template)) return template.map(item => resolveInput(item, scope));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, resolveInput(value, scope)]));
+  }
+  if (typeof template !== "string") return template;
+
+  const single = template.match(SINGLE_PLACEHOLDER_PATTERN);
+  if (single) return resolvePath(scope, single[1]) ?? null;
+
+  return template.replace(PLACEHOLDER_PATTERN, (match, pathExpression) => {
+    const value = resolvePath(scope, pathExpression);
+    if (value === undefined || value === null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
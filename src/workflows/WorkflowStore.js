@@ -0,0 +1,251 @@
+/**
+ * ========================================================================
+ * WORKFLOW STORE - DURABLE A2A WORKFLOW STATE
+ * ========================================================================
+ *
+ * Persists every workflow instance and each step's input and output, so
+ * a restart neither loses running workflows nor the history of finished
+ * ones. ProductionWorkflow resumes running instances on startup from the
+ * recorded steps (completed steps are not executed again). Failed A2A
+ * attempts (retries, fallbacks) and compensations are recorded as well.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ *
+ * Lifecycle:
+ *   running → completed | failed | cancelled
+ *   running → correction_required (a compensation failed) → failed (manual correction confirmed)
+ *   running → interrupted (restart without resume) → running (manual resume)
+ *
+ * File format (append-only, data/workflows/instances.jsonl):
+ *   {"type":"started","workflowId":"order-ORD-1001-...","workflow":"orderAnalysis","subjectId":"ORD-1001","definition":{...}}
+ *   {"type":"step_started","workflowId":"...","stepId":"compliance","input":{...},"idempotencyKey":"...:compliance"}
+ *   {"type":"step_attempt","workflowId":"...","stepId":"compliance","agent":"complianceAgent","attempt":1,"code":"A2A_TIMEOUT","retryIn":1000}
+ *   {"type":"step","workflowId":"...","stepId":"compliance","status":"completed","result":{...}}
+ *   {"type":"compensation","workflowId":"...","stepId":"status","status":"completed","result":{...}}
+ *   {"type":"published","workflowId":"...","stepId":"status","topic":"orders/analysis_completed"}
+ *   {"type":"completed","workflowId":"...","finalStatus":"APPROVED","duration":1234}
+ *   {"type":"correction_required","workflowId":"...","error":"...","compensationFailed":["status"],"duration":1234}
+ *
+ * Config: WORKFLOW_STATE_DIR (default data/workflows)
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled", "correction_required"];
+
+export class WorkflowStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.WORKFLOW_STATE_DIR || path.join("data", "workflows");
+    this.instances = new Map(); // workflowId → instance (insertion order = start order)
+
+    this.load();
+  }
+
+  // ========================================================================
+  // PERSISTENCE
+  // ========================================================================
+
+  get file() {
+    return path.join(this.directory, "instances.jsonl");
+  }
+
+  load() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    if (fs.existsSync(this.file)) {
+      for (const line of fs.readFileSync(this.file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          this.applyRecord(JSON.parse(line));
+        } catch {
+          continue;
+        }
+      }
+    }
+
+    const running = this.list({ status: "running" }).length;
+    console.log(`🗂️ WorkflowStore loaded ${this.instances.size} workflow instances (${running} running)`);
+  }
+
+  append(record) {
+    const entry = { ...record, timestamp: record.timestamp || new Date().toISOString() };
+    fs.appendFileSync(this.file, JSON.stringify(entry) + "\n");
+    this.applyRecord(entry);
+  }
+
+  applyRecord(record) {
+    if (record.type === "started") {
+      const { type, timestamp, ...instance } = record;
+      this.instances.set(record.workflowId, {
+        ...instance,
+        status: "running",
+        startedAt: timestamp,
+        steps: [],
+        pendingSteps: {},
+        published: [],
+        attempts: [],
+        compensations: [],
+        finalStatus: null,
+        resumes: 0,
+        history: []
+      });
+      return;
+    }
+
+    const instance = this.instances.get(record.workflowId);
+    if (!instance) return;
+
+    switch (record.type) {
+      case "step_started":
+        instance.pendingSteps[record.stepId] = { input: record.input, idempotencyKey: record.idempotencyKey, startedAt: record.timestamp };
+        break;
+      case "step": {
+        const { type, workflowId, ...step } = record;
+        delete instance.pendingSteps[record.stepId];
+        instance.steps = instance.steps.filter(existing => existing.stepId !== record.stepId).concat(step);
+        break;
+      }
+      case "final_status":
+        instance.finalStatus = record.finalStatus;
+        break;
+      case "published":
+        instance.published.push({ stepId: record.stepId, topic: record.topic, idempotencyKey: record.idempotencyKey, timestamp: record.timestamp });
+        break;
+      case "step_attempt": {
+        const { type, workflowId, ...attempt } = record;
+        instance.attempts.push(attempt);
+        break;
+      }
+      case "compensation": {
+        const { type, workflowId, ...compensation } = record;
+        instance.compensations = instance.compensations.filter(existing => existing.stepId !== record.stepId).concat(compensation);
+        break;
+      }
+      default:
+        // Status transitions: completed, failed, correction_required, cancelled, interrupted, resumed
+        instance.history.push({ from: instance.status, to: record.type === "resumed" ? "running" : record.type, reason: record.reason || null, timestamp: record.timestamp });
+        instance.status = record.type === "resumed" ? "running" : record.type;
+        if (record.type === "resumed") instance.resumes++;
+        if (record.finalStatus) instance.finalStatus = record.finalStatus;
+        if (record.duration !== undefined) instance.duration = record.duration;
+        if (record.error) instance.error = record.error;
+        if (record.correctedBy) instance.correctedBy = record.correctedBy;
+        if (TERMINAL_STATUSES.includes(instance.status)) instance.endedAt = record.timestamp;
+    }
+  }
+
+  // ========================================================================
+  // RECORDING
+  // ========================================================================
+
+  start({ workflowId, workflow, subjectId, data, definition }) {
+    this.append({ type: "started", workflowId, workflow, subjectId, data, definition });
+  }
+
+  stepStarted(workflowId, stepId, { stepNumber, input, idempotencyKey }) {
+    this.append({ type: "step_started", workflowId, stepId, stepNumber, input, idempotencyKey });
+  }
+
+  /**
+   * Failed A2A call of a step or compensation - retryIn is null when the next agent (or none) follows
+   */
+  stepAttemptFailed(workflowId, stepId, attempt) {
+    this.append({ type: "step_attempt", workflowId, stepId, ...attempt });
+  }
+
+  stepFinished(workflowId, stepId, step) {
+    this.append({ type: "step", workflowId, stepId, ...step });
+  }
+
+  finalStatusDecided(workflowId, finalStatus) {
+    this.append({ type: "final_status", workflowId, finalStatus });
+  }
+
+  published(workflowId, stepId, { topic, idempotencyKey }) {
+    this.append({ type: "published", workflowId, stepId, topic, idempotencyKey });
+  }
+
+  compensated(workflowId, stepId, compensation) {
+    this.append({ type: "compensation", workflowId, stepId, ...compensation });
+  }
+
+  /**
+   * Status transition - completed | failed | correction_required | cancelled | interrupted | resumed
+   */
+  transition(workflowId, to, details = {}) {
+    this.append({ type: to, workflowId, ...details });
+  }
+
+  // ========================================================================
+  // QUERIES
+  // ========================================================================
+
+  get(workflowId) {
+    const instance = this.instances.get(workflowId);
+    return instance ? structuredClone(instance) : null;
+  }
+
+  /**
+   * Has the step's event been published already (idempotent resume)?
+   */
+  isPublished(workflowId, idempotencyKey) {
+    return !!this.instances.get(workflowId)?.published.some(entry => entry.idempotencyKey === idempotencyKey);
+  }
+
+  /**
+   * Has the step been compensated already (resume during compensation)?
+   */
+  isCompensated(workflowId, stepId) {
+    return !!this.instances.get(workflowId)?.compensations.some(entry => entry.stepId === stepId && entry.status === "completed");
+  }
+
+  /**
+   * Newest first, without definition and step results
+   * @param {Object} filter - { subjectId, workflow, status, limit }
+   */
+  list({ subjectId = null, workflow = null, status = null, limit = null } = {}) {
+    const instances = [...this.instances.values()]
+      .filter(instance => !subjectId || instance.subjectId === subjectId)
+      .filter(instance => !workflow || instance.workflow === workflow)
+      .filter(instance => !status || instance.status === status)
+      .reverse();
+
+    return (limit ? instances.slice(0, limit) : instances).map(instance => ({
+      workflowId: instance.workflowId,
+      workflow: instance.workflow,
+      subjectId: instance.subjectId,
+      status: instance.status,
+      finalStatus: instance.finalStatus,
+      steps: instance.steps.map(step => ({ stepId: step.stepId, name: step.name, status: step.status })),
+      failedAttempts: instance.attempts.length,
+      compensations: instance.compensations.map(compensation => ({ stepId: compensation.stepId, status: compensation.status })),
+      resumes: instance.resumes,
+      startedAt: instance.startedAt,
+      endedAt: instance.endedAt || null,
+      duration: instance.duration ?? null,
+      error: instance.error || null
+    }));
+  }
+
+  getStats() {
+    const byStatus = {};
+    const durations = [];
+    this.instances.forEach(instance => {
+      byStatus[instance.status] = (byStatus[instance.status] || 0) + 1;
+      if (instance.status === "completed" && typeof instance.duration === "number") durations.push(instance.duration);
+    });
+
+    return {
+      total: this.instances.size,
+      byStatus,
+      avgDuration: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : 0
+    };
+  }
+}
+
+export default WorkflowStore;
@@ -0,0 +1,243 @@
+/**
+ * ========================================================================
+ * A2A PROTOCOL END-TO-END TEST - AGENT CARDS AND TASKS OVER HTTP
+ * ========================================================================
+ *
+ * API key authentication, agent card discovery, JSON-RPC task
+ * submission, status polling, cancellation (also of a queued LLM call)
+ * and Server-Sent Events streaming against /api/a2a/agents, with
+ * complianceAgent answering through the offline stub LLM.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { waitFor } from "./helpers/agentSystem.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "a2a-protocol-"));
+Object.assign(process.env, {
+  LLM_PROVIDER: "stub",
+  MAX_API_CALLS_PER_MINUTE: "1000",
+  A2A_SCHEMA_RETRIES: "0",
+  CONVERSATION_STORE_DIR: path.join(tempDir, "conversations"),
+  LLM_USAGE_DIR: path.join(tempDir, "usage"),
+  AGENT_VERSION_DIR: path.join(tempDir, "versions"),
+  APPROVAL_DIR: path.join(tempDir, "approvals"),
+  TRACE_DIR: path.join(tempDir, "traces"),
+  EVALUATION_DIR: path.join(tempDir, "evaluations"),
+  WORKFLOW_STATE_DIR: path.join(tempDir, "workflows"),
+  A2A_STATE_DIR: path.join(tempDir, "a2a"),
+  A2A_API_KEYS: "mes-team:mes-key,erp:erp-key"
+});
+
+const { EventBusManager } = await import("../src/eventBus/EventBusManager.js");
+const { A2AManager } = await import("../src/a2a/A2AManager.js");
+const { AgentManager } = await import("../src/agents/AgentManager.js");
+const { createRoutes } = await import("../src/api/routes/index.js");
+const { default: express } = await import("express");
+
+const audit = {
+  entries: [],
+  appendAudit(entry) { this.entries.push(entry); },
+  log(type, details) { this.entries.push({ type, ...details }); }
+};
+
+const dataManager = {
+  sourceConfigs: new Map(),
+  getMockDataForAgent: () => ({}),
+  getDataSnapshot: () => null,
+  getCachedData: async () => null,
+  getRealtimeOEEData: () => [],
+  onDataChange() {}
+};
+
+let eventBus;
+let a2aManager;
+let agentManager;
+let server;
+let agentsUrl;
+
+before(async () => {
+  eventBus = new EventBusManager(audit);
+  a2aManager = new A2AManager(eventBus, audit);
+  agentManager = new AgentManager(dataManager, eventBus, audit, a2aManager);
+  agentManager.loadAgents();
+  await agentManager.workflowsReady;
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", createRoutes(agentManager, dataManager, eventBus, audit));
+  server = app.listen(0);
+  agentsUrl = `http://127.0.0.1:${server.address().port}/api/a2a/agents`;
+});
+
+after(() => {
+  server?.close();
+  a2aManager?.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const rpc = async (agentId, method, params, { id = 1, key = "mes-key", headers = {} } = {}) => {
+  const response = await fetch(`${agentsUrl}/${agentId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-api-key": key, ...headers },
+    body: JSON.stringify({ jsonrpc: "2.0", id, method, params })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const validateOrder = (orderId, extra = {}) => ({
+  message: { role: "user", parts: [{ type: "data", data: { orderId } }], metadata: { skill: "validateOrder" } },
+  ...extra
+});
+
+const get = (url, key = "mes-key") => fetch(url, { headers: { "x-api-key": key } });
+
+test("agent card describes skills with schemas from a2aCapabilities and a2aPrompts", async () => {
+  const response = await get(`${agentsUrl}/complianceAgent/.well-known/agent.json`);
+  assert.equal(response.status, 200);
+  const card = await response.json();
+
+  assert.equal(card.url, `${agentsUrl}/complianceAgent`);
+  assert.equal(card.capabilities.streaming, true);
+  assert.deepEqual(card.authentication, { schemes: ["apiKey"] });
+  const agent = agentManager.agents.find(candidate => candidate.id === "complianceAgent");
+  assert.deepEqual(card.skills.map(skill => skill.id), agent.a2aCapabilities);
+
+  const skill = card.skills.find(candidate => candidate.id === "validateOrder");
+  assert.match(skill.description, /<orderId>/);
+  assert.deepEqual(skill.inputSchema.required, ["orderId"]);
+  assert.ok(skill.outputSchema);
+
+  // Variables with a default filter are optional
+  const checkCompliance = card.skills.find(candidate => candidate.id === "checkCompliance");
+  assert.ok(checkCompliance.inputSchema.properties.entity);
+  assert.equal(checkCompliance.inputSchema.required, undefined);
+
+  const list = await (await get(agentsUrl)).json();
+  assert.ok(list.agents.some(entry => entry.url === card.url));
+  assert.equal((await get(`${agentsUrl}/nobody/.well-known/agent.json`)).status, 404);
+});
+
+test("every request needs an API key and tasks belong to the key's client", async () => {
+  assert.equal((await fetch(agentsUrl)).status, 401);
+  assert.equal((await get(agentsUrl, "guessed-key")).status, 401);
+  assert.equal((await rpc("complianceAgent", "tasks/get", { id: "task-1" }, { key: "" })).status, 401);
+  assert.equal((await fetch(agentsUrl, { headers: { Authorization: "Bearer erp-key" } })).status, 200);
+
+  // The client comes from the key, not from a header the caller chooses
+  const sent = await rpc("complianceAgent", "tasks/send", validateOrder("ORD-1001", { id: "task-owned" }), { headers: { "x-a2a-client": "erp" } });
+  assert.equal(sent.body.result.status.state, "completed");
+  assert.equal(agentManager.a2aProtocol.tasks.get("task-owned").client, "mes-team");
+  const [message] = audit.entries.filter(entry => entry.type === "a2a_message" && entry.requestId === sent.body.result.metadata.requestId);
+  assert.equal(message.sourceAgent, "a2a-http:mes-team");
+
+  assert.equal((await rpc("complianceAgent", "tasks/get", { id: "task-owned" }, { key: "erp-key" })).body.error.code, -32001);
+  assert.equal((await rpc("complianceAgent", "tasks/cancel", { id: "task-owned" }, { key: "erp-key" })).body.error.code, -32001);
+  assert.equal((await rpc("complianceAgent", "tasks/send", validateOrder("ORD-1001", { id: "task-owned" }), { key: "erp-key" })).body.error.code, -32602);
+  assert.equal((await rpc("complianceAgent", "tasks/get", { id: "task-owned" })).body.result.status.state, "completed");
+});
+
+test("tasks/send runs the skill and tasks/get returns the finished task", async () => {
+  const { status, body } = await rpc("complianceAgent", "tasks/send", validateOrder("ORD-1001", { id: "task-1" }), { id: "req-1" });
+  assert.equal(status, 200);
+  assert.equal(body.id, "req-1");
+  assert.equal(body.result.id, "task-1");
+  assert.equal(body.result.status.state, "completed");
+  assert.equal(body.result.artifacts[0].name, "validateOrder");
+  assert.equal(body.result.artifacts[0].parts[0].type, "data");
+  assert.match(body.result.metadata.requestId, /^a2a-/);
+
+  const polled = await rpc("complianceAgent", "tasks/get", { id: "task-1", historyLength: 0 });
+  assert.equal(polled.body.result.status.state, "completed");
+  assert.deepEqual(polled.body.result.history, []);
+
+  // Resubmitting the task id does not call the agent again
+  const calls = audit.entries.filter(entry => entry.type === "a2a_message").length;
+  const again = await rpc("complianceAgent", "tasks/send", validateOrder("ORD-1001", { id: "task-1" }));
+  assert.equal(again.body.result.id, "task-1");
+  assert.equal(audit.entries.filter(entry => entry.type === "a2a_message").length, calls);
+});
+
+test("non-blocking tasks can be polled and canceled", async (t) => {
+  t.mock.method(agentManager.llmManager, "generate", async () => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return { text: "{}", model: "stub-1", usage: { inputTokens: 0, outputTokens: 0 } };
+  });
+
+  const { body } = await rpc("complianceAgent", "tasks/send", validateOrder("ORD-1002", { configuration: { blocking: false } }));
+  assert.equal(body.result.status.state, "working");
+
+  const canceled = await rpc("complianceAgent", "tasks/cancel", { id: body.result.id });
+  assert.equal(canceled.body.result.status.state, "canceled");
+
+  const task = agentManager.a2aProtocol.tasks.get(body.result.id);
+  await task.done;
+  assert.equal(task.status.state, "canceled");
+  assert.equal(task.artifacts.length, 0);
+
+  const again = await rpc("complianceAgent", "tasks/cancel", { id: body.result.id });
+  assert.equal(again.body.error.code, -32002);
+});
+
+test("canceling a task drops its LLM call from the execution queue", async (t) => {
+  const queue = agentManager.executionQueue;
+  const generate = t.mock.method(agentManager.llmManager, "generate", async () =>
+    ({ text: "{}", model: "stub-1", usage: { inputTokens: 0, outputTokens: 0 } }));
+  const queued = () => queue.pending.some(job => job.label === "validateOrder");
+
+  // complianceAgent's slots are taken - the task's call has to wait
+  await waitFor(() => queue.getRunningCount("complianceAgent") === 0);
+  let release;
+  const busy = new Promise(resolve => { release = resolve; });
+  const blockers = [1, 2].map(() => queue.run({ agentId: "complianceAgent", priority: "chat", concurrency: 2 }, () => busy));
+  t.after(release);
+
+  const { body } = await rpc("complianceAgent", "tasks/send", validateOrder("ORD-1004", { configuration: { blocking: false } }));
+  await waitFor(queued);
+  const cancelledBefore = queue.stats.cancelled;
+
+  const canceled = await rpc("complianceAgent", "tasks/cancel", { id: body.result.id });
+  assert.equal(canceled.body.result.status.state, "canceled");
+  assert.equal(queued(), false);
+  assert.equal(queue.stats.cancelled, cancelledBefore + 1);
+  assert.equal(a2aManager.pendingRequests.size, 0);
+
+  release();
+  await Promise.all(blockers);
+  await agentManager.a2aProtocol.tasks.get(body.result.id).done;
+  assert.equal(generate.mock.callCount(), 0);
+  assert.ok(audit.entries.some(entry => entry.type === "a2a_request_canceled" && entry.reason === `A2A task ${body.result.id} canceled by mes-team`));
+});
+
+test("invalid requests get JSON-RPC errors", async () => {
+  assert.equal((await rpc("complianceAgent", "tasks/send", validateOrder(undefined))).body.error.code, -32602);
+  assert.equal((await rpc("complianceAgent", "tasks/send", { message: { role: "user", parts: [{ type: "text", text: "hi" }] } })).body.error.code, -32602);
+  assert.equal((await rpc("complianceAgent", "tasks/get", { id: "missing" })).body.error.code, -32001);
+  assert.equal((await rpc("complianceAgent", "tasks/unknown", {})).body.error.code, -32601);
+  assert.equal((await rpc("nobody", "tasks/get", { id: "task-1" })).status, 404);
+});
+
+test("tasks/sendSubscribe streams status and artifact updates", async () => {
+  const response = await fetch(`${agentsUrl}/complianceAgent`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-api-key": "mes-key" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 7, method: "tasks/sendSubscribe", params: validateOrder("ORD-1003") })
+  });
+  assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+  const events = (await response.text()).split("\n\n")
+    .filter(chunk => chunk.startsWith("data: "))
+    .map(chunk => JSON.parse(chunk.slice(6)));
+
+  assert.ok(events.every(event => event.jsonrpc === "2.0" && event.id === 7));
+  const states = events.filter(event => event.result.status).map(event => event.result.status.state);
+  assert.equal(states.at(-1), "completed");
+  assert.ok(events.some(event => event.result.artifact?.name === "validateOrder"));
+  assert.equal(events.at(-1).result.final, true);
+});
@@ -0,0 +1,214 @@
+/**
+ * ========================================================================
+ * A2A END-TO-END TEST - REQUEST/RESPONSE CONTRACT
+ * ========================================================================
+ *
+ * requestService() → EventBusManager → AgentManager.handleA2ARequest()
+ * → offline stub LLM → a2aManager.respond() → caller, plus the
+ * POST /api/a2a/request route and an orderAnalysis workflow run on the
+ * agents' recorded answers (config/cassettes).
+ *
+ * Runs without network or API keys (LLM_PROVIDER=stub); all stores write
+ * to a temporary directory.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "a2a-e2e-"));
+Object.assign(process.env, {
+  LLM_PROVIDER: "stub",
+  MAX_API_CALLS_PER_MINUTE: "1000",
+  A2A_SCHEMA_RETRIES: "0",
+  CONVERSATION_STORE_DIR: path.join(tempDir, "conversations"),
+  LLM_USAGE_DIR: path.join(tempDir, "usage"),
+  AGENT_VERSION_DIR: path.join(tempDir, "versions"),
+  APPROVAL_DIR: path.join(tempDir, "approvals"),
+  TRACE_DIR: path.join(tempDir, "traces"),
+  EVALUATION_DIR: path.join(tempDir, "evaluations"),
+  WORKFLOW_STATE_DIR: path.join(tempDir, "workflows"),
+  A2A_STATE_DIR: path.join(tempDir, "a2a")
+});
+
+const { EventBusManager } = await import("../src/eventBus/EventBusManager.js");
+const { A2AManager } = await import("../src/a2a/A2AManager.js");
+const { AgentManager } = await import("../src/agents/AgentManager.js");
+const { createRoutes } = await import("../src/api/routes/index.js");
+const { default: express } = await import("express");
+
+// Audit trail in memory - the GMP file logger is not under test here
+const audit = {
+  entries: [],
+  appendAudit(entry) { this.entries.push(entry); },
+  log(type, details) { this.entries.push({ type, ...details }); }
+};
+
+// Data access of the A2A prompts (the DataManager needs the MQTT broker)
+const dataManager = {
+  sourceConfigs: new Map(),
+  getMockDataForAgent: () => ({}),
+  getDataSnapshot: () => null,
+  getCachedData: async () => null,
+  getRealtimeOEEData: () => [],
+  onDataChange() {}
+};
+
+let eventBus;
+let a2aManager;
+let agentManager;
+let server;
+let baseUrl;
+
+before(async () => {
+  eventBus = new EventBusManager(audit);
+  a2aManager = new A2AManager(eventBus, audit);
+  agentManager = new AgentManager(dataManager, eventBus, audit, a2aManager);
+  agentManager.loadAgents();
+  await agentManager.workflowsReady;
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", createRoutes(agentManager, dataManager, eventBus, audit));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server?.close();
+  a2aManager?.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("capability answers with a response correlated to its request", async () => {
+  const response = await a2aManager.requestService("complianceAgent", "validateOrder", { orderId: "ORD-1001" }, { envelope: true });
+
+  assert.equal(response.type, "a2a.response");
+  assert.equal(response.status, "success");
+  assert.equal(response.agentId, "complianceAgent");
+  assert.equal(response.action, "validateOrder");
+  assert.match(response.requestId, /^a2a-/);
+  assert.equal(response.error, null);
+  assert.equal(response.result.agentId, "complianceAgent");
+  assert.equal(response.result.responseType, "a2a_response");
+
+  const messages = audit.entries.filter(entry => entry.type === "a2a_message" && entry.requestId === response.requestId);
+  assert.deepEqual(messages.map(entry => entry.messageType), ["a2a.request", "a2a.response"]);
+  assert.equal(a2aManager.pendingRequests.size, 0);
+});
+
+test("without options.envelope the caller gets the result", async () => {
+  const result = await a2aManager.requestService("statusAgent", "updateSystemStatus", { orderId: "ORD-1001" });
+
+  assert.equal(result.agentId, "statusAgent");
+  assert.equal(result.action, "updateSystemStatus");
+});
+
+test("agent errors come back as error responses", async (t) => {
+  t.mock.method(agentManager.llmManager, "generate", async () => {
+    throw Object.assign(new Error("LLM unavailable"), { code: "LLM_DOWN" });
+  });
+
+  await assert.rejects(
+    a2aManager.requestService("complianceAgent", "validateOrder", { orderId: "ORD-1001" }),
+    (error) => {
+      assert.equal(error.code, "LLM_DOWN");
+      assert.equal(error.message, "LLM unavailable");
+      assert.equal(error.response.type, "a2a.response");
+      assert.equal(error.response.status, "error");
+      assert.deepEqual(error.response.error, { code: "LLM_DOWN", message: "LLM unavailable" });
+      return true;
+    }
+  );
+  assert.equal(a2aManager.pendingRequests.size, 0);
+});
+
+test("unknown agents, unsupported actions and missing handlers fail fast", async () => {
+  await assert.rejects(a2aManager.requestService("nobody", "validateOrder", {}), { code: "AGENT_NOT_REGISTERED" });
+  await assert.rejects(a2aManager.requestService("complianceAgent", "launchRocket", {}), { code: "UNSUPPORTED_ACTION" });
+  await assert.rejects(a2aManager.requestServiceByCapability("launchRocket", {}), { code: "NO_AGENT_AVAILABLE" });
+
+  a2aManager.registerAgent("silentAgent", ["listen"]);
+  await assert.rejects(a2aManager.requestService("silentAgent", "listen", {}, { timeout: 5000 }), { code: "A2A_NOT_DELIVERED" });
+  a2aManager.unregisterAgent("silentAgent");
+});
+
+test("a timeout produces an error result and late responses are dropped", async (t) => {
+  let finish;
+  const finished = new Promise(resolve => { finish = resolve; });
+  t.mock.method(agentManager.llmManager, "generate", async () => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    finish();
+    return { text: "{}", model: "stub-1", usage: { inputTokens: 0, outputTokens: 0 } };
+  });
+
+  await assert.rejects(
+    a2aManager.requestService("statusAgent", "monitorHealth", {}, { timeout: 100 }),
+    (error) => {
+      assert.equal(error.code, "A2A_TIMEOUT");
+      assert.equal(error.response.status, "error");
+      assert.equal(error.response.error.code, "A2A_TIMEOUT");
+      assert.equal(error.response.agentId, "statusAgent");
+      return true;
+    }
+  );
+
+  await finished;
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(a2aManager.pendingRequests.size, 0);
+});
+
+test("POST /api/a2a/request runs the request and maps errors", async () => {
+  const post = (body) => fetch(`${baseUrl}/a2a/request`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+  const ok = await post({ agentId: "complianceAgent", action: "validateOrder", data: { orderId: "ORD-1001" } });
+  assert.equal(ok.status, 200);
+  const body = await ok.json();
+  assert.equal(body.success, true);
+  assert.equal(body.agentId, "complianceAgent");
+  assert.match(body.requestId, /^a2a-/);
+  assert.equal(body.result.agentId, "complianceAgent");
+
+  // Service discovery by capability
+  const discovered = await (await post({ action: "updateSystemStatus", data: {} })).json();
+  assert.equal(discovered.agentId, "statusAgent");
+
+  assert.equal((await post({ agentId: "nobody", action: "validateOrder" })).status, 404);
+  assert.equal((await post({ agentId: "complianceAgent", action: "launchRocket" })).status, 400);
+  assert.equal((await post({ agentId: "complianceAgent" })).status, 400);
+});
+
+test("orderAnalysis workflow steps reach the agents over A2A", async (t) => {
+  // Recorded, schema-valid answers of the agents (config/cassettes, see llm-replay.test.js)
+  const recorded = Object.fromEntries(["complianceAgent", "statusAgent"].map(agentId => {
+    const cassette = JSON.parse(fs.readFileSync(path.join("config", "cassettes", `${agentId}.json`), "utf8"));
+    return [agentId, Object.values(cassette.entries)[0].response];
+  }));
+  const generate = t.mock.method(agentManager.llmManager, "generate", async (prompt, { agent }) =>
+    ({ text: recorded[agent.id], model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+
+  const result = await agentManager.productionWorkflow.executeOrderAnalysisWorkflow("ORD-1001", { orderId: "ORD-1001" });
+
+  assert.equal(result.finalStatus, "APPROVED");
+  assert.deepEqual(result.details.steps.map(step => [step.id, step.status]), [
+    ["compliance", "completed"],
+    ["assessment", "skipped"],
+    ["status", "completed"]
+  ]);
+  assert.deepEqual(generate.mock.calls.map(call => call.arguments[1].agent.id), ["complianceAgent", "statusAgent"]);
+
+  result.details.steps.filter(step => step.status === "completed").forEach(step => {
+    assert.equal(step.result.agentId, step.agent);
+    assert.equal(step.validation.valid, true, `${step.id}: ${JSON.stringify(step.validation.errors)}`);
+    assert.deepEqual(step.result.result, JSON.parse(recorded[step.agent]));
+  });
+});
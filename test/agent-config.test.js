@@ -0,0 +1,112 @@
+/**
+ * ========================================================================
+ * AGENT CONFIG VALIDATION TEST - SCHEMA, CROSS-CHECKS AND RELOAD REJECTION
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("agent-config");
+
+const { validateAgentConfig } = await import("../src/agents/AgentConfigValidator.js");
+
+const fileConfig = yaml.load(fs.readFileSync(path.join("config", "agents.yaml"), "utf8"));
+let system;
+let options;
+
+before(async () => {
+  system = await startAgentSystem();
+  options = {
+    dataTypes: system.agentManager.getConfiguredDataTypes(),
+    workflows: [...system.agentManager.productionWorkflow.definitions.keys()],
+    templateEngine: system.agentManager.templateEngine,
+    strict: false
+  };
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Copy of agents.yaml with one agent changed
+function withAgent(agentId, change) {
+  const config = structuredClone(fileConfig);
+  change(config.agents.find(agent => agent.id === agentId), config);
+  return config;
+}
+
+test("the shipped agents.yaml passes validation", () => {
+  const result = validateAgentConfig(fileConfig, options);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+  assert.equal(result.agentCount, fileConfig.agents.length);
+});
+
+test("schema violations and cross-check errors reject the file", () => {
+  const errorsFor = config => validateAgentConfig(config, options).errors;
+
+  assert.deepEqual(validateAgentConfig({ agents: [] }, options).errors, ["$.agents: must have at least 1 items"]);
+  assert.match(errorsFor(withAgent("helpAgent", agent => { delete agent.trigger; })).join(), /\(helpAgent\)\.trigger: is required/);
+  assert.match(errorsFor(withAgent("helpAgent", (agent, config) => { agent.id = config.agents[0].id; })).join(), /duplicate id/);
+  assert.match(errorsFor(withAgent("complianceAgent", agent => { delete agent.a2aPrompts.validateOrder; })).join(),
+    /capability "validateOrder" has no a2aPrompts entry/);
+  assert.match(errorsFor(withAgent("orderAgent", agent => { agent.dataSource.push("mock-data/unknown.json"); })).join(),
+    /dataSource "mock-data\/unknown.json" is not configured/);
+  assert.match(errorsFor(withAgent("orderAgent", agent => { agent.actions.releaseOrder.workflow = "nope"; })).join(),
+    /actions.releaseOrder: unknown workflow "nope"/);
+  assert.match(errorsFor(withAgent("orderAgent", agent => { agent.actions.releaseOrder.publish = "orders/elsewhere"; })).join(),
+    /topic "orders\/elsewhere" is not listed in events.publishes/);
+  assert.match(errorsFor(withAgent("orderAgent", agent => { agent.promptTemplate += "{#if order}"; })).join(),
+    /promptTemplate: Template error: unclosed \{#if\}/);
+  assert.match(errorsFor(withAgent("orderAgent", agent => { agent.promptTemplate += "{> no-such-partial}"; })).join(),
+    /prompt partial "no-such-partial" not found/);
+});
+
+test("warnings are logged and become errors in strict mode", () => {
+  const config = withAgent("helpAgent", agent => {
+    agent.colour = "blue";
+    agent.events = { ...agent.events, subscribes: [...(agent.events?.subscribes || []), "nobody/publishes"] };
+  });
+
+  const lenient = validateAgentConfig(config, options);
+  assert.equal(lenient.valid, true);
+  const index = config.agents.findIndex(agent => agent.id === "helpAgent");
+  assert.ok(lenient.warnings.includes(`agents[${index}] (helpAgent): unknown field "colour"`));
+  assert.ok(lenient.warnings.some(warning => warning.includes('subscribed topic "nobody/publishes" has no publisher')));
+
+  const strict = validateAgentConfig(config, { ...options, strict: true });
+  assert.equal(strict.valid, false);
+  assert.ok(strict.errors.every(error => error.endsWith("(strict)")));
+});
+
+test("a broken file is rejected on reload and the running agents stay", () => {
+  const { agentManager, audit } = system;
+  const running = agentManager.agents;
+  const brokenFile = path.join(tempDir, "broken-agents.yaml");
+  fs.writeFileSync(brokenFile, yaml.dump(withAgent("complianceAgent", agent => { delete agent.a2aPrompts.validateOrder; })));
+
+  assert.equal(agentManager.reloadAgents(brokenFile, { source: "test" }), false);
+  assert.equal(agentManager.agents, running);
+  assert.equal(agentManager.getValidationReport().valid, false);
+
+  const event = audit.entries.filter(entry => entry.type === "config_reload").at(-1);
+  assert.equal(event.status, "rejected");
+  assert.equal(event.source, "test");
+  assert.match(event.errors.join(), /validateOrder/);
+
+  fs.writeFileSync(brokenFile, "agents: [unclosed");
+  assert.equal(agentManager.reloadAgents(brokenFile), false);
+  assert.equal(agentManager.agents, running);
+
+  assert.equal(agentManager.reloadAgents(path.join("config", "agents.yaml"), { source: "test" }), true);
+  assert.equal(audit.entries.filter(entry => entry.type === "config_reload").at(-1).status, "applied");
+});
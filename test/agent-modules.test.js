@@ -0,0 +1,222 @@
+/**
+ * ========================================================================
+ * AGENT MODULE TEST - PLANNING, QUALITY AND SUPPLY INTENTS ON MOCK DATA
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("agent-modules");
+
+let system;
+
+before(async () => {
+  system = await startAgentSystem();
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const agent = id => system.agentManager.agents.find(entry => entry.id === id);
+
+const run = (id, intent, params) => system.agentManager.runAgentModule(agent(id), intent, params);
+
+/**
+ * Component lots next to the finished goods in mock-data/inventory.json
+ */
+function withComponentStock(t) {
+  const { dataManager } = system;
+  const snapshot = dataManager.getDataSnapshot;
+  t.mock.method(dataManager, "getDataSnapshot", (dataType) => dataType !== "inventory" ? snapshot(dataType) : [
+    ...snapshot("inventory"),
+    { material: "API-001", batch: "LOT-A1", quantity: 25, expiry: "2026-03-01" },
+    { material: "API-002", batch: "LOT-A2", quantity: 5, expiry: "2026-03-01" },
+    { material: "EXC-010", batch: "LOT-E1", quantity: 50, expiry: "2025-09-01" }
+  ]);
+}
+
+test("planning.optimize_weekly schedules the open orders by due date and flags their risks", async () => {
+  const { intent, result, summary } = await run("planningAgent", "planning.optimize_weekly");
+
+  assert.equal(intent, "planning.optimize_weekly");
+  assert.deepEqual(result.horizon, { from: "2025-09-19", to: "2025-09-26", days: 7, hoursPerDay: 16 });
+  assert.deepEqual(result.plannedOrders.map(order => [order.orderId, order.qty, order.plannedStart, order.hours, order.status]), [
+    ["ORD-1002", 1500, "2025-09-19", 9, "AT_RISK"],
+    ["ORD-1001", 2000, "2025-09-20", 12, "BLOCKED"],
+    ["ORD-1003", 500, "2025-09-21", 11, "AT_RISK"],
+    ["ORD-1005", 1200, "2025-09-22", 14, "AT_RISK"]
+  ]);
+  assert.deepEqual(result.plannedOrders[1].risks.map(risk => [risk.severity, risk.type, risk.issueId]), [["high", "qa", undefined], ["critical", "quality", "ISS-2002"]]);
+  assert.deepEqual(result.lineLoad, {
+    "LINE-01": { plannedHours: 15, capacityHours: 112, utilization: 0.13 },
+    "LINE-02": { plannedHours: 24, capacityHours: 112, utilization: 0.21 },
+    "LINE-03": { plannedHours: 7, capacityHours: 112, utilization: 0.06 }
+  });
+  assert.equal(result.changeovers, 4);
+  assert.deepEqual(result.outsideHorizon, []);
+  assert.match(summary, /\| ORD-1001 \| FG-123 \| 2000 \| 2025-09-22 \| .* \| BLOCKED \|/);
+});
+
+test("planning.suggest_schedule proposes the urgent orders and holds the blocked one", async () => {
+  const { result } = await run("planningAgent", "planning.suggest_schedule");
+
+  assert.equal(result.selection, "due within 3 days");
+  assert.deepEqual(result.notFound, []);
+  assert.deepEqual(result.plannedOrders.map(order => [order.orderId, order.status]), [["ORD-1002", "AT_RISK"], ["ORD-1001", "BLOCKED"]]);
+  assert.deepEqual(result.recommendations.map(entry => entry.orderId), ["ORD-1002", "ORD-1001"]);
+  assert.match(result.recommendations[0].recommendation, /^Start 2025-09-19 on LINE-02, LINE-03 after clearing: ISS-2001/);
+  assert.equal(result.recommendations[1].recommendation, "Do not start - resolve ISS-2002 first");
+});
+
+test("planning.analyze_bottlenecks names the line with the open equipment issue", async () => {
+  const { result } = await run("planningAgent", "planning.analyze_bottlenecks");
+
+  assert.deepEqual(result.bottlenecks, ["LINE-02"]);
+  assert.deepEqual(result.lines.map(line => [line.line, line.plannedHours, line.bottleneck]), [
+    ["LINE-02", 24, true],
+    ["LINE-01", 15, false],
+    ["LINE-03", 7, false]
+  ]);
+  assert.deepEqual(result.lines[0].reasons, ["high issue ISS-2001"]);
+  assert.deepEqual(result.lines[0].issues.map(issue => issue.issueId), ["ISS-2001"]);
+});
+
+test("qa.predict_quality_risk scores every batch from its issues, QC and compliance state", async () => {
+  const { result } = await run("qualityIntelligenceAgent", "qa.predict_quality_risk");
+
+  assert.deepEqual(result.batches.map(batch => [batch.batchId, batch.riskScore, batch.riskLevel]), [
+    ["BATCH-001", 70, "HIGH"],
+    ["BATCH-002", 40, "MEDIUM"],
+    ["BATCH-003", 0, "LOW"]
+  ]);
+  assert.deepEqual(result.batches[0].factors.map(factor => factor.points), [40, 15, 15]);
+  assert.match(result.batches[0].factors[0].detail, /^critical issue ISS-2002/);
+  assert.deepEqual(result.batches[1].factors.map(factor => factor.detail), ["compliance pending", "quality status in_progress", "compliance issue documentation_incomplete"]);
+});
+
+test("qa.intelligent_assessment blocks, holds or releases each batch", async () => {
+  const { result, summary } = await run("qualityIntelligenceAgent", "qa.intelligent_assessment");
+
+  assert.deepEqual(result.assessments.map(entry => [entry.batchId, entry.recommendation, entry.riskScore]), [
+    ["BATCH-001", "BLOCK", 70],
+    ["BATCH-002", "HOLD", 40],
+    ["BATCH-003", "RELEASE", 0]
+  ]);
+  assert.deepEqual(result.assessments[0].reasons, ["critical issue ISS-2002"]);
+  assert.deepEqual(result.assessments[2].reasons, ["quality approved", "no compliance findings on record"]);
+  assert.match(summary, /\*\*BATCH-003\*\* \(FG-789\): \*\*RELEASE\*\*/);
+});
+
+test("qa.recommend_action lists the high priority actions first, including open non-batch issues", async () => {
+  const { result } = await run("qualityIntelligenceAgent", "qa.recommend_action");
+
+  assert.deepEqual(result.actions.map(entry => [entry.priority, entry.batchId]), [
+    ["HIGH", "BATCH-001"],
+    ["HIGH", "BATCH-001"],
+    ["HIGH", "BATCH-001"],
+    ["HIGH", null],
+    ["MEDIUM", "BATCH-002"],
+    ["MEDIUM", "BATCH-002"],
+    ["MEDIUM", "BATCH-002"]
+  ]);
+  assert.equal(result.actions[0].action, "Close ISS-2002 (QA)");
+  assert.equal(result.actions[3].action, "Investigate ISS-2004 and assess impact on stored material");
+});
+
+test("supply.predict_shortage nets the component demand against non-expired lots", async (t) => {
+  withComponentStock(t);
+  const { result } = await run("supplyChainAgent", "supply.predict_shortage");
+  const material = id => result.materials.find(entry => entry.material === id);
+
+  assert.deepEqual(result.horizon, { from: "2025-09-19", to: "2025-10-19" });
+  assert.deepEqual(result.shortages, ["API-002", "EXC-010"]);
+  assert.deepEqual(result.materials.slice(0, 2).map(entry => entry.status), ["SHORTAGE", "SHORTAGE"]);
+  assert.equal(result.materials.at(-1).material, "API-001");
+
+  assert.deepEqual([material("API-001").required, material("API-001").available, material("API-001").shortfall, material("API-001").status], [20, 25, 0, "COVERED"]);
+  assert.deepEqual([material("API-002").required, material("API-002").available, material("API-002").shortfall], [12, 5, 7]);
+  assert.deepEqual(material("API-002").orders, ["ORD-1002"]);
+  assert.deepEqual([material("EXC-010").available, material("EXC-010").shortfall, material("EXC-010").expiredLots], [0, 10, ["LOT-E1"]]);
+  assert.deepEqual([material("PACK-100").required, material("PACK-100").available, material("PACK-100").status], [1500, null, "NO_STOCK_DATA"]);
+
+  assert.deepEqual(result.supplyIssues.map(issue => issue.issueId), ["ISS-2003"]);
+});
+
+test("supply.demand_forecast sums finished goods and component quantities per week", async () => {
+  const { result, summary } = await run("supplyChainAgent", "supply.demand_forecast");
+
+  assert.deepEqual(result.weeks, [
+    {
+      week: "2025-W38",
+      materials: {
+        "FG-123": { qty: 2000, uom: "pcs" },
+        "FG-456": { qty: 1500, uom: "pcs" },
+        "FG-789": { qty: 500, uom: "pcs" },
+        "API-001": { qty: 20, uom: "kg" },
+        "EXC-010": { qty: 10, uom: "kg" },
+        "API-002": { qty: 12, uom: "kg" },
+        "PACK-100": { qty: 1500, uom: "pcs" },
+        "API-003": { qty: 5, uom: "kg" },
+        "EXC-020": { qty: 2, uom: "kg" },
+        "PACK-200": { qty: 500, uom: "pcs" }
+      }
+    },
+    {
+      week: "2025-W39",
+      materials: {
+        "FG-654": { qty: 1200, uom: "pcs" },
+        "API-005": { qty: 8, uom: "kg" },
+        "EXC-040": { qty: 6, uom: "kg" }
+      }
+    }
+  ]);
+  assert.doesNotMatch(summary, /NaN/);
+});
+
+test("runAgentModule rejects intents the module does not provide", async () => {
+  await assert.rejects(run("supplyChainAgent", "planning.optimize_weekly"), { code: "UNKNOWN_INTENT" });
+});
+
+test("A2A requests to a module agent are answered by the module and validated against a2aSchemas", async (t) => {
+  const { agentManager, a2aManager } = system;
+  withComponentStock(t);
+  const generate = t.mock.method(agentManager.llmManager, "generate");
+  const moduleRuns = t.mock.method(agentManager, "runAgentModule");
+  agent("supplyChainAgent").a2aSchemas = {
+    "supply.predict_shortage": {
+      type: "object",
+      required: ["shortages", "materials"],
+      properties: { shortages: { type: "array", items: { type: "string" } } }
+    }
+  };
+  t.after(() => { delete agent("supplyChainAgent").a2aSchemas; });
+
+  const response = await a2aManager.requestService("supplyChainAgent", "supply.predict_shortage", { materialId: "API-002" }, { envelope: true });
+
+  assert.equal(response.status, "success");
+  assert.equal(response.result.responseType, "a2a_response");
+  assert.equal(response.result.agentId, "supplyChainAgent");
+  assert.deepEqual(response.result.result.shortages, ["API-002"]);
+  assert.deepEqual(response.result.result.materials.map(entry => [entry.material, entry.shortfall]), [["API-002", 7]]);
+  assert.deepEqual(response.result.validation, { valid: true, errors: [], attempts: 1, repaired: false });
+  assert.deepEqual(moduleRuns.mock.calls[0].arguments.slice(1), ["supply.predict_shortage", { materialId: "API-002" }]);
+  assert.equal(generate.mock.callCount(), 0);
+});
+
+test("a chat message to a module agent runs the matching intent and answers with its summary without an LLM", async () => {
+  const { agentManager } = system;
+
+  const result = await agentManager.executeAgent(agent("qualityIntelligenceAgent"), "Which batches can we release? qa.intelligent_assessment", {});
+
+  assert.equal(result.provider, "deterministic");
+  assert.match(result.response, /^\*\*Batch release assessment\*\* \(3 batches\)/);
+  assert.match(result.response, /\*\*BATCH-001\*\* \(FG-123\): \*\*BLOCK\*\*/);
+});
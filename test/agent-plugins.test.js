@@ -0,0 +1,109 @@
+/**
+ * ========================================================================
+ * AGENT PLUGIN TEST - DISCOVERY, REGISTRATION AND A2A/MCP CALLS
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("agent-plugins");
+
+const { PharmaMCPServer } = await import("../src/mcp/MCPServer.js");
+
+// ShelfLifeAgent plus two plugins whose ids are taken - by a YAML agent and by ShelfLifeAgent
+const pluginDir = path.join(tempDir, "plugins");
+const moduleUrl = file => pathToFileURL(path.resolve(file)).href;
+const collidingPlugin = (className, agentId) => [
+  `import { BaseAgent } from "${moduleUrl("src/services/BaseAgent.js")}";`,
+  `export class ${className} extends BaseAgent {`,
+  `  static agentId = "${agentId}";`,
+  "  defineCapabilities() { return { \"duplicate.check\": { description: \"Duplicate\", handler: async () => ({}) } }; }",
+  "}"
+].join("\n");
+fs.mkdirSync(pluginDir, { recursive: true });
+fs.writeFileSync(path.join(pluginDir, "ShelfLifeAgent.js"), `export { ShelfLifeAgent } from "${moduleUrl("src/plugins/ShelfLifeAgent.js")}";\n`);
+fs.writeFileSync(path.join(pluginDir, "OrderAgentCopy.js"), collidingPlugin("OrderAgentCopy", "orderAgent"));
+fs.writeFileSync(path.join(pluginDir, "ShelfLifeCopy.js"), collidingPlugin("ShelfLifeCopy", "shelfLifeAgent"));
+fs.writeFileSync(path.join(pluginDir, "_shared.js"), "throw new Error(\"helper modules are not plugins\");\n");
+process.env.AGENT_PLUGIN_DIR = pluginDir;
+
+let system;
+let mcpServer;
+let loaded;
+
+before(async () => {
+  system = await startAgentSystem();
+
+  // Context and resource cleanup intervals would keep the test process alive
+  mock.timers.enable({ apis: ["setInterval"] });
+  const { eventBus, dataManager, audit, agentManager } = system;
+  mcpServer = new PharmaMCPServer({ eventBus, dataManager, auditLogger: audit, agentManager });
+  agentManager.attachToolRegistry(mcpServer.toolRegistry);
+
+  loaded = await agentManager.loadPlugins();
+});
+
+after(() => {
+  mock.timers.reset();
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("plugins are discovered in the plugin directory and colliding agent ids are rejected", () => {
+  assert.deepEqual(loaded.loaded, ["shelfLifeAgent"]);
+  assert.deepEqual(loaded.failed.map(failure => [path.basename(failure.file), failure.error]), [
+    ["OrderAgentCopy.js", "Agent id orderAgent (OrderAgentCopy) is already in use"],
+    ["ShelfLifeCopy.js", "Agent id shelfLifeAgent (ShelfLifeCopy) is already in use"]
+  ]);
+
+  const { agentManager } = system;
+  assert.equal(agentManager.pluginLoader.plugins.get("shelfLifeAgent").className, "ShelfLifeAgent");
+  assert.equal(agentManager.agents.filter(agent => agent.id === "orderAgent").length, 1);
+});
+
+test("plugin capabilities are registered with A2A and its tools with the MCP registry", () => {
+  const { agentManager, a2aManager } = system;
+
+  assert.deepEqual(a2aManager.findAgentsByCapability("shelf_life.check_inventory").map(agent => agent.agentId), ["shelfLifeAgent"]);
+  assert.deepEqual(a2aManager.findAgentsByCapability("duplicate.check"), []);
+  assert.deepEqual(agentManager.getA2AServiceRegistry()["shelf_life.check_inventory"].map(entry => [entry.agentId, entry.kind]), [["shelfLifeAgent", "plugin"]]);
+
+  const tool = mcpServer.toolRegistry.tools.get("check_shelf_life");
+  assert.equal(tool.agentId, "shelfLifeAgent");
+  assert.equal(tool.capability, "shelf_life.check_inventory");
+  assert.ok(mcpServer.toolRegistry.rolePermissions.agent.includes("check_shelf_life"));
+});
+
+test("a workflow calls the plugin over A2A like a YAML agent", async () => {
+  const { a2aManager } = system;
+
+  const response = await a2aManager.requestService("shelfLifeAgent", "shelf_life.check_inventory",
+    { referenceDate: "2025-12-01", minDays: 30 }, { envelope: true });
+
+  assert.equal(response.status, "success");
+  assert.equal(response.agentId, "shelfLifeAgent");
+  assert.equal(response.result.source, "plugin");
+  assert.deepEqual(response.result.result.lots.map(lot => [lot.batch, lot.remainingDays, lot.status]), [
+    ["BATCH-002", 14, "CRITICAL"],
+    ["BATCH-001", 31, "OK"]
+  ]);
+  assert.deepEqual(response.result.result.critical, ["BATCH-002"]);
+  assert.deepEqual(response.result.result.expired, []);
+});
+
+test("the MCP tool runs the plugin capability", async () => {
+  const outcome = await mcpServer.toolRegistry.executeTool("check_shelf_life", { material: "FG-123", referenceDate: "2026-01-10" }, "planner");
+
+  assert.equal(outcome.success, true);
+  assert.equal(outcome.result.agentId, "shelfLifeAgent");
+  assert.deepEqual(outcome.result.result.lots.map(lot => [lot.batch, lot.remainingDays, lot.status]), [["BATCH-001", -9, "EXPIRED"]]);
+  assert.deepEqual(outcome.result.result.expired, ["BATCH-001"]);
+});
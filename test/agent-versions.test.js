@@ -0,0 +1,130 @@
+/**
+ * ========================================================================
+ * AGENT CHANGE CONTROL TEST - SIGNED REVIEW, ACTIVATION AND ROLLBACK
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("agent-versions");
+
+const { ApprovalInbox, hashPin } = await import("../src/approvals/ApprovalInbox.js");
+
+let system;
+const qaLead = { userId: "qa.lead", pin: "1234" };
+const prodManager = { userId: "prod.manager", pin: "1234" };
+const devAuthor = { userId: "dev.author", pin: "1234" };
+
+before(async () => {
+  system = await startAgentSystem();
+
+  const approversFile = path.join(tempDir, "approvers.yaml");
+  fs.writeFileSync(approversFile, ["approvers:",
+    ...[["qa.lead", "qa"], ["prod.manager", "production"], ["dev.author", "qa"]].flatMap(([userId, role]) => [
+      `  - userId: ${userId}`,
+      `    roles: [${role}]`,
+      `    pinHash: "${hashPin("1234")}"`
+    ])].join("\n"));
+  system.agentManager.attachApprovalInbox(new ApprovalInbox({ approversFile }));
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const runningHelpAgent = () => system.agentManager.agents.find(agent => agent.id === "helpAgent");
+
+function createDraft(description, signature = devAuthor) {
+  const { definition } = system.agentManager.getAgentDefinition("helpAgent");
+  return system.agentManager.createAgentDraft("helpAgent", { ...definition, description }, { signature, reason: "Clarify description" });
+}
+
+test("the author of a draft is the verified signer, not a name from the request", () => {
+  const { agentManager } = system;
+  const { definition } = agentManager.getAgentDefinition("helpAgent");
+  const change = { ...definition, description: "Help agent by someone else" };
+
+  assert.throws(() => agentManager.createAgentDraft("helpAgent", change, { author: "someone.else", reason: "Clarify description" }), { code: "MISSING_SIGNATURE" });
+  assert.throws(() => agentManager.createAgentDraft("helpAgent", change, { signature: { ...qaLead, pin: "0000" }, reason: "Clarify description" }), { code: "INVALID_SIGNATURE" });
+  assert.throws(() => agentManager.createAgentDraft("helpAgent", change, { signature: qaLead }), { code: "MISSING_CHANGE_INFO" });
+
+  const draft = agentManager.createAgentDraft("helpAgent", change, { signature: qaLead, author: "someone.else", reason: "Clarify description" });
+  assert.equal(draft.author, "qa.lead");
+  assert.equal(draft.authorSignature.meaning, "Authored change");
+  assert.throws(() => agentManager.reviewAgentVersion(draft.versionId, { signature: qaLead }), { code: "SAME_PERSON" });
+  agentManager.reviewAgentVersion(draft.versionId, { signature: devAuthor, decision: "reject" });
+});
+
+test("review needs a valid e-signature of a change control approver other than the author", () => {
+  const { agentManager } = system;
+  const draft = createDraft("Help agent v2");
+
+  assert.throws(() => agentManager.reviewAgentVersion(draft.versionId, {}), { code: "MISSING_SIGNATURE" });
+  assert.throws(() => agentManager.reviewAgentVersion(draft.versionId, { signature: { ...qaLead, pin: "0000" } }), { code: "INVALID_SIGNATURE" });
+  assert.throws(() => agentManager.reviewAgentVersion(draft.versionId, { signature: prodManager }), { code: "NOT_QUALIFIED" });
+
+  const reviewed = agentManager.reviewAgentVersion(draft.versionId, { signature: qaLead, comment: "Looks right" });
+  assert.equal(reviewed.status, "reviewed");
+  assert.equal(reviewed.reviewedBy, "qa.lead");
+  assert.deepEqual({ ...reviewed.history.at(-1).signature, signedAt: null },
+    { userId: "qa.lead", name: "qa.lead", role: "qa", meaning: "Reviewed for activation", signedAt: null });
+
+  const ownDraft = createDraft("Help agent by the QA lead", qaLead);
+  assert.throws(() => agentManager.reviewAgentVersion(ownDraft.versionId, { signature: qaLead }), { code: "SAME_PERSON" });
+  agentManager.reviewAgentVersion(ownDraft.versionId, { signature: qaLead, decision: "reject" });
+});
+
+test("a failed swap leaves the version reviewed and the running agent unchanged", (t) => {
+  const { agentManager } = system;
+  const [reviewed] = agentManager.versionStore.listVersions("helpAgent").filter(version => version.status === "reviewed");
+  const running = runningHelpAgent();
+
+  t.mock.method(agentManager, "swapAgents", () => false);
+  assert.throws(() => agentManager.activateAgentVersion(reviewed.versionId, { signature: qaLead }), { code: "ACTIVATION_FAILED" });
+
+  assert.equal(agentManager.versionStore.getVersion(reviewed.versionId).status, "reviewed");
+  assert.equal(agentManager.versionStore.getActive("helpAgent").versionId, "helpAgent-v1");
+  assert.equal(runningHelpAgent(), running);
+});
+
+test("a failed lifecycle record restores the previous agents", (t) => {
+  const { agentManager } = system;
+  const [reviewed] = agentManager.versionStore.listVersions("helpAgent").filter(version => version.status === "reviewed");
+
+  t.mock.method(agentManager.versionStore, "transition", () => { throw new Error("disk full"); });
+  assert.throws(() => agentManager.activateAgentVersion(reviewed.versionId, { signature: qaLead }), /disk full/);
+
+  assert.equal(runningHelpAgent().versionId, "helpAgent-v1");
+  assert.equal(runningHelpAgent().description, agentManager.versionStore.getVersion("helpAgent-v1").definition.description);
+});
+
+test("signed activation and rollback swap the running agent and record the signer", () => {
+  const { agentManager, audit } = system;
+  const [reviewed] = agentManager.versionStore.listVersions("helpAgent").filter(version => version.status === "reviewed");
+
+  assert.throws(() => agentManager.activateAgentVersion(reviewed.versionId, { signature: prodManager }), { code: "NOT_QUALIFIED" });
+
+  const { version, superseded } = agentManager.activateAgentVersion(reviewed.versionId, { signature: qaLead });
+  assert.equal(version.status, "active");
+  assert.equal(version.activatedBy, "qa.lead");
+  assert.equal(superseded.versionId, "helpAgent-v1");
+  assert.equal(runningHelpAgent().versionId, reviewed.versionId);
+  assert.equal(runningHelpAgent().description, "Help agent v2");
+
+  assert.throws(() => agentManager.rollbackAgent("helpAgent", "helpAgent-v1", { signature: qaLead }), { code: "MISSING_CHANGE_INFO" });
+  const rolledBack = agentManager.rollbackAgent("helpAgent", "helpAgent-v1", { signature: qaLead, reason: "Wording confused users" });
+  assert.equal(rolledBack.version.status, "active");
+  assert.equal(rolledBack.version.history.at(-1).signature.meaning, "Rolled back to earlier version");
+  assert.equal(runningHelpAgent().versionId, "helpAgent-v1");
+
+  const events = audit.entries.filter(entry => entry.type === "agent_version").map(entry => [entry.action, entry.by]);
+  assert.deepEqual(events.slice(-2), [["activated", "qa.lead"], ["rolled_back", "qa.lead"]]);
+});
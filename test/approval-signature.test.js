@@ -0,0 +1,92 @@
+/**
+ * ========================================================================
+ * APPROVAL SIGNATURE TEST - SALTED PIN HASHES, VERIFICATION AND LOCKOUT
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { setupTestEnv } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("approval-signature");
+
+const { ApprovalInbox, hashPin, verifyPin } = await import("../src/approvals/ApprovalInbox.js");
+
+const approversFile = path.join(tempDir, "approvers.yaml");
+fs.writeFileSync(approversFile, [
+  "approvers:",
+  "  - userId: qa.lead",
+  "    name: QA Lead",
+  "    roles: [qa]",
+  `    pinHash: "${hashPin("1234")}"`,
+  "  - userId: legacy.user",
+  "    roles: [qa]",
+  `    pinHash: "${crypto.createHash("sha256").update("legacy.user:1234").digest("hex")}"`
+].join("\n"));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const createInbox = (options = {}) => new ApprovalInbox({ approversFile, directory: path.join(tempDir, "approvals"), ...options });
+
+test("PIN hashes are salted scrypt hashes", () => {
+  const first = hashPin("1234");
+  const second = hashPin("1234");
+
+  assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+  assert.notEqual(first, second);
+  assert.equal(verifyPin(first, "1234"), true);
+  assert.equal(verifyPin(second, "1234"), true);
+  assert.equal(verifyPin(first, "4321"), false);
+  assert.equal(verifyPin(crypto.createHash("sha256").update("qa.lead:1234").digest("hex"), "1234"), false);
+  assert.equal(verifyPin(null, "1234"), false);
+});
+
+test("the shipped example approvers verify with the demo PIN", () => {
+  const inbox = createInbox({ approversFile: path.join("config", "approvers.example.yaml") });
+  const approvers = inbox.getApprovers();
+
+  assert.ok(approvers.length > 0);
+  approvers.forEach(({ userId, roles }) => assert.equal(inbox.verifySignature({ userId, pin: "1234" }, roles[0]).userId, userId));
+  assert.ok(approvers.every(approver => !("pinHash" in approver)));
+});
+
+test("signatures need both components, a valid hash and the role", () => {
+  const inbox = createInbox();
+
+  assert.throws(() => inbox.verifySignature({ userId: "qa.lead" }, "qa"), { code: "MISSING_SIGNATURE" });
+  assert.throws(() => inbox.verifySignature({ userId: "qa.lead", pin: "0000" }, "qa"), { code: "INVALID_SIGNATURE" });
+  assert.throws(() => inbox.verifySignature({ userId: "nobody", pin: "1234" }, "qa"), { code: "INVALID_SIGNATURE" });
+  assert.throws(() => inbox.verifySignature({ userId: "legacy.user", pin: "1234" }, "qa"), { code: "INVALID_SIGNATURE" });
+  assert.throws(() => inbox.verifySignature({ userId: "qa.lead", pin: "1234" }, "production"), { code: "NOT_QUALIFIED" });
+  assert.equal(inbox.verifySignature({ userId: "qa.lead", pin: "1234" }, "qa").name, "QA Lead");
+});
+
+test("repeated wrong PINs lock the user id until the lockout ends", (t) => {
+  const inbox = createInbox({ maxFailedAttempts: 3, lockoutMinutes: 10 });
+  const sign = pin => () => inbox.verifySignature({ userId: "qa.lead", pin }, "qa");
+  let now = Date.parse("2025-09-20T06:00:00Z");
+  t.mock.method(Date, "now", () => now);
+
+  // A valid signature resets the counter
+  assert.throws(sign("0000"), { code: "INVALID_SIGNATURE" });
+  assert.throws(sign("0000"), { code: "INVALID_SIGNATURE" });
+  sign("1234")();
+  assert.throws(sign("0000"), { code: "INVALID_SIGNATURE" });
+  assert.throws(sign("0000"), { code: "INVALID_SIGNATURE" });
+  assert.throws(sign("0000"), { code: "INVALID_SIGNATURE" });
+
+  assert.throws(sign("1234"), { code: "SIGNATURE_LOCKED", message: /after 3 failed attempts until 2025-09-20T06:10:00.000Z/ });
+  assert.equal(inbox.getStats().lockedSigners, 1);
+
+  // The counter starts over after the lockout
+  now += 10 * 60000 + 1;
+  assert.equal(inbox.getStats().lockedSigners, 0);
+  assert.throws(sign("0000"), { code: "INVALID_SIGNATURE" });
+  assert.equal(sign("1234")().userId, "qa.lead");
+});
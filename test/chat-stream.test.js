@@ -0,0 +1,133 @@
+/**
+ * ========================================================================
+ * CHAT STREAM TEST - SERVER-SENT EVENT SEQUENCE OF POST /api/chat/stream
+ * ========================================================================
+ *
+ * The offline stub provider answers through the real LLMManager stream
+ * path: start → delta… → done, or start → delta… → error when the
+ * provider fails after the first chunk reached the client.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem, createAudit } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("chat-stream");
+
+const { createRoutes } = await import("../src/api/routes/index.js");
+const { default: express } = await import("express");
+
+// Chat audit calls of the AuditLogger on top of the in-memory trail
+const audit = Object.assign(createAudit(), {
+  logChatInteraction(user, agentId, message) {
+    this.entries.push({ type: "chat_interaction", user, agentId, message });
+    return `audit-${this.entries.length}`;
+  },
+  logSystemEvent(type, details) {
+    this.entries.push({ type, ...details });
+  }
+});
+
+let system;
+let server;
+let baseUrl;
+
+before(async () => {
+  system = await startAgentSystem({ audit });
+  const { agentManager, dataManager, eventBus } = system;
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", createRoutes(agentManager, dataManager, eventBus, audit));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/chat`;
+});
+
+after(() => {
+  server?.close();
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * POST to the stream endpoint and collect the "data:" events until the server ends the response
+ */
+async function streamChat(body) {
+  const response = await fetch(`${baseUrl}/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "text/event-stream");
+
+  const text = await response.text();
+  return text.split("\n\n").filter(Boolean).map(chunk => {
+    assert.match(chunk, /^data: /);
+    return JSON.parse(chunk.slice("data: ".length));
+  });
+}
+
+test("the stub provider streams start, its deltas and done with the full response", async () => {
+  const events = await streamChat({ message: "Which orders are due today?", agentId: "orderAgent", user: "planner.1", sessionId: "stream-ok" });
+
+  assert.deepEqual(events.map(event => event.type), ["start", "delta", "done"]);
+  const [start, delta, done] = events;
+
+  assert.equal(start.agentUsed, "orderAgent");
+  assert.equal(start.sessionId, "stream-ok");
+  assert.match(delta.text, /^\[STUB stub-1\] Deterministic offline response for orderAgent/);
+
+  assert.equal(done.response, delta.text);
+  assert.equal(done.status, "completed");
+  assert.equal(done.provider, "stub");
+  assert.equal(done.model, "stub-1");
+  assert.deepEqual(done.agentsUsed, ["orderAgent"]);
+  assert.equal(done.sessionId, "stream-ok");
+  assert.equal(done.cache.hit, false);
+  assert.match(done.runId, /\S/);
+  assert.match(done.auditId, /^audit-\d+$/);
+
+  // The exchange is recorded in the conversation session
+  const session = system.agentManager.conversationStore.getSession("stream-ok");
+  assert.deepEqual(session.turns.map(turn => [turn.role, turn.content]), [["user", "Which orders are due today?"], ["assistant", done.response]]);
+});
+
+test("every chunk of the provider is forwarded as its own delta event", async (t) => {
+  const stub = system.agentManager.llmManager.providers.get("stub");
+  t.mock.method(stub, "stream", async (prompt, options, onDelta) => {
+    for (const chunk of ["ORD-1001 ", "is blocked ", "by ISS-2002."]) onDelta(chunk);
+    return { text: "ORD-1001 is blocked by ISS-2002.", model: "stub-1", usage: { inputTokens: 0, outputTokens: 0 } };
+  });
+
+  const events = await streamChat({ message: "Is ORD-1001 blocked?", agentId: "orderAgent" });
+
+  assert.deepEqual(events.map(event => event.type), ["start", "delta", "delta", "delta", "done"]);
+  assert.deepEqual(events.filter(event => event.type === "delta").map(event => event.text), ["ORD-1001 ", "is blocked ", "by ISS-2002."]);
+  assert.equal(events.at(-1).response, "ORD-1001 is blocked by ISS-2002.");
+});
+
+test("a provider failing mid-stream ends the stream with an error event instead of done", async (t) => {
+  const stub = system.agentManager.llmManager.providers.get("stub");
+  t.mock.method(stub, "stream", async (prompt, options, onDelta) => {
+    onDelta("ORD-1002 is ");
+    throw new Error("connection reset");
+  });
+
+  const events = await streamChat({ message: "Is ORD-1002 ready?", agentId: "orderAgent", user: "planner.1" });
+
+  assert.deepEqual(events.map(event => event.type), ["start", "delta", "error"]);
+  assert.equal(events[1].text, "ORD-1002 is ");
+  assert.equal(events[2].error, "LLM stream from stub interrupted: connection reset");
+  assert.equal(events[2].status, "failed");
+  assert.equal(events[2].agentUsed, "orderAgent");
+
+  const logged = audit.entries.findLast(entry => entry.type === "chat_stream_error");
+  assert.equal(logged.error, "LLM stream from stub interrupted: connection reset");
+  assert.equal(logged.message, "Is ORD-1002 ready?");
+  assert.equal(logged.agentId, "orderAgent");
+});
@@ -0,0 +1,155 @@
+/**
+ * ========================================================================
+ * CONFIG RELOAD TEST - AGENT AND DATA SOURCE HOT RELOAD
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { setupTestEnv, startAgentSystem, createMockDataManager } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("config-reload");
+
+const { ConfigWatcher } = await import("../src/config/ConfigWatcher.js");
+
+const agentsFile = path.join(tempDir, "agents.yaml");
+const dataSourcesFile = path.join(tempDir, "data-sources.yaml");
+const fileConfig = yaml.load(fs.readFileSync(path.join("config", "agents.yaml"), "utf8"));
+
+// Mock sources for every data file the agents read (no OEE broker)
+const mockSources = Object.fromEntries(["orders", "issues", "batches", "compliance", "bom", "inventory", "qa"]
+  .map(dataType => [dataType, { type: "mock", file: dataType, config: { basePath: "mock-data" } }]));
+
+/**
+ * Mock data manager with the reload contract of DataManager: read and
+ * validate data-sources.yaml, then swap sources and data in one step
+ */
+function createReloadableDataManager() {
+  const dataManager = createMockDataManager();
+  const snapshot = dataManager.getDataSnapshot;
+  let cache = new Map();
+
+  return Object.assign(dataManager, {
+    configPath: dataSourcesFile,
+    sourceConfigs: new Map(Object.entries(mockSources)),
+    getDataSnapshot: dataType => dataManager.sourceConfigs.has(dataType) ? cache.get(dataType) ?? snapshot(dataType) : null,
+    async readDataSourceConfig() {
+      const config = yaml.load(fs.readFileSync(dataSourcesFile, "utf8"));
+      if (!config?.dataSources || Array.isArray(config.dataSources)) {
+        throw Object.assign(new Error("dataSources: expected object"), { code: "INVALID_DATA_SOURCE_CONFIG" });
+      }
+      return new Map(Object.entries(config.dataSources));
+    },
+    async applyDataSourceConfig(sourceConfigs) {
+      const previous = [...dataManager.sourceConfigs.keys()];
+      cache = new Map([...sourceConfigs].map(([dataType, sourceConfig]) => [dataType, snapshot(sourceConfig.file)]));
+      dataManager.sourceConfigs = sourceConfigs;
+      const dataTypes = [...sourceConfigs.keys()];
+      return {
+        added: dataTypes.filter(dataType => !previous.includes(dataType)),
+        removed: previous.filter(dataType => !dataTypes.includes(dataType)),
+        dataTypes
+      };
+    }
+  });
+}
+
+let system;
+let watcher;
+
+before(async () => {
+  system = await startAgentSystem({ dataManager: createReloadableDataManager() });
+  watcher = new ConfigWatcher(system.agentManager, { agentsPath: agentsFile, enabled: false });
+});
+
+after(() => {
+  watcher?.stop();
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const listeners = topic => system.eventBus.eventBus.listeners(topic);
+
+const lastReload = target => system.audit.entries.filter(entry => entry.type === "config_reload" && entry.target === target).at(-1);
+
+test("an invalid agents file is rejected and the running agents keep their handlers", async () => {
+  const { agentManager } = system;
+  const running = agentManager.agents;
+  const handlers = agentManager.eventHandlers;
+
+  const config = structuredClone(fileConfig);
+  delete config.agents.find(agent => agent.id === "complianceAgent").a2aPrompts.validateOrder;
+  fs.writeFileSync(agentsFile, yaml.dump(config));
+
+  assert.equal(await watcher.reload("agents"), false);
+  assert.equal(await watcher.reload("agents"), null);
+
+  assert.equal(agentManager.agents, running);
+  assert.equal(agentManager.eventHandlers, handlers);
+  assert.equal(listeners("a2a.complianceAgent.validateOrder").length, 1);
+  assert.deepEqual([watcher.stats.applied, watcher.stats.rejected], [0, 1]);
+
+  const event = lastReload("agents");
+  assert.deepEqual([event.status, event.source, event.configPath], ["rejected", "file-watch", agentsFile]);
+  assert.match(event.errors.join(), /capability "validateOrder" has no a2aPrompts entry/);
+});
+
+test("a valid agents file swaps the agent set and re-registers every handler once", async () => {
+  const { agentManager, a2aManager } = system;
+  const previousHandlers = agentManager.eventHandlers;
+
+  const config = structuredClone(fileConfig);
+  const helpAgent = config.agents.find(agent => agent.id === "helpAgent");
+  config.agents.push({ ...structuredClone(helpAgent), id: "faqAgent", name: "FAQ Agent", trigger: "faq" });
+  fs.writeFileSync(agentsFile, yaml.dump(config));
+
+  assert.equal(await watcher.reload("agents"), true);
+
+  assert.deepEqual(agentManager.agents.map(agent => agent.id), config.agents.map(agent => agent.id));
+  assert.notEqual(agentManager.eventHandlers, previousHandlers);
+  assert.equal(agentManager.eventHandlers.length, previousHandlers.length + helpAgent.a2aCapabilities.length);
+  for (const { topic, handler } of previousHandlers) {
+    assert.equal(listeners(topic).includes(handler), false, `old handler on ${topic} was not removed`);
+  }
+  for (const { topic, handler } of agentManager.eventHandlers) {
+    assert.equal(listeners(topic).filter(listener => listener === handler).length, 1, `${topic} registered once`);
+  }
+  assert.equal(listeners("a2a.complianceAgent.validateOrder").length, 1);
+  assert.equal(listeners("a2a.faqAgent.provideHelp").length, 1);
+  assert.deepEqual(a2aManager.findAgentsByCapability("provideHelp").map(agent => agent.agentId).sort(), ["faqAgent", "helpAgent"]);
+
+  const event = lastReload("agents");
+  assert.deepEqual([event.status, event.agentCount, event.added, event.removed], ["applied", config.agents.length, ["faqAgent"], []]);
+  assert.deepEqual([watcher.stats.applied, watcher.stats.rejected], [1, 1]);
+});
+
+test("data sources are only swapped when the running agents still find their data", async () => {
+  const { agentManager, dataManager } = system;
+  const runningSources = dataManager.sourceConfigs;
+
+  // The quality agents read mock-data/qa.json
+  const { qa, ...withoutQa } = mockSources;
+  fs.writeFileSync(dataSourcesFile, yaml.dump({ dataSources: withoutQa }));
+  assert.equal(await agentManager.reloadDataSources({ source: "test" }), false);
+  assert.equal(dataManager.sourceConfigs, runningSources);
+  assert.ok(dataManager.getDataSnapshot("qa").length > 0);
+  assert.match(lastReload("data_sources").errors.join(), /dataSource "mock-data\/qa.json" is not configured/);
+
+  fs.writeFileSync(dataSourcesFile, "dataSources: [unclosed");
+  assert.equal(await agentManager.reloadDataSources({ source: "test" }), false);
+  assert.equal(dataManager.sourceConfigs, runningSources);
+
+  fs.writeFileSync(dataSourcesFile, yaml.dump({ dataSources: { ...mockSources, stock: { type: "mock", file: "inventory", config: { basePath: "mock-data" } } } }));
+  assert.equal(await agentManager.reloadDataSources({ source: "test" }), true);
+  assert.deepEqual(dataManager.getDataSnapshot("stock").map(lot => lot.batch), ["BATCH-001", "BATCH-002"]);
+  assert.ok(agentManager.getConfiguredDataTypes().includes("stock"));
+
+  const event = lastReload("data_sources");
+  assert.deepEqual([event.status, event.source, event.added, event.removed], ["applied", "test", ["stock"], []]);
+});
@@ -0,0 +1,143 @@
+/**
+ * ========================================================================
+ * CONTEXT BUILDER TEST - RELEVANCE, TOKEN BUDGET AND DROPPED REPORT
+ * ========================================================================
+ *
+ * With a small budget the {data} block keeps the records matching the
+ * request focus first, fills up round-robin across sources, summarizes
+ * the rest under _omitted and reports what the agent did not see.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("context-builder");
+
+const { ContextBuilder, estimateTokens } = await import("../src/context/ContextBuilder.js");
+
+let system;
+
+before(async () => {
+  system = await startAgentSystem();
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const DATA_SETS = {
+  orders: [
+    { orderId: "ORD-1001", material: "FG-123", line: "LINE-01", status: "released" },
+    { orderId: "ORD-1002", material: "FG-456", line: "LINE-02", status: "released" },
+    { orderId: "ORD-1003", material: "FG-789", line: "LINE-03", status: "planned" },
+    { orderId: "ORD-1004", material: "FG-123", line: "LINE-02", status: "planned" }
+  ],
+  issues: [
+    { issueId: "ISS-2001", line: "LINE-02", severity: "high" },
+    { issueId: "ISS-2002", orderId: "ORD-1001", severity: "critical" },
+    { issueId: "ISS-2003", material: "API-001", severity: "medium" }
+  ],
+  compliance: {
+    lastAudit: "2025-09-01",
+    findings: [{ batchId: "BATCH-001", status: "open" }, { batchId: "BATCH-002", status: "closed" }]
+  }
+};
+
+const recordIds = records => records.map(({ value }) => value.issueId || value.orderId || value.batchId);
+
+test("data within the budget is passed unchanged and nothing is reported as dropped", () => {
+  const built = new ContextBuilder({ maxTokens: 12000 }).build(DATA_SETS, { focus: { orderIds: ["ORD-1001"] } });
+
+  assert.deepEqual(JSON.parse(built.text), DATA_SETS);
+  assert.equal(built.records.length, 9);
+  assert.equal(built.report.truncated, false);
+  assert.equal(built.report.estimatedTokens, 166);
+  assert.deepEqual(built.report.dropped, []);
+  assert.deepEqual(built.report.sources["compliance.findings"], { total: 2, included: 2 });
+});
+
+test("a small budget keeps the records of the requested order and reports the rest as dropped", () => {
+  const built = new ContextBuilder({ maxTokens: 12000 }).build(DATA_SETS, { maxTokens: 120, focus: { orderIds: ["ORD-1001"] } });
+  const data = JSON.parse(built.text);
+
+  assert.deepEqual(recordIds(built.records), ["ORD-1001", "ISS-2002"]);
+  assert.ok(estimateTokens(built.text) <= 120);
+  assert.deepEqual(data.compliance, { lastAudit: "2025-09-01" });
+  assert.deepEqual(data.orders, [DATA_SETS.orders[0]]);
+  assert.deepEqual(data.issues, [DATA_SETS.issues[1]]);
+  assert.deepEqual(data._omitted, {
+    orders: { omittedRecords: 3, by_status: { released: 1, planned: 2 } },
+    issues: { omittedRecords: 2, by_severity: { high: 1, medium: 1 } },
+    "compliance.findings": { omittedRecords: 2, by_status: { open: 1, closed: 1 } }
+  });
+
+  assert.deepEqual(built.report, {
+    budgetTokens: 120,
+    estimatedTokens: estimateTokens(built.text),
+    truncated: true,
+    focus: { orderIds: ["ORD-1001"] },
+    sources: {
+      orders: { total: 4, included: 1 },
+      issues: { total: 3, included: 1 },
+      "compliance.findings": { total: 2, included: 0 }
+    },
+    dropped: [
+      { source: "orders", dropped: 3, total: 4 },
+      { source: "issues", dropped: 2, total: 3 },
+      { source: "compliance.findings", dropped: 2, total: 2 }
+    ]
+  });
+});
+
+test("order hits outrank line hits, the lowest priority records are dropped first", () => {
+  const built = new ContextBuilder().build(DATA_SETS, { maxTokens: 150, focus: { orderIds: ["ORD-1001"], lines: ["LINE-02"] } });
+
+  // ISS-2001 matches LINE-02 too but does not fit next to the omission summary
+  assert.deepEqual(recordIds(built.records), ["ORD-1001", "ISS-2002", "ORD-1002", "ORD-1004"]);
+  assert.equal(built.report.estimatedTokens, 145);
+  assert.deepEqual(built.report.dropped, [
+    { source: "orders", dropped: 1, total: 4 },
+    { source: "issues", dropped: 2, total: 3 },
+    { source: "compliance.findings", dropped: 2, total: 2 }
+  ]);
+  assert.deepEqual(JSON.parse(built.text)._omitted.orders, { omittedRecords: 1, by_status: { planned: 1 } });
+});
+
+test("without a focus the budget is shared round-robin across the sources", () => {
+  const builder = new ContextBuilder({ maxTokens: 130 });
+
+  assert.deepEqual(recordIds(builder.build(DATA_SETS).records), ["ORD-1001", "ISS-2001", "BATCH-001"]);
+  assert.deepEqual(recordIds(builder.build(DATA_SETS, { maxTokens: 110 }).records), ["ORD-1001", "ISS-2001"]);
+});
+
+test("an agent run with llm.contextTokens prompts only the kept records and returns the report", async (t) => {
+  const { agentManager } = system;
+  const orderAgent = agentManager.agents.find(agent => agent.id === "orderAgent");
+  const generate = t.mock.method(agentManager.llmManager, "generate", async () =>
+    ({ text: "ORD-1001 is ready.", model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+  const llm = orderAgent.llm;
+  orderAgent.llm = { ...llm, contextTokens: 300 };
+  t.after(() => { orderAgent.llm = llm; });
+
+  const result = await agentManager.executeAgent(orderAgent, "Is ORD-1001 ready to start?", { variables: { orderId: "ORD-1001" } });
+
+  assert.equal(result.context.budgetTokens, 300);
+  assert.ok(result.context.estimatedTokens <= 300);
+  assert.equal(result.context.truncated, true);
+  assert.deepEqual(result.context.focus, { orderIds: ["ORD-1001"], materials: ["FG-123"], lines: ["LINE-01"] });
+  assert.deepEqual(result.context.sources.orders, { total: 5, included: 1 });
+  assert.deepEqual(result.context.dropped.map(entry => [entry.source, entry.dropped]), [
+    ["orders", 4], ["bom", 2], ["inventory", 2], ["issues", 4], ["batches", 3], ["compliance.compliance", 2], ["qa", 2]
+  ]);
+
+  const [prompt] = generate.mock.calls[0].arguments;
+  assert.match(prompt, /"orders":\[\{"orderId":"ORD-1001"/);
+  assert.doesNotMatch(prompt, /"orderId":"ORD-1002"/);
+  assert.match(prompt, /"_omitted":\{"orders":\{"omittedRecords":4/);
+});
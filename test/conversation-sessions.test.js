@@ -0,0 +1,173 @@
+/**
+ * ========================================================================
+ * CONVERSATION SESSION TEST - ROLLING SUMMARY, WINDOW AND RESTART
+ * ========================================================================
+ *
+ * ConversationStore folds the oldest turns into a rolling summary when
+ * the token window overflows, reloads sessions from their JSONL files
+ * after a restart, and serves them over /api/sessions.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("conversation-sessions");
+
+const { ConversationStore } = await import("../src/memory/ConversationStore.js");
+const { createRoutes } = await import("../src/api/routes/index.js");
+const { default: express } = await import("express");
+
+let system;
+let server;
+
+before(async () => {
+  system = await startAgentSystem();
+});
+
+after(() => {
+  server?.close();
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// 10 tokens each
+const SHIFT_TURNS = [
+  { role: "user", userId: "planner.1", content: "Which orders are due? List them by line." },
+  { role: "assistant", agentId: "orderAgent", content: "ORD-1002 is due first. ORD-1001 is next." },
+  { role: "user", userId: "planner.1", content: "Is ORD-1001 blocked? It needs LINE-02." },
+  { role: "assistant", agentId: "orderAgent", content: "Yes, ISS-2002 blocks it. QA must close." },
+  { role: "user", userId: "planner.2", content: "Shift handover: any update on ISS-2002?" }
+];
+
+async function appendTurns(store, sessionId, turns) {
+  for (const turn of turns) {
+    await store.appendTurn(sessionId, turn);
+  }
+}
+
+test("overflowing the window folds the oldest turns into an extractive summary", async () => {
+  const store = new ConversationStore({ directory: path.join(tempDir, "window"), windowTokens: 40 });
+
+  await appendTurns(store, "shift-a", SHIFT_TURNS.slice(0, 4));
+  assert.equal(store.getSession("shift-a").summarizedTurns, 0);
+  assert.equal(store.getPromptMemory("shift-a").tokens, 40);
+
+  await store.appendTurn("shift-a", SHIFT_TURNS[4]);
+
+  const memory = store.getPromptMemory("shift-a");
+  // Three turns folded, the line of the oldest one no longer fits the 20 token summary budget
+  assert.equal(store.summaryTokens, 20);
+  assert.equal(memory.summary, "- orderAgent: ORD-1002 is due first.\n- User planner.1: Is ORD-1001 blocked?");
+  assert.deepEqual(memory.turns.map(turn => [turn.role, turn.agentId, turn.userId]), [
+    ["assistant", "orderAgent", "planner.1"],
+    ["user", null, "planner.2"]
+  ]);
+  assert.ok(memory.tokens <= store.windowTokens);
+
+  const session = store.getSession("shift-a");
+  assert.equal(session.summarizedTurns, 3);
+  assert.equal(session.turnCount, 5);
+  assert.equal(session.turns.length, 5);
+  assert.deepEqual(session.participants, ["planner.1", "planner.2"]);
+});
+
+test("a summarize function gets the previous summary and the folded turns, failures fall back to extractive", async () => {
+  const calls = [];
+  const store = new ConversationStore({
+    directory: path.join(tempDir, "summarize"),
+    windowTokens: 40,
+    summarize: async (previousSummary, turns, maxTokens) => {
+      calls.push({ previousSummary, contents: turns.map(turn => turn.content), maxTokens });
+      if (calls.length > 1) throw new Error("LLM unavailable");
+      return "ORD-1001 blocked by ISS-2002 on LINE-02.";
+    }
+  });
+
+  await appendTurns(store, "shift-c", SHIFT_TURNS);
+  assert.equal(store.getPromptMemory("shift-c").summary, "ORD-1001 blocked by ISS-2002 on LINE-02.");
+  assert.deepEqual(calls, [{ previousSummary: null, contents: SHIFT_TURNS.slice(0, 3).map(turn => turn.content), maxTokens: 20 }]);
+
+  await appendTurns(store, "shift-c", SHIFT_TURNS.slice(0, 2));
+  assert.equal(calls[1].previousSummary, "ORD-1001 blocked by ISS-2002 on LINE-02.");
+  assert.deepEqual(calls[1].contents, SHIFT_TURNS.slice(3).map(turn => turn.content));
+  assert.equal(store.getPromptMemory("shift-c").summary, "- User planner.2: Shift handover: any update on ISS-2002?");
+  assert.equal(store.getSession("shift-c").summarizedTurns, 5);
+});
+
+test("a session is reloaded from its file after a restart and continues where it stopped", async () => {
+  const directory = path.join(tempDir, "restart");
+  const before = new ConversationStore({ directory, windowTokens: 40 });
+  await appendTurns(before, "shift-d", SHIFT_TURNS);
+
+  // Partially written last line of a crash during append
+  fs.appendFileSync(path.join(directory, "shift-d.jsonl"), "{\"type\":\"turn\",\"role\":\"assis");
+
+  const restarted = new ConversationStore({ directory, windowTokens: 40 });
+
+  assert.deepEqual(restarted.getPromptMemory("shift-d"), before.getPromptMemory("shift-d"));
+  assert.deepEqual(restarted.getSession("shift-d"), before.getSession("shift-d"));
+
+  await restarted.appendTurn("shift-d", { role: "assistant", agentId: "orderAgent", content: "Not yet. QA expects to close it today." });
+  const session = restarted.getSession("shift-d");
+  assert.equal(session.turnCount, 6);
+  assert.equal(session.userId, "planner.1");
+  assert.equal(session.turns.at(-1).userId, "planner.1");
+  assert.equal(session.summarizedTurns, 4);
+  assert.match(restarted.getPromptMemory("shift-d").summary, /- orderAgent: Yes, ISS-2002 blocks it\.$/);
+});
+
+test("/api/sessions lists, returns and deletes the sessions recorded by chat runs, also after a restart", async (t) => {
+  const { agentManager, dataManager, eventBus, audit } = system;
+  t.mock.method(agentManager.llmManager, "generate", async () =>
+    ({ text: "ORD-1002 is due first. ORD-1001 is blocked by ISS-2002.", model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+  const orderAgent = agentManager.agents.find(agent => agent.id === "orderAgent");
+  const initialStore = agentManager.conversationStore;
+  agentManager.conversationStore = new ConversationStore({ windowTokens: 40 });
+  t.after(() => { agentManager.conversationStore = initialStore; });
+
+  await agentManager.executeAgent(orderAgent, "Which orders are due this week?", { sessionId: "shift-e", userId: "planner.1" });
+  await agentManager.executeAgent(orderAgent, "And which of them are blocked?", { sessionId: "shift-e", userId: "planner.2" });
+  await agentManager.executeAgent(orderAgent, "Any open deviations?", { sessionId: "shift-f", userId: "qa.lead" });
+
+  // Restart: the routes serve a store rebuilt from the session files
+  agentManager.conversationStore = new ConversationStore({ windowTokens: 40 });
+  const app = express();
+  app.use(express.json());
+  app.use("/api", createRoutes(agentManager, dataManager, eventBus, audit));
+  server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/sessions`;
+
+  const listed = await (await fetch(`${baseUrl}?user=planner.2`)).json();
+  assert.equal(listed.count, 1);
+  assert.deepEqual(listed.sessions.map(session => [session.sessionId, session.userId, session.turnCount]), [["shift-e", "planner.1", 4]]);
+  assert.deepEqual(listed.sessions[0].participants, ["planner.1", "planner.2"]);
+  assert.equal(listed.stats.sessions, 2);
+  assert.equal(listed.stats.turns, 6);
+
+  const response = await fetch(`${baseUrl}/shift-e`);
+  const session = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(session.turns.map(turn => [turn.role, turn.userId, turn.agentId]), [
+    ["user", "planner.1", null],
+    ["assistant", "planner.1", "orderAgent"],
+    ["user", "planner.2", null],
+    ["assistant", "planner.2", "orderAgent"]
+  ]);
+  assert.equal(session.summarizedTurns, 2);
+  assert.equal(session.promptMemory.summary, "- orderAgent: ORD-1002 is due first.");
+  assert.deepEqual(session.promptMemory.turns.map(turn => turn.content), ["And which of them are blocked?", "ORD-1002 is due first. ORD-1001 is blocked by ISS-2002."]);
+
+  const deleted = await fetch(`${baseUrl}/shift-e`, { method: "DELETE" });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual((await deleted.json()).sessionId, "shift-e");
+  assert.equal(fs.existsSync(path.join(process.env.CONVERSATION_STORE_DIR, "shift-e.jsonl")), false);
+  assert.equal((await fetch(`${baseUrl}/shift-e`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/shift-e`, { method: "DELETE" })).status, 404);
+  assert.equal((await (await fetch(baseUrl)).json()).count, 1);
+});
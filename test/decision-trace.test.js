@@ -0,0 +1,111 @@
+/**
+ * ========================================================================
+ * DECISION TRACE TEST - INJECTED RECORDS, DECISIONS AND CITATIONS
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("decision-trace");
+
+const { describeRecords, extractDecisions } = await import("../src/audit/DecisionTraceStore.js");
+
+const records = describeRecords([
+  { source: "orders", value: { orderId: "ORD-1001", status: "created" } },
+  { source: "orders", value: { orderId: "ORD-1001", status: "created" } },
+  { source: "orders", value: { orderId: "ORD-1002", status: "created" } },
+  { source: "compliance", path: "compliance", value: { batchId: "BATCH-001", complianceStatus: "non_compliant" }, via: "templateVariables" }
+], new Map([["orders", { file: "orders" }]]));
+
+const ids = decision => decision.cites.map(cite => `${cite.source}:${cite.id}`);
+
+let system;
+
+before(async () => {
+  system = await startAgentSystem();
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("injected records are described once with file and content hash", () => {
+  assert.deepEqual(records.map(({ hash, ...record }) => record), [
+    { source: "orders", file: "orders.json", id: "ORD-1001", via: "data" },
+    { source: "orders", file: "orders.json", id: "ORD-1002", via: "data" },
+    { source: "compliance.compliance", file: null, id: "BATCH-001", via: "templateVariables" }
+  ]);
+  assert.ok(records.every(record => /^[0-9a-f]{16}$/.test(record.hash)));
+
+  const [changed] = describeRecords([{ source: "orders", value: { orderId: "ORD-1001", status: "released" } }]);
+  assert.notEqual(changed.hash, records[0].hash);
+});
+
+test("decisions cite the records of their paragraph, else of their section", () => {
+  const text = [
+    "Decision format: [RELEASED|POSTPONED|BLOCKED]",
+    "",
+    "## ORD-1001",
+    "Batch BATCH-001 is non-compliant.",
+    "ORD-1001: BLOCKED",
+    "",
+    "## ORD-1002",
+    "All materials available.",
+    "",
+    "Decision: RELEASED",
+    "",
+    "ORD-4242 HOLD - PRE-RELEASE check pending"
+  ].join("\n");
+
+  const decisions = extractDecisions(text, records);
+  assert.deepEqual(decisions.map(decision => [decision.decision, decision.line]), [["BLOCKED", 5], ["RELEASED", 10], ["HOLD", 12]]);
+
+  assert.deepEqual(ids(decisions[0]), ["orders:ORD-1001", "compliance.compliance:BATCH-001"]);
+  assert.deepEqual(ids(decisions[1]), ["orders:ORD-1002"]);
+  assert.deepEqual(decisions[2].citedNotInjected, ["ORD-4242"]);
+  assert.deepEqual(ids(decisions[2]), ["orders:ORD-1002"]);
+});
+
+test("proposed actions are decisions citing their entity", () => {
+  const [decision] = extractDecisions("No decision keywords here.", records,
+    [{ actionId: "ACT-1", action: "releaseOrder", entityId: "ORD-1002", reason: "All checks green" }]);
+
+  assert.deepEqual({ ...decision, cites: ids(decision) }, {
+    kind: "proposed_action",
+    decision: "releaseOrder",
+    actionId: "ACT-1",
+    text: "All checks green",
+    cites: ["orders:ORD-1002"],
+    citedNotInjected: []
+  });
+});
+
+test("an agent run stores its trace with records and cited decisions", async (t) => {
+  const { agentManager } = system;
+  t.mock.method(agentManager.llmManager, "generate", async () =>
+    ({ text: "ORD-1001: BLOCKED - BATCH-001 is non-compliant.", model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+  const orderAgent = agentManager.agents.find(agent => agent.id === "orderAgent");
+
+  const result = await agentManager.executeAgent(orderAgent, "Can ORD-1001 start?", { variables: { orderId: "ORD-1001" }, userId: "planner.1" });
+  const trace = agentManager.traceStore.get(result.runId);
+
+  assert.equal(trace.agentId, "orderAgent");
+  assert.deepEqual(trace.trigger, {
+    source: "chat", message: "Can ORD-1001 start?", userId: "planner.1", sessionId: null, workflowId: null, intent: null
+  });
+  assert.ok(trace.data.records.some(record => record.source === "orders" && record.id === "ORD-1001" && record.file === "orders.json"));
+  assert.match(trace.prompt.text, /ORD-1001/);
+
+  const [decision] = trace.decisions;
+  assert.equal(decision.decision, "BLOCKED");
+  assert.ok(ids(decision).includes("orders:ORD-1001"));
+  assert.ok(ids(decision).includes("batches:BATCH-001"));
+  assert.deepEqual(decision.citedNotInjected, []);
+});
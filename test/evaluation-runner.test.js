@@ -0,0 +1,83 @@
+/**
+ * ========================================================================
+ * EVALUATION RUNNER TEST - SANDBOX TOOLS, PROPOSALS AND ISOLATION
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("evaluation-runner");
+
+const { EvaluationRunner } = await import("../src/evaluation/EvaluationRunner.js");
+const { MCPToolRegistry } = await import("../src/mcp/MCPToolRegistry.js");
+const { ApprovalInbox } = await import("../src/approvals/ApprovalInbox.js");
+
+const scenarioDirectory = path.join(tempDir, "scenarios");
+let system;
+
+before(async () => {
+  system = await startAgentSystem();
+  const toolRegistry = new MCPToolRegistry({ auditLogger: system.audit, eventBus: system.eventBus });
+  // Plugin tool of the shelf life agent - reads live inventory
+  toolRegistry.registerPluginTool({ name: "check_shelf_life", description: "Check remaining shelf life of inventory lots" },
+    async () => assert.fail("live plugin tool called"));
+  system.agentManager.attachToolRegistry(toolRegistry);
+  system.agentManager.attachApprovalInbox(new ApprovalInbox());
+
+  // ORD-7001 exists only in the fixture
+  fs.mkdirSync(scenarioDirectory);
+  fs.writeFileSync(path.join(scenarioDirectory, "orderAgent.yaml"), [
+    "agentId: orderAgent",
+    "scenarios:",
+    "  - id: fixture-order",
+    "    message: \"Check ORD-7001 for release.\"",
+    "    variables: { orderId: ORD-7001 }",
+    "    data:",
+    "      orders:",
+    "        - { orderId: ORD-7001, material: FG-700, qty: 100, status: created }",
+    "    expect:",
+    "      decisions: [\"ORD-7001 RELEASED\"]"
+  ].join("\n"));
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("scenarios call tools against the fixture and record proposals without side effects", async (t) => {
+  const { agentManager, audit } = system;
+  const replies = [
+    '{"tool": "query_production_data", "arguments": {"dataSource": "orders", "filters": {"orderId": "ORD-7001"}}}',
+    '{"tool": "check_shelf_life", "arguments": {"material": "FG-700"}}',
+    'ORD-7001 RELEASED\n{"proposedActions": [{"action": "releaseOrder", "entityId": "ORD-7001", "reason": "All checks green"}]}'
+  ];
+  const generate = t.mock.method(agentManager.llmManager, "generate", async () =>
+    ({ text: replies.shift(), model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+  const liveTools = t.mock.method(agentManager.toolRegistry, "executeTool", async () => assert.fail("live tool registry called"));
+  const auditEntries = audit.entries.length;
+  const traces = agentManager.traceStore.list().length;
+
+  const runner = new EvaluationRunner(agentManager, { scenarioDirectory });
+  const { runId } = runner.start({ agentId: "orderAgent" });
+  await runner.chain;
+  const [result] = runner.getReport(runId).results;
+
+  assert.equal(result.status, "passed");
+  assert.deepEqual(result.toolCalls.map(call => [call.tool, call.ok]), [["query_production_data", true], ["check_shelf_life", false]]);
+  assert.match(result.toolCalls[1].error, /not available in evaluations/);
+  assert.match(generate.mock.calls[1].arguments[0], /"resultCount":1,"totalRecords":1,"data":\[\{"orderId":"ORD-7001"/);
+  assert.deepEqual(result.proposedActions, [{ action: "releaseOrder", entityId: "ORD-7001", reason: "All checks green" }]);
+
+  assert.equal(liveTools.mock.callCount(), 0);
+  assert.deepEqual(agentManager.approvalInbox.list({ status: "pending" }), []);
+  assert.equal(agentManager.traceStore.list().length, traces);
+  assert.equal(audit.entries.length, auditEntries);
+});
@@ -0,0 +1,95 @@
+/**
+ * ========================================================================
+ * EXECUTION QUEUE TEST - PRIORITIES, CONCURRENCY AND CANCELLATION
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ExecutionQueue } from "../src/scheduler/ExecutionQueue.js";
+import { RateLimiter } from "../src/utils/RateLimiter.js";
+
+// A job whose run() resolves when release() is called
+function deferred() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { done, release };
+}
+
+test("queued jobs start by priority, FIFO within a priority", async () => {
+  const queue = new ExecutionQueue(new RateLimiter(1, 50));
+  const started = [];
+  const job = (label, priority) => queue.run({ agentId: label, priority, label }, async () => started.push(label));
+
+  // First call takes the only rate-limit slot, the rest wait for the window
+  const jobs = [job("first", "auto"), job("auto", "auto"), job("workflow", "workflow"), job("chat-1", "chat"), job("chat-2", "chat")];
+  assert.deepEqual(queue.getStatus().pending.map(entry => [entry.label, entry.position]), [
+    ["chat-1", 1], ["chat-2", 2], ["workflow", 3], ["auto", 4]
+  ]);
+
+  await Promise.all(jobs);
+  assert.deepEqual(started, ["first", "chat-1", "chat-2", "workflow", "auto"]);
+  assert.equal(queue.getStatus().stats.completed, 5);
+});
+
+test("an agent at its concurrency limit does not block other agents", async () => {
+  const queue = new ExecutionQueue(new RateLimiter(100, 60000), { concurrency: 1 });
+  const slow = deferred();
+  const started = [];
+
+  const first = queue.run({ agentId: "qaAgent" }, async () => { started.push("qa-1"); await slow.done; });
+  const second = queue.run({ agentId: "qaAgent" }, async () => started.push("qa-2"));
+  const other = queue.run({ agentId: "orderAgent" }, async () => started.push("order"));
+
+  await other;
+  assert.deepEqual(started, ["qa-1", "order"]);
+  assert.equal(queue.getJob(queue.getStatus().pending[0].jobId).status, "queued");
+
+  slow.release();
+  await Promise.all([first, second]);
+  assert.deepEqual(started, ["qa-1", "order", "qa-2"]);
+});
+
+test("queued jobs can be cancelled by id or abort signal, running jobs cannot", async () => {
+  const queue = new ExecutionQueue(new RateLimiter(100, 60000), { concurrency: 1 });
+  const slow = deferred();
+  const controller = new AbortController();
+  const positions = [];
+
+  const running = queue.run({ agentId: "qaAgent" }, () => slow.done);
+  const byId = queue.run({ agentId: "qaAgent" }, async () => assert.fail("cancelled job ran"));
+  const bySignal = queue.run({ agentId: "qaAgent", signal: controller.signal, onUpdate: info => positions.push(info.position) },
+    async () => assert.fail("aborted job ran"));
+
+  const [runningJob] = queue.getStatus().running;
+  const [queuedJob] = queue.getStatus().pending;
+  assert.deepEqual(queue.cancel(runningJob.jobId), { cancelled: false, reason: "Job already running" });
+  assert.deepEqual(queue.cancel(queuedJob.jobId), { cancelled: true });
+  await assert.rejects(byId, { code: "CANCELLED" });
+  assert.deepEqual(positions, [2, 1]);
+
+  controller.abort();
+  await assert.rejects(bySignal, { code: "CANCELLED", message: /Client disconnected/ });
+
+  slow.release();
+  await running;
+  assert.equal(queue.getStatus().stats.cancelled, 2);
+  await assert.rejects(queue.run({ agentId: "qaAgent", signal: controller.signal }, async () => {}), { code: "CANCELLED" });
+});
+
+test("a full queue rejects new jobs", async () => {
+  const queue = new ExecutionQueue(new RateLimiter(100, 60000), { concurrency: 1, maxLength: 1 });
+  const slow = deferred();
+
+  const running = queue.run({ agentId: "qaAgent" }, () => slow.done);
+  const queued = queue.run({ agentId: "qaAgent" }, async () => "ok");
+  await assert.rejects(queue.run({ agentId: "qaAgent" }, async () => {}), { code: "QUEUE_FULL" });
+
+  slow.release();
+  await running;
+  assert.equal(await queued, "ok");
+  assert.equal(queue.getStatus().stats.rejected, 1);
+});
@@ -0,0 +1,118 @@
+/**
+ * ========================================================================
+ * TEST HELPERS - OFFLINE AGENT SYSTEM
+ * ========================================================================
+ *
+ * Temporary store directories, an in-memory audit trail and a data
+ * manager over mock-data/*.json (the DataManager needs the MQTT broker),
+ * so tests run the real AgentManager, A2A and workflow code offline.
+ * ========================================================================
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Point every store at a fresh temporary directory and apply env overrides
+ * Call before constructing AgentManager & co. - they read the env on construction
+ * @returns {string} temporary directory (remove it in after())
+ */
+export function setupTestEnv(prefix, overrides = {}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  Object.assign(process.env, {
+    LLM_PROVIDER: "stub",
+    MAX_API_CALLS_PER_MINUTE: "1000",
+    A2A_SCHEMA_RETRIES: "0",
+    CONVERSATION_STORE_DIR: path.join(tempDir, "conversations"),
+    LLM_USAGE_DIR: path.join(tempDir, "usage"),
+    AGENT_VERSION_DIR: path.join(tempDir, "versions"),
+    APPROVAL_DIR: path.join(tempDir, "approvals"),
+    TRACE_DIR: path.join(tempDir, "traces"),
+    EVALUATION_DIR: path.join(tempDir, "evaluations"),
+    WORKFLOW_STATE_DIR: path.join(tempDir, "workflows"),
+    A2A_STATE_DIR: path.join(tempDir, "a2a"),
+    ...overrides
+  });
+  return tempDir;
+}
+
+/**
+ * Audit trail in memory - the GMP file logger is not under test
+ */
+export function createAudit() {
+  return {
+    entries: [],
+    appendAudit(entry) { this.entries.push(entry); },
+    log(type, details) { this.entries.push({ type, ...details }); }
+  };
+}
+
+/**
+ * Data access of the agents over a copy of mock-data/*.json
+ * Updates stay in memory and notify onDataChange listeners like the DataManager
+ */
+export function createMockDataManager(directory = "mock-data") {
+  const cache = new Map(fs.readdirSync(directory)
+    .filter(file => file.endsWith(".json"))
+    .map(file => [path.basename(file, ".json"), JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"))]));
+  const listeners = new Set();
+
+  return {
+    sourceConfigs: new Map([...cache.keys()].map(key => [key, { type: "mock", file: key }])),
+    updates: [],
+    getDataSnapshot: (dataType) => cache.get(dataType) || null,
+    getCachedData: async (dataType) => cache.get(dataType) || null,
+    getRealtimeOEEData: () => [],
+    getMockDataForAgent(sources) {
+      const list = Array.isArray(sources) ? sources : sources?.dataSource;
+      return Object.fromEntries((list || [])
+        .map(source => path.basename(source.replace(/^mock-data\//, ""), ".json"))
+        .filter(key => cache.has(key))
+        .map(key => [key, cache.get(key)]));
+    },
+    async updateDataEntry(dataType, entryId, updates) {
+      const entry = (cache.get(dataType) || []).find(item =>
+        [item.id, item.orderId, item.batchId, item.issueId].includes(entryId));
+      if (!entry) throw new Error(`Entry ${entryId} not found`);
+      Object.assign(entry, updates);
+      this.updates.push({ dataType, entryId, updates });
+      listeners.forEach(listener => listener({ type: "update", dataType, entryId }));
+      return entry;
+    },
+    onDataChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * Event bus, A2A manager and AgentManager with agents.yaml loaded
+ */
+export async function startAgentSystem({ dataManager = createMockDataManager(), audit = createAudit() } = {}) {
+  const { EventBusManager } = await import("../../src/eventBus/EventBusManager.js");
+  const { A2AManager } = await import("../../src/a2a/A2AManager.js");
+  const { AgentManager } = await import("../../src/agents/AgentManager.js");
+
+  const eventBus = new EventBusManager(audit);
+  const a2aManager = new A2AManager(eventBus, audit);
+  const agentManager = new AgentManager(dataManager, eventBus, audit, a2aManager);
+  agentManager.loadAgents();
+  await agentManager.workflowsReady;
+
+  return { eventBus, a2aManager, agentManager, dataManager, audit };
+}
+
+/**
+ * Poll until check() returns a truthy value
+ */
+export async function waitFor(check, { timeout = 10000, interval = 20 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: condition not met in time");
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * ========================================================================
+ * INTENT ROUTING TEST - ENTITIES, KEYWORD SCORING, CLARIFICATION AND LLM
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("intent-routing");
+
+const { IntentRouter, extractEntities, tokenize } = await import("../src/agents/IntentRouter.js");
+
+let system;
+
+before(async () => {
+  system = await startAgentSystem();
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const agentIds = decision => decision.agents.map(agent => agent.agentId);
+
+test("entities are extracted once and upper-cased, ids are not tokens", () => {
+  assert.deepEqual(extractEntities("Is ord-1001 blocked by batch-001 or BATCH-001 on LINE-02 (FG-123)?"), {
+    orderIds: ["ORD-1001"],
+    batchIds: ["BATCH-001"],
+    materials: ["FG-123"],
+    lines: ["LINE-02"]
+  });
+  assert.deepEqual(tokenize("Which batches were released for ORD-1001 today?"), ["batch", "releas"]);
+});
+
+test("offline routing by trigger and keywords, with entity variables", async () => {
+  const router = system.agentManager.intentRouter;
+
+  const triggered = await router.route("ask-today-orders");
+  assert.equal(triggered.method, "trigger");
+  assert.deepEqual(agentIds(triggered), ["orderAgent"]);
+  assert.equal(triggered.intent, "order_planning");
+
+  const release = await router.route("Are we ready to release BATCH-002?");
+  assert.equal(release.method, "keyword");
+  assert.deepEqual(agentIds(release), ["assessmentAgent"]);
+  assert.equal(release.intent, "batch_release");
+  assert.deepEqual(release.variables, { batchId: "BATCH-002" });
+
+  const compliance = await router.route("Which deviations are still open for the FDA inspection?");
+  assert.deepEqual(agentIds(compliance), ["complianceAgent"]);
+  assert.equal(compliance.ambiguous, false);
+});
+
+test("vague or split requests ask for clarification instead of guessing", async () => {
+  const router = system.agentManager.intentRouter;
+
+  const vague = await router.route("hello there");
+  assert.equal(vague.ambiguous, true);
+  assert.deepEqual(vague.agents, []);
+  assert.equal(vague.clarification.options.length, system.agentManager.agents.length);
+
+  const [orderAgent, complianceAgent] = ["orderAgent", "complianceAgent"].map(id => system.agentManager.agents.find(agent => agent.id === id));
+  const both = router.decide("keyword", [{ agent: orderAgent, confidence: 0.9, reasons: [] }, { agent: complianceAgent, confidence: 0.8, reasons: [] }]);
+  assert.deepEqual(agentIds(both), ["orderAgent", "complianceAgent"]);
+
+  const weak = router.decide("keyword", [{ agent: orderAgent, confidence: 0.5, reasons: [] }, { agent: complianceAgent, confidence: 0.45, reasons: [] }]);
+  assert.equal(weak.ambiguous, true);
+  assert.deepEqual(weak.clarification.options.map(option => option.agentId), ["orderAgent", "complianceAgent"]);
+
+  await assert.rejects(router.route("anything", { agentId: "nope" }), { code: "NOT_FOUND" });
+});
+
+test("LLM classification is validated and falls back to keyword routing", async (t) => {
+  const { agentManager } = system;
+  const router = new IntentRouter(agentManager, { mode: "llm" });
+  const replies = [
+    '{"intent": "release_check", "agents": [{"agentId": "assessmentAgent", "confidence": 0.9, "reason": "batch release"}], "clarification": null}',
+    '{"agents": [{"agentId": "assessmentAgent", "confidence": 7}]}'
+  ];
+  t.mock.method(agentManager.llmManager, "generate", async () => ({ text: replies.shift(), provider: "stub", model: "stub-1" }));
+
+  const classified = await router.route("Can BATCH-002 go out?");
+  assert.equal(classified.method, "llm");
+  assert.equal(classified.intent, "release_check");
+  assert.deepEqual(agentIds(classified), ["assessmentAgent"]);
+
+  const fallback = await router.route("Are we ready to release BATCH-002?");
+  assert.equal(fallback.method, "keyword");
+  assert.deepEqual(agentIds(fallback), ["assessmentAgent"]);
+  assert.match(fallback.llm.error, /Invalid routing response/);
+  assert.equal(router.getStats().llmFailures, 1);
+});
@@ -0,0 +1,93 @@
+/**
+ * ========================================================================
+ * A2A SCHEMA VALIDATION TEST - JSON EXTRACTION, VALIDATOR AND RE-ASK
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("json-schema", { A2A_SCHEMA_RETRIES: "1" });
+
+const { extractJson, validateSchema } = await import("../src/utils/jsonSchema.js");
+
+let system;
+let complianceAgent;
+
+before(async () => {
+  system = await startAgentSystem();
+  system.audit.logA2AValidationFailure = (agentId, action, validation) => system.audit.entries.push({ type: "a2a_validation_failure", agentId, action, validation });
+  complianceAgent = system.agentManager.agents.find(agent => agent.id === "complianceAgent");
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const completion = text => ({ text, model: "stub-1", provider: "stub", usage: { inputTokens: 0, outputTokens: 0 } });
+
+test("extractJson finds JSON in fences and prose and repairs trailing commas", () => {
+  assert.deepEqual(extractJson('{"a":1}'), { value: { a: 1 }, repaired: false, error: null });
+  assert.deepEqual(extractJson("Result:\n```json\n{\"a\": [1, 2,],}\n```\nDone").value, { a: [1, 2] });
+  assert.deepEqual(extractJson('Here you go: {"nested": {"b": "}"}} - thanks').value, { nested: { b: "}" } });
+  assert.equal(extractJson("no json here").value, null);
+  assert.match(extractJson("").error, /Empty response/);
+});
+
+test("validateSchema reports type, enum, required and nested errors with their path", () => {
+  const schema = complianceAgent.a2aSchemas.validateOrder;
+
+  assert.deepEqual(validateSchema({ compliant: true, findings: [], riskLevel: "LOW" }, schema), []);
+  assert.deepEqual(validateSchema({ compliant: "yes", findings: [], riskLevel: "SEVERE" }, schema), [
+    "$.compliant: expected boolean, got string",
+    "$.riskLevel: must be one of LOW, MEDIUM, HIGH, CRITICAL"
+  ]);
+  assert.deepEqual(validateSchema({ findings: [] }, schema), ["$.compliant: is required", "$.riskLevel: is required"]);
+  assert.deepEqual(validateSchema({ list: [1, "x"] }, { type: "object", properties: { list: { type: "array", items: { type: "number" } } } }), [
+    "$.list[1]: expected number, got string"
+  ]);
+  assert.deepEqual(validateSchema({ a: 1, b: 2 }, { type: "object", properties: { a: {} }, additionalProperties: false }), ["$.b: is not allowed"]);
+});
+
+test("an invalid A2A response is re-asked with the validation errors", async (t) => {
+  const prompts = [];
+  const answers = ['{"compliant": "maybe"}', '{"compliant": true, "findings": [], "riskLevel": "LOW"}'];
+  t.mock.method(system.agentManager.llmManager, "generate", async (prompt) => {
+    prompts.push(prompt);
+    return completion(answers[prompts.length - 1]);
+  });
+
+  const response = await system.agentManager.processAgentA2A(complianceAgent, "validateOrder", { orderId: "ORD-1001" });
+
+  assert.deepEqual(response.result, { compliant: true, findings: [], riskLevel: "LOW" });
+  assert.deepEqual(response.validation, { valid: true, errors: [], attempts: 2, repaired: false });
+  assert.match(prompts[1], /PREVIOUS RESPONSE REJECTED/);
+  assert.match(prompts[1], /\$\.compliant: expected boolean, got string/);
+});
+
+test("output that stays invalid is marked invalid_output and audited", async (t) => {
+  t.mock.method(system.agentManager.llmManager, "generate", async () => completion("I cannot answer in JSON."));
+
+  const response = await system.agentManager.processAgentA2A(complianceAgent, "validateOrder", { orderId: "ORD-1001" });
+
+  assert.equal(response.result.type, "invalid_output");
+  assert.equal(response.validation.valid, false);
+  assert.equal(response.validation.attempts, 2);
+  assert.ok(system.audit.entries.some(entry => entry.type === "a2a_validation_failure" && entry.action === "validateOrder"));
+});
+
+test("a capability without schema returns the text response unvalidated", async (t) => {
+  t.mock.method(system.agentManager.llmManager, "generate", async () => completion("Plain report"));
+  const agent = { ...complianceAgent, a2aSchemas: {} };
+
+  const response = await system.agentManager.processAgentA2A(agent, "checkCompliance", {});
+  assert.equal(response.validation, null);
+  assert.equal(response.result.type, "text_response");
+  assert.equal(response.result.result, "Plain report");
+});
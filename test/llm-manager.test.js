@@ -0,0 +1,158 @@
+/**
+ * ========================================================================
+ * LLM MANAGER TEST - PROVIDER CHAIN, FAILOVER AND COOLDOWN
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LLMManager, LLMProvider } from "../src/llm/LLMManager.js";
+import { UsageTracker } from "../src/llm/UsageTracker.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-manager-"));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+class FakeProvider extends LLMProvider {
+  constructor(name, { fail = false } = {}) {
+    super({ model: `${name}-model` });
+    this.name = name;
+    this.fail = fail;
+    this.calls = 0;
+  }
+
+  async generate() {
+    this.calls++;
+    if (this.fail) throw new Error(`${this.name} down`);
+    return { text: `answer from ${this.name}`, model: this.defaultModel, usage: { inputTokens: 1, outputTokens: 1 } };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getName() {
+    return this.name;
+  }
+}
+
+function createManager(options = {}) {
+  const manager = new LLMManager({
+    defaultProvider: "anthropic",
+    fallbackProviders: ["ollama", "stub"],
+    usageTracker: new UsageTracker({ directory: path.join(tempDir, `usage-${Date.now()}-${Math.random()}`) }),
+    ...options
+  });
+  const anthropic = manager.registerProvider("anthropic", new FakeProvider("anthropic", { fail: true }));
+  const ollama = manager.registerProvider("ollama", new FakeProvider("ollama"));
+  return { manager, anthropic, ollama };
+}
+
+test("agent provider and fallbacks come before the global chain", () => {
+  const { manager } = createManager();
+  const agent = { id: "orderAgent", llm: { provider: "claude", fallback: ["stub"] } };
+
+  assert.deepEqual(manager.defaultChain, ["anthropic", "ollama", "stub"]);
+  assert.deepEqual(manager.resolveChain(agent), ["anthropic", "stub", "ollama"]);
+  assert.deepEqual(manager.resolveChain({ llm: { provider: "ollama", useGlobalFallback: false } }), ["ollama"]);
+});
+
+test("a failing provider fails over to the next one in the chain", async () => {
+  const { manager, anthropic, ollama } = createManager();
+
+  const result = await manager.generate("Hello", { agent: { id: "orderAgent" } });
+
+  assert.equal(result.provider, "ollama");
+  assert.equal(result.text, "answer from ollama");
+  assert.deepEqual(result.attempts, [{ provider: "anthropic", error: "anthropic down" }]);
+  assert.equal(anthropic.calls, 1);
+  assert.equal(ollama.calls, 1);
+  assert.equal(manager.getStatus().providers.find(provider => provider.name === "anthropic").failures, 1);
+});
+
+test("a provider in cooldown is tried last until the cooldown expires", async () => {
+  const { manager, anthropic } = createManager({ cooldownMs: 60000 });
+
+  await manager.generate("first");
+  const second = await manager.generate("second");
+
+  // Served by ollama without trying anthropic first
+  assert.equal(second.provider, "ollama");
+  assert.deepEqual(second.attempts, []);
+  assert.equal(anthropic.calls, 1);
+  assert.equal(manager.getStatus().providers.find(provider => provider.name === "anthropic").coolingDown, true);
+
+  manager.providerHealth.get("anthropic").unavailableUntil = Date.now() - 1;
+  await manager.generate("third");
+  assert.equal(anthropic.calls, 2);
+});
+
+test("a successful call clears the cooldown", async () => {
+  const { manager, anthropic } = createManager();
+
+  await manager.generate("first");
+  anthropic.fail = false;
+  manager.providerHealth.get("anthropic").unavailableUntil = Date.now() - 1;
+
+  const result = await manager.generate("second");
+  assert.equal(result.provider, "anthropic");
+  assert.equal(manager.providerHealth.get("anthropic").unavailableUntil, 0);
+});
+
+test("the call fails when every provider fails", async () => {
+  const { manager, ollama } = createManager({ fallbackProviders: ["ollama"] });
+  ollama.fail = true;
+
+  await assert.rejects(manager.generate("Hello"), /All LLM providers failed: anthropic: anthropic down; ollama: ollama down/);
+});
+
+/**
+ * Unset the Ollama environment for one test, restored afterwards
+ */
+function clearOllamaEnv(t) {
+  const env = { OLLAMA_URL: process.env.OLLAMA_URL, OLLAMA_MODEL: process.env.OLLAMA_MODEL };
+  t.after(() => Object.entries(env).forEach(([name, value]) => value === undefined ? delete process.env[name] : process.env[name] = value));
+  delete process.env.OLLAMA_URL;
+  delete process.env.OLLAMA_MODEL;
+}
+
+test("Ollama only joins the chain when OLLAMA_URL or OLLAMA_MODEL is set", (t) => {
+  clearOllamaEnv(t);
+  const createLocalManager = () => new LLMManager({
+    defaultProvider: "ollama",
+    fallbackProviders: ["stub"],
+    usageTracker: new UsageTracker({ directory: path.join(tempDir, `usage-${Date.now()}-${Math.random()}`) })
+  });
+
+  assert.deepEqual(createLocalManager().resolveChain(), ["stub"]);
+
+  process.env.OLLAMA_URL = "http://gpu-host:11434";
+  const byUrl = createLocalManager();
+  assert.deepEqual(byUrl.resolveChain(), ["ollama", "stub"]);
+  assert.deepEqual([byUrl.getProvider("ollama").baseUrl, byUrl.getProvider("ollama").defaultModel], ["http://gpu-host:11434", "llama2"]);
+
+  delete process.env.OLLAMA_URL;
+  process.env.OLLAMA_MODEL = "llama3";
+  const byModel = createLocalManager();
+  assert.deepEqual(byModel.resolveChain(), ["ollama", "stub"]);
+  assert.deepEqual([byModel.getProvider("ollama").baseUrl, byModel.getProvider("ollama").defaultModel], ["http://localhost:11434", "llama3"]);
+});
+
+test("an unset Ollama is not offered as zero-cost downgrade when the budget is exhausted", (t) => {
+  clearOllamaEnv(t);
+  const manager = new LLMManager({
+    defaultProvider: "anthropic",
+    fallbackProviders: ["ollama"],
+    usageTracker: new UsageTracker({ directory: path.join(tempDir, `usage-${Date.now()}-${Math.random()}`) })
+  });
+  const budget = { action: "downgrade", spentUsd: 12, limitUsd: 10, downgradeProviders: ["ollama"] };
+
+  assert.throws(() => manager.applyBudgetLimit(["anthropic", "ollama"], budget),
+    { code: "BUDGET_EXCEEDED", message: /no zero-cost provider configured for downgrade$/ });
+});
@@ -0,0 +1,85 @@
+/**
+ * ========================================================================
+ * REPLAY TEST - ORDER RELEASE AND ORDER ANALYSIS FROM CASSETTES
+ * ========================================================================
+ *
+ * orderAgent proposes the release of ORD-1001, an approver signs it and
+ * the orderAnalysis workflow runs complianceAgent and statusAgent - every
+ * LLM answer comes from config/cassettes, no provider is called.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv, startAgentSystem, waitFor } from "./helpers/agentSystem.js";
+
+// replay as the only provider: a cassette miss fails the test instead of reaching the stub
+const tempDir = setupTestEnv("llm-replay", { LLM_PROVIDER: "replay", LLM_REPLAY_MODE: "replay", LLM_CASSETTE_DIR: path.join("config", "cassettes") });
+
+const { normalizePrompt, hashPrompt } = await import("../src/llm/LLMManager.js");
+const { ApprovalInbox, hashPin } = await import("../src/approvals/ApprovalInbox.js");
+
+let system;
+
+before(async () => {
+  system = await startAgentSystem();
+
+  const approversFile = path.join(tempDir, "approvers.yaml");
+  fs.writeFileSync(approversFile, [
+    "approvers:",
+    "  - userId: prod.manager",
+    "    name: Production Manager",
+    "    roles: [production]",
+    `    pinHash: "${hashPin("1234")}"`
+  ].join("\n"));
+  system.agentManager.attachApprovalInbox(new ApprovalInbox({ approversFile }));
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("timestamps and plain dates do not change the cassette key", () => {
+  assert.equal(normalizePrompt("Report for 2025-09-20\n\n at 2025-09-20T06:00:00.000Z"), "Report for <date> at <timestamp>");
+  assert.equal(hashPrompt("Shift plan for 2025-09-20"), hashPrompt("Shift plan  for 2026-01-02"));
+  assert.notEqual(hashPrompt("Order ORD-1001"), hashPrompt("Order ORD-1002"));
+});
+
+test("orderAgent and the orderAnalysis workflow replay their recorded decisions", async () => {
+  const { agentManager, dataManager } = system;
+  const orderAgent = agentManager.agents.find(agent => agent.id === "orderAgent");
+
+  const result = await agentManager.executeAgent(orderAgent, "Can order ORD-1001 be released?", { variables: { orderId: "ORD-1001" } });
+  assert.equal(result.provider, "replay");
+  assert.deepEqual(result.pendingActions.map(action => [action.action, action.entityId]), [["releaseOrder", "ORD-1001"]]);
+
+  const [action] = agentManager.approvalInbox.list({ status: "pending" });
+  const executed = await agentManager.decideAction(action.actionId, {
+    decision: "approve",
+    reason: "Materials checked",
+    signature: { userId: "prod.manager", pin: "1234" }
+  });
+  assert.equal(executed.status, "executed");
+  assert.equal(dataManager.getDataSnapshot("orders").find(order => order.orderId === "ORD-1001").status, "released");
+
+  const workflow = await waitFor(() => agentManager.productionWorkflow.getHistory({ subjectId: "ORD-1001" })
+    .find(entry => entry.status !== "running"));
+  assert.equal(workflow.status, "completed");
+  assert.equal(workflow.finalStatus, "APPROVED");
+  assert.deepEqual(workflow.steps.map(step => [step.stepId, step.status]), [
+    ["compliance", "completed"],
+    ["assessment", "skipped"],
+    ["status", "completed"]
+  ]);
+
+  const instance = agentManager.productionWorkflow.getInstance(workflow.workflowId);
+  const compliance = instance.steps.find(step => step.stepId === "compliance");
+  assert.equal(compliance.validation.valid, true);
+  assert.deepEqual(compliance.result.result, { compliant: true, findings: [], riskLevel: "LOW", summary: "Order ORD-1001 meets GMP release requirements" });
+  assert.equal(instance.steps.find(step => step.stepId === "status").result.result.status, "ORDER_READY");
+});
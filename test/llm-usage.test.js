@@ -0,0 +1,142 @@
+/**
+ * ========================================================================
+ * LLM USAGE TEST - MONTHLY BUDGET ACTIONS AND USAGE AGGREGATION
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LLMManager, LLMProvider } from "../src/llm/LLMManager.js";
+import { UsageTracker } from "../src/llm/UsageTracker.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-usage-"));
+const env = { LLM_USAGE_DIR: process.env.LLM_USAGE_DIR, OLLAMA_URL: process.env.OLLAMA_URL, OLLAMA_MODEL: process.env.OLLAMA_MODEL };
+
+// Stub only - no local Ollama in the downgrade chain
+delete process.env.OLLAMA_URL;
+delete process.env.OLLAMA_MODEL;
+
+after(() => {
+  Object.entries(env).forEach(([name, value]) => value === undefined ? delete process.env[name] : process.env[name] = value);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Priced like claude-sonnet-4 in config/llm-pricing.yaml: $3 input / $15 output per 1M tokens
+class PricedProvider extends LLMProvider {
+  constructor(usage = { inputTokens: 100000, outputTokens: 20000 }) {
+    super({ model: "claude-sonnet-4-20250514" });
+    this.usage = usage;
+    this.calls = 0;
+    this.fail = false;
+  }
+
+  async generate() {
+    this.calls++;
+    if (this.fail) throw new Error("anthropic down");
+    return { text: "answer", model: this.defaultModel, usage: this.usage };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getName() {
+    return "anthropic";
+  }
+}
+
+let run = 0;
+
+/**
+ * Manager with its own LLM_USAGE_DIR, anthropic priced, stub as free fallback
+ */
+function createManager(budget = {}) {
+  process.env.LLM_USAGE_DIR = path.join(tempDir, `usage-${++run}`);
+  const usageTracker = new UsageTracker({ downgradeProviders: ["ollama", "stub"], ...budget });
+  const manager = new LLMManager({ defaultProvider: "anthropic", fallbackProviders: ["stub"], usageTracker });
+  const anthropic = manager.registerProvider("anthropic", new PricedProvider());
+  return { manager, anthropic, usageTracker };
+}
+
+const agent = { id: "orderAgent" };
+
+test("the block action rejects every call once the monthly budget is spent", async () => {
+  const { manager, anthropic, usageTracker } = createManager({ monthlyBudgetUsd: 0.5, budgetAction: "block" });
+
+  // 100k input + 20k output tokens = $0.30 + $0.30
+  const first = await manager.generate("Check ORD-1001", { agent });
+  assert.equal(first.provider, "anthropic");
+  assert.deepEqual([usageTracker.getBudgetStatus().spentUsd, usageTracker.getBudgetStatus().exceeded], [0.6, true]);
+
+  await assert.rejects(manager.generate("Check ORD-1002", { agent }),
+    { code: "BUDGET_EXCEEDED", message: "Monthly LLM budget exhausted ($0.6 of $0.5)" });
+  assert.equal(anthropic.calls, 1);
+  assert.equal(usageTracker.records.length, 1);
+});
+
+test("the downgrade action leaves only zero-cost providers in the chain", async () => {
+  const { manager, anthropic, usageTracker } = createManager({ monthlyBudgetUsd: 0.5, budgetAction: "downgrade" });
+  await manager.generate("Check ORD-1001", { agent });
+
+  const budget = usageTracker.getBudgetStatus();
+  assert.deepEqual(manager.applyBudgetLimit(manager.resolveChain(agent), budget), ["stub"]);
+
+  const downgraded = await manager.generate("Check ORD-1002", { agent });
+  assert.equal(downgraded.provider, "stub");
+  assert.equal(anthropic.calls, 1);
+  assert.deepEqual(usageTracker.records.map(record => [record.provider, record.costUsd, record.downgraded]), [
+    ["anthropic", 0.6, false],
+    ["stub", 0, true]
+  ]);
+
+  // Without a configured zero-cost provider the downgrade has nothing to fall back to
+  manager.providers.delete("stub");
+  await assert.rejects(manager.generate("Check ORD-1003", { agent }),
+    { code: "BUDGET_EXCEEDED", message: /no zero-cost provider configured for downgrade$/ });
+});
+
+test("usage is aggregated by agent, user, workflow and day and reloaded from the month file", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2025-09-19T08:00:00Z") });
+  const { manager, anthropic } = createManager();
+  const call = (agentId, attribution) => manager.generate("Prompt", { agent: { id: agentId }, attribution });
+
+  await call("orderAgent", { userId: "planner.1", workflowId: "order-ORD-1001", orderId: "ORD-1001" });
+  await call("complianceAgent", { userId: "planner.1", workflowId: "order-ORD-1001", orderId: "ORD-1001", source: "a2a" });
+  t.mock.timers.setTime(Date.parse("2025-09-20T08:00:00Z"));
+  await call("orderAgent", { userId: "qa.lead" });
+  anthropic.fail = true;
+  await call("orderAgent", { userId: "qa.lead" });
+
+  const summary = new UsageTracker().getSummary({ month: "2025-09" });
+  const pick = group => Object.fromEntries(Object.entries(group).map(([key, entry]) => [key, [entry.calls, entry.failedCalls, entry.inputTokens, entry.costUsd]]));
+
+  // The failed anthropic call falls over to the stub (0 tokens) - 5 records in total
+  assert.deepEqual([summary.totals.calls, summary.totals.failedCalls, summary.totals.costUsd], [5, 1, 1.8]);
+  assert.deepEqual(pick(summary.byAgent), {
+    orderAgent: [4, 1, 200000, 1.2],
+    complianceAgent: [1, 0, 100000, 0.6]
+  });
+  assert.deepEqual(pick(summary.byUser), {
+    "planner.1": [2, 0, 200000, 1.2],
+    "qa.lead": [3, 1, 100000, 0.6]
+  });
+  assert.deepEqual(pick(summary.byWorkflow), {
+    "order-ORD-1001": [2, 0, 200000, 1.2],
+    unassigned: [3, 1, 100000, 0.6]
+  });
+  assert.deepEqual(pick(summary.byDay), {
+    "2025-09-19": [2, 0, 200000, 1.2],
+    "2025-09-20": [3, 1, 100000, 0.6]
+  });
+  assert.deepEqual(Object.keys(summary.bySource), ["agent", "a2a"]);
+
+  const filtered = new UsageTracker().getSummary({ month: "2025-09", userId: "qa.lead" });
+  assert.deepEqual(Object.keys(filtered.byAgent), ["orderAgent"]);
+  assert.equal(filtered.totals.calls, 3);
+});
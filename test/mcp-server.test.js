@@ -0,0 +1,66 @@
+/**
+ * ========================================================================
+ * MCP SERVER TEST - AGENT EXECUTION PARAMETERS
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("mcp-server");
+
+const { PharmaMCPServer } = await import("../src/mcp/MCPServer.js");
+
+let system;
+let mcpServer;
+
+before(async () => {
+  system = await startAgentSystem();
+
+  // Context and resource cleanup intervals would keep the test process alive
+  mock.timers.enable({ apis: ["setInterval"] });
+  const { eventBus, dataManager, audit, agentManager } = system;
+  mcpServer = new PharmaMCPServer({ eventBus, dataManager, auditLogger: audit, agentManager });
+});
+
+after(() => {
+  mock.timers.reset();
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function replyWith(t, text) {
+  return t.mock.method(system.agentManager.llmManager, "generate", async () =>
+    ({ text, model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+}
+
+test("a YAML agent gets the tool parameters as template variables", async (t) => {
+  const { agentManager } = system;
+  replyWith(t, "ORD-1002 can start on LINE-03");
+  const render = t.mock.method(agentManager, "renderAgentPrompt");
+
+  const outcome = await mcpServer.executeAgent("orderAgent", { orderId: "ORD-1002", message: "Can this order start?" });
+
+  assert.equal(outcome.success, true);
+  assert.equal(outcome.result, "ORD-1002 can start on LINE-03");
+  const [agent, message, variables] = render.mock.calls[0].arguments;
+  assert.equal(agent.id, "orderAgent");
+  assert.equal(message, "Can this order start?");
+  assert.equal(variables.orderId, "ORD-1002");
+});
+
+test("a code agent runs the requested intent with the tool parameters", async (t) => {
+  const { agentManager } = system;
+  const moduleRuns = t.mock.method(agentManager, "runAgentModule");
+
+  const outcome = await mcpServer.executeAgent("supplyChainAgent", { intent: "supply.predict_shortage", materialId: "API-002" });
+
+  assert.equal(outcome.success, true);
+  assert.deepEqual(moduleRuns.mock.calls[0].arguments.slice(1), ["supply.predict_shortage", { intent: "supply.predict_shortage", materialId: "API-002" }]);
+  assert.match(outcome.result, /API-002/);
+});
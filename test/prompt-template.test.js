@@ -0,0 +1,84 @@
+/**
+ * ========================================================================
+ * PROMPT TEMPLATE ENGINE TEST - VARIABLES, BLOCKS, PARTIALS AND SCOPING
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PromptTemplateEngine, resolvePath, resolveScopedVariables } from "../src/templates/PromptTemplateEngine.js";
+
+const partialsDir = fs.mkdtempSync(path.join(os.tmpdir(), "prompt-template-"));
+fs.writeFileSync(path.join(partialsDir, "header.md"), "Order {order.orderId}{> footer}\n");
+fs.writeFileSync(path.join(partialsDir, "footer.txt"), " ({market|default:global})");
+fs.writeFileSync(path.join(partialsDir, "loop.md"), "{> loop}");
+
+after(() => fs.rmSync(partialsDir, { recursive: true, force: true }));
+
+const engine = new PromptTemplateEngine({ partialsDir });
+
+test("variables, filters and missing values", () => {
+  const { text, missing } = engine.render(
+    "{order.material} x{order.qty} {order.market|lower} {order.components|count} {note|default:none} {unknown} {order.material}",
+    { order: { material: "FG-123", qty: 2000, market: "EU", components: [{}, {}] } }
+  );
+
+  assert.equal(text, "FG-123 x2000 eu 2 none N/A FG-123");
+  assert.deepEqual(missing, ["unknown"]);
+  assert.equal(engine.render("{data|json}", { data: { a: 1 } }).text, '{"a":1}');
+  assert.equal(engine.render('"{msg|escape}"', { msg: 'say "hi"\nnow' }).text, '"say \\"hi\\"\\nnow"');
+  assert.throws(() => engine.render("{x|shout}", { x: 1 }), /unknown filter "shout"/);
+});
+
+test("values are inserted once - placeholders in data are not expanded", () => {
+  const { text } = engine.render("Q: {userMessage}", { userMessage: "{secret} {> header}", secret: "leak" });
+  assert.equal(text, "Q: {secret} {> header}");
+});
+
+test("conditionals and loops with this and @index", () => {
+  const template = "{#if items}{#each items}{@index}:{material}={this.qty};{/each}{:else}empty{/if}{#unless flag} no flag{/unless}";
+
+  assert.equal(engine.render(template, { items: [{ material: "A", qty: 1 }, { material: "B", qty: 2 }] }).text, "0:A=1;1:B=2; no flag");
+  assert.equal(engine.render(template, { items: [], flag: true }).text, "empty");
+  assert.throws(() => engine.render("{#if a}x", {}), /unclosed \{#if\}/);
+  assert.throws(() => engine.render("x{/each}", {}), /unexpected \{\/each\}/);
+});
+
+test("partials render in the caller's scope and nest with a depth limit", () => {
+  const { text, partials } = engine.render("{> header}!", { order: { orderId: "ORD-1001" } });
+
+  assert.equal(text, "Order ORD-1001 (global)!");
+  assert.deepEqual(partials, ["header", "footer"]);
+  assert.throws(() => engine.render("{> missing}", {}), /Prompt partial not found: missing/);
+  assert.throws(() => engine.render("{> loop}", {}), /partial nesting too deep/);
+});
+
+test("templateVariables scope the data to the requested order", () => {
+  const data = {
+    orders: [{ orderId: "ORD-1", material: "FG-1" }, { orderId: "ORD-2", material: "FG-2" }],
+    bom: [{ material: "FG-1", components: [{ material: "API-1" }, { material: "EXC-1" }] }, { material: "FG-2", components: [] }],
+    inventory: [{ material: "API-1" }, { material: "EXC-1" }, { material: "FG-1" }, { material: "API-9" }]
+  };
+  const definitions = {
+    order: { source: "orders", match: { orderId: "orderId" }, first: true },
+    orderBom: { source: "bom", match: { material: "order.material" } },
+    orderInventory: { source: "inventory", match: { material: ["order.material", "orderBom.components.material"] } }
+  };
+
+  const scoped = resolveScopedVariables(definitions, { orderId: "ORD-1" }, type => data[type]);
+  assert.equal(scoped.order.material, "FG-1");
+  assert.equal(scoped.orderBom.length, 1);
+  assert.deepEqual(scoped.orderInventory.map(item => item.material), ["API-1", "EXC-1", "FG-1"]);
+
+  // Without an orderId the field is not filtered
+  const unscoped = resolveScopedVariables({ orders: { source: "orders", match: { orderId: "orderId" } } }, {}, type => data[type]);
+  assert.equal(unscoped.orders.length, 2);
+
+  assert.deepEqual(resolvePath(data.bom, "components.material"), ["API-1", "EXC-1"]);
+});
@@ -0,0 +1,92 @@
+/**
+ * ========================================================================
+ * RESPONSE CACHE TEST - DATA VERSIONS AND INVALIDATION
+ * ========================================================================
+ *
+ * Live OEE values change on every call; cached answers must survive them
+ * and be dropped only when DataManager reports a data change.
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { setupTestEnv, createMockDataManager, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("response-cache");
+
+const { ResponseCache } = await import("../src/cache/ResponseCache.js");
+
+let system;
+let oeeReads = 0;
+
+before(async () => {
+  const dataManager = createMockDataManager();
+  // A new OEE value on every read, like the MQTT feed
+  dataManager.getRealtimeOEEData = () => [{ lineId: "LINE-01", oee: 70 + (++oeeReads % 20) }];
+  system = await startAgentSystem({ dataManager });
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("keys ignore the {data} text and follow the data version", () => {
+  const cache = new ResponseCache({ enabled: true });
+  const key = (dataText, types = ["orders", "batches"]) =>
+    cache.createKey("orderAgent", `Orders:\n${dataText}\nQuestion at 2025-09-20T06:00:00Z`, { text: dataText, types });
+
+  const first = key('{"oee": 71}');
+  assert.equal(key('{"oee": 88}'), first);
+  assert.equal(cache.getDataVersion(["orders", "batches"]), "0;batches@0;orders@0");
+
+  cache.invalidate({ type: "update", dataType: "issues" });
+  assert.equal(key('{"oee": 71}'), first);
+
+  cache.invalidate({ type: "update", dataType: "orders" });
+  const afterUpdate = key('{"oee": 71}');
+  assert.notEqual(afterUpdate, first);
+
+  cache.invalidate({ type: "reload" });
+  assert.notEqual(key('{"oee": 71}'), afterUpdate);
+  assert.equal(cache.getDataVersion(["orders"]), "1;orders@1");
+});
+
+test("an entry stored under an old data version is never served", () => {
+  const cache = new ResponseCache({ enabled: true });
+  const key = cache.createKey("qaAgent", "prompt", { types: ["qa"] });
+
+  // Data changed while the LLM call was running
+  cache.invalidate({ type: "update", dataType: "qa" });
+  cache.set(key, { response: "stale" }, { agentId: "qaAgent", dataTypes: ["qa"] });
+
+  assert.equal(cache.get(cache.createKey("qaAgent", "prompt", { types: ["qa"] }), "qaAgent"), null);
+});
+
+test("repeat questions hit the cache despite live OEE and miss after a data update", async (t) => {
+  const { agentManager, dataManager } = system;
+  const generate = t.mock.method(agentManager.llmManager, "generate", async () =>
+    ({ text: "Orders ready: ORD-1001", model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+  const orderAgent = agentManager.agents.find(agent => agent.id === "orderAgent");
+  const ask = () => agentManager.executeAgent(orderAgent, "Which orders can start today?", {});
+
+  await ask();
+  const readsAfterFirst = oeeReads;
+  const second = await ask();
+
+  assert.ok(oeeReads > readsAfterFirst, "OEE snapshot is rebuilt for every prompt");
+  assert.equal(generate.mock.callCount(), 1);
+  assert.equal(second.cache.hit, true);
+
+  await dataManager.updateDataEntry("orders", "ORD-1001", { status: "released" });
+  await ask();
+  assert.equal(generate.mock.callCount(), 2);
+
+  // A data type the agent does not read leaves its entries in place
+  agentManager.responseCache.invalidate({ type: "update", dataType: "unrelated" });
+  await ask();
+  assert.equal(generate.mock.callCount(), 2);
+});
@@ -0,0 +1,113 @@
+/**
+ * ========================================================================
+ * TOOL USE TEST - ALLOW-LIST, READ-ONLY AGENT ROLE AND STEP BUDGET
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("tool-use");
+
+const { MCPToolRegistry } = await import("../src/mcp/MCPToolRegistry.js");
+const { validateAgentConfig } = await import("../src/agents/AgentConfigValidator.js");
+const { AGENT_TOOL_ROLE } = await import("../src/agents/ToolUseLoop.js");
+
+let system;
+const executed = [];
+
+before(async () => {
+  system = await startAgentSystem();
+  system.audit.logToolUsage = (tool, details) => system.audit.entries.push({ type: "tool_usage", tool, ...details });
+
+  const toolRegistry = new MCPToolRegistry({ auditLogger: system.audit, eventBus: system.eventBus });
+  toolRegistry.executeToolLogic = async (toolName, args) => {
+    executed.push(toolName);
+    return { dataSource: args.dataSource, resultCount: 1, data: [{ orderId: "ORD-1001", status: "created" }] };
+  };
+  toolRegistry.registerPluginTool({ name: "check_shelf_life", description: "Check remaining shelf life", permissions: ["planner", "agent"] },
+    async () => ({ lots: [] }));
+  system.agentManager.attachToolRegistry(toolRegistry);
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function orderAgentWith(tools) {
+  return { ...system.agentManager.agents.find(agent => agent.id === "orderAgent"), tools, cache: false };
+}
+
+function replyWith(t, replies) {
+  return t.mock.method(system.agentManager.llmManager, "generate", async () =>
+    ({ text: replies.length > 1 ? replies.shift() : replies[0], model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+}
+
+test("only allowed read-only tools are offered and executed", async (t) => {
+  const { agentManager, audit } = system;
+  const agent = orderAgentWith({ allow: ["query_production_data", "check_shelf_life", "manage_inventory"] });
+
+  assert.deepEqual(agentManager.toolUseLoop.getAgentTools(agent).map(tool => tool.name), ["query_production_data", "check_shelf_life"]);
+  await assert.rejects(agentManager.toolRegistry.executeTool("manage_inventory", { action: "reserve" }, AGENT_TOOL_ROLE, "orderAgent"),
+    /Permission denied for tool: manage_inventory/);
+
+  const generate = replyWith(t, [
+    '{"tool": "manage_inventory", "arguments": {"action": "reserve"}}',
+    '{"tool": "query_production_data", "arguments": {"dataSource": "orders"}}',
+    "ORD-1001 RELEASED"
+  ]);
+  executed.length = 0;
+  const result = await agentManager.executeAgent(agent, "Can ORD-1001 start?", {});
+
+  assert.equal(result.response, "ORD-1001 RELEASED");
+  assert.deepEqual(result.toolCalls.map(call => [call.tool, call.ok]), [["manage_inventory", false], ["query_production_data", true]]);
+  assert.match(result.toolCalls[0].error, /not allowed for orderAgent \(allowed: query_production_data, check_shelf_life\)/);
+  assert.deepEqual(executed, ["query_production_data"]);
+
+  const prompt = generate.mock.calls[0].arguments[0];
+  assert.match(prompt, /- query_production_data: /);
+  assert.doesNotMatch(prompt, /- manage_inventory: /);
+  assert.match(generate.mock.calls[2].arguments[0], /=== TOOL ERROR ===\nTool manage_inventory is not allowed[\s\S]*=== TOOL RESULT ===\n\{"dataSource":"orders"/);
+
+  const usage = audit.entries.filter(entry => entry.type === "tool_usage").slice(-2);
+  assert.deepEqual(usage.map(entry => [entry.tool, entry.success, entry.step]), [["manage_inventory", false, 1], ["query_production_data", true, 2]]);
+});
+
+test("the step budget ends the loop with a final answer", async (t) => {
+  const { agentManager } = system;
+  const agent = orderAgentWith({ allow: ["query_production_data"], maxSteps: 2 });
+  const exhaustedBefore = agentManager.toolUseLoop.getStats().budgetExhausted;
+
+  const generate = replyWith(t, ['{"tool": "query_production_data", "arguments": {"dataSource": "orders"}}']);
+  const result = await agentManager.executeAgent(agent, "Which orders are blocked?", {});
+
+  assert.equal(generate.mock.callCount(), 3);
+  assert.equal(result.toolCalls.length, 2);
+  assert.equal(result.steps, 3);
+  assert.equal(agentManager.toolUseLoop.getStats().budgetExhausted, exhaustedBefore + 1);
+
+  const lastPrompt = generate.mock.calls[2].arguments[0];
+  assert.match(lastPrompt, /=== TOOL BUDGET EXHAUSTED ===/);
+  assert.doesNotMatch(lastPrompt, /=== TOOLS ===/);
+  assert.match(generate.mock.calls[1].arguments[0], /\(1 call left\)/);
+});
+
+test("config validation rejects tools that are not open to agents", () => {
+  const config = yaml.load(fs.readFileSync(path.join("config", "agents.yaml"), "utf8"));
+  config.agents.find(agent => agent.id === "orderAgent").tools.allow.push("manage_inventory", "execute_agent", "no_such_tool");
+
+  const validation = validateAgentConfig(config, { toolRegistry: system.agentManager.toolRegistry, strict: false });
+  assert.deepEqual(validation.errors.map(error => error.match(/"(\w+)" is not open to agents/)?.[1]), ["manage_inventory", "execute_agent"]);
+  assert.ok(validation.warnings.some(warning => warning.includes('tools.allow "no_such_tool" is not registered')));
+
+  assert.equal(validateAgentConfig(yaml.load(fs.readFileSync(path.join("config", "agents.yaml"), "utf8")),
+    { toolRegistry: system.agentManager.toolRegistry, strict: false }).valid, true);
+});
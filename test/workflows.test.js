@@ -0,0 +1,232 @@
+/**
+ * ========================================================================
+ * WORKFLOW TEST - RESUME, RETRY, FALLBACK AND COMPENSATION
+ * ========================================================================
+ *
+ * Run: npm test
+ * ========================================================================
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv, startAgentSystem } from "./helpers/agentSystem.js";
+
+const tempDir = setupTestEnv("workflows");
+
+const { WorkflowStore } = await import("../src/workflows/WorkflowStore.js");
+const { ProductionWorkflow } = await import("../src/workflows/ProductionWorkflow.js");
+const { IdempotencyStore } = await import("../src/a2a/IdempotencyStore.js");
+
+// Hold the order, then check compliance and batch impact in parallel
+const workflowsFile = path.join(tempDir, "workflows.yaml");
+fs.writeFileSync(workflowsFile, [
+  "workflows:",
+  "  releaseCheck:",
+  "    idPrefix: release",
+  "    steps:",
+  "      - id: hold",
+  "        agent: statusAgent",
+  "        capability: updateSystemStatus",
+  "        input: { orderId: \"{subjectId}\", updateType: hold }",
+  "        compensate:",
+  "          capability: updateSystemStatus",
+  "          input: { orderId: \"{subjectId}\", revertStatus: \"{step.input.updateType}\", reason: \"{failure.error}\" }",
+  "      - id: checks",
+  "        parallel:",
+  "          - steps:",
+  "              - id: compliance",
+  "                agent: complianceAgent",
+  "                capability: validateOrder",
+  "                retry: { attempts: 2, backoff: 1 }",
+  "                fallback: [backupComplianceAgent]",
+  "                input: { orderId: \"{subjectId}\" }",
+  "          - steps:",
+  "              - id: assessment",
+  "                agent: assessmentAgent",
+  "                capability: assessBatchImpact",
+  "                retry: { attempts: 3, backoff: 1, factor: 2 }",
+  "                input: { orderId: \"{subjectId}\" }",
+  "                compensate:",
+  "                  capability: evaluateRisk",
+  "                  input: { orderId: \"{subjectId}\", withdraw: \"{step.result}\" }"
+].join("\n"));
+
+let system;
+let scripted = () => ({});
+
+before(async () => {
+  system = await startAgentSystem();
+
+  // Second provider of validateOrder - the fallback of the compliance step
+  const { a2aManager, eventBus } = system;
+  a2aManager.registerAgent("backupComplianceAgent", ["validateOrder"]);
+  eventBus.subscribe("a2a.backupComplianceAgent.validateOrder", async (request) => {
+    try {
+      a2aManager.respond(request, { agentId: "backupComplianceAgent", result: await scripted("backupComplianceAgent", request.action, request.data) });
+    } catch (error) {
+      a2aManager.respond(request, { agentId: "backupComplianceAgent", error });
+    }
+  });
+});
+
+after(() => {
+  system?.a2aManager.shutdown();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function replyWith(t, text) {
+  return t.mock.method(system.agentManager.llmManager, "generate", async () =>
+    ({ text, model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+}
+
+/**
+ * Agents answer per plan - "fail", "slow" (answers after 50ms) or ok once per entry, then ok
+ */
+function scriptAgents(t, plan) {
+  const calls = [];
+  scripted = async (agentId, action, data) => {
+    calls.push({ agentId, action, data });
+    const outcome = plan[`${agentId}.${action}`]?.shift();
+    if (outcome === "slow") await new Promise(resolve => setTimeout(resolve, 50));
+    if (outcome === "fail") throw new Error(`${agentId} unavailable`);
+    return { agentId, action, orderId: data.orderId };
+  };
+  t.mock.method(system.agentManager, "processAgentA2A", (agent, action, data) => scripted(agent.id, action, data));
+  return calls;
+}
+
+function createWorkflows(directory) {
+  return new ProductionWorkflow(system.a2aManager, { workflowsFile, store: new WorkflowStore({ directory: path.join(tempDir, directory) }), resume: false });
+}
+
+const attempts = step => step.attempts.map(attempt => [attempt.agent, attempt.attempt, attempt.retryIn]);
+
+const agentCalls = (spy, agentId) => spy.mock.calls.filter(call => call.arguments[0].id === agentId).length;
+
+test("a resumed step the agent already answered is not run again", async (t) => {
+  const { agentManager, a2aManager, audit } = system;
+  replyWith(t, "ORD-1001 COMPLIANT - risk LOW");
+  const agentRuns = t.mock.method(agentManager, "processAgentA2A");
+
+  const first = await agentManager.productionWorkflow.executeOrderAnalysisWorkflow("ORD-1001", { orderId: "ORD-1001", status: "created" });
+  assert.equal(agentCalls(agentRuns, "statusAgent"), 1);
+
+  // Restart after the status agent answered, before the step was recorded
+  const file = path.join(process.env.WORKFLOW_STATE_DIR, "instances.jsonl");
+  const records = fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  const cut = records.findIndex(record => record.type === "step_started" && record.stepId === "status");
+  fs.writeFileSync(file, records.slice(0, cut + 1).map(record => JSON.stringify(record) + "\n").join(""));
+  a2aManager.idempotencyStore = new IdempotencyStore();
+  const workflows = new ProductionWorkflow(a2aManager, { store: new WorkflowStore(), resume: false });
+
+  const instance = workflows.store.get(first.workflowId);
+  assert.equal(instance.status, "running");
+  assert.deepEqual(Object.keys(instance.pendingSteps), ["status"]);
+
+  const resumed = await workflows.resumeWorkflow(first.workflowId);
+
+  assert.equal(agentCalls(agentRuns, "statusAgent"), 1);
+  assert.equal(resumed.finalStatus, first.finalStatus);
+  const statusStep = details => details.steps.find(step => step.id === "status");
+  assert.deepEqual(statusStep(resumed.details).result, statusStep(first.details).result);
+  assert.equal(statusStep(resumed.details).status, statusStep(first.details).status);
+
+  const [replayed] = audit.entries.filter(entry => entry.type === "a2a_request_replayed");
+  assert.equal(replayed.idempotencyKey, `${first.workflowId}:status`);
+  assert.equal(replayed.respondedBy, "statusAgent");
+  assert.equal(workflows.store.get(first.workflowId).status, "completed");
+});
+
+test("only successful responses are recorded, a repeated key gets the envelope back", async (t) => {
+  const { agentManager, a2aManager } = system;
+  const agentRuns = t.mock.method(agentManager, "processAgentA2A");
+  const generate = t.mock.method(agentManager.llmManager, "generate", async () => { throw new Error("LLM down"); });
+  const options = { idempotencyKey: "manual-check-1", envelope: true };
+
+  await assert.rejects(a2aManager.requestService("complianceAgent", "validateOrder", { orderId: "ORD-1002" }, options));
+  assert.equal(a2aManager.idempotencyStore.get("manual-check-1"), null);
+
+  generate.mock.mockImplementation(async () =>
+    ({ text: "ORD-1002 COMPLIANT", model: "stub-1", provider: "stub", usage: { inputTokens: 1, outputTokens: 1 }, attempts: [] }));
+  const answered = await a2aManager.requestService("complianceAgent", "validateOrder", { orderId: "ORD-1002" }, options);
+  const repeated = await a2aManager.requestService("complianceAgent", "validateOrder", { orderId: "ORD-1002" }, options);
+
+  assert.equal(agentRuns.mock.callCount(), 2);
+  assert.equal(answered.status, "success");
+  assert.equal(repeated.replayed, true);
+  assert.notEqual(repeated.requestId, answered.requestId);
+  assert.deepEqual(repeated.result, answered.result);
+});
+
+test("failed calls are retried with backoff, then the fallback agent takes over", async (t) => {
+  const workflows = createWorkflows("retry");
+  const calls = scriptAgents(t, {
+    "complianceAgent.validateOrder": ["fail", "fail"],
+    "assessmentAgent.assessBatchImpact": ["fail", "fail"]
+  });
+
+  const result = await workflows.executeWorkflow("releaseCheck", "ORD-1001");
+  const step = id => result.details.steps.find(entry => entry.id === id);
+
+  assert.equal(result.finalStatus, "COMPLETED");
+  assert.equal(step("compliance").agent, "backupComplianceAgent");
+  assert.deepEqual(attempts(step("compliance")), [["complianceAgent", 1, 1], ["complianceAgent", 2, null]]);
+  assert.equal(step("assessment").agent, "assessmentAgent");
+  assert.deepEqual(attempts(step("assessment")), [["assessmentAgent", 1, 1], ["assessmentAgent", 2, 2]]);
+  assert.equal(calls.filter(call => call.agentId === "assessmentAgent").length, 3);
+
+  const instance = workflows.store.get(result.workflowId);
+  assert.equal(instance.status, "completed");
+  assert.equal(instance.attempts.length, 4);
+  assert.deepEqual(instance.compensations, []);
+});
+
+test("a failed branch waits for the other one, then completed steps are compensated newest first", async (t) => {
+  const workflows = createWorkflows("compensation");
+  const calls = scriptAgents(t, {
+    "complianceAgent.validateOrder": ["fail", "fail"],
+    "backupComplianceAgent.validateOrder": ["fail", "fail"],
+    "assessmentAgent.assessBatchImpact": ["slow"]
+  });
+
+  await assert.rejects(workflows.executeWorkflow("releaseCheck", "ORD-1001"),
+    /failed: compliance: backupComplianceAgent unavailable \(compensated: assessment, hold\)$/);
+
+  const [instance] = workflows.getHistory();
+  assert.equal(instance.status, "failed");
+  assert.deepEqual(instance.steps.map(step => [step.stepId, step.status]), [["hold", "completed"], ["compliance", "failed"], ["assessment", "completed"]]);
+  assert.deepEqual(instance.compensations, [{ stepId: "assessment", status: "completed" }, { stepId: "hold", status: "completed" }]);
+
+  const [withdraw, revert] = calls.slice(-2);
+  assert.deepEqual([withdraw.agentId, withdraw.action, withdraw.data.withdraw.orderId], ["assessmentAgent", "evaluateRisk", "ORD-1001"]);
+  assert.deepEqual([revert.agentId, revert.action, revert.data.revertStatus], ["statusAgent", "updateSystemStatus", "hold"]);
+  assert.match(revert.data.reason, /backupComplianceAgent unavailable/);
+});
+
+test("a failed compensation leaves the workflow waiting for manual correction", async (t) => {
+  const workflows = createWorkflows("correction");
+  scriptAgents(t, {
+    "complianceAgent.validateOrder": ["fail", "fail"],
+    "backupComplianceAgent.validateOrder": ["fail", "fail"],
+    "assessmentAgent.assessBatchImpact": ["fail", "fail", "fail"],
+    "statusAgent.updateSystemStatus": ["ok", "fail"]
+  });
+
+  await assert.rejects(workflows.executeWorkflow("releaseCheck", "ORD-1001"),
+    /backupComplianceAgent unavailable; assessment: assessmentAgent unavailable \(compensation failed: hold - manual correction required\)$/);
+
+  const [{ workflowId }] = workflows.getHistory();
+  const instance = workflows.getInstance(workflowId);
+  assert.equal(instance.status, "correction_required");
+  assert.deepEqual(instance.compensations.map(entry => [entry.stepId, entry.status, entry.error]), [["hold", "failed", "statusAgent unavailable"]]);
+  assert.equal(workflows.workflowStats.failed, 1);
+
+  assert.throws(() => workflows.confirmCorrection(workflowId, { userId: "qa.lead" }), { code: "MISSING_CORRECTION_INFO" });
+  const corrected = workflows.confirmCorrection(workflowId, { userId: "qa.lead", reason: "Order status reset to created in the MES" });
+  assert.equal(corrected.status, "failed");
+  assert.equal(corrected.correctedBy, "qa.lead");
+  assert.deepEqual(corrected.history.at(-1).from, "correction_required");
+  assert.throws(() => workflows.confirmCorrection(workflowId, { userId: "qa.lead", reason: "again" }), { code: "INVALID_TRANSITION" });
+});